@@ -2,7 +2,7 @@ import React, { useEffect } from 'react';
 import { ActivityIndicator, View, StyleSheet, Animated } from 'react-native';
 import { SystemBars } from 'react-native-edge-to-edge';
 import { KeyboardProvider } from 'react-native-keyboard-controller';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 
@@ -10,6 +10,8 @@ import { AppProvider, useApp } from './contexts/AppContext';
 import { ToastProvider, useToast } from './contexts/ToastContext';
 import OfflineIndicator from './components/OfflineIndicator';
 import ErrorBoundary from './components/ErrorBoundary';
+import { configureNotifications, subscribeNotificationTaps } from './services/notifications';
+import useLocationChangeCheck from './hooks/useLocationChangeCheck';
 
 // Screens
 import WelcomeScreen from './screens/WelcomeScreen';
@@ -21,14 +23,25 @@ import LanguageSelectScreen from './screens/LanguageSelectScreen';
 import HistoryScreen from './screens/HistoryScreen';
 import McpServersScreen from './screens/McpServersScreen';
 import McpServerDetailScreen from './screens/McpServerDetailScreen';
+import DiagnosesScreen from './screens/DiagnosesScreen';
+import DiagnosisCompareScreen from './screens/DiagnosisCompareScreen';
+import TreatmentPlanScreen from './screens/TreatmentPlanScreen';
+import RemindersScreen from './screens/RemindersScreen';
+import FarmProfileScreen from './screens/FarmProfileScreen';
+import LocationPickerScreen from './screens/LocationPickerScreen';
+import SavedLocationsScreen from './screens/SavedLocationsScreen';
+import AccountLinkScreen from './screens/AccountLinkScreen';
+import FarmersScreen from './screens/FarmersScreen';
 
 const Stack = createNativeStackNavigator();
+const navigationRef = createNavigationContainerRef();
 
 function OnboardingStack() {
   return (
     <Stack.Navigator screenOptions={{ headerShown: false }}>
       <Stack.Screen name="Welcome" component={WelcomeScreen} />
       <Stack.Screen name="Location" component={LocationScreen} />
+      <Stack.Screen name="LocationPicker" component={LocationPickerScreen} />
       <Stack.Screen name="Language" component={LanguageScreen} />
     </Stack.Navigator>
   );
@@ -43,6 +56,15 @@ function MainStack() {
       <Stack.Screen name="LanguageSelect" component={LanguageSelectScreen} />
       <Stack.Screen name="McpServers" component={McpServersScreen} />
       <Stack.Screen name="McpServerDetail" component={McpServerDetailScreen} />
+      <Stack.Screen name="Diagnoses" component={DiagnosesScreen} />
+      <Stack.Screen name="DiagnosisCompare" component={DiagnosisCompareScreen} />
+      <Stack.Screen name="TreatmentPlan" component={TreatmentPlanScreen} />
+      <Stack.Screen name="Reminders" component={RemindersScreen} />
+      <Stack.Screen name="FarmProfile" component={FarmProfileScreen} />
+      <Stack.Screen name="LocationPicker" component={LocationPickerScreen} />
+      <Stack.Screen name="SavedLocations" component={SavedLocationsScreen} />
+      <Stack.Screen name="AccountLink" component={AccountLinkScreen} />
+      <Stack.Screen name="Farmers" component={FarmersScreen} />
     </Stack.Navigator>
   );
 }
@@ -62,6 +84,30 @@ function SyncErrorWatcher() {
   return null;
 }
 
+// Open what a tapped reminder is about: its treatment plan, or the reminder list
+function NotificationTapWatcher({ enabled }) {
+  useEffect(() => {
+    configureNotifications();
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return subscribeNotificationTaps((data) => {
+      if (!data.reminderId || !navigationRef.isReady()) return;
+      if (data.planId) navigationRef.navigate('TreatmentPlan', { planId: data.planId });
+      else navigationRef.navigate('Reminders');
+    });
+  }, [enabled]);
+
+  return null;
+}
+
+// Offer to switch location when the farmer resumes the app somewhere with other services
+function LocationChangeWatcher({ enabled }) {
+  useLocationChangeCheck(enabled);
+  return null;
+}
+
 function AppNavigator() {
   const { isLoading, onboardingComplete, theme, isDark } = useApp();
   const fadeAnim = React.useRef(new Animated.Value(0)).current;
@@ -90,9 +136,11 @@ function AppNavigator() {
       <SystemBars style={isDark ? 'light' : 'dark'} />
       <OfflineIndicator />
       <SyncErrorWatcher />
-      <NavigationContainer>
+      <NavigationContainer ref={navigationRef}>
         {onboardingComplete ? <MainStack /> : <OnboardingStack />}
       </NavigationContainer>
+      <NotificationTapWatcher enabled={onboardingComplete} />
+      <LocationChangeWatcher enabled={onboardingComplete} />
     </Animated.View>
   );
 }
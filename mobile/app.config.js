@@ -0,0 +1,12 @@
+// Adds build-time secrets to app.json (Expo loads .env before reading this file)
+module.exports = ({ config }) => ({
+  ...config,
+  android: {
+    ...config.android,
+    config: {
+      ...config.android?.config,
+      // Google Maps SDK key for the location picker map (iOS uses Apple Maps)
+      googleMaps: { apiKey: process.env.GOOGLE_MAPS_API_KEY },
+    },
+  },
+});
@@ -22,12 +22,15 @@ const { height: SCREEN_HEIGHT } = Dimensions.get('window');
 /**
  * Claude-style attach bottom sheet
  * Full-width modal with Camera and Photos options
+ * selectedCount/maxCount show progress while collecting photos for one diagnosis
  */
 export default function AttachBottomSheet({
   visible,
   onClose,
   onCamera,
   onPhotos,
+  selectedCount = 0,
+  maxCount = 1,
 }) {
   const { theme } = useApp();
   const insets = useSafeAreaInsets();
@@ -152,7 +155,9 @@ export default function AttachBottomSheet({
               {t('media.addToChat')}
             </Text>
             <Text style={[styles.headerSubtitle, { color: theme.textMuted }]}>
-              {t('media.uploadHint')}
+              {selectedCount > 0
+                ? t('media.photosSelected', { count: selectedCount, max: maxCount })
+                : t('media.uploadHintMultiple', { max: maxCount })}
             </Text>
           </View>
           <Pressable
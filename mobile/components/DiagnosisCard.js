@@ -1,16 +1,25 @@
 import React, { useMemo } from 'react';
-import { View, Text, StyleSheet, Pressable } from 'react-native';
+import { View, Text, StyleSheet, Pressable, Image } from 'react-native';
 import * as Haptics from 'expo-haptics';
 import { useApp } from '../contexts/AppContext';
 import { SPACING, TYPOGRAPHY } from '../constants/themes';
 import AppIcon from './ui/AppIcon';
+import { getPlanApproaches } from '../services/treatmentPlans';
 import { t } from '../constants/strings';
 
+// Multi-photo requests tag each finding with the (0-based) photo it was seen in
+const getSourceImageIndex = (finding, imageCount) => {
+  const index = finding?.image_index ?? finding?.imageIndex;
+  return Number.isInteger(index) && index >= 0 && index < imageCount ? index : null;
+};
+
 /**
  * Plant Diagnosis Display - No card styling, matches normal text flow
  * Uses same font sizes as markdown content (TYPOGRAPHY.sizes.base = 16)
+ * `images` are the photos sent with a multi-photo request, in request order
+ * `onMakePlan` turns the treatment recommendations into a scheduled plan
  */
-export default function DiagnosisCard({ diagnosis, onRetry }) {
+export default function DiagnosisCard({ diagnosis, images, onRetry, onMakePlan }) {
   const { theme } = useApp();
 
   const data = useMemo(() => {
@@ -126,24 +135,35 @@ export default function DiagnosisCard({ diagnosis, onRetry }) {
       {data.issues?.length > 0 && (
         <View style={styles.section}>
           <Text style={[styles.sectionTitle, { color: theme.text }]}>{t('diagnosis.issueDetected')}</Text>
-          {data.issues.map((issue, i) => (
-            <View key={i} style={styles.issueItem}>
-              <Text style={[styles.text, { color: theme.text, fontWeight: TYPOGRAPHY.weights.semibold }]}>
-                {issue.name || issue}
-                {issue.scientific_name ? ` (${issue.scientific_name})` : ''}
-              </Text>
-              {issue.severity && (
-                <Text style={[styles.text, { color: theme.error }]}>
-                  {t('diagnosis.severity')}: {issue.severity}
-                </Text>
-              )}
-              {issue.symptoms?.length > 0 && (
-                <Text style={[styles.text, { color: theme.textSecondary }]}>
-                  {t('diagnosis.symptoms')}: {issue.symptoms.join(', ')}
+          {data.issues.map((issue, i) => {
+            const sourceIndex = images?.length > 1 ? getSourceImageIndex(issue, images.length) : null;
+            return (
+              <View key={i} style={styles.issueItem}>
+                <Text style={[styles.text, { color: theme.text, fontWeight: TYPOGRAPHY.weights.semibold }]}>
+                  {issue.name || issue}
+                  {issue.scientific_name ? ` (${issue.scientific_name})` : ''}
                 </Text>
-              )}
-            </View>
-          ))}
+                {sourceIndex !== null && (
+                  <View style={styles.sourceRow}>
+                    <Image source={{ uri: images[sourceIndex] }} style={styles.sourceThumb} />
+                    <Text style={[styles.text, { color: theme.textMuted }]}>
+                      {t('diagnosis.fromPhoto', { number: sourceIndex + 1 })}
+                    </Text>
+                  </View>
+                )}
+                {issue.severity && (
+                  <Text style={[styles.text, { color: theme.error }]}>
+                    {t('diagnosis.severity')}: {issue.severity}
+                  </Text>
+                )}
+                {issue.symptoms?.length > 0 && (
+                  <Text style={[styles.text, { color: theme.textSecondary }]}>
+                    {t('diagnosis.symptoms')}: {issue.symptoms.join(', ')}
+                  </Text>
+                )}
+              </View>
+            );
+          })}
         </View>
       )}
 
@@ -173,6 +193,16 @@ export default function DiagnosisCard({ diagnosis, onRetry }) {
               )}
             </View>
           ))}
+          {onMakePlan && getPlanApproaches(data).length > 0 && (
+            <Pressable
+              onPress={() => { Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light); onMakePlan(); }}
+              style={[styles.retryButton, { borderColor: theme.accent }]}
+              accessibilityRole="button"
+            >
+              <AppIcon name="calendar" size={16} color={theme.accent} />
+              <Text style={[styles.retryText, { color: theme.accent }]}>{t('diagnosis.makePlan')}</Text>
+            </Pressable>
+          )}
         </View>
       )}
 
@@ -348,6 +378,17 @@ const styles = StyleSheet.create({
   },
 
   // Issue items
+  sourceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    paddingVertical: 4,
+  },
+  sourceThumb: {
+    width: 28,
+    height: 28,
+    borderRadius: 6,
+  },
   issueItem: {
     marginBottom: SPACING.xs,
   },
@@ -6,6 +6,10 @@ import {
   StyleSheet,
   Platform,
   Text,
+  Image,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
 } from 'react-native';
 import { KeyboardStickyView } from 'react-native-keyboard-controller';
 import * as ImagePicker from 'expo-image-picker';
@@ -16,6 +20,8 @@ import { useToast } from '../contexts/ToastContext';
 import VoiceRecorder from './VoiceRecorder';
 import AttachBottomSheet from './AttachBottomSheet';
 import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import { MAX_DIAGNOSIS_IMAGES } from '../services/api';
+import { prepareImageForUpload } from '../utils/imagePipeline';
 import AppIcon from './ui/AppIcon';
 import { PlusIcon, ClockIcon, VoiceWaveIcon } from './ui/LineIcons';
 import { t } from '../constants/strings';
@@ -26,10 +32,12 @@ const InputToolbar = forwardRef(function InputToolbar({
   onSendVoiceText,
   transcribeAudio,
   uploadAudioInBackground,
+  onQueueVoice,
+  onStop,
   onOpenHistory,
   disabled = false,
 }, ref) {
-  const { theme } = useApp();
+  const { theme, sharePhotoLocation } = useApp();
   const { showError, showWarning, showSuccess } = useToast();
   const insets = useSafeAreaInsets();
   const [text, setText] = useState('');
@@ -37,6 +45,9 @@ const InputToolbar = forwardRef(function InputToolbar({
   const [pendingAudioData, setPendingAudioData] = useState(null);
   const [isFromVoice, setIsFromVoice] = useState(false);
   const [showMediaMenu, setShowMediaMenu] = useState(false);
+  // Photos collected for one diagnosis request (leaf, stem, whole plant...)
+  const [pendingImages, setPendingImages] = useState([]);
+  const [isPreparingImages, setIsPreparingImages] = useState(false);
   const textInputRef = useRef(null);
 
   // Expose methods to parent via ref
@@ -48,10 +59,37 @@ const InputToolbar = forwardRef(function InputToolbar({
   const bottomPadding = Math.max(insets.bottom, SPACING.md);
 
   const handleSendText = () => {
-    if (!text.trim() || disabled) return;
+    if ((!text.trim() && pendingImages.length === 0) || disabled) return;
 
     const messageText = text.trim();
 
+    // Photos go out as one diagnosis request, with any typed question
+    if (pendingImages.length > 0) {
+      if (isPreparingImages) return;
+      const sendImages = () => {
+        onSendImage({ images: pendingImages, text: messageText });
+        setPendingImages([]);
+        setText('');
+      };
+
+      // Dark/blurry photos are usually rejected - offer a retake before paying for the upload
+      const flagged = pendingImages.filter(img => img.quality?.issues?.length > 0);
+      if (flagged.length > 0) {
+        Alert.alert(t('media.qualityTitle'), t('media.qualityMessage'), [
+          {
+            text: t('media.retake'),
+            style: 'cancel',
+            onPress: () => setPendingImages(prev => prev.filter(img => !flagged.includes(img))),
+          },
+          { text: t('media.sendAnyway'), onPress: sendImages },
+        ]);
+        return;
+      }
+
+      sendImages();
+      return;
+    }
+
     if (isFromVoice && pendingAudioData && uploadAudioInBackground) {
       uploadAudioInBackground(pendingAudioData).catch(err => {
         console.log('Background audio upload failed:', err);
@@ -64,10 +102,48 @@ const InputToolbar = forwardRef(function InputToolbar({
     setIsFromVoice(false);
   };
 
+  // Resize/compress on-device and check quality before anything is uploaded
+  const addPendingImages = async (assets) => {
+    Haptics.selectionAsync();
+    setIsPreparingImages(true);
+    try {
+      // One at a time - full-size photos are heavy on low-end phones
+      const prepared = [];
+      for (const asset of assets) {
+        prepared.push(await prepareImageForUpload(asset, { keepLocation: sharePhotoLocation }));
+      }
+
+      const firstNumber = pendingImages.length + 1;
+      const flaggedIndex = prepared.findIndex(img => img.quality.issues.length > 0);
+      if (flaggedIndex !== -1) {
+        const issue = prepared[flaggedIndex].quality.issues[0];
+        showWarning(t(issue === 'dark' ? 'media.qualityDark' : 'media.qualityBlurry', { number: firstNumber + flaggedIndex }));
+      }
+
+      setPendingImages(prev => [...prev, ...prepared].slice(0, MAX_DIAGNOSIS_IMAGES));
+    } catch (error) {
+      console.error('Image preparation error:', error);
+      showError(t('media.prepareFailed'));
+    } finally {
+      setIsPreparingImages(false);
+    }
+  };
+
+  const removePendingImage = (uri) => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    setPendingImages(prev => prev.filter(img => img.uri !== uri));
+  };
+
   const handlePickImage = async () => {
     if (disabled) return;
     setShowMediaMenu(false);
 
+    const remaining = MAX_DIAGNOSIS_IMAGES - pendingImages.length;
+    if (remaining <= 0) {
+      showWarning(t('media.maxPhotos', { max: MAX_DIAGNOSIS_IMAGES }));
+      return;
+    }
+
     try {
       const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
       if (status !== 'granted') {
@@ -75,22 +151,18 @@ const InputToolbar = forwardRef(function InputToolbar({
         return;
       }
 
+      // Cropping is only available when picking a single photo
       const result = await ImagePicker.launchImageLibraryAsync({
         mediaTypes: ['images'],
-        allowsEditing: true, // Enable cropping with free-form aspect ratio
-        quality: 0.8,
-        base64: true,
+        allowsMultipleSelection: remaining > 1,
+        selectionLimit: remaining,
+        allowsEditing: remaining === 1, // Enable cropping with free-form aspect ratio
+        quality: 1, // Compressed once by the image pipeline
+        exif: sharePhotoLocation,
       });
 
-      if (!result.canceled && result.assets[0]) {
-        const asset = result.assets[0];
-        Haptics.selectionAsync();
-        onSendImage({
-          uri: asset.uri,
-          base64: asset.base64,
-          text: text.trim(), // Include existing text question
-        });
-        setText(''); // Clear text after sending with image
+      if (!result.canceled && result.assets?.length) {
+        addPendingImages(result.assets);
       }
     } catch (error) {
       console.error('Image picker error:', error);
@@ -102,6 +174,11 @@ const InputToolbar = forwardRef(function InputToolbar({
     if (disabled) return;
     setShowMediaMenu(false);
 
+    if (pendingImages.length >= MAX_DIAGNOSIS_IMAGES) {
+      showWarning(t('media.maxPhotos', { max: MAX_DIAGNOSIS_IMAGES }));
+      return;
+    }
+
     try {
       const { status } = await ImagePicker.requestCameraPermissionsAsync();
       if (status !== 'granted') {
@@ -111,19 +188,12 @@ const InputToolbar = forwardRef(function InputToolbar({
 
       const result = await ImagePicker.launchCameraAsync({
         allowsEditing: true, // Enable cropping with free-form aspect ratio
-        quality: 0.8,
-        base64: true,
+        quality: 1, // Compressed once by the image pipeline
+        exif: sharePhotoLocation,
       });
 
       if (!result.canceled && result.assets[0]) {
-        const asset = result.assets[0];
-        Haptics.selectionAsync();
-        onSendImage({
-          uri: asset.uri,
-          base64: asset.base64,
-          text: text.trim(), // Include existing text question
-        });
-        setText(''); // Clear text after sending with image
+        addPendingImages([result.assets[0]]);
       }
     } catch (error) {
       console.error('Camera error:', error);
@@ -180,6 +250,7 @@ const InputToolbar = forwardRef(function InputToolbar({
         onTranscriptionComplete={handleTranscriptionComplete}
         onCancel={handleCancelRecording}
         transcribeAudio={transcribeAudio}
+        onQueueOffline={onQueueVoice}
       />
     );
   }
@@ -187,6 +258,8 @@ const InputToolbar = forwardRef(function InputToolbar({
   const isDark = theme.name === 'dark';
   const rippleColor = isDark ? 'rgba(255,255,255,0.12)' : 'rgba(0,0,0,0.12)';
   const hasText = text.trim().length > 0;
+  const canSend = hasText || pendingImages.length > 0;
+  const hasPhotoTray = pendingImages.length > 0 || isPreparingImages;
 
   return (
     <KeyboardStickyView offset={{ closed: 0, opened: 0 }} style={{ backgroundColor: theme.background }}>
@@ -216,8 +289,64 @@ const InputToolbar = forwardRef(function InputToolbar({
           onClose={closeMediaMenu}
           onCamera={handleTakePhoto}
           onPhotos={handlePickImage}
+          selectedCount={pendingImages.length}
+          maxCount={MAX_DIAGNOSIS_IMAGES}
         />
 
+        {/* Photos waiting to be sent as one diagnosis */}
+        {hasPhotoTray && (
+          <View style={styles.photoTray}>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.photoTrayContent}>
+              {pendingImages.map((img, index) => (
+                <View key={img.uri} style={styles.photoThumbWrapper}>
+                  <Image source={{ uri: img.uri }} style={styles.photoThumb} />
+                  {img.quality?.issues?.length > 0 && (
+                    <View
+                      style={[styles.photoWarning, { backgroundColor: theme.warning }]}
+                      accessible
+                      accessibilityLabel={t('a11y.photoQualityWarning', { number: index + 1 })}
+                    >
+                      <AppIcon name="alert-circle" size={14} color="#FFFFFF" prefer="feather" />
+                    </View>
+                  )}
+                  <Pressable
+                    style={styles.photoRemove}
+                    onPress={() => removePendingImage(img.uri)}
+                    hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                    accessibilityRole="button"
+                    accessibilityLabel={t('a11y.removePhoto', { number: index + 1 })}
+                  >
+                    <AppIcon name="x-circle" size={20} color="#FFFFFF" prefer="feather" />
+                  </Pressable>
+                </View>
+              ))}
+              {isPreparingImages ? (
+                <View
+                  style={[styles.photoThumb, styles.photoAdd, { borderColor: theme.textMuted }]}
+                  accessible
+                  accessibilityLabel={t('media.preparing')}
+                >
+                  <ActivityIndicator size="small" color={theme.textMuted} />
+                </View>
+              ) : pendingImages.length < MAX_DIAGNOSIS_IMAGES && (
+                <Pressable
+                  style={[styles.photoThumb, styles.photoAdd, { borderColor: theme.textMuted }]}
+                  onPress={openMediaMenu}
+                  accessibilityRole="button"
+                  accessibilityLabel={t('a11y.addPhoto')}
+                >
+                  <PlusIcon size={20} color={theme.textMuted} />
+                </Pressable>
+              )}
+            </ScrollView>
+            <Text style={[styles.photoTrayHint, { color: theme.textMuted }]}>
+              {isPreparingImages
+                ? t('media.preparing')
+                : t('media.photosSelected', { count: pendingImages.length, max: MAX_DIAGNOSIS_IMAGES })}
+            </Text>
+          </View>
+        )}
+
         {/* Unified Input Container - Claude-style */}
         <View style={[
           styles.inputContainer,
@@ -283,26 +412,39 @@ const InputToolbar = forwardRef(function InputToolbar({
 
             {/* Right Icons */}
             <View style={styles.rightIcons}>
-              {/* Send/Voice Button - black/white based on theme */}
-              <Pressable
-                style={[
-                  styles.sendButton,
-                  { backgroundColor: hasText
-                      ? (isDark ? '#FFFFFF' : '#000000')  // Solid white/black when active
-                      : (isDark ? 'rgba(255,255,255,0.15)' : 'rgba(0,0,0,0.08)')  // Subtle when inactive
-                  }
-                ]}
-                onPress={hasText ? handleSendText : handleStartRecording}
-                disabled={disabled}
-                accessibilityLabel={hasText ? t('a11y.sendMessage') : t('a11y.recordVoice')}
-                android_ripple={Platform.OS === 'android' ? { color: rippleColor, borderless: true } : undefined}
-              >
-                {hasText ? (
-                  <AppIcon name="arrow-up" size={20} color={isDark ? '#000000' : '#FFFFFF'} prefer="feather" />
-                ) : (
-                  <VoiceWaveIcon size={20} color={theme.icon} />
-                )}
-              </Pressable>
+              {/* Stop Button - replaces send while an answer is streaming */}
+              {onStop ? (
+                <Pressable
+                  style={[styles.sendButton, { backgroundColor: isDark ? '#FFFFFF' : '#000000' }]}
+                  onPress={onStop}
+                  accessibilityRole="button"
+                  accessibilityLabel={t('a11y.stopResponse')}
+                  android_ripple={Platform.OS === 'android' ? { color: rippleColor, borderless: true } : undefined}
+                >
+                  <AppIcon name="stop" size={16} color={isDark ? '#000000' : '#FFFFFF'} />
+                </Pressable>
+              ) : (
+                /* Send/Voice Button - black/white based on theme */
+                <Pressable
+                  style={[
+                    styles.sendButton,
+                    { backgroundColor: canSend
+                        ? (isDark ? '#FFFFFF' : '#000000')  // Solid white/black when active
+                        : (isDark ? 'rgba(255,255,255,0.15)' : 'rgba(0,0,0,0.08)')  // Subtle when inactive
+                    }
+                  ]}
+                  onPress={canSend ? handleSendText : handleStartRecording}
+                  disabled={disabled}
+                  accessibilityLabel={canSend ? t('a11y.sendMessage') : t('a11y.recordVoice')}
+                  android_ripple={Platform.OS === 'android' ? { color: rippleColor, borderless: true } : undefined}
+                >
+                  {canSend ? (
+                    <AppIcon name="arrow-up" size={20} color={isDark ? '#000000' : '#FFFFFF'} prefer="feather" />
+                  ) : (
+                    <VoiceWaveIcon size={20} color={theme.icon} />
+                  )}
+                </Pressable>
+              )}
             </View>
           </View>
         </View>
@@ -327,6 +469,47 @@ const styles = StyleSheet.create({
     borderRadius: 12,
     marginBottom: SPACING.sm,
   },
+  photoTray: {
+    marginBottom: SPACING.sm,
+  },
+  photoTrayContent: {
+    gap: SPACING.sm,
+  },
+  photoThumbWrapper: {
+    position: 'relative',
+  },
+  photoThumb: {
+    width: 64,
+    height: 64,
+    borderRadius: 12,
+  },
+  photoRemove: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  photoWarning: {
+    position: 'absolute',
+    bottom: 4,
+    left: 4,
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  photoAdd: {
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  photoTrayHint: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    marginTop: SPACING.xs,
+  },
   voiceIndicatorText: {
     flex: 1,
     fontSize: TYPOGRAPHY.sizes.sm,
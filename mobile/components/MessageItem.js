@@ -6,9 +6,15 @@ import { useApp } from '../contexts/AppContext';
 import { useToast } from '../contexts/ToastContext';
 import { textToSpeech } from '../services/tts';
 import { playAudio, stopAudio } from '../utils/audioPlayer';
+import { getPlanApproaches } from '../services/treatmentPlans';
 import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import { withAlpha } from '../utils/color';
 import AppIcon from './ui/AppIcon';
 import DiagnosisCard from './DiagnosisCard';
+import ToolActivity from './ToolActivity';
+import SourceAttribution from './SourceAttribution';
+import WeatherCard from './WeatherCard';
+import SoilReportCard from './SoilReportCard';
 import { t } from '../constants/strings';
 
 /**
@@ -52,7 +58,7 @@ function sanitizeStreamingMarkdown(text) {
   return text;
 }
 
-function MessageItem({ message, isNewMessage = false, diagnosisTitle, onLayout, onRetry }) {
+function MessageItem({ message, isNewMessage = false, isHighlighted = false, diagnosisTitle, onLayout, onRetry, onMakePlan, onRemind }) {
   const { theme, language, isDark, locationDetails } = useApp();
   const { showError } = useToast();
   const { width: screenWidth } = useWindowDimensions();
@@ -305,7 +311,7 @@ function MessageItem({ message, isNewMessage = false, diagnosisTitle, onLayout,
     <View
       style={[
         styles.container,
-        { backgroundColor: 'transparent' },
+        { backgroundColor: isHighlighted ? withAlpha(theme.accent, 0.12) : 'transparent' },
       ]}
       onLayout={(event) => {
         if (onLayout) {
@@ -319,6 +325,18 @@ function MessageItem({ message, isNewMessage = false, diagnosisTitle, onLayout,
           {isBot ? t('chat.senderAssistant') : t('chat.senderYou')}
         </Text>
         <View style={styles.headerRight}>
+          {/* Remind button - finished text answers, and diagnoses with a treatment schedule */}
+          {isBot && onRemind && !isStreaming && message.text && (!message.diagnosisData || getPlanApproaches(message.diagnosisData).length > 0) && (
+            <Pressable
+              style={styles.speakButton}
+              onPress={() => onRemind(message)}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.remindMe')}
+              android_ripple={Platform.OS === 'android' ? { color: rippleColor, borderless: false } : undefined}
+            >
+              <AppIcon name="bell" size={17} color={theme.icon} />
+            </Pressable>
+          )}
           {/* Speak button - only for bot messages */}
           {isBot && (
             <Pressable
@@ -347,7 +365,19 @@ function MessageItem({ message, isNewMessage = false, diagnosisTitle, onLayout,
       </View>
 
       {/* Message Content */}
-      {message.image && (
+      {message.images?.length > 1 ? (
+        <View style={styles.imageGrid}>
+          {message.images.map((uri, index) => (
+            <Image
+              key={`${uri}-${index}`}
+              source={{ uri }}
+              style={styles.gridImage}
+              resizeMode="cover"
+              accessibilityLabel={t('diagnosis.photoNumber', { number: index + 1 })}
+            />
+          ))}
+        </View>
+      ) : message.image && (
         <Image 
           source={{ uri: message.image }} 
           style={styles.image}
@@ -358,6 +388,12 @@ function MessageItem({ message, isNewMessage = false, diagnosisTitle, onLayout,
       {/* Message Content - Text-only mode (Markdown for bot, plain text for user) */}
       {isBot ? (
         <Animated.View style={[styles.markdownContainer, { opacity: fadeAnim, maxWidth: contentMaxWidth }]}>
+          {/* Native forecast card when the answer carries structured weather */}
+          {message.weatherData && <WeatherCard weather={message.weatherData} />}
+
+          {/* Native soil report with interpreted nutrient gauges */}
+          {message.soilData && <SoilReportCard soil={message.soilData} />}
+
           {/* Hide text bubble if we have a native diagnosis card */}
           {message.text && !message.diagnosisData ? (
             <Markdown style={markdownStyles}>
@@ -367,13 +403,41 @@ function MessageItem({ message, isNewMessage = false, diagnosisTitle, onLayout,
             </Markdown>
           ) : null}
 
+          {/* Connection dropped mid-answer - the rest is fetched on reconnect */}
+          {message.interrupted && (
+            <View style={styles.statusRow}>
+              <AppIcon name="cloud-offline-outline" size={14} color={theme.warning} />
+              <Text style={[styles.statusText, { color: theme.warning }]}>
+                {t('chat.answerInterrupted')}
+              </Text>
+            </View>
+          )}
+
+          {/* MCP data sources consulted for this answer */}
+          <ToolActivity steps={message.toolActivity} />
+
+          {/* Answer was cut short by the Stop button */}
+          {message.stopped && (
+            <View style={styles.statusRow}>
+              <AppIcon name="stop-circle" size={14} color={theme.textMuted} />
+              <Text style={[styles.statusText, { color: theme.textMuted }]}>
+                {t('chat.responseStopped')}
+              </Text>
+            </View>
+          )}
+
           {/* Native structured report card (aggregation data only) */}
           {message.diagnosisData && (
             <DiagnosisCard
               diagnosis={message.diagnosisData}
+              images={message.diagnosisImages}
               onRetry={onRetry}
+              onMakePlan={onMakePlan && (() => onMakePlan(message))}
             />
           )}
+
+          {/* Data sources that backed this answer */}
+          <SourceAttribution mcpToolsUsed={message.provenance?.mcpToolsUsed} />
         </Animated.View>
       ) : (
         // User message - only show text if it exists (image messages may have no text)
@@ -383,6 +447,26 @@ function MessageItem({ message, isNewMessage = false, diagnosisTitle, onLayout,
           </Text>
         ) : null
       )}
+
+      {/* Offline outbox status for user messages */}
+      {!isBot && message.status ? (
+        <View style={styles.statusRow}>
+          {message.status === 'sending' ? (
+            <ActivityIndicator size="small" color={theme.textMuted} />
+          ) : (
+            <AppIcon
+              name={message.status === 'failed' ? 'alert-circle' : 'clock'}
+              size={14}
+              color={message.status === 'failed' ? theme.error : theme.textMuted}
+            />
+          )}
+          <Text style={[styles.statusText, { color: message.status === 'failed' ? theme.error : theme.textMuted }]}>
+            {message.status === 'failed'
+              ? t('chat.sendFailed')
+              : message.status === 'sending' ? t('chat.sending') : t('chat.queued')}
+          </Text>
+        </View>
+      ) : null}
     </View>
   );
 }
@@ -412,6 +496,15 @@ const styles = StyleSheet.create({
   timestamp: {
     fontSize: TYPOGRAPHY.sizes.xs,
   },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.xs,
+    marginTop: SPACING.xs,
+  },
+  statusText: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+  },
   speakButton: {
     width: 32,
     height: 32,
@@ -434,6 +527,16 @@ const styles = StyleSheet.create({
     borderRadius: 12,
     marginBottom: SPACING.sm,
   },
+  imageGrid: {
+    flexDirection: 'row',
+    gap: SPACING.xs,
+    marginBottom: SPACING.sm,
+  },
+  gridImage: {
+    flex: 1,
+    height: 140,
+    borderRadius: 12,
+  },
   diagnosisBox: {
     marginTop: SPACING.sm,
     padding: SPACING.md,
@@ -454,8 +557,18 @@ export default React.memo(MessageItem, (prevProps, nextProps) => {
     prevProps.message._id === nextProps.message._id &&
     prevProps.message.text === nextProps.message.text &&
     prevProps.message.image === nextProps.message.image &&
+    prevProps.message.images === nextProps.message.images &&
+    prevProps.message.diagnosisImages === nextProps.message.diagnosisImages &&
     prevProps.message.diagnosisData === nextProps.message.diagnosisData &&
     prevProps.message.isStreaming === nextProps.message.isStreaming &&
-    prevProps.isNewMessage === nextProps.isNewMessage
+    prevProps.message.status === nextProps.message.status &&
+    prevProps.message.stopped === nextProps.message.stopped &&
+    prevProps.message.interrupted === nextProps.message.interrupted &&
+    prevProps.message.toolActivity === nextProps.message.toolActivity &&
+    prevProps.message.provenance === nextProps.message.provenance &&
+    prevProps.message.weatherData === nextProps.message.weatherData &&
+    prevProps.message.soilData === nextProps.message.soilData &&
+    prevProps.isNewMessage === nextProps.isNewMessage &&
+    prevProps.isHighlighted === nextProps.isHighlighted
   );
 });
@@ -3,13 +3,15 @@ import { Text, StyleSheet, Animated } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import NetInfo from '@react-native-community/netinfo';
 import { useApp } from '../contexts/AppContext';
+import { notifyOnline } from '../services/outbox';
 import AppIcon from './ui/AppIcon';
 import { TYPOGRAPHY } from '../constants/themes';
 import { t } from '../constants/strings';
 
 /**
  * OfflineIndicator - Shows a banner when device is offline
- * Automatically subscribes to network state changes
+ * Automatically subscribes to network state changes and
+ * notifies the outbox when connectivity returns
  */
 export default function OfflineIndicator() {
   const { theme } = useApp();
@@ -21,6 +23,7 @@ export default function OfflineIndicator() {
     // Settle time: wait a moment before starting to show the offline indicator
     // This avoids the 'yellow flicker' during initial app launch probe
     let isSettled = false;
+    let wasOffline = false;
     const settleTimeout = setTimeout(() => {
       isSettled = true;
     }, 1500);
@@ -31,6 +34,14 @@ export default function OfflineIndicator() {
       // We only want to show the offline banner if they are EXPLICITLY false.
       const offline = state.isConnected === false || state.isInternetReachable === false;
       
+      // Replay queued questions once the connection is confirmed
+      if (offline) {
+        wasOffline = true;
+      } else if (wasOffline && state.isInternetReachable === true) {
+        wasOffline = false;
+        notifyOnline();
+      }
+
       // Only set offline if we've settled OR it's a transition from online to offline
       if (isSettled || offline) {
         setIsOffline(offline);
@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  Pressable,
+  StyleSheet,
+  Modal,
+  TextInput,
+  Platform,
+} from 'react-native';
+import * as Haptics from 'expo-haptics';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useApp } from '../contexts/AppContext';
+import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import { morningOf } from '../services/reminders';
+import AppIcon from './ui/AppIcon';
+import Button from './ui/Button';
+import { t } from '../constants/strings';
+
+const PRESET_DAYS = [1, 3, 7];
+
+const dayLabel = (days) => {
+  if (days === 1) return t('reminders.tomorrow');
+  if (days === 7) return t('reminders.nextWeek');
+  return t('reminders.inDays', { count: days });
+};
+
+/**
+ * Bottom sheet to create a reminder from a chat answer
+ * `suggestion` comes from suggestReminder: { title, body, source, suggestedDays }
+ */
+export default function ReminderSheet({ visible, suggestion, onClose, onSave }) {
+  const { theme } = useApp();
+  const insets = useSafeAreaInsets();
+  const isDark = theme.name === 'dark';
+
+  const [title, setTitle] = useState('');
+  const [days, setDays] = useState(1);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Suggested timing from the answer goes first
+  const options = useMemo(() => {
+    const suggested = suggestion?.suggestedDays;
+    return suggested && !PRESET_DAYS.includes(suggested) ? [suggested, ...PRESET_DAYS] : PRESET_DAYS;
+  }, [suggestion]);
+
+  useEffect(() => {
+    if (!visible) return;
+    setTitle(suggestion?.title || '');
+    setDays(suggestion?.suggestedDays || 1);
+  }, [visible, suggestion]);
+
+  const handleSave = async () => {
+    if (!title.trim()) return;
+    setIsSaving(true);
+    await onSave({
+      title: title.trim(),
+      body: suggestion?.body || null,
+      source: suggestion?.source,
+      dueAt: morningOf(days),
+    });
+    setIsSaving(false);
+  };
+
+  const dueDate = morningOf(days);
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      statusBarTranslucent
+      onRequestClose={onClose}
+    >
+      <Pressable style={styles.backdrop} onPress={onClose} />
+      <View
+        style={[
+          styles.sheet,
+          { backgroundColor: isDark ? '#1C1C1E' : '#FFFFFF', paddingBottom: Math.max(insets.bottom + 16, 32) },
+        ]}
+      >
+        <View style={styles.header}>
+          <Text style={[styles.headerTitle, { color: theme.text }]}>{t('reminders.create')}</Text>
+          <Pressable onPress={onClose} hitSlop={12} accessibilityRole="button" accessibilityLabel={t('common.cancel')}>
+            <AppIcon name="x" size={20} color={theme.textMuted} />
+          </Pressable>
+        </View>
+
+        <TextInput
+          style={[styles.input, { color: theme.text, borderColor: theme.inputBorder }]}
+          value={title}
+          onChangeText={setTitle}
+          placeholder={t('reminders.titlePlaceholder')}
+          placeholderTextColor={theme.textMuted}
+          multiline
+          accessibilityLabel={t('reminders.titlePlaceholder')}
+        />
+
+        <Text style={[styles.label, { color: theme.textMuted }]}>{t('reminders.when')}</Text>
+        <View style={styles.chips}>
+          {options.map(option => {
+            const active = option === days;
+            return (
+              <Pressable
+                key={option}
+                onPress={() => { Haptics.selectionAsync(); setDays(option); }}
+                style={[
+                  styles.chip,
+                  { borderColor: active ? theme.accent : theme.inputBorder },
+                  active && { backgroundColor: theme.accent },
+                ]}
+                accessibilityRole="button"
+                accessibilityState={{ selected: active }}
+                android_ripple={Platform.OS === 'android' ? { color: 'rgba(0,0,0,0.08)' } : undefined}
+              >
+                <Text style={[styles.chipText, { color: active ? '#FFFFFF' : theme.text }]}>
+                  {option === suggestion?.suggestedDays && !PRESET_DAYS.includes(option)
+                    ? t('reminders.suggested', { when: dayLabel(option) })
+                    : dayLabel(option)}
+                </Text>
+              </Pressable>
+            );
+          })}
+        </View>
+        <Text style={[styles.hint, { color: theme.textMuted }]}>
+          {t('reminders.firesAt', { date: dueDate.toLocaleDateString(), time: dueDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) })}
+        </Text>
+
+        <Button
+          title={t('reminders.save')}
+          onPress={handleSave}
+          disabled={isSaving || !title.trim()}
+          left={<AppIcon name="bell" size={18} color="#FFFFFF" />}
+          style={styles.saveButton}
+        />
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  sheet: {
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingHorizontal: SPACING.xl,
+    paddingTop: SPACING.lg,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: SPACING.md,
+  },
+  headerTitle: {
+    fontSize: TYPOGRAPHY.sizes.lg,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+  },
+  input: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 8,
+    maxHeight: 120,
+  },
+  label: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+    letterSpacing: 0.5,
+    textTransform: 'uppercase',
+    marginTop: SPACING.lg,
+    marginBottom: SPACING.sm,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: SPACING.sm,
+  },
+  chip: {
+    paddingVertical: 8,
+    paddingHorizontal: SPACING.md,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+    fontWeight: TYPOGRAPHY.weights.medium,
+  },
+  hint: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+    marginTop: SPACING.sm,
+  },
+  saveButton: {
+    marginTop: SPACING.lg,
+  },
+});
@@ -0,0 +1,188 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useApp } from '../contexts/AppContext';
+import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import AppIcon from './ui/AppIcon';
+import { SOIL_PARAMETERS, interpretSoilValue, getTextureKey } from '../utils/soil';
+import { t } from '../constants/strings';
+
+const toneColor = (tone, theme) => {
+  if (tone === 'good') return theme.success;
+  if (tone === 'fair') return theme.warning;
+  return theme.error;
+};
+
+const formatValue = (value) => (Math.abs(value) >= 100 ? Math.round(value) : Math.round(value * 10) / 10);
+
+/**
+ * Soil Report Display - same borderless flow as DiagnosisCard
+ * Expects normalized data from utils/soil.extractSoilData
+ */
+export default function SoilReportCard({ soil }) {
+  const { theme } = useApp();
+  const values = soil?.values || {};
+  const parameters = SOIL_PARAMETERS.filter(parameter => values[parameter.key] !== undefined);
+  const textureKey = getTextureKey(soil?.texture);
+
+  if (parameters.length === 0 && !soil?.texture) return null;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <AppIcon name="sprout" size={18} color={theme.accent} />
+        <Text style={[styles.headerText, { color: theme.text }]}>{t('soil.title')}</Text>
+      </View>
+      {soil.depth && (
+        <Text style={[styles.subtle, { color: theme.textMuted }]}>{t('soil.depth', { depth: soil.depth })}</Text>
+      )}
+
+      {parameters.map(parameter => (
+        <SoilGauge key={parameter.key} parameter={parameter} value={values[parameter.key]} theme={theme} />
+      ))}
+
+      {soil.texture && (
+        <View style={styles.section}>
+          <View style={styles.row}>
+            <Text style={[styles.label, { color: theme.textMuted }]}>{t('soil.texture')}</Text>
+            <Text style={[styles.value, { color: theme.text }]}>{soil.texture}</Text>
+          </View>
+          {textureKey && (
+            <Text style={[styles.text, { color: theme.textSecondary }]}>{t(`soil.textures.${textureKey}`)}</Text>
+          )}
+        </View>
+      )}
+
+      {soil.source && (
+        <Text style={[styles.subtle, { color: theme.textMuted, marginTop: SPACING.sm }]}>
+          {t('soil.source', { source: soil.source })}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+/**
+ * One parameter - value, band-colored gauge with a marker, and its interpretation
+ */
+function SoilGauge({ parameter, value, theme }) {
+  const [min, max] = parameter.range;
+  const span = max - min;
+  const { level, tone } = interpretSoilValue(parameter, value);
+  const color = toneColor(tone, theme);
+  const position = Math.max(0, Math.min(1, (value - min) / span));
+
+  // Band segments across the gauge scale
+  let start = min;
+  const segments = parameter.bands.map(band => {
+    const end = Math.min(band.max, max);
+    const width = Math.max(0, end - start) / span;
+    start = end;
+    return { ...band, width };
+  }).filter(segment => segment.width > 0);
+
+  return (
+    <View style={styles.gauge}>
+      <View style={styles.gaugeHeader}>
+        <Text style={[styles.gaugeLabel, { color: theme.text }]}>{t(`soil.parameters.${parameter.key}`)}</Text>
+        <Text style={[styles.gaugeValue, { color }]}>
+          {formatValue(value)}{parameter.unit ? ` ${parameter.unit}` : ''}
+        </Text>
+      </View>
+      <View
+        style={styles.track}
+        accessible
+        accessibilityLabel={`${t(`soil.parameters.${parameter.key}`)}: ${formatValue(value)} ${parameter.unit}, ${t(`soil.levels.${level}`)}`}
+      >
+        {segments.map(segment => (
+          <View
+            key={segment.level}
+            style={[styles.segment, { flex: segment.width, backgroundColor: toneColor(segment.tone, theme), opacity: 0.35 }]}
+          />
+        ))}
+        <View style={[styles.marker, { left: `${position * 100}%`, backgroundColor: color, borderColor: theme.background }]} />
+      </View>
+      <Text style={[styles.subtle, { color }]}>
+        {t(`soil.levels.${level}`)} - {t(`soil.advice.${parameter.key}.${level}`)}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  // No card styling - transparent, flows naturally
+  container: {
+    marginTop: SPACING.xs,
+    marginBottom: SPACING.sm,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+  },
+  headerText: {
+    fontSize: TYPOGRAPHY.sizes.lg,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+  },
+  gauge: {
+    marginTop: SPACING.md,
+  },
+  gaugeHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+    marginBottom: 6,
+  },
+  gaugeLabel: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    fontWeight: TYPOGRAPHY.weights.medium,
+  },
+  gaugeValue: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+  },
+  track: {
+    flexDirection: 'row',
+    height: 8,
+    borderRadius: 4,
+    overflow: 'visible',
+    marginBottom: 6,
+  },
+  segment: {
+    height: 8,
+  },
+  marker: {
+    position: 'absolute',
+    top: -4,
+    width: 16,
+    height: 16,
+    marginLeft: -8,
+    borderRadius: 8,
+    borderWidth: 2,
+  },
+  section: {
+    marginTop: SPACING.md,
+    paddingTop: SPACING.sm,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 4,
+  },
+  label: {
+    width: 90,
+    fontSize: TYPOGRAPHY.sizes.base,
+    lineHeight: TYPOGRAPHY.sizes.base * TYPOGRAPHY.lineHeights.normal,
+  },
+  value: {
+    flex: 1,
+    fontSize: TYPOGRAPHY.sizes.base,
+    lineHeight: TYPOGRAPHY.sizes.base * TYPOGRAPHY.lineHeights.normal,
+  },
+  text: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    lineHeight: TYPOGRAPHY.sizes.base * TYPOGRAPHY.lineHeights.normal,
+  },
+  subtle: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+  },
+});
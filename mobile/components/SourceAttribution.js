@@ -0,0 +1,103 @@
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, Pressable, Platform } from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { useApp } from '../contexts/AppContext';
+import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import { INTERNAL_SERVERS, SERVER_INFO, resolveServerSlug } from '../constants/mcpServers';
+import { t } from '../constants/strings';
+
+/**
+ * Provenance footer - the MCP servers that backed a bot answer
+ * Known servers open their McpServerDetail screen; unknown ones are plain text
+ */
+export default function SourceAttribution({ mcpToolsUsed }) {
+  const { theme } = useApp();
+  const navigation = useNavigation();
+
+  // One chip per user-facing server, in the order the gateway used them
+  const sources = useMemo(() => {
+    if (!Array.isArray(mcpToolsUsed)) return [];
+    const slugs = mcpToolsUsed
+      .map(resolveServerSlug)
+      .filter(slug => slug && !INTERNAL_SERVERS.includes(slug));
+    return [...new Set(slugs)].map(slug => {
+      const info = SERVER_INFO[slug];
+      return {
+        slug,
+        name: info ? t(`${info.stringKey}.name`) : slug.replace(/-/g, ' '),
+        icon: info?.icon || 'puzzle',
+        isKnown: !!info,
+      };
+    });
+  }, [mcpToolsUsed]);
+
+  if (sources.length === 0) return null;
+
+  const isDark = theme.name === 'dark';
+  const rippleColor = isDark ? 'rgba(255,255,255,0.12)' : 'rgba(0,0,0,0.12)';
+
+  return (
+    <View style={styles.container}>
+      <Text style={[styles.label, { color: theme.textMuted }]}>{t('chat.sources')}</Text>
+      {sources.map(source => {
+        const content = (
+          <>
+            <MaterialCommunityIcons name={source.icon} size={14} color={theme.textSecondary} />
+            <Text style={[styles.chipText, { color: theme.textSecondary }]} numberOfLines={1}>
+              {source.name}
+            </Text>
+          </>
+        );
+
+        // No detail screen to open for servers the app doesn't know
+        if (!source.isKnown) {
+          return (
+            <View key={source.slug} style={[styles.chip, { backgroundColor: theme.surfaceVariant }]}>
+              {content}
+            </View>
+          );
+        }
+
+        return (
+          <Pressable
+            key={source.slug}
+            style={[styles.chip, { backgroundColor: theme.surfaceVariant }]}
+            onPress={() => navigation.navigate('McpServerDetail', { slug: source.slug })}
+            accessibilityRole="link"
+            accessibilityLabel={t('a11y.viewSource', { source: source.name })}
+            android_ripple={Platform.OS === 'android' ? { color: rippleColor, borderless: false } : undefined}
+          >
+            {content}
+          </Pressable>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: SPACING.xs,
+    marginTop: SPACING.sm,
+  },
+  label: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    marginRight: SPACING.xs,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  chipText: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    fontWeight: TYPOGRAPHY.weights.medium,
+  },
+});
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, Pressable, ActivityIndicator, Platform } from 'react-native';
+import * as Haptics from 'expo-haptics';
+import { useApp } from '../contexts/AppContext';
+import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import AppIcon from './ui/AppIcon';
+import { describeToolStep } from '../utils/toolActivity';
+import { t } from '../constants/strings';
+
+/**
+ * "What I checked" timeline - the MCP data sources behind a bot answer
+ * Collapsed by default; expands into one row per tool step
+ */
+export default function ToolActivity({ steps }) {
+  const { theme } = useApp();
+  const [expanded, setExpanded] = useState(false);
+
+  if (!Array.isArray(steps) || steps.length === 0) return null;
+
+  const isDark = theme.name === 'dark';
+  const rippleColor = isDark ? 'rgba(255,255,255,0.12)' : 'rgba(0,0,0,0.12)';
+  const isRunning = steps.some(step => step.status === 'running');
+
+  const toggle = () => {
+    Haptics.selectionAsync();
+    setExpanded(prev => !prev);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Pressable
+        style={styles.header}
+        onPress={toggle}
+        accessibilityRole="button"
+        accessibilityState={{ expanded }}
+        accessibilityLabel={t('chat.whatIChecked')}
+        android_ripple={Platform.OS === 'android' ? { color: rippleColor, borderless: false } : undefined}
+      >
+        {isRunning ? (
+          <ActivityIndicator size="small" color={theme.textMuted} />
+        ) : (
+          <AppIcon name="search" size={14} color={theme.textMuted} prefer="feather" />
+        )}
+        <Text style={[styles.headerText, { color: theme.textSecondary }]}>
+          {t('chat.whatIChecked')} · {steps.length}
+        </Text>
+        <AppIcon name={expanded ? 'chevron-down' : 'chevron-right'} size={14} color={theme.textMuted} prefer="feather" />
+      </Pressable>
+
+      {expanded && (
+        <View style={[styles.timeline, { borderLeftColor: theme.inputBorder }]}>
+          {steps.map((step, index) => (
+            <View key={`${step.toolName}-${index}`} style={styles.step}>
+              <StepIcon status={step.status} theme={theme} />
+              <Text style={[styles.stepText, { color: step.status === 'failed' ? theme.error : theme.text }]}>
+                {describeToolStep(step)}
+              </Text>
+              {step.durationMs ? (
+                <Text style={[styles.duration, { color: theme.textMuted }]}>
+                  {(step.durationMs / 1000).toFixed(1)}s
+                </Text>
+              ) : null}
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+function StepIcon({ status, theme }) {
+  if (status === 'running') {
+    return <ActivityIndicator size="small" color={theme.textMuted} />;
+  }
+  if (status === 'failed') {
+    return <AppIcon name="alert-circle" size={14} color={theme.error} prefer="feather" />;
+  }
+  return <AppIcon name="check-circle" size={14} color={theme.accent} prefer="feather" />;
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: SPACING.sm,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.xs,
+    paddingVertical: SPACING.xs,
+    alignSelf: 'flex-start',
+  },
+  headerText: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+    fontWeight: TYPOGRAPHY.weights.medium,
+  },
+  timeline: {
+    marginTop: SPACING.xs,
+    marginLeft: 6,
+    paddingLeft: SPACING.md,
+    borderLeftWidth: 1,
+    gap: SPACING.sm,
+  },
+  step: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+  },
+  stepText: {
+    flex: 1,
+    fontSize: TYPOGRAPHY.sizes.sm,
+  },
+  duration: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+  },
+});
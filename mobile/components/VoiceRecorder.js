@@ -30,6 +30,7 @@ export default function VoiceRecorder({
   onTranscriptionComplete, 
   onCancel,
   transcribeAudio,
+  onQueueOffline,
 }) {
   const { theme, language } = useApp();
   const { showError } = useToast();
@@ -281,6 +282,10 @@ export default function VoiceRecorder({
 
       if (result.success && result.transcription) {
         onTranscriptionComplete(result.transcription, { uri, base64, duration: recordingDuration });
+      } else if (result.isNetworkError && onQueueOffline) {
+        // Offline - keep the recording and send it when we reconnect
+        onQueueOffline({ uri, duration: recordingDuration, language: language?.code || 'en' });
+        onCancel();
       } else {
         showError(result.error || t('voice.couldNotTranscribeAudio'));
         onCancel();
@@ -291,7 +296,7 @@ export default function VoiceRecorder({
       showError(t('voice.transcriptionFailed'));
       onCancel();
     }
-  }, [recordingDuration, isTranscribing, onTranscriptionComplete, onCancel, transcribeAudio, language]);
+  }, [recordingDuration, isTranscribing, onTranscriptionComplete, onCancel, onQueueOffline, transcribeAudio, language]);
 
   const formatDuration = (seconds) => {
     const mins = Math.floor(seconds / 60);
@@ -0,0 +1,197 @@
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useApp } from '../contexts/AppContext';
+import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import AppIcon from './ui/AppIcon';
+import { getSpraySafety, getFarmingHints } from '../utils/weather';
+import { t } from '../constants/strings';
+
+const formatTemp = (value) => (value === null ? '–' : `${Math.round(value)}°`);
+
+const formatDay = (date, index) => {
+  if (index === 0) return t('weather.today');
+  const parsed = date ? new Date(date) : null;
+  if (!parsed || isNaN(parsed)) return date || '';
+  return parsed.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' });
+};
+
+/**
+ * Weather Forecast Display - same borderless flow as DiagnosisCard
+ * Expects normalized data from utils/weather.extractWeatherData
+ */
+export default function WeatherCard({ weather }) {
+  const { theme } = useApp();
+  const current = weather?.current;
+  const daily = weather?.daily || [];
+  const hints = useMemo(() => getFarmingHints(current), [current]);
+
+  if (!current && daily.length === 0) return null;
+
+  const spraySafety = getSpraySafety(current?.windSpeed ?? daily[0]?.windSpeed ?? null);
+
+  return (
+    <View style={styles.container}>
+      {/* Current conditions */}
+      {current && (
+        <>
+          <View style={styles.headerRow}>
+            <AppIcon name="sun" size={18} color={theme.accent} />
+            <Text style={[styles.headerText, { color: theme.text }]}>
+              {formatTemp(current.temperature)}
+              {current.conditions ? ` · ${current.conditions}` : ''}
+            </Text>
+          </View>
+          {weather.location && (
+            <Text style={[styles.subtle, { color: theme.textMuted }]}>{weather.location}</Text>
+          )}
+
+          {current.humidity !== null && (
+            <View style={styles.row}>
+              <Text style={[styles.label, { color: theme.textMuted }]}>{t('weather.humidity')}</Text>
+              <Text style={[styles.value, { color: theme.text }]}>{Math.round(current.humidity)}%</Text>
+            </View>
+          )}
+          {current.windSpeed !== null && (
+            <View style={styles.row}>
+              <Text style={[styles.label, { color: theme.textMuted }]}>{t('weather.wind')}</Text>
+              <Text style={[styles.value, { color: theme.text }]}>
+                {Math.round(current.windSpeed)} km/h{current.windDirection ? ` ${current.windDirection}` : ''}
+              </Text>
+            </View>
+          )}
+        </>
+      )}
+
+      {/* Spray safety from wind threshold */}
+      {spraySafety && (
+        <View style={styles.sprayRow}>
+          <AppIcon
+            name={spraySafety === 'safe' ? 'checkmark-circle' : 'alert-circle'}
+            size={16}
+            color={spraySafety === 'safe' ? theme.success : theme.warning}
+          />
+          <Text style={[styles.value, { color: spraySafety === 'safe' ? theme.success : theme.warning }]}>
+            {spraySafety === 'safe' ? t('weather.spraySafe') : t('weather.sprayUnsafe')}
+          </Text>
+        </View>
+      )}
+
+      {/* Farming context hints */}
+      {hints.map(hint => (
+        <Text key={hint} style={[styles.text, { color: theme.textSecondary }]}>
+          • {t(`weather.${hint}`)}
+        </Text>
+      ))}
+
+      {/* Daily forecast */}
+      {daily.length > 0 && (
+        <View style={styles.section}>
+          <Text style={[styles.sectionTitle, { color: theme.text }]}>{t('weather.forecast')}</Text>
+          {daily.map((day, i) => (
+            <View key={day.date || i} style={styles.dayRow}>
+              <Text style={[styles.dayLabel, { color: theme.text }]} numberOfLines={1}>
+                {formatDay(day.date, i)}
+              </Text>
+              <Text style={[styles.dayTemp, { color: theme.text }]}>
+                {formatTemp(day.minTemp)} / {formatTemp(day.maxTemp)}
+              </Text>
+              <View style={styles.dayMeta}>
+                {day.rainProbability !== null && (
+                  <Text style={[styles.subtle, { color: day.rainProbability >= 60 ? theme.info : theme.textMuted }]}>
+                    {t('weather.rainChance', { percent: Math.round(day.rainProbability) })}
+                  </Text>
+                )}
+                {day.windSpeed !== null && (
+                  <Text style={[styles.subtle, { color: getSpraySafety(day.windSpeed) === 'unsafe' ? theme.warning : theme.textMuted }]}>
+                    {Math.round(day.windSpeed)} km/h
+                  </Text>
+                )}
+              </View>
+            </View>
+          ))}
+        </View>
+      )}
+
+      {weather.source && (
+        <Text style={[styles.subtle, { color: theme.textMuted, marginTop: SPACING.sm }]}>
+          {t('weather.source', { source: weather.source })}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  // No card styling - transparent, flows naturally
+  container: {
+    marginTop: SPACING.xs,
+    marginBottom: SPACING.sm,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+  },
+  headerText: {
+    fontSize: TYPOGRAPHY.sizes.lg,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 4,
+  },
+  label: {
+    width: 90,
+    fontSize: TYPOGRAPHY.sizes.base,
+    lineHeight: TYPOGRAPHY.sizes.base * TYPOGRAPHY.lineHeights.normal,
+  },
+  value: {
+    flex: 1,
+    fontSize: TYPOGRAPHY.sizes.base,
+    lineHeight: TYPOGRAPHY.sizes.base * TYPOGRAPHY.lineHeights.normal,
+  },
+  sprayRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 4,
+  },
+  text: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    lineHeight: TYPOGRAPHY.sizes.base * TYPOGRAPHY.lineHeights.normal,
+  },
+  subtle: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+  },
+  section: {
+    marginTop: SPACING.md,
+    paddingTop: SPACING.sm,
+  },
+  sectionTitle: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    fontWeight: TYPOGRAPHY.weights.bold,
+    marginBottom: SPACING.xs,
+  },
+  dayRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    gap: SPACING.sm,
+  },
+  dayLabel: {
+    width: 80,
+    fontSize: TYPOGRAPHY.sizes.base,
+  },
+  dayTemp: {
+    width: 80,
+    fontSize: TYPOGRAPHY.sizes.base,
+    fontWeight: TYPOGRAPHY.weights.medium,
+  },
+  dayMeta: {
+    flex: 1,
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: SPACING.sm,
+  },
+});
@@ -16,6 +16,7 @@ const FEATHER_ICONS = {
   'search': 'search',
   'settings': 'settings',
   'user': 'user',
+  'users': 'users',
   'map-pin': 'map-pin',
   'globe': 'globe',
   'check': 'check',
@@ -33,6 +34,10 @@ const FEATHER_ICONS = {
   'trash-2': 'trash-2',
   'edit-2': 'edit-2',
   'file-text': 'file-text',
+  'calendar': 'calendar',
+  'circle': 'circle',
+  'bell': 'bell',
+  'bookmark': 'bookmark',
 };
 
 const ION_TO_MCI = {
@@ -0,0 +1,13 @@
+// API Gateway configuration shared by the API client and the auth service
+
+export const API_BASE_URL = process.env.EXPO_PUBLIC_API_BASE_URL || 'https://ag-mcp-api-gateway.up.railway.app';
+
+export const DEFAULT_TIMEOUT_MS = 30000;
+
+// Per-endpoint timeouts, matched by path prefix (first match wins)
+export const ENDPOINT_TIMEOUTS = [
+  { prefix: '/api/chat', timeout: 60000 }, // Includes MCP calls
+  { prefix: '/api/tts', timeout: 65000 }, // AI Services uses a 60s TTS timeout
+  { prefix: '/api/upload', timeout: 60000 },
+  { prefix: '/api/transcribe', timeout: 30000 },
+];
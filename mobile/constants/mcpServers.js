@@ -0,0 +1,97 @@
+// MCP server display info shared by the integrations screens and answer provenance
+// Names/taglines live in strings.js under mcp.services.<stringKey>
+
+// Internal servers that should be hidden from users
+export const INTERNAL_SERVERS = [
+  'content',
+  'intent-classification',
+  'profile-memory',
+  'tips',
+  'user-preferences',
+  'guardrails',
+  'entity-extraction',
+];
+
+// Server display info - uses string keys for localization
+// action: verb used for the server's tool steps in chat ('checked' unless set)
+export const SERVER_INFO = {
+  'agrivision': {
+    stringKey: 'mcp.services.agrivision',
+    icon: 'leaf-circle',
+  },
+  'isda-soil': {
+    stringKey: 'mcp.services.isdaSoil',
+    action: 'queried',
+    icon: 'terrain',
+  },
+  'accuweather': {
+    stringKey: 'mcp.services.accuweather',
+    icon: 'weather-partly-cloudy',
+  },
+  'gap-weather': {
+    stringKey: 'mcp.services.gapWeather',
+    icon: 'weather-lightning-rainy',
+  },
+  'edacap': {
+    stringKey: 'mcp.services.edacap',
+    icon: 'weather-cloudy-arrow-right',
+  },
+  'weatherapi': {
+    stringKey: 'mcp.services.weatherapi',
+    icon: 'weather-sunny',
+  },
+  'tomorrow-io': {
+    stringKey: 'mcp.services.tomorrowIo',
+    icon: 'cloud-sync',
+  },
+  'feed-formulation': {
+    stringKey: 'mcp.services.feedFormulation',
+    action: 'queried',
+    icon: 'cow',
+  },
+  'nextgen': {
+    stringKey: 'mcp.services.nextgen',
+    action: 'queried',
+    icon: 'flask-outline',
+  },
+  'decision-tree': {
+    stringKey: 'mcp.services.decisionTree',
+    icon: 'source-branch',
+  },
+  'gap-agriculture': {
+    stringKey: 'mcp.services.gapAgriculture',
+    icon: 'sprout',
+  },
+};
+
+// Other names the gateway uses for known servers (normalized like resolveServerSlug input)
+const SERVER_ALIASES = {
+  'isda': 'isda-soil',
+  'tomorrow.io': 'tomorrow-io',
+  'tomorrowio': 'tomorrow-io',
+  'weather-api': 'weatherapi',
+  'accuweather-forecast': 'accuweather',
+  'agri-vision': 'agrivision',
+  'next-gen': 'nextgen',
+};
+
+/**
+ * Resolve a server slug from a gateway `mcpToolsUsed` entry.
+ * Entries may be slugs ("isda-soil"), display names ("ISDA Soil MCP")
+ * or objects ({ server, tool }). Only exact slugs and SERVER_ALIASES map to a
+ * known server; anything else comes back normalized and has no SERVER_INFO.
+ * @returns {string|null}
+ */
+export function resolveServerSlug(entry) {
+  const raw = typeof entry === 'string'
+    ? entry
+    : entry?.serverSlug || entry?.slug || entry?.server || entry?.name;
+  if (!raw || typeof raw !== 'string') return null;
+
+  const normalized = raw
+    .toLowerCase()
+    .trim()
+    .replace(/[\s_]+/g, '-')
+    .replace(/(-(mcp|server))+$/, '');
+  return SERVER_ALIASES[normalized] || normalized;
+}
@@ -122,6 +122,7 @@ export const STRINGS = {
       loading: 'Loading…',
       skipForNow: 'Skip for now',
       comingSoon: 'Coming soon',
+      save: 'Save',
     },
     onboarding: {
       appName: 'FarmerChat',
@@ -139,6 +140,7 @@ export const STRINGS = {
       locationDescription:
         'Share your location to get accurate weather forecasts and region-specific farming advice.',
       enableLocation: 'Enable Location',
+      chooseOnMap: 'Choose on map',
       locationDenied: 'Location permission denied',
       locationError: 'Could not get location. Please try again.',
       gpsFailed: 'GPS unavailable, using your network location...',
@@ -194,6 +196,30 @@ export const STRINGS = {
       analysisComplete: 'Analysis complete',
       lowAccuracy: 'Low Accuracy',
       tapToImprove: 'Tap to improve',
+      tapToChange: 'Tap to change',
+      sessionLocationPinned: 'Location of this chat',
+      sessionLocationTitle: 'Location for this conversation',
+      sessionLocationMessage: 'Answers in this conversation are for {location}.',
+      useCurrentLocation: 'Use where I am now',
+      useAppLocation: 'Use {location}',
+      chooseOnMap: 'Choose on map',
+      sessionLocationChanged: 'This conversation now uses {location}',
+      queuedOffline: "You're offline. We'll send this when you're back online.",
+      queued: 'Waiting for connection',
+      sending: 'Sending...',
+      sendFailed: 'Could not send',
+      queuedVoiceMessage: '🎤 Voice message (will be transcribed when online)',
+      responseStopped: 'Response stopped',
+      reconnecting: 'Connection dropped, reconnecting...',
+      answerInterrupted: 'Connection lost. The rest of this answer will load when you are back online.',
+      whatIChecked: 'What I checked',
+      toolChecking: 'Checking {source}...',
+      toolChecked: 'Checked {source}',
+      toolQuerying: 'Querying {source}...',
+      toolQueried: 'Queried {source}',
+      toolFailed: 'Could not reach {source}',
+      toolUnknownSource: 'Data source',
+      sources: 'Sources:',
     },
     media: {
       photoLibraryPermission:
@@ -205,6 +231,17 @@ export const STRINGS = {
       gallery: 'Gallery',
       addToChat: 'Upload Image',
       uploadHint: 'Take or select a photo for plant health diagnosis',
+      uploadHintMultiple: 'Add up to {max} photos of the same plant - e.g. leaf close-up, stem and whole plant',
+      photosSelected: '{count} of {max} photos - tap send to diagnose',
+      maxPhotos: 'You can send up to {max} photos at a time',
+      preparing: 'Preparing photo…',
+      prepareFailed: 'Could not prepare photo. Please try again.',
+      qualityDark: 'Photo {number} looks too dark - try again in daylight',
+      qualityBlurry: 'Photo {number} looks blurry - hold steady and tap the leaf to focus',
+      qualityTitle: 'Photo may be rejected',
+      qualityMessage: 'Some photos look too dark or blurry for a reliable diagnosis. Send anyway?',
+      retake: 'Retake',
+      sendAnyway: 'Send anyway',
       photos: 'Photos',
     },
     voice: {
@@ -241,17 +278,268 @@ export const STRINGS = {
       yesterday: 'Yesterday',
       messageCount: '{count} messages',
       messageCountSingular: '1 message',
+      notSynced: 'Saved on device',
+      searchPlaceholder: 'Search conversations',
+      filterDiagnosis: 'Has diagnosis',
+      range: {
+        week: 'Last 7 days',
+        month: 'Last 30 days',
+        year: 'Last year',
+      },
+      question: 'You asked',
+      answer: 'Answer',
+      noResults: 'No matching conversations',
+      noResultsHint: 'Try other words or remove a filter',
+      localResultsOnly: 'Showing conversations saved on this device only',
+    },
+    diagnoses: {
+      title: 'Diagnoses',
+      empty: 'No diagnoses yet',
+      emptyHint: 'Send a photo of a plant in chat to get a diagnosis',
+      byCrop: 'By crop',
+      byPlot: 'By plot',
+      unknownCrop: 'Unknown crop',
+      noPlot: 'No plot',
+      notFound: 'This diagnosis is no longer on this device',
+      previous: 'Previous',
+      latest: 'This diagnosis',
+      noPreviousCrop: 'No earlier diagnosis for this crop',
+      noPreviousPlot: 'No earlier diagnosis for this plot',
+      trend: {
+        improved: 'Health improved',
+        worsened: 'Health got worse',
+        unchanged: 'No change in health',
+        unknown: 'Could not compare health status',
+      },
+      resolvedIssues: 'No longer detected',
+      newIssues: 'Newly detected',
+      plot: 'Plot',
+      plotPlaceholder: 'Name this plot, e.g. North field',
+      plotHint: 'Diagnoses in the same plot are compared with each other. Leave empty to compare by crop.',
+      assignPlot: 'Assign to {plot}',
+      plotSaved: 'Saved to {plot}',
+      plotCleared: 'Plot removed',
+      plotSaveFailed: 'Could not save plot',
+      openConversation: 'Open conversation',
+    },
+    treatmentPlan: {
+      title: 'Treatment plan',
+      titleFor: '{crop} treatment plan',
+      forIssue: 'For {issue}',
+      schedule: 'Schedule',
+      checklist: 'Checklist',
+      applyStep: 'Apply {products}',
+      inspectStep: 'Re-inspect the plant and take a new photo',
+      dueSince: 'Due {date}',
+      takePhoto: 'Take photo',
+      previewHint: 'You will get a reminder on the morning of each step.',
+      checklistHint: 'Tick steps as you do them. At the re-inspection, a new photo is compared with this diagnosis.',
+      save: 'Save & remind me',
+      saved: 'Plan saved. We will remind you.',
+      notificationsOff: 'Plan saved, but notifications are off. Turn them on in system settings to get reminders.',
+      saveFailed: 'Could not save plan',
+      noTreatments: 'This diagnosis has no treatments to plan',
+      notFound: 'This plan is no longer on this device',
+      deleteTitle: 'Delete plan',
+      deleteMessage: 'Delete this plan and its reminders?',
+      deleteFailed: 'Could not delete plan',
+      notificationTitle: '{crop} treatment',
+      notificationTitleGeneric: 'Treatment reminder',
+    },
+    farm: {
+      title: 'Farm profile',
+      intro: 'The assistant uses this to answer for your crops and animals without asking every time. Only the plots a question is about are sent.',
+      plots: 'Plots',
+      livestock: 'Livestock',
+      addPlot: 'Add plot',
+      editPlot: 'Edit plot',
+      addLivestock: 'Add livestock',
+      editLivestock: 'Edit livestock',
+      plotName: 'Name',
+      plotNamePlaceholder: 'e.g. River field',
+      crop: 'Crop',
+      cropPlaceholder: 'e.g. Maize',
+      size: 'Size',
+      units: {
+        acres: 'acres',
+        hectares: 'ha',
+      },
+      plantingDate: 'Planting date',
+      plantedOn: 'planted {date}',
+      today: 'Today',
+      gpsPoint: 'GPS point',
+      noGpsPoint: 'Not set',
+      useMyLocation: 'Use my location',
+      gpsHint: 'Stand in the plot and tap "Use my location".',
+      livestockType: 'Animal',
+      livestockTypePlaceholder: 'e.g. Dairy cows',
+      livestockCount: 'Number of animals',
+      head: '{count} head',
+      saved: 'Farm profile saved',
+      deleteTitle: 'Remove from farm profile?',
+      plotNameRequired: 'Enter a name or crop for the plot',
+      livestockTypeRequired: 'Enter the type of animal',
+      invalidDate: 'Enter the planting date as YYYY-MM-DD',
+      locationDenied: 'Location permission is needed to mark the plot',
+      locationFailed: 'Could not get your location',
+    },
+    locationPicker: {
+      title: 'Choose location',
+      searchPlaceholder: 'Search village, town or district',
+      noResults: 'No places found',
+      dropPinHint: 'Search or tap the map to drop a pin',
+      dragHint: 'Drag the pin to adjust',
+      lookingUp: 'Finding this place...',
+      useGps: 'Use my current location',
+      gpsUnavailable: 'Could not get your GPS location',
+      confirm: 'Use this location',
+      saveFailed: 'Could not save location. Please try again.',
+    },
+    locationCheck: {
+      title: 'Your available services have changed',
+      message: 'It looks like you are now in {place}. Update your location to get weather, advice and services for this area?',
+      notNow: 'Not now',
+      update: 'Update location',
+    },
+    savedLocations: {
+      title: 'Saved locations',
+      intro: 'Save the places you farm or trade in. Switching uses the saved details, so it works offline too.',
+      add: 'Add a place',
+      edit: 'Edit place',
+      name: 'Name',
+      namePlaceholder: 'e.g. Home, Field A, Market town',
+      place: 'Location',
+      noPlace: 'No location chosen yet',
+      chooseOnMap: 'Choose on map',
+      locationRequired: 'Choose a location first',
+      added: '{name} saved',
+      switched: 'Switched to {name}',
+      saveFailed: 'Could not save this place',
+      deleteTitle: 'Delete this place?',
+      activeLabel: '{name}, current location',
+    },
+    farmers: {
+      title: 'Farmers',
+      intro: 'Pick the farmer you are advising. Answers use their language and location, and each farmer keeps their own conversations.',
+      ownChats: 'My own chats',
+      ownChatsSubtitle: 'Your language and location',
+      add: 'Add a farmer',
+      edit: 'Edit farmer',
+      name: 'Name',
+      namePlaceholder: 'Farmer name',
+      nameRequired: 'Enter the farmer\'s name',
+      language: 'Language',
+      chooseLanguage: 'Choose language',
+      location: 'Farm location',
+      noLocation: 'Uses your location until one is chosen',
+      added: '{name} added',
+      switched: 'Now advising {name}',
+      switchedOwn: 'Back to your own chats',
+      advising: 'Advising {name}',
+      saveFailed: 'Could not save this farmer',
+      deleteTitle: 'Remove this farmer?',
+      deleteMessage: '{name}\'s conversations stay on this phone and show in Chat History when officer mode is off.',
+      activeLabel: '{name}, selected',
+    },
+    export: {
+      title: 'Export',
+      historyMessage: 'Share your conversations or diagnoses as a file',
+      chatMessage: 'Share this conversation as a file',
+      archive: 'Conversations (JSON)',
+      diagnosesCsv: 'Diagnoses (CSV)',
+      report: 'Report (PDF)',
+      conversationArchive: 'Conversation (JSON)',
+      archiveTitle: 'Share conversations',
+      diagnosesTitle: 'Share diagnoses',
+      reportTitle: 'Share conversation report',
+      reportFarmer: 'Farmer: {name}',
+      reportStarted: 'Started {date}',
+      reportFooter: 'Exported from FarmerChat on {date}',
+      preparing: 'Preparing export…',
+      noDiagnoses: 'No diagnoses to export yet',
+      notFound: 'Conversation not found on this phone',
+      sharingUnavailable: 'Sharing is not available on this device',
+      failed: 'Could not export',
+    },
+    account: {
+      title: 'Phone account',
+      intro: 'Link this phone to your number. Your conversations are kept with the account and show up on every phone you link.',
+      phoneNumber: 'Phone number',
+      phonePlaceholder: '+254 712 345 678',
+      invalidPhone: 'Enter the number with its country code, e.g. +254…',
+      sendCode: 'Send code',
+      codeSent: 'We sent a code to {phone}',
+      code: 'Code',
+      codePlaceholder: '6-digit code',
+      verify: 'Link phone',
+      resend: 'Send a new code',
+      changeNumber: 'Use a different number',
+      sendFailed: 'Could not send the code',
+      verifyFailed: 'That code did not work',
+      codeExpired: 'That code has expired. Send a new one.',
+      linked: 'Phone linked',
+      linkedMerged: 'Phone linked - {count} conversation(s) added to your account',
+      linkedTo: 'Linked to {phone}',
+      linkedSince: 'Since {date}',
+      linkedHint: 'Conversations from all your linked phones appear in Chat History.',
+      unlink: 'Unlink this phone',
+      unlinkTitle: 'Unlink this phone?',
+      unlinkMessage: 'Conversations stay with your account. New ones on this phone will not be shared until you link again.',
+      unlinked: 'Phone unlinked',
+      unlinkFailed: 'Could not unlink this phone',
+    },
+    reminders: {
+      title: 'Reminders',
+      channelName: 'Farm reminders',
+      empty: 'No reminders yet',
+      emptyHint: 'Tap the bell on an answer, or make a plan from a diagnosis',
+      overdue: 'Due',
+      upcoming: 'Upcoming',
+      done: 'Done',
+      create: 'Set a reminder',
+      titlePlaceholder: 'What to do',
+      when: 'When',
+      tomorrow: 'Tomorrow',
+      nextWeek: 'Next week',
+      inDays: 'In {count} days',
+      suggested: '{when} (suggested)',
+      firesAt: 'Reminds you on {date} at {time}',
+      save: 'Remind me',
+      saved: 'Reminder set',
+      saveFailed: 'Could not set reminder',
+      notificationsOff: 'Reminder saved, but notifications are off. Turn them on in system settings to be notified.',
+      markDone: 'Mark as done',
+      markNotDone: 'Mark as not done',
+      snoozeTitle: 'Snooze',
+      snoozeHour: 'In 1 hour',
+      snoozeTomorrow: 'Tomorrow morning',
+      snoozed: 'Snoozed until {date}',
+      deleteTitle: 'Delete reminder',
+      updateFailed: 'Could not update reminder',
     },
     settings: {
       title: 'Settings',
+      sectionFarm: 'MY FARM',
       sectionConversations: 'CONVERSATIONS',
       sectionAiServices: 'AI SERVICES',
       sectionLocation: 'LOCATION',
       sectionLanguage: 'LANGUAGE',
       sectionAppearance: 'APPEARANCE',
+      sectionOfficer: 'EXTENSION OFFICER',
+      sectionAccount: 'ACCOUNT',
       sectionDanger: 'DANGER ZONE',
       chatHistory: 'Chat History',
       chatHistorySubtitle: 'View and continue past conversations',
+      diagnoses: 'Diagnoses',
+      diagnosesSubtitle: 'Past plant diagnoses by crop and plot',
+      farmProfile: 'Farm profile',
+      farmProfileSubtitle: 'Add your plots and livestock for answers that fit your farm',
+      farmPlots: '{count} plot(s)',
+      farmLivestock: '{count} livestock group(s)',
+      reminders: 'Reminders',
+      remindersSubtitle: 'Treatment steps, planting dates and saved advice',
+      sharePhotoLocation: 'Share photo location',
+      sharePhotoLocationSubtitle: 'Send where a plant photo was taken with the diagnosis. Off: location is removed from photos.',
       aiServices: 'Active Services',
       aiServicesSubtitle: 'View AI services active for your region',
       locationPermissionDenied: 'Location permission was denied. Enable in device Settings.',
@@ -264,7 +552,20 @@ export const STRINGS = {
       locationFallbackMessage: 'Could not detect your location automatically. Please select your region:',
       locationEnabled: 'Location enabled',
       locationNotSet: 'Location not set',
-      locationHint: 'Tap to use GPS',
+      locationHint: 'Tap to choose on map',
+      useGps: 'Use GPS',
+      savedLocations: 'Saved locations',
+      savedLocationsSubtitle: 'Home, fields, market town - switch in one tap',
+      savedLocationsCount: '{count} saved place(s)',
+      savedLocationsActive: 'Using {name}',
+      officerMode: 'Officer mode',
+      officerModeSubtitle: 'Advise several farmers from this phone, each with their own chats',
+      farmers: 'Farmers',
+      farmersCount: '{count} farmer(s)',
+      farmersActive: 'Advising {name}',
+      account: 'Phone account',
+      accountSubtitle: 'Keep your history when you reinstall or change phones',
+      accountLinked: 'Linked to {phone}',
       updatingLocation: 'Getting location...',
       themeLight: 'Light',
       themeDark: 'Dark',
@@ -288,6 +589,7 @@ export const STRINGS = {
       serviceCategory: 'Category {name}',
       service: 'Service {name}',
       servicesAvailable: '{active} of {total} services available for your location',
+      detectedRegions: 'Regions: {regions}',
       activeCount: '{active}/{total} active',
       statusActive: 'Active',
       statusUnavailable: 'Not available in your region',
@@ -460,6 +762,8 @@ export const STRINGS = {
       quality: 'Quality',
       confidence: 'Confidence',
       analyzedVia: 'Analyzed via AgriVision',
+      fromPhoto: 'Seen in photo {number}',
+      photoNumber: 'Photo {number}',
       crop: 'Crop',
       status: 'Status',
       stage: 'Stage',
@@ -506,9 +810,91 @@ export const STRINGS = {
       retry: 'Retry',
       tryAgain: 'Try Again',
       takeBetterPhoto: 'Take Better Photo',
+      makePlan: 'Make a plan',
+    },
+    weather: {
+      today: 'Today',
+      forecast: 'Forecast',
+      humidity: 'Humidity',
+      wind: 'Wind',
+      rainChance: '{percent}% rain',
+      spraySafe: 'Wind is light - safe for spraying',
+      sprayUnsafe: 'Too windy - do not spray, chemicals will drift',
+      hintCold: 'Too cold for most tropical crops',
+      hintHeat: 'Heat stress possible, ensure irrigation',
+      hintHumid: 'High humidity - check crops for fungal disease',
+      hintRain: 'Rain expected - plan field work accordingly',
+      source: 'Forecast from {source}',
+    },
+    soil: {
+      title: 'Soil report',
+      depth: 'Depth: {depth}',
+      texture: 'Texture',
+      source: 'Soil data from {source}',
+      parameters: {
+        ph: 'pH',
+        nitrogen: 'Nitrogen',
+        phosphorus: 'Phosphorus',
+        potassium: 'Potassium',
+        cec: 'Nutrient holding (CEC)',
+      },
+      levels: {
+        veryAcidic: 'Very acidic',
+        slightlyAcidic: 'Slightly acidic',
+        ideal: 'Ideal',
+        neutral: 'Neutral',
+        alkaline: 'Alkaline',
+        low: 'Low',
+        medium: 'Medium',
+        good: 'Good',
+        high: 'High',
+      },
+      advice: {
+        ph: {
+          veryAcidic: 'add agricultural lime',
+          slightlyAcidic: 'suitable for tea, potatoes, berries',
+          ideal: 'ideal for most vegetables, grains, and legumes',
+          neutral: 'good for wheat, maize, beans',
+          alkaline: 'may need sulfur or gypsum',
+        },
+        nitrogen: {
+          low: 'apply nitrogen fertilizer (urea, compost)',
+          medium: 'light fertilizer application recommended',
+          good: 'may not need additional nitrogen',
+        },
+        phosphorus: {
+          low: 'apply DAP or bone meal',
+          medium: 'adequate for most crops',
+          high: 'no phosphorus needed',
+        },
+        potassium: {
+          low: 'apply potash or wood ash',
+          medium: 'adequate',
+          high: 'excellent for fruiting crops',
+        },
+        cec: {
+          low: 'soil holds few nutrients, add compost or manure',
+          medium: 'soil holds nutrients moderately well',
+          high: 'soil can hold nutrients well',
+        },
+      },
+      textures: {
+        sandy: 'Drains quickly, needs frequent watering and fertilizer',
+        clay: 'Holds water well but can get waterlogged',
+        loam: 'Balanced, ideal for most crops',
+        sandyLoam: 'Good drainage, moderate water retention',
+        clayLoam: 'Fertile but may need drainage',
+        sandyClayLoam: 'Balanced texture, good for diverse crops',
+      },
     },
     a11y: {
       startNewChat: 'Start a new chat',
+      switchFarmer: 'Switch farmer',
+      exportData: 'Export',
+      addPhoto: 'Add another photo',
+      removePhoto: 'Remove photo {number}',
+      photoQualityWarning: 'Photo {number} may be too dark or blurry',
+      remindMe: 'Set a reminder for this answer',
       retryLoadingIntegrations: 'Retry loading integrations',
       dismissNotification: 'Dismiss notification',
       dismiss: 'Dismiss',
@@ -516,10 +902,13 @@ export const STRINGS = {
       cancelRecording: 'Cancel recording',
       finishRecording: 'Finish recording',
       refreshLocation: 'Refresh location',
+      sessionLocation: 'Conversation location',
       newChat: 'New chat',
       openSettings: 'Open settings',
       scrollToBottom: 'Scroll to bottom',
       clearVoiceTranscription: 'Clear voice transcription',
+      stopResponse: 'Stop response',
+      viewSource: 'View details for {source}',
       takePhoto: 'Take photo',
       pickImage: 'Pick image',
       messageInput: 'Message input',
@@ -535,6 +924,7 @@ export const STRINGS = {
       copyMessage: 'Copy message',
       askQuestion: 'Ask: {question}',
       selectLanguage: 'Language {name}',
+      openSearchResult: 'Open match in {title}',
     },
   },
 };
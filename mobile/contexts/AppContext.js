@@ -1,11 +1,23 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import { useColorScheme, I18nManager, Alert } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
 import * as Updates from 'expo-updates';
-import { registerUser, updatePreferences, saveLocation as saveLocationToDB, lookupLocation } from '../services/db';
+import {
+  registerUser, updatePreferences, saveLocation as saveLocationToDB, lookupLocation, saveFarmProfile as saveFarmProfileToDB,
+  verifyLinkCode, unlinkAccount as unlinkAccountFromDB,
+} from '../services/db';
+import { getLinkedAccount } from '../services/auth';
+import { addRequestInterceptor } from '../services/apiClient';
+import { setFarmerScope, applyFarmerScope } from '../services/farmerScope';
+import { syncPendingData } from '../services/sync';
+import { detectRegions } from '../services/api';
 import { THEMES } from '../constants/themes';
 import { setLocale, loadTranslations, t } from '../constants/strings';
 import { isRTLLanguage } from '../constants/languages';
+import { normalizeFarmProfile, EMPTY_FARM_PROFILE } from '../utils/farmProfile';
+import { normalizeLocationDetails, basicLocationDetails, isSameLocation, createSavedLocation } from '../utils/location';
+import { createFarmer } from '../utils/farmers';
 
 // Re-export THEMES for backward compatibility
 export { THEMES };
@@ -27,26 +39,85 @@ export const AppProvider = ({ children }) => {
   const [currentSessionId, setCurrentSessionId] = useState(null);
   const [isDbSynced, setIsDbSynced] = useState(false);
   const [lastSyncError, setLastSyncError] = useState(null); // Track sync errors for UI display
+  const [sharePhotoLocation, setSharePhotoLocation] = useState(false); // Keep GPS of diagnosis photos (opt-in)
+  const [farmProfile, setFarmProfile] = useState(EMPTY_FARM_PROFILE); // Plots and livestock sent as chat context
+  const [savedLocations, setSavedLocations] = useState([]); // Named places with cached L1-L6 details
+  const [activeSavedLocationId, setActiveSavedLocationId] = useState(null); // Saved place the app location is set to
+  const [regions, setRegions] = useState(null); // MCP regions detected for the current location
+  const [linkedAccount, setLinkedAccount] = useState(null); // Phone account sharing history across devices
+  const [officerMode, setOfficerMode] = useState(false); // Extension officer advising farmers from this phone
+  const [farmers, setFarmers] = useState([]); // Officer's farmer roster
+  const [activeFarmerId, setActiveFarmerId] = useState(null); // Farmer being advised; null = the officer's own chats
+  const isDbSyncedRef = useRef(false); // Mirrors isDbSynced for the NetInfo listener
+  const savedLocationsRef = useRef([]); // Latest list for async updates
+  const activeSavedLocationIdRef = useRef(null); // Latest active place for async updates
+  const farmersRef = useRef([]); // Latest roster for async updates
+  const activeFarmerIdRef = useRef(null); // Latest farmer being advised for async updates
 
   // Computed theme
   const theme = themeMode === 'system' 
     ? THEMES[systemColorScheme || 'light']
     : THEMES[themeMode];
 
+  // Farmer whose language, location and sessions apply (officer mode only)
+  const activeFarmer = officerMode ? farmers.find(f => f.id === activeFarmerId) || null : null;
+
+  // Every gateway request carries the officer and farmer it is made for
+  useEffect(() => addRequestInterceptor(applyFarmerScope), []);
+  useEffect(() => {
+    setFarmerScope(officerMode ? { officerId: userId, farmerId: activeFarmer?.id } : null);
+  }, [officerMode, userId, activeFarmer?.id]);
+
   // Load saved preferences on mount
   useEffect(() => {
     loadPreferences();
   }, []);
 
+  // Push offline changes (or retry registration) when connectivity returns
+  useEffect(() => {
+    let wasOffline = false;
+    const unsubscribe = NetInfo.addEventListener(state => {
+      const offline = state.isConnected === false || state.isInternetReachable === false;
+      if (offline) {
+        wasOffline = true;
+        return;
+      }
+      if (!wasOffline || state.isInternetReachable !== true) return;
+      wasOffline = false;
+
+      console.log('🔄 [AppContext] Back online, syncing local data...');
+      if (isDbSyncedRef.current) {
+        syncPendingData();
+        syncPendingFarmProfile();
+      } else {
+        registerUserInBackground();
+      }
+    });
+    return unsubscribe;
+  }, []);
+
   const loadPreferences = async () => {
     console.log('📱 [AppContext] Loading preferences from AsyncStorage...');
     try {
-      const [savedTheme, savedLanguage, savedOnboarding, savedLocation, savedLocationDetails] = await Promise.all([
+      const [
+        savedTheme, savedLanguage, savedOnboarding, savedLocation, savedLocationDetails,
+        savedSharePhotoLocation, savedFarmProfile, savedPlaces, savedActivePlaceId, savedRegions,
+        storedAccount, savedOfficerMode, savedFarmers, savedActiveFarmerId,
+      ] = await Promise.all([
         AsyncStorage.getItem('themeMode'),
         AsyncStorage.getItem('language'),
         AsyncStorage.getItem('onboardingComplete'),
         AsyncStorage.getItem('location'),
         AsyncStorage.getItem('locationDetails'),
+        AsyncStorage.getItem('sharePhotoLocation'),
+        AsyncStorage.getItem('farmProfile'),
+        AsyncStorage.getItem('savedLocations'),
+        AsyncStorage.getItem('activeSavedLocationId'),
+        AsyncStorage.getItem('regions'),
+        getLinkedAccount(),
+        AsyncStorage.getItem('officerMode'),
+        AsyncStorage.getItem('farmers'),
+        AsyncStorage.getItem('activeFarmerId'),
       ]);
 
       console.log('📱 [AppContext] Loaded from AsyncStorage:', {
@@ -58,6 +129,24 @@ export const AppProvider = ({ children }) => {
       });
 
       if (savedTheme) setThemeMode(savedTheme);
+      if (savedSharePhotoLocation === 'true') setSharePhotoLocation(true);
+      if (savedFarmProfile) setFarmProfile(normalizeFarmProfile(JSON.parse(savedFarmProfile)));
+      if (savedPlaces) {
+        savedLocationsRef.current = JSON.parse(savedPlaces);
+        setSavedLocations(savedLocationsRef.current);
+      }
+      if (savedActivePlaceId) setActivePlaceId(savedActivePlaceId);
+      if (savedRegions) setRegions(JSON.parse(savedRegions));
+      if (storedAccount) setLinkedAccount(storedAccount);
+      if (savedOfficerMode === 'true') setOfficerMode(true);
+      if (savedFarmers) {
+        farmersRef.current = JSON.parse(savedFarmers);
+        setFarmers(farmersRef.current);
+      }
+      if (savedActiveFarmerId) {
+        activeFarmerIdRef.current = savedActiveFarmerId;
+        setActiveFarmerId(savedActiveFarmerId);
+      }
       if (savedLanguage) {
         const lang = JSON.parse(savedLanguage);
         setLanguage(lang);
@@ -111,10 +200,15 @@ export const AppProvider = ({ children }) => {
       if (result.success && result.userId) {
         setUserId(result.userId);
         setIsDbSynced(true);
+        isDbSyncedRef.current = true;
         console.log('✅ [AppContext] User synced, userId:', result.userId);
         
         // Check for pending location sync
         await syncPendingLocation();
+        await syncPendingFarmProfile();
+
+        // Push sessions/messages saved while offline
+        syncPendingData();
       } else {
         console.log('⚠️ [AppContext] Sync returned but no userId:', result);
       }
@@ -149,6 +243,28 @@ export const AppProvider = ({ children }) => {
     }
   };
 
+  // Push a farm profile edited before registration or while offline
+  const syncPendingFarmProfile = async () => {
+    try {
+      if (await AsyncStorage.getItem('farmProfilePendingSync') !== 'true') return;
+      const saved = await AsyncStorage.getItem('farmProfile');
+      if (saved) await syncFarmProfileToDb(JSON.parse(saved));
+    } catch (error) {
+      console.log('❌ [AppContext] Error processing pending farm profile:', error);
+    }
+  };
+
+  const syncFarmProfileToDb = async (profile) => {
+    const result = await saveFarmProfileToDB(profile);
+    if (result.success) {
+      await AsyncStorage.removeItem('farmProfilePendingSync');
+      console.log('✅ [AppContext] Farm profile synced');
+    } else {
+      await AsyncStorage.setItem('farmProfilePendingSync', 'true');
+      console.log('⚠️ [AppContext] Farm profile sync failed, will retry:', result.error);
+    }
+  };
+
   const saveThemeMode = async (mode) => {
     setThemeMode(mode);
     try {
@@ -163,6 +279,31 @@ export const AppProvider = ({ children }) => {
     }
   };
 
+  const saveSharePhotoLocation = async (enabled) => {
+    setSharePhotoLocation(enabled);
+    try {
+      await AsyncStorage.setItem('sharePhotoLocation', enabled ? 'true' : 'false');
+    } catch (e) {
+      console.log('AsyncStorage write error (photo location):', e);
+    }
+  };
+
+  const saveFarmProfile = async (profile) => {
+    const updated = { ...normalizeFarmProfile(profile), updatedAt: new Date().toISOString() };
+    setFarmProfile(updated);
+    try {
+      await AsyncStorage.setItem('farmProfile', JSON.stringify(updated));
+      await AsyncStorage.setItem('farmProfilePendingSync', 'true');
+    } catch (e) {
+      console.log('AsyncStorage write error (farm profile):', e);
+    }
+
+    // Sync to DB (non-blocking); retried after the next registration otherwise
+    if (isDbSynced) {
+      syncFarmProfileToDb(updated).catch(e => console.log('DB sync error:', e));
+    }
+  };
+
   const saveLanguage = async (lang) => {
     console.log('🌐 [AppContext] Saving language:', lang.name, `(${lang.code})`);
     setLanguage(lang);
@@ -259,8 +400,18 @@ export const AppProvider = ({ children }) => {
 
   const saveLocation = async (loc, status) => {
     console.log('📍 [AppContext] Saving location:', { loc, status });
+
+    // Back at a saved place - use its cached details instead of a fresh lookup
+    const savedPlace = status === 'granted' && savedLocationsRef.current.find(p => isSameLocation(p, loc));
+    if (savedPlace) {
+      await switchToSavedLocation(savedPlace.id);
+      return;
+    }
+
     setLocation(loc);
     setLocationStatus(status);
+    setActivePlaceId(null);
+    AsyncStorage.removeItem('activeSavedLocationId').catch(() => {});
     if (status === 'granted' && loc?.latitude && loc?.longitude) {
       try {
         await AsyncStorage.setItem('location', JSON.stringify(loc));
@@ -272,6 +423,206 @@ export const AppProvider = ({ children }) => {
       // Lookup detailed location in background
       console.log('🔍 [AppContext] Starting location lookup...');
       lookupLocationDetails(loc.latitude, loc.longitude);
+      refreshRegions(loc.latitude, loc.longitude);
+    }
+  };
+
+  // ============================================
+  // SAVED LOCATIONS
+  // ============================================
+
+  const setActivePlaceId = (id) => {
+    activeSavedLocationIdRef.current = id;
+    setActiveSavedLocationId(id);
+  };
+
+  const writeSavedLocations = async (places) => {
+    savedLocationsRef.current = places;
+    setSavedLocations(places);
+    try {
+      await AsyncStorage.setItem('savedLocations', JSON.stringify(places));
+    } catch (e) {
+      console.log('❌ [AppContext] AsyncStorage write error (saved locations):', e);
+    }
+  };
+
+  // Re-run MCP region detection for a location; cached on the saved place when given
+  const refreshRegions = async (latitude, longitude, savedPlaceId = null) => {
+    const result = await detectRegions(latitude, longitude);
+    if (!result.success) {
+      console.log('⚠️ [AppContext] Region detection failed:', result.error);
+      return null;
+    }
+    const detected = result.regions || [];
+    console.log('🗺️ [AppContext] Regions detected:', detected.length);
+    setRegions(detected);
+    AsyncStorage.setItem('regions', JSON.stringify(detected)).catch(() => {});
+    if (savedPlaceId) {
+      await writeSavedLocations(savedLocationsRef.current.map(p => (
+        p.id === savedPlaceId ? { ...p, regions: detected, regionsCheckedAt: new Date().toISOString() } : p
+      )));
+    }
+    return detected;
+  };
+
+  /**
+   * Save a named place - defaults to the current location
+   * Details are looked up once here and reused on every switch.
+   */
+  const addSavedLocation = async ({ name, location: loc = location, locationDetails: details = null }) => {
+    let resolvedDetails = details;
+    if (!resolvedDetails && isSameLocation(loc, location)) resolvedDetails = locationDetails;
+    if (!resolvedDetails) {
+      const result = await lookupLocation(loc.latitude, loc.longitude);
+      resolvedDetails = normalizeLocationDetails(result) || basicLocationDetails(loc.latitude, loc.longitude);
+    }
+
+    const place = createSavedLocation({
+      name,
+      location: loc,
+      locationDetails: resolvedDetails,
+      regions: isSameLocation(loc, location) ? regions : null,
+    });
+    await writeSavedLocations([...savedLocationsRef.current, place]);
+    console.log('📌 [AppContext] Saved location added:', place.name);
+
+    if (isSameLocation(loc, location)) {
+      setActivePlaceId(place.id);
+      AsyncStorage.setItem('activeSavedLocationId', place.id).catch(() => {});
+    }
+    if (!place.regions) refreshRegions(loc.latitude, loc.longitude, place.id);
+    return place;
+  };
+
+  const renameSavedLocation = (id, name) => writeSavedLocations(
+    savedLocationsRef.current.map(p => (p.id === id ? { ...p, name: name.trim() || p.name } : p))
+  );
+
+  const removeSavedLocation = async (id) => {
+    await writeSavedLocations(savedLocationsRef.current.filter(p => p.id !== id));
+    if (activeSavedLocationIdRef.current === id) {
+      setActivePlaceId(null);
+      AsyncStorage.removeItem('activeSavedLocationId').catch(() => {});
+    }
+  };
+
+  // Make a saved place the app location using its cached details
+  const switchToSavedLocation = async (id) => {
+    const place = savedLocationsRef.current.find(p => p.id === id);
+    if (!place) return false;
+    console.log('📌 [AppContext] Switching to saved location:', place.name);
+
+    const loc = { latitude: place.latitude, longitude: place.longitude };
+    setLocation(loc);
+    setLocationStatus('granted');
+    setLocationDetails(place.locationDetails);
+    setActivePlaceId(place.id);
+    setRegions(place.regions);
+    try {
+      await AsyncStorage.multiSet([
+        ['location', JSON.stringify(loc)],
+        ['locationDetails', JSON.stringify(place.locationDetails)],
+        ['activeSavedLocationId', place.id],
+        ['regions', JSON.stringify(place.regions || [])],
+      ]);
+    } catch (e) {
+      console.log('❌ [AppContext] AsyncStorage write error (saved location switch):', e);
+    }
+
+    // Server copy and region coverage follow the new location (non-blocking)
+    if (isDbSynced) {
+      syncLocationToDb(place.locationDetails, place.latitude, place.longitude).catch(() => {});
+    }
+    refreshRegions(place.latitude, place.longitude, place.id);
+    return true;
+  };
+
+  // ============================================
+  // OFFICER MODE
+  // ============================================
+
+  const saveOfficerMode = async (enabled) => {
+    setOfficerMode(enabled);
+    // Chats are kept per farmer, so the open one does not carry over
+    setCurrentSessionId(null);
+    try {
+      await AsyncStorage.setItem('officerMode', enabled ? 'true' : 'false');
+    } catch (e) {
+      console.log('AsyncStorage write error (officer mode):', e);
+    }
+  };
+
+  const writeFarmers = async (roster) => {
+    farmersRef.current = roster;
+    setFarmers(roster);
+    try {
+      await AsyncStorage.setItem('farmers', JSON.stringify(roster));
+    } catch (e) {
+      console.log('❌ [AppContext] AsyncStorage write error (farmers):', e);
+    }
+  };
+
+  // Resolve L1-L6 once so switching farmers works offline
+  const resolveFarmerPlace = async (loc, details) => {
+    if (!loc || details) return details || null;
+    const result = await lookupLocation(loc.latitude, loc.longitude);
+    return normalizeLocationDetails(result) || basicLocationDetails(loc.latitude, loc.longitude);
+  };
+
+  /**
+   * Add a farmer to the roster - language defaults to the officer's
+   */
+  const addFarmer = async ({ name, language: farmerLanguage = language, location: loc = null, locationDetails: details = null }) => {
+    const farmer = createFarmer({
+      name,
+      language: farmerLanguage,
+      location: loc,
+      locationDetails: await resolveFarmerPlace(loc, details),
+    });
+    await writeFarmers([...farmersRef.current, farmer]);
+    console.log('🧑‍🌾 [AppContext] Farmer added:', farmer.name);
+    return farmer;
+  };
+
+  const updateFarmer = async (id, { name, language: farmerLanguage, location: loc, locationDetails: details }) => {
+    const current = farmersRef.current.find(f => f.id === id);
+    if (!current) return null;
+
+    const updated = {
+      ...current,
+      name: name?.trim() || current.name,
+      language: farmerLanguage || current.language,
+    };
+    if (loc && !isSameLocation(loc, current.location)) {
+      updated.location = { latitude: loc.latitude, longitude: loc.longitude };
+      updated.locationDetails = await resolveFarmerPlace(loc, details);
+    }
+    await writeFarmers(farmersRef.current.map(f => (f.id === id ? updated : f)));
+    return updated;
+  };
+
+  // Their conversations stay on the device (listed when officer mode is off)
+  const removeFarmer = async (id) => {
+    await writeFarmers(farmersRef.current.filter(f => f.id !== id));
+    if (activeFarmerIdRef.current === id) await switchFarmer(null);
+  };
+
+  /**
+   * Advise another farmer (null: back to the officer's own chats)
+   */
+  const switchFarmer = async (id) => {
+    console.log('🧑‍🌾 [AppContext] Switching farmer:', id || 'officer');
+    activeFarmerIdRef.current = id;
+    setActiveFarmerId(id);
+    setCurrentSessionId(null);
+    try {
+      if (id) {
+        await AsyncStorage.setItem('activeFarmerId', id);
+      } else {
+        await AsyncStorage.removeItem('activeFarmerId');
+      }
+    } catch (e) {
+      console.log('AsyncStorage write error (active farmer):', e);
     }
   };
 
@@ -296,17 +647,8 @@ export const AppProvider = ({ children }) => {
         error: result.error
       });
 
-      if (result.success && (result.displayName || result.level1Country)) {
-        // Create a normalized result with fallbacks
-        const normalizedResult = {
-          ...result,
-          displayName: result.displayName || result.level5City || result.level3District || result.level2State || result.level1Country || 'Location set',
-          level5City: result.level5City || result.city || null,
-          level3District: result.level3District || result.district || null,
-          level2State: result.level2State || result.state || result.regionName || null,
-          level1Country: result.level1Country || result.country || null,
-        };
-
+      const normalizedResult = normalizeLocationDetails(result);
+      if (normalizedResult) {
         console.log('✅ [AppContext] Location found via', result.source, ':', normalizedResult.displayName);
         setLocationDetails(normalizedResult);
         await AsyncStorage.setItem('locationDetails', JSON.stringify(normalizedResult));
@@ -317,30 +659,14 @@ export const AppProvider = ({ children }) => {
       } else {
         // Lookup returned but no useful data
         console.log('⚠️ [AppContext] Location lookup returned no useful data:', result.error || 'no displayName');
-        const basicLocation = {
-          success: true,
-          source: 'gps',
-          latitude,
-          longitude,
-          displayName: `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`,
-          level5City: null,
-          level3District: null,
-          level2State: null,
-          level1Country: null,
-        };
+        const basicLocation = basicLocationDetails(latitude, longitude);
         setLocationDetails(basicLocation);
         await AsyncStorage.setItem('locationDetails', JSON.stringify(basicLocation));
       }
     } catch (error) {
       console.log('❌ [AppContext] Location lookup exception:', error.message);
       // Still set basic coords on error so UI has something to show
-      const basicLocation = {
-        success: true,
-        source: 'gps',
-        latitude,
-        longitude,
-        displayName: `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`,
-      };
+      const basicLocation = basicLocationDetails(latitude, longitude);
       setLocationDetails(basicLocation);
       await AsyncStorage.setItem('locationDetails', JSON.stringify(basicLocation));
     }
@@ -419,6 +745,29 @@ export const AppProvider = ({ children }) => {
 
   const clearSyncError = () => setLastSyncError(null);
 
+  // Link this device to a phone account; its sessions are merged server-side
+  const linkAccount = async (phoneNumber, code) => {
+    const result = await verifyLinkCode(phoneNumber, code);
+    if (!result.success) return result;
+
+    setLinkedAccount(result.account);
+    // Registering again picks up the account user and pushes anything still pending
+    await registerUserInBackground();
+    return result;
+  };
+
+  const unlinkAccount = async () => {
+    const result = await unlinkAccountFromDB();
+    if (!result.success) return result;
+
+    setLinkedAccount(null);
+    // The open conversation may have been one of the account's
+    setCurrentSessionId(null);
+    if (result.userId) setUserId(result.userId);
+    console.log('🔐 [AppContext] Device unlinked from account');
+    return result;
+  };
+
   const value = {
     theme, themeMode, setThemeMode: saveThemeMode, isDark: theme.name === 'dark',
     language, setLanguage: saveLanguage,
@@ -426,6 +775,13 @@ export const AppProvider = ({ children }) => {
     onboardingComplete, completeOnboarding, resetOnboarding,
     userId, currentSessionId, setCurrentSessionId, isDbSynced,
     lastSyncError, clearSyncError,
+    sharePhotoLocation, setSharePhotoLocation: saveSharePhotoLocation,
+    farmProfile, setFarmProfile: saveFarmProfile,
+    savedLocations, activeSavedLocationId, regions,
+    addSavedLocation, renameSavedLocation, removeSavedLocation, switchToSavedLocation,
+    linkedAccount, linkAccount, unlinkAccount,
+    officerMode, setOfficerMode: saveOfficerMode,
+    farmers, activeFarmer, addFarmer, updateFarmer, removeFarmer, switchFarmer,
     isLoading,
   };
 
@@ -1,15 +1,49 @@
 // Chat hook - handles messages, sessions, and persistence
-import { useState, useCallback, useRef, useEffect } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { Platform } from 'react-native';
 import * as Haptics from 'expo-haptics';
 import { useApp } from '../contexts/AppContext';
 import { useToast } from '../contexts/ToastContext';
-import { sendChatMessage, sendChatMessageStreaming, analyzePlantImage } from '../services/api';
-import { formatDiagnosis } from '../services/agrivision';
+import {
+  sendChatMessageStreaming,
+  fetchStreamedAnswer,
+  analyzePlantImage,
+  DIAGNOSE_BY_URL,
+  REFERENCE_REJECTED_STATUSES,
+  ANSWER_UNRECOVERABLE_STATUSES,
+} from '../services/api';
 import { transcribeAudio as transcribeAudioService } from '../services/transcription';
 import { uploadImage, uploadAudio } from '../services/upload';
-import { createSession, saveMessage, generateTitle, updateSession, getSession } from '../services/db';
-import { parseErrorMessage, isNetworkError, isServerError } from '../utils/apiHelpers';
+import { generateTitle, getSession, lookupLocation } from '../services/db';
+import {
+  createLocalSession,
+  getLocalSession,
+  saveLocalMessage,
+  updateLocalMessage,
+  updateLocalSession,
+  cacheRemoteMessages,
+  listRecoverableMessages,
+} from '../services/localStore';
+import { syncPendingData } from '../services/sync';
+import {
+  enqueueOutbox,
+  listOutbox,
+  updateOutboxItem,
+  removeFromOutbox,
+  runOutboxReplay,
+  readOutboxFile,
+  subscribeOnline,
+} from '../services/outbox';
+import { parseErrorMessage, isNetworkError } from '../utils/apiHelpers';
+import { extractWeatherData } from '../utils/weather';
+import { extractSoilData } from '../utils/soil';
+import { getFarmContext, EMPTY_FARM_PROFILE } from '../utils/farmProfile';
+import {
+  normalizeLocationDetails,
+  basicLocationDetails,
+  toSessionLocation,
+  readSessionLocation,
+} from '../utils/location';
 import { t } from '../constants/strings';
 
 // Create welcome message dynamically so it uses current language
@@ -20,38 +54,118 @@ const createWelcomeMessage = () => ({
   isBot: true,
 });
 
-export default function useChat(sessionIdParam = null) {
-  const { language, location, locationDetails, currentSessionId, setCurrentSessionId, isDbSynced } = useApp();
+// Data provenance from the gateway's meta chunk, kept on bot messages for the sources footer
+const pickProvenance = (metadata) => {
+  if (!metadata?.mcpToolsUsed?.length) return null;
+  return {
+    mcpToolsUsed: metadata.mcpToolsUsed,
+    intentsDetected: metadata.intentsDetected || [],
+    extractedEntities: metadata.extractedEntities || null,
+  };
+};
+
+// Messages loaded when opening a session normally, and when jumping to a search hit
+// (older hits need the longer history to be in the list)
+const SESSION_MESSAGE_LIMIT = 50;
+const FOCUS_MESSAGE_LIMIT = 500;
+
+// Backoff between attempts to re-fetch dropped answers
+const RECOVERY_RETRY_MIN_MS = 10 * 1000;
+const RECOVERY_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// One recovery pass at a time across every mounted chat screen
+let isRecovering = false;
+let recoverAgain = false; // Answers dropped while a recovery pass was running
+
+export default function useChat(sessionIdParam = null, focusMessageId = null) {
+  const {
+    language: appLanguage, location: appLocation, locationDetails: appLocationDetails, farmProfile: appFarmProfile,
+    officerMode, activeFarmer, userId, currentSessionId, setCurrentSessionId, isDbSynced,
+  } = useApp();
+  // Advising a farmer (officer mode): their language and location apply, the officer's farm profile doesn't
+  const language = activeFarmer?.language || appLanguage;
+  const location = activeFarmer?.location || appLocation;
+  const locationDetails = activeFarmer?.location ? activeFarmer.locationDetails : appLocationDetails;
+  const farmProfile = activeFarmer ? EMPTY_FARM_PROFILE : appFarmProfile;
   const { showError, showWarning, showSuccess } = useToast();
   
   const [messages, setMessages] = useState(() => [createWelcomeMessage()]);
-  
-  // Computed property for newest messages first
-  const newestFirstMessages = messages; 
   const [isTyping, setIsTyping] = useState(false);
   const [isLoadingSession, setIsLoadingSession] = useState(false);
   const [newestBotMessageId, setNewestBotMessageId] = useState(null);
   const [thinkingText, setThinkingText] = useState(null); // Current AI thinking status
+  const [canStopStream, setCanStopStream] = useState(false); // An answer is streaming and can be stopped
   const titleGeneratedRef = useRef(false);
+  const activeStreamRef = useRef(null); // Abortable request for the visible answer
+  const recoveryTimerRef = useRef(null);
+  const recoveryDelayRef = useRef(0);
+  const messagesRef = useRef(messages);
+  messagesRef.current = messages;
+  const currentSessionRef = useRef(currentSessionId);
+  currentSessionRef.current = currentSessionId;
+
+  // Location pinned to the open session; new and legacy sessions follow the app location
+  const [sessionLocation, setSessionLocationState] = useState(null);
+  const activePlace = useMemo(
+    () => sessionLocation || { location, locationDetails },
+    [sessionLocation, location, locationDetails]
+  );
+  const activePlaceRef = useRef(activePlace);
+  activePlaceRef.current = activePlace;
 
   // Load existing session if provided
   useEffect(() => {
-    if (sessionIdParam && isDbSynced) {
-      loadSession(sessionIdParam);
+    if (sessionIdParam) {
+      loadSession(sessionIdParam, focusMessageId ? FOCUS_MESSAGE_LIMIT : SESSION_MESSAGE_LIMIT);
+    }
+  }, [sessionIdParam, focusMessageId]);
+
+  // Read from the local store first; sessions that only exist on the server
+  // are fetched once and cached so they stay available offline
+  // Resolves to { messages, place } - place is the session's pinned location, if any
+  const fetchSessionMessages = async (sessionId, messageLimit = SESSION_MESSAGE_LIMIT) => {
+    const localSession = await getLocalSession(sessionId, messageLimit);
+    const localPlace = readSessionLocation(localSession);
+    if (localSession && localSession.messagesCached !== false) {
+      return { messages: localSession.messages, place: localPlace };
     }
-  }, [sessionIdParam, isDbSynced]);
+    if (!isDbSynced) return localSession ? { messages: localSession.messages, place: localPlace } : null;
 
-  const loadSession = async (sessionId) => {
+    const result = await getSession(localSession?.serverId || sessionId, messageLimit);
+    if (!result.success || !result.session?.messages) return null;
+    const messages = localSession
+      ? (await cacheRemoteMessages(sessionId, result.session.messages)).slice(-messageLimit)
+      : result.session.messages;
+    return { messages, place: localPlace || readSessionLocation(result.session) };
+  };
+
+  const loadSession = async (sessionId, messageLimit = SESSION_MESSAGE_LIMIT) => {
     setIsLoadingSession(true);
     try {
-      const result = await getSession(sessionId, 50);
-      if (result.success && result.session?.messages) {
-        const loadedMessages = result.session.messages.map(m => {
+      const sessionData = await fetchSessionMessages(sessionId, messageLimit);
+      if (sessionData) {
+        const loadedMessages = sessionData.messages.map(m => {
           // Reconstruct diagnosis from metadata for native card
           let diagnosisData = null;
+          let stopped = false;
+          let interrupted = false;
+          let toolActivity = null;
+          let provenance = null;
+          let weatherData = null;
+          let soilData = null;
+          let images;
+          let diagnosisImages;
           try {
             const metadata = typeof m.metadata === 'string' ? JSON.parse(m.metadata) : m.metadata;
             diagnosisData = metadata?.diagnosis || null;
+            stopped = !!metadata?.stopped;
+            interrupted = !!metadata?.interrupted;
+            toolActivity = metadata?.toolActivity || null;
+            provenance = pickProvenance(metadata);
+            weatherData = extractWeatherData(metadata);
+            soilData = extractSoilData(metadata);
+            images = metadata?.imageUrls?.map((url, i) => url || metadata.imageLocalUris?.[i]);
+            diagnosisImages = metadata?.diagnosisImages;
           } catch (e) {}
 
           return {
@@ -60,15 +174,32 @@ export default function useChat(sessionIdParam = null) {
             diagnosisData: diagnosisData, // Hydrate for the native report card
             createdAt: new Date(m.createdAt),
             isBot: m.role === 'assistant',
-            image: m.imageCloudinaryUrl,
+            image: m.imageCloudinaryUrl || m.imageLocalUri,
+            images,
+            diagnosisImages,
             ttsAudioUrl: m.ttsAudioUrl,
+            stopped,
+            interrupted,
+            toolActivity,
+            provenance,
+            weatherData, // Hydrate for the native forecast card
+            soilData, // Hydrate for the native soil report card
           };
         }).reverse(); // Reverse to match newest-first order for inverted FlatList
+
+        // Questions still waiting in the outbox keep their queued badge
+        const queuedIds = new Set((await listOutbox()).map(item => item.userMessageId));
+        loadedMessages.forEach(m => {
+          if (queuedIds.has(m._id)) m.status = 'queued';
+        });
         
         setMessages([...loadedMessages, createWelcomeMessage()]);
+        setSessionLocationState(sessionData.place);
         setCurrentSessionId(sessionId);
         titleGeneratedRef.current = true; // Already has title
         console.log('📂 [useChat] Loaded session with', loadedMessages.length, 'messages');
+      } else {
+        showError(t('chat.couldNotLoadConversation'));
       }
     } catch (error) {
       console.error('Load session error:', error);
@@ -80,69 +211,122 @@ export default function useChat(sessionIdParam = null) {
 
   const startNewSession = useCallback(() => {
     setMessages([createWelcomeMessage()]);
+    setSessionLocationState(null);
     setCurrentSessionId(null);
     titleGeneratedRef.current = false;
     showSuccess(t('chat.startedNewConversation'));
   }, [setCurrentSessionId, showSuccess]);
 
-  // Create a new session on first real message
+  // Switching farmer (or officer mode) clears the open chat; AppContext already dropped its session
+  const farmerScopeKey = officerMode ? activeFarmer?.id || 'officer' : null;
+  const farmerScopeKeyRef = useRef(farmerScopeKey);
+  useEffect(() => {
+    if (farmerScopeKeyRef.current === farmerScopeKey) return;
+    farmerScopeKeyRef.current = farmerScopeKey;
+    setMessages([createWelcomeMessage()]);
+    setSessionLocationState(null);
+    titleGeneratedRef.current = false;
+  }, [farmerScopeKey]);
+
+  // Push local changes in the background when the backend is reachable
+  const requestSync = useCallback(() => {
+    if (isDbSynced) syncPendingData();
+  }, [isDbSynced]);
+
+  // Create a new local session on first real message (synced later)
   const ensureSession = useCallback(async () => {
     if (currentSessionId) return currentSessionId;
-    if (!isDbSynced) return null;
     
     try {
-      const result = await createSession({
+      const session = await createLocalSession({
         primaryLanguageCode: language?.code,
-        locationDisplay: locationDetails?.displayName,
+        ...toSessionLocation(activePlace.location, activePlace.locationDetails),
+        // Officer mode: who the conversation belongs to
+        ...(officerMode && {
+          officerId: userId,
+          farmerId: activeFarmer?.id || null,
+          farmerName: activeFarmer?.name || null,
+        }),
       });
-      if (result.success) {
-        setCurrentSessionId(result.session.id);
-        return result.session.id;
-      } else {
-        console.log('Session creation failed:', result.error);
-        showWarning(t('errors.sessionCreateFailed'));
-      }
+      // The session keeps this location even if the app location changes later
+      if (readSessionLocation(session)) setSessionLocationState(activePlace);
+      setCurrentSessionId(session.id);
+      return session.id;
     } catch (e) {
       console.log('Session creation error:', e);
       showWarning(t('errors.sessionCreateFailed'));
     }
     return null;
-  }, [currentSessionId, isDbSynced, language, locationDetails, setCurrentSessionId]);
+  }, [currentSessionId, language, activePlace, officerMode, activeFarmer, userId, setCurrentSessionId]);
+
+  // Location stored with any session - used for outbox replays of sessions that are not open
+  const getSessionPlace = useCallback(async (sessionId) => {
+    const session = await getLocalSession(sessionId, 1);
+    return readSessionLocation(session) || { location, locationDetails };
+  }, [location, locationDetails]);
 
-  // Save message to database
+  // Pin a location to the open session (or to the next one, before its first message)
+  const setSessionLocation = useCallback(async (newLocation, details = null) => {
+    let resolvedDetails = details;
+    if (!resolvedDetails) {
+      const result = await lookupLocation(newLocation.latitude, newLocation.longitude);
+      resolvedDetails = normalizeLocationDetails(result)
+        || basicLocationDetails(newLocation.latitude, newLocation.longitude);
+    }
+
+    const place = { location: newLocation, locationDetails: resolvedDetails };
+    setSessionLocationState(place);
+
+    const sessionId = currentSessionRef.current;
+    if (sessionId) {
+      try {
+        await updateLocalSession(sessionId, toSessionLocation(newLocation, resolvedDetails));
+        requestSync();
+      } catch (e) {
+        console.log('Session location save error:', e);
+      }
+    }
+    console.log('📍 [useChat] Session location set:', resolvedDetails.displayName);
+    return place;
+  }, [requestSync]);
+
+  // Save message to the local store, then sync
   const persistMessage = useCallback(async (message, sessionId, extra = {}) => {
-    if (!isDbSynced || !sessionId) return null;
+    if (!sessionId) return null;
     try {
-      const result = await saveMessage({
-        sessionId,
+      const saved = await saveLocalMessage(sessionId, {
+        id: message._id,
         role: message.isBot ? 'assistant' : 'user',
         content: message.text,
         contentType: message.image ? 'image' : (extra.inputMethod === 'voice' ? 'voice' : 'text'),
         inputMethod: extra.inputMethod,
         queryLanguageCode: language?.code,
         imageCloudinaryUrl: message.cloudinaryUrl,
+        createdAt: message.createdAt?.toISOString?.(),
         ...extra,
       });
-      return result.success ? result.message?.id : null;
+      requestSync();
+      return saved.id;
     } catch (e) {
       console.log('Message save error:', e);
       return null;
     }
-  }, [isDbSynced, language]);
+  }, [language, requestSync]);
 
-  // Update an existing message in the database
-  const persistUpdate = useCallback(async (messageId, updates) => {
-    if (!isDbSynced || !messageId) return;
+  // Update an existing message in the local store, then sync
+  const persistUpdate = useCallback(async (sessionId, messageId, updates) => {
+    if (!sessionId || !messageId) return;
     try {
-      const { updateMessage: updateDbMessage } = require('../services/db');
-      await updateDbMessage(messageId, updates);
+      await updateLocalMessage(sessionId, messageId, updates);
+      requestSync();
     } catch (e) {
-      console.log('DB message update error:', e);
+      console.log('Local message update error:', e);
     }
-  }, [isDbSynced]);
+  }, [requestSync]);
 
   // Generate title after first exchange (user message + bot response)
   const maybeGenerateTitle = useCallback(async (sessionId, allMessages) => {
+    // Title generation needs the AI service; offline sessions keep the default title
     if (titleGeneratedRef.current || !sessionId || !isDbSynced) return;
     
     // Need at least 1 user message to generate a meaningful title
@@ -166,7 +350,8 @@ export default function useChat(sessionIdParam = null) {
       console.log('📝 [useChat] Title generation result:', result);
       
       if (result.success && result.title && result.title !== 'New Conversation') {
-        await updateSession(sessionId, { title: result.title });
+        await updateLocalSession(sessionId, { title: result.title });
+        requestSync();
         console.log('✅ [useChat] Title updated:', result.title);
       } else {
         console.log('⚠️ [useChat] Title generation returned fallback or failed');
@@ -174,10 +359,16 @@ export default function useChat(sessionIdParam = null) {
     } catch (e) {
       console.log('❌ [useChat] Title generation error:', e.message);
     }
-  }, [isDbSynced, language]);
+  }, [isDbSynced, language, requestSync]);
 
-  const addMessage = useCallback((message) => {
-    setMessages(prev => [message, ...prev]);
+  // Add a message at the top (newest), or just above an anchor message
+  // so replayed answers land under the question they belong to
+  const addMessage = useCallback((message, { afterMessageId } = {}) => {
+    setMessages(prev => {
+      const anchorIndex = afterMessageId ? prev.findIndex(m => m._id === afterMessageId) : -1;
+      if (anchorIndex === -1) return [message, ...prev];
+      return [...prev.slice(0, anchorIndex), message, ...prev.slice(anchorIndex)];
+    });
     if (message.isBot) {
       setNewestBotMessageId(message._id);
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
@@ -200,16 +391,94 @@ export default function useChat(sessionIdParam = null) {
     }));
   }, []);
 
-  const handleSendText = useCallback(async (text) => {
-    const userMessage = { _id: Date.now().toString(), text, createdAt: new Date(), isBot: false };
-    addMessage(userMessage);
-    setIsTyping(true);
-    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+  // Fetch a dropped answer by server message ID and write it over the saved partial answer.
+  // Resolves to false while it can't be fetched yet (offline, or still generating).
+  const recoverAnswer = useCallback(async ({ sessionId, messageId, metadata }) => {
+    const { interrupted, recoverMessageId, ...partialMetadata } = metadata || {};
+    const result = await fetchStreamedAnswer(recoverMessageId);
+    if (!result.success) {
+      if (!ANSWER_UNRECOVERABLE_STATUSES.includes(result.status)) return false;
+      // Gone from the server or finished empty - keep the partial answer and stop retrying
+      await persistUpdate(sessionId, messageId, { metadata: { ...partialMetadata, interrupted: true } });
+      return true;
+    }
 
-    const sessionId = await ensureSession();
-    persistMessage(userMessage, sessionId, { inputMethod: 'keyboard' });
+    const fullMetadata = { ...partialMetadata, ...(result.metadata || {}) };
+    if (currentSessionRef.current === sessionId) {
+      updateMessage(messageId, {
+        text: result.response,
+        interrupted: false,
+        toolActivity: fullMetadata.toolActivity,
+        provenance: pickProvenance(fullMetadata),
+        weatherData: extractWeatherData(fullMetadata),
+        soilData: extractSoilData(fullMetadata),
+      });
+    }
+    await persistUpdate(sessionId, messageId, { content: result.response, metadata: fullMetadata });
+    console.log('✅ [useChat] Recovered dropped answer:', recoverMessageId);
+    return true;
+  }, [updateMessage, persistUpdate]);
+
+  // Re-fetch every saved partial answer; what can't be fetched yet is retried with backoff
+  const recoverPendingAnswers = useCallback(async () => {
+    if (isRecovering) {
+      recoverAgain = true;
+      return;
+    }
+    isRecovering = true;
+    clearTimeout(recoveryTimerRef.current);
 
-    // Create a placeholder bot message for streaming
+    let remaining = 0;
+    try {
+      const pending = await listRecoverableMessages();
+      for (const { sessionId, message } of pending) {
+        const recovered = await recoverAnswer({ sessionId, messageId: message.id, metadata: message.metadata })
+          .catch(() => false);
+        if (!recovered) remaining++;
+      }
+    } catch (error) {
+      console.log('❌ [useChat] Answer recovery error:', error.message);
+    } finally {
+      isRecovering = false;
+    }
+
+    if (recoverAgain) {
+      recoverAgain = false;
+      recoverPendingRef.current();
+      return;
+    }
+    if (remaining === 0) {
+      recoveryDelayRef.current = 0;
+      return;
+    }
+    recoveryDelayRef.current = Math.min(recoveryDelayRef.current * 2 || RECOVERY_RETRY_MIN_MS, RECOVERY_RETRY_MAX_MS);
+    console.log('⏳ [useChat]', remaining, 'dropped answer(s) pending, retrying in', recoveryDelayRef.current / 1000, 's');
+    recoveryTimerRef.current = setTimeout(() => recoverPendingRef.current(), recoveryDelayRef.current);
+  }, [recoverAnswer]);
+
+  // Park a question in the outbox and mark its bubble as queued. The officer, farmer
+  // and answer language are kept with it, so a replay after switching farmer still
+  // goes out for the farmer it was asked for.
+  const queueQuestion = useCallback(async (item) => {
+    try {
+      await enqueueOutbox({
+        ...item,
+        officerId: officerMode ? userId : null,
+        farmerId: officerMode ? activeFarmer?.id || null : null,
+        languageCode: language?.code,
+      });
+      updateMessage(item.userMessageId, { status: 'queued' });
+      showWarning(t('chat.queuedOffline'));
+    } catch (e) {
+      console.log('Outbox enqueue error:', e);
+      showError(t('chat.connectionErrorBot'));
+    }
+  }, [officerMode, userId, activeFarmer, language, updateMessage, showWarning, showError]);
+
+  // Stream the bot answer for a question that is already shown and persisted.
+  // Resolves to { success, isNetworkError, stopped } so callers can queue the question.
+  // Hidden replays (outbox items for another session) only persist the answer.
+  const streamAnswer = useCallback(({ text, sessionId, userMessage, history = [], isVisible = true, place = activePlaceRef.current, languageCode = language?.code, scope }) => new Promise((resolve) => {
     const botMsgId = (Date.now() + 1).toString();
     const botMsg = {
       _id: botMsgId,
@@ -217,134 +486,281 @@ export default function useChat(sessionIdParam = null) {
       createdAt: new Date(),
       isBot: true,
     };
-    addMessage(botMsg);
+    let receivedText = '';
+    let toolSteps = [];
 
-    try {
+    if (isVisible) {
+      addMessage(botMsg, { afterMessageId: userMessage._id });
       // Show thinking indicator while waiting for first chunk
       setThinkingText(t('chat.thinking'));
+    }
 
-      // Call streaming API
-      await sendChatMessageStreaming({
+    const request = sendChatMessageStreaming({
+      message: text,
+      latitude: place.location?.latitude,
+      longitude: place.location?.longitude,
+      language: languageCode,
+      locationDetails: place.locationDetails,
+      scope,
+      farmContext: getFarmContext(farmProfile, {
         message: text,
-        latitude: location?.latitude,
-        longitude: location?.longitude,
-        language: language?.code,
-        locationDetails,
-        history: messages.slice(0, 10), // Use slice for history
-        onChunk: (chunk) => {
-          setThinkingText(null); // Clear thinking when text starts
-          updateMessage(botMsgId, { text: (prev) => (prev || '') + chunk });
-        },
-        onThinking: (thinking) => {
-          setThinkingText(thinking);
-        },
-        onComplete: (fullText, metadata) => {
+        latitude: place.location?.latitude,
+        longitude: place.location?.longitude,
+      }),
+      history: history.slice(0, 10), // Use slice for history
+      onChunk: (chunk) => {
+        receivedText += chunk;
+        if (!isVisible) return;
+        setThinkingText(null); // Clear thinking when text starts
+        updateMessage(botMsgId, { text: (prev) => (prev || '') + chunk });
+      },
+      onThinking: (thinking) => {
+        if (isVisible) setThinkingText(thinking);
+      },
+      onReconnecting: () => {
+        if (isVisible) setThinkingText(t('chat.reconnecting'));
+      },
+      onToolActivity: (steps) => {
+        toolSteps = steps;
+        if (isVisible) updateMessage(botMsgId, { toolActivity: steps });
+      },
+      onComplete: (fullText, metadata) => {
+        const soilData = extractSoilData(metadata);
+
+        if (isVisible) {
           setThinkingText(null);
-          setIsTyping(false);
 
-          // Update message with final text
-          updateMessage(botMsgId, { text: fullText });
+          // Update message with final text and settled tool steps
+          updateMessage(botMsgId, {
+            text: fullText,
+            toolActivity: metadata?.toolActivity,
+            provenance: pickProvenance(metadata),
+            weatherData: extractWeatherData(metadata),
+            soilData,
+          });
 
           // Haptic feedback on completion
           Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+        }
 
-          // Persist the complete message with full intent/classification/tool data
-          persistMessage({ ...botMsg, text: fullText }, sessionId, {
-            responseLanguageCode: language?.code,
-            metadata: metadata || null, // Full metadata object from gateway
-            // Specific diagnosis fields for database columns
-            diagnosisCrop: metadata?.diagnosis?.crop?.name || metadata?.diagnosis?.crop,
-            diagnosisHealthStatus: metadata?.diagnosis?.health_status,
-            diagnosisIssues: metadata?.diagnosis?.issues,
-          });
+        // Persist the complete message with full intent/classification/tool data
+        persistMessage({ ...botMsg, text: fullText }, sessionId, {
+          responseLanguageCode: languageCode,
+          // Full metadata object from gateway, plus the normalized soil report so it re-opens from history
+          metadata: soilData ? { ...metadata, soilReport: soilData } : (metadata || null),
+          // Specific diagnosis fields for database columns
+          diagnosisCrop: metadata?.diagnosis?.crop?.name || metadata?.diagnosis?.crop,
+          diagnosisHealthStatus: metadata?.diagnosis?.health_status,
+          diagnosisIssues: metadata?.diagnosis?.issues,
+        });
 
-          // Generate title after first exchange
-          maybeGenerateTitle(sessionId, [{ ...botMsg, text: fullText }, userMessage, ...messages]);
-        },
-        onError: (error) => {
-          setThinkingText(null);
-          setIsTyping(false);
+        // Generate title after first exchange
+        if (isVisible) {
+          maybeGenerateTitle(sessionId, [{ ...botMsg, text: fullText }, userMessage, ...history]);
+        }
+        resolve({ success: true });
+      },
+      onError: (error) => {
+        if (isVisible) setThinkingText(null);
+
+        // Nothing useful arrived and we're offline - drop the placeholder so the question can be queued
+        if (isNetworkError(error) && receivedText.length <= 10) {
+          setMessages(prev => prev.filter(m => m._id !== botMsgId));
+          resolve({ success: false, isNetworkError: true });
+          return;
+        }
+
+        // Connection dropped for good mid-answer - save the partial text marked as
+        // interrupted, then re-fetch the finished answer by message ID (now, on a
+        // backoff timer, when back online or on the next app start)
+        if (error.messageId) {
+          const partialText = error.partialText || receivedText;
+          if (isVisible) {
+            updateMessage(botMsgId, { text: partialText, interrupted: true });
+          }
+          persistMessage({ ...botMsg, text: partialText }, sessionId, {
+            responseLanguageCode: languageCode,
+            metadata: { ...(error.metadata || {}), interrupted: true, recoverMessageId: error.messageId },
+          }).then(() => recoverPendingAnswers());
+          resolve({ success: false });
+          return;
+        }
 
-          // Get user-friendly error message
-          const userFriendlyMsg = parseErrorMessage(error);
-          
+        if (isVisible) {
           // If it's a server error but we have a partial response, keep it
           // Otherwise show error message in bubble
           updateMessage(botMsgId, { 
-            text: (prev) => prev && prev.length > 10 ? prev : t('chat.connectionErrorBot') 
+            text: (prev) => prev && prev.length > 10 ? prev : t('chat.connectionErrorBot'),
+            // Steps still running when the stream broke never finished
+            toolActivity: toolSteps.map(step => step.status === 'running' ? { ...step, status: 'failed' } : step),
           });
 
-          if (isNetworkError(error)) {
-            showWarning(t('chat.noInternet'));
-          } else {
-            // Log full error for debugging but show friendly one to user
-            console.error('📱 [Chat] API Error Details:', error);
-            showError(userFriendlyMsg);
-          }
+          // Log full error for debugging but show friendly one to user
+          console.error('📱 [Chat] API Error Details:', error);
+          showError(parseErrorMessage(error));
         }
-      });
-    } catch (error) {
-      console.error('Chat error:', error);
-      setThinkingText(null);
-      setIsTyping(false);
-      updateMessage(botMsgId, { text: t('chat.connectionErrorBot') });
-      showError(parseErrorMessage(error));
+        resolve({ success: false });
+      },
+      onAbort: (partialText, metadata) => {
+        if (isVisible) setThinkingText(null);
+
+        // Stopped before anything arrived - nothing worth keeping
+        if (!partialText) {
+          setMessages(prev => prev.filter(m => m._id !== botMsgId));
+          resolve({ success: true, stopped: true });
+          return;
+        }
+
+        if (isVisible) {
+          updateMessage(botMsgId, {
+            text: partialText,
+            stopped: true,
+            toolActivity: metadata?.toolActivity,
+            provenance: pickProvenance(metadata),
+          });
+        }
+
+        // Bot replies are only written once the stream ends, so save the partial answer here
+        persistMessage({ ...botMsg, text: partialText }, sessionId, {
+          responseLanguageCode: languageCode,
+          metadata: { ...(metadata || {}), stopped: true },
+        });
+        resolve({ success: true, stopped: true });
+      },
+    });
+
+    // Only the visible conversation can be stopped from the input toolbar
+    if (isVisible) {
+      activeStreamRef.current = request;
+      setCanStopStream(true);
     }
-  }, [location, language, locationDetails, messages, addMessage, updateMessage, ensureSession, persistMessage, maybeGenerateTitle, showError, showWarning]);
 
-  const handleSendImage = useCallback(async (imageData) => {
-    // User message shows the image + any text question they typed
-    // If no text, use a placeholder for DB storage (required by backend)
-    const userMsgText = imageData.text || null;
-    const userMsgTextForDb = imageData.text || '[Image for plant diagnosis]'; // Required for DB
-    const userMsg = { _id: Date.now().toString(), text: userMsgText, textForDb: userMsgTextForDb, image: imageData.uri, createdAt: new Date(), isBot: false };
-    addMessage(userMsg);
+    request.catch((error) => {
+      console.error('Chat error:', error);
+      if (isVisible) {
+        setThinkingText(null);
+        updateMessage(botMsgId, { text: t('chat.connectionErrorBot') });
+        showError(parseErrorMessage(error));
+      }
+      resolve({ success: false });
+    }).finally(() => {
+      if (activeStreamRef.current === request) {
+        activeStreamRef.current = null;
+        setCanStopStream(false);
+      }
+    });
+  }), [language, farmProfile, addMessage, updateMessage, persistMessage, maybeGenerateTitle, recoverPendingAnswers, showError]);
+
+  // Stop the answer that is currently streaming (partial text is kept)
+  const stopStreaming = useCallback(() => {
+    if (!activeStreamRef.current) return;
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    activeStreamRef.current.abort();
+  }, []);
+
+  const handleSendText = useCallback(async (text) => {
+    const userMessage = { _id: Date.now().toString(), text, createdAt: new Date(), isBot: false };
+    addMessage(userMessage);
     setIsTyping(true);
-    setThinkingText(t('chat.analyzingImage')); // Show specific thinking text for image analysis
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
 
     const sessionId = await ensureSession();
-    let dbUserMessageId = null;
+    persistMessage(userMessage, sessionId, { inputMethod: 'keyboard' });
+
+    const outcome = await streamAnswer({ text, sessionId, userMessage, history: messages });
+    setIsTyping(false);
+
+    if (outcome.isNetworkError) {
+      await queueQuestion({ type: 'text', text, sessionId, userMessageId: userMessage._id });
+    }
+  }, [messages, addMessage, ensureSession, persistMessage, streamAnswer, queueQuestion]);
+
+  // Upload, persist and analyze the plant photos of a user message that is already shown.
+  // Resolves to { success, isNetworkError } so callers can queue the request.
+  const diagnoseImage = useCallback(async ({ imageData, userMsg, sessionId, isVisible = true, isReplay = false, place = activePlaceRef.current, languageCode = language?.code, scope }) => {
+    const userMsgTextForDb = userMsg.textForDb || imageData.text || '[Image for plant diagnosis]'; // Required for DB
+    const images = imageData.images || [{ uri: imageData.uri, base64: imageData.base64 }];
+    const localUris = images.map(img => img.uri);
+    // Only set when the user opted in to sharing photo location
+    const photoLocation = imageData.photoLocation || images.find(img => img.location)?.location || null;
+    let uploadFailed = false;
 
     try {
-      // Upload image to Cloudinary (non-blocking, for record keeping)
-      const uploadPromise = uploadImage(imageData.base64).then(async result => {
-        if (result.success) {
-          setMessages(prev => prev.map(m => m._id === userMsg._id ? { ...m, cloudinaryUrl: result.url } : m));
-          // Use textForDb for persistence (backend requires content)
-          dbUserMessageId = await persistMessage({ ...userMsg, text: userMsgTextForDb, cloudinaryUrl: result.url }, sessionId, { inputMethod: 'image', imageCloudinaryUrl: result.url });
-        } else {
-          console.warn('Image upload failed:', result.error);
-          // Save without cloudinary URL if upload fails - use textForDb for persistence
-          dbUserMessageId = await persistMessage({ ...userMsg, text: userMsgTextForDb }, sessionId, { inputMethod: 'image' });
-          showWarning(t('errors.imageUploadFailed'));
-        }
-        return result;
-      });
+      // Upload every photo to Cloudinary in parallel first, so the diagnosis can
+      // reference the uploaded copy instead of sending the same bytes twice
+      const uploadResults = await Promise.all(images.map(img => uploadImage(img.base64)));
+      const urls = uploadResults.map(result => (result.success ? result.url : null));
+      const cloudinaryUrl = urls[0] || undefined;
+      // Extra photos only fit in metadata - imageCloudinaryUrl keeps the first one
+      const imageMetadata = images.length > 1 ? { metadata: { imageUrls: urls, imageLocalUris: localUris } } : {};
+
+      const failed = uploadResults.find(result => !result.success);
+      if (failed) {
+        console.warn('Image upload failed:', failed.error);
+        uploadFailed = true;
+      }
+      if (isVisible && urls.some(Boolean)) {
+        setMessages(prev => prev.map(m => m._id === userMsg._id ? { ...m, cloudinaryUrl } : m));
+      }
 
-      // Ensure image has proper data URL format
-      let imageBase64 = imageData.base64;
-      if (!imageBase64.startsWith('data:')) {
-        imageBase64 = `data:image/jpeg;base64,${imageBase64}`;
+      if (isReplay) {
+        // Message was saved when the request was queued - just attach the URLs
+        if (urls.some(Boolean)) {
+          persistUpdate(sessionId, userMsg._id, { imageCloudinaryUrl: cloudinaryUrl, ...imageMetadata });
+        }
+      } else {
+        // Use textForDb for persistence (backend requires content); saved without URL if upload fails
+        await persistMessage({ ...userMsg, text: userMsgTextForDb, cloudinaryUrl }, sessionId, {
+          inputMethod: 'image',
+          imageCloudinaryUrl: cloudinaryUrl,
+          imageLocalUri: userMsg.image,
+          ...imageMetadata,
+        });
       }
 
-      // Analyze plant via API Gateway
-      const diagResult = await analyzePlantImage({
-        imageBase64,
-        latitude: location?.latitude,
-        longitude: location?.longitude,
-        language: language?.code,
-        locationDetails,
+      // Ensure inline images have proper data URL format
+      const toInline = (img) => (img.base64.startsWith('data:') ? img.base64 : `data:image/jpeg;base64,${img.base64}`);
+      // Uploaded photos are referenced by URL; only failed uploads go inline
+      const requestImages = images.map((img, i) => (
+        DIAGNOSE_BY_URL && uploadResults[i].success
+          ? { url: uploadResults[i].url, publicId: uploadResults[i].publicId }
+          : toInline(img)
+      ));
+
+      // Analyze plant via API Gateway - all photos in one request
+      const diagnosisParams = {
+        photoLocation,
+        latitude: place.location?.latitude,
+        longitude: place.location?.longitude,
+        language: languageCode,
+        locationDetails: place.locationDetails,
+        scope,
         question: imageData.text, // Pass the user's text question to the tool
-      });
+      };
+      let diagResult = await analyzePlantImage({ ...diagnosisParams, images: requestImages });
 
-      // Wait for upload to complete (non-blocking)
-      await uploadPromise;
+      // Gateway could not use the uploaded copy - resend inline once
+      const usedReferences = requestImages.some(img => typeof img === 'object');
+      if (!diagResult.success && usedReferences && REFERENCE_REJECTED_STATUSES.includes(diagResult.status)) {
+        console.log('⚠️ [useChat] Image reference rejected, retrying with inline images:', diagResult.status);
+        diagResult = await analyzePlantImage({ ...diagnosisParams, images: images.map(toInline) });
+      }
+
+      // Offline - the caller queues the request instead of showing an error card
+      if (!diagResult.success && diagResult.isNetworkError) {
+        return { success: false, isNetworkError: true };
+      }
+
+      if (uploadFailed && isVisible) {
+        showWarning(t('errors.imageUploadFailed'));
+      }
 
       // Handle diagnosis result
       if (!diagResult.success) {
-        const isTimeout = diagResult.error?.includes('timeout') || diagResult.status === 408;
-        const isNetError = isNetworkError(diagResult.error) || !diagResult.status;
+        if (!isVisible) return { success: false };
+
+        const isTimeout = diagResult.isTimeout || diagResult.status === 408;
+        const isNetError = !!diagResult.isNetworkError;
 
         // Create a professional Error Card instead of a simple text bubble
         const errorBotMsg = {
@@ -358,58 +774,104 @@ export default function useChat(sessionIdParam = null) {
           createdAt: new Date(),
           isBot: true
         };
-        addMessage(errorBotMsg);
+        addMessage(errorBotMsg, { afterMessageId: userMsg._id });
         
         showWarning(isNetError ? t('chat.noInternet') : t('chat.imageAnalysisFailed'));
-      } else {
-        const diagnosisData = diagResult.diagnosis && typeof diagResult.diagnosis === 'object' ? diagResult.diagnosis : {};
-
-        // Extract crop info for persistence and summary
-        const cropName = typeof diagnosisData?.crop === 'object'
-          ? diagnosisData.crop.name
-          : diagnosisData?.crop;
-        const healthStatus = diagnosisData?.health_status?.overall || diagnosisData?.health_status || 'analyzed';
-        const issues = diagnosisData?.issues?.map(i => i.name || i).join(', ');
-
-        // Generate text summary for database storage (required by backend)
-        // This text is NOT shown in UI - DiagnosisCard handles display
-        const diagnosisSummary = `[Plant Diagnosis] ${cropName || 'Plant'}: ${healthStatus}${issues ? `. Issues: ${issues}` : ''}`;
-
-        // Bot message shows ONLY the DiagnosisCard (no duplicate text in UI)
-        // The card handles all display: healthy, diseased, rejection, etc.
-        const botMsg = {
-          _id: (Date.now() + 1).toString(),
-          text: diagnosisSummary, // Summary text for DB storage (hidden in UI when diagnosisData present)
-          diagnosisData: diagnosisData, // Structured data for native card
-          createdAt: new Date(),
-          isBot: true
-        };
-        addMessage(botMsg);
-
-        // Save full technical data in metadata for perfect history reconstruction
-        persistMessage(botMsg, sessionId, {
-          diagnosisCrop: cropName,
-          diagnosisHealthStatus: diagnosisData?.health_status,
-          diagnosisIssues: diagnosisData?.issues,
-          metadata: {
-            ...(diagResult.metadata || {}),
-            diagnosis: diagnosisData,
-          },
-        });
-
-        // Generate title after first image analysis
-        maybeGenerateTitle(sessionId, [botMsg, userMsg, ...messages]);
+        return { success: false };
       }
+
+      const diagnosisData = diagResult.diagnosis && typeof diagResult.diagnosis === 'object' ? diagResult.diagnosis : {};
+
+      // Extract crop info for persistence and summary
+      const cropName = typeof diagnosisData?.crop === 'object'
+        ? diagnosisData.crop.name
+        : diagnosisData?.crop;
+      const healthStatus = diagnosisData?.health_status?.overall || diagnosisData?.health_status || 'analyzed';
+      const issues = diagnosisData?.issues?.map(i => i.name || i).join(', ');
+
+      // Generate text summary for database storage (required by backend)
+      // This text is NOT shown in UI - DiagnosisCard handles display
+      const diagnosisSummary = `[Plant Diagnosis] ${cropName || 'Plant'}: ${healthStatus}${issues ? `. Issues: ${issues}` : ''}`;
+
+      // Bot message shows ONLY the DiagnosisCard (no duplicate text in UI)
+      // The card handles all display: healthy, diseased, rejection, etc.
+      const botMsg = {
+        _id: (Date.now() + 1).toString(),
+        text: diagnosisSummary, // Summary text for DB storage (hidden in UI when diagnosisData present)
+        diagnosisData: diagnosisData, // Structured data for native card
+        // Photos in request order, so findings can point at the one they came from
+        diagnosisImages: images.length > 1 ? localUris : undefined,
+        provenance: pickProvenance(diagResult.metadata),
+        createdAt: new Date(),
+        isBot: true
+      };
+      if (isVisible) addMessage(botMsg, { afterMessageId: userMsg._id });
+
+      // Save full technical data in metadata for perfect history reconstruction
+      persistMessage(botMsg, sessionId, {
+        diagnosisCrop: cropName,
+        diagnosisHealthStatus: diagnosisData?.health_status,
+        diagnosisIssues: diagnosisData?.issues,
+        metadata: {
+          ...(diagResult.metadata || {}),
+          diagnosis: diagnosisData,
+          ...(images.length > 1 && { diagnosisImages: urls.map((url, i) => url || localUris[i]) }),
+        },
+      });
+
+      // Generate title after first image analysis
+      if (isVisible) maybeGenerateTitle(sessionId, [botMsg, userMsg, ...messages]);
+      return { success: true };
     } catch (error) {
       console.error('Image analysis error:', error);
-      const errorMsg = parseErrorMessage(error);
-      showError(errorMsg);
-      addMessage({ _id: (Date.now() + 1).toString(), text: t('chat.imageAnalysisFailedBot'), createdAt: new Date(), isBot: true });
+      if (isVisible) {
+        showError(parseErrorMessage(error));
+        addMessage({ _id: (Date.now() + 1).toString(), text: t('chat.imageAnalysisFailedBot'), createdAt: new Date(), isBot: true }, { afterMessageId: userMsg._id });
+      }
+      return { success: false };
+    }
+  }, [language, messages, addMessage, persistMessage, persistUpdate, maybeGenerateTitle, showError, showWarning]);
+
+  const handleSendImage = useCallback(async (imageData) => {
+    // User message shows the image + any text question they typed
+    // If no text, use a placeholder for DB storage (required by backend)
+    const userMsgText = imageData.text || null;
+    const userMsgTextForDb = imageData.text || '[Image for plant diagnosis]'; // Required for DB
+    const imageUris = (imageData.images || [imageData]).map(img => img.uri);
+    const userMsg = {
+      _id: Date.now().toString(),
+      text: userMsgText,
+      textForDb: userMsgTextForDb,
+      image: imageUris[0],
+      images: imageUris.length > 1 ? imageUris : undefined,
+      createdAt: new Date(),
+      isBot: false,
+    };
+    addMessage(userMsg);
+    setIsTyping(true);
+    setThinkingText(t('chat.analyzingImage')); // Show specific thinking text for image analysis
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+
+    const sessionId = await ensureSession();
+
+    try {
+      const outcome = await diagnoseImage({ imageData, userMsg, sessionId });
+      if (outcome.isNetworkError) {
+        await queueQuestion({
+          type: 'image',
+          sessionId,
+          userMessageId: userMsg._id,
+          text: imageData.text,
+          fileUri: imageUris[0],
+          fileUris: imageUris.length > 1 ? imageUris : undefined,
+          photoLocation: imageData.images?.find(img => img.location)?.location,
+        });
+      }
     } finally {
       setIsTyping(false);
       setThinkingText(null);
     }
-  }, [location, language, locationDetails, messages, addMessage, updateMessage, ensureSession, persistMessage, persistUpdate, maybeGenerateTitle, showError, showWarning]);
+  }, [addMessage, ensureSession, diagnoseImage, queueQuestion]);
 
   // Transcribe audio for the VoiceRecorder component
   // Returns transcription text without sending to chat
@@ -420,7 +882,8 @@ export default function useChat(sessionIdParam = null) {
       if (!result.success || !result.text) {
         return { 
           success: false, 
-          error: result.error || t('voice.couldNotTranscribeAudio')
+          error: result.error || t('voice.couldNotTranscribeAudio'),
+          isNetworkError: !!result.isNetworkError,
         };
       }
       
@@ -432,7 +895,8 @@ export default function useChat(sessionIdParam = null) {
       console.error('Transcription error:', error);
       return { 
         success: false, 
-        error: t('voice.transcriptionFailed')
+        error: t('voice.transcriptionFailed'),
+        isNetworkError: isNetworkError(error),
       };
     }
   }, [language]);
@@ -467,16 +931,145 @@ export default function useChat(sessionIdParam = null) {
     }
   }, [showWarning]);
 
+  // ============================================
+  // OFFLINE OUTBOX
+  // ============================================
+
+  // Recording couldn't be transcribed offline - show a placeholder and queue the audio
+  const handleQueueVoice = useCallback(async (audioData) => {
+    const userMessage = { _id: Date.now().toString(), text: t('chat.queuedVoiceMessage'), createdAt: new Date(), isBot: false };
+    addMessage(userMessage);
+
+    const sessionId = await ensureSession();
+    await persistMessage(userMessage, sessionId, { inputMethod: 'voice' });
+    await queueQuestion({
+      type: 'voice',
+      sessionId,
+      userMessageId: userMessage._id,
+      fileUri: audioData.uri,
+      duration: audioData.duration,
+      language: audioData.language || language?.code,
+    });
+  }, [language, addMessage, ensureSession, persistMessage, queueQuestion]);
+
+  // Officer, farmer and language a queued question was asked with; items queued
+  // before these were stored fall back to their session
+  const getReplayScope = useCallback(async (item) => {
+    if ('languageCode' in item) {
+      return { scope: { officerId: item.officerId, farmerId: item.farmerId }, languageCode: item.languageCode };
+    }
+    const session = await getLocalSession(item.sessionId, 1);
+    return {
+      scope: { officerId: session?.officerId || null, farmerId: session?.farmerId || null },
+      languageCode: session?.primaryLanguageCode || language?.code,
+    };
+  }, [language]);
+
+  // Send one queued question. Answers for other sessions are only persisted.
+  const replayOutboxItem = useCallback(async (item) => {
+    const isVisible = currentSessionRef.current === item.sessionId;
+    const userMessage = messagesRef.current.find(m => m._id === item.userMessageId)
+      || { _id: item.userMessageId, text: item.text, createdAt: new Date(item.createdAt), isBot: false };
+    const history = isVisible
+      ? messagesRef.current.slice(messagesRef.current.findIndex(m => m._id === item.userMessageId) + 1)
+      : [];
+    const place = isVisible ? activePlaceRef.current : await getSessionPlace(item.sessionId);
+    const { scope, languageCode } = await getReplayScope(item);
+
+    if (item.type === 'image') {
+      const fileUris = item.fileUris || [item.fileUri];
+      const images = await Promise.all(fileUris.map(async uri => ({ uri, base64: await readOutboxFile(uri) })));
+      return diagnoseImage({
+        imageData: { images, text: item.text, photoLocation: item.photoLocation },
+        userMsg: { ...userMessage, image: fileUris[0], images: fileUris.length > 1 ? fileUris : undefined },
+        sessionId: item.sessionId,
+        isVisible,
+        isReplay: true,
+        place,
+        languageCode,
+        scope,
+      });
+    }
+
+    let text = item.text;
+    if (item.type === 'voice') {
+      const base64 = await readOutboxFile(item.fileUri);
+      const audioData = { uri: item.fileUri, base64, duration: item.duration, language: item.language };
+      const transcription = await transcribeAudioForInput(audioData);
+      if (!transcription.success) {
+        return { success: false, isNetworkError: transcription.isNetworkError };
+      }
+      text = transcription.transcription;
+      updateMessage(item.userMessageId, { text });
+      persistUpdate(item.sessionId, item.userMessageId, { content: text });
+      await updateOutboxItem(item.id, { type: 'text', text });
+      uploadAudioInBackground(audioData);
+    }
+
+    return streamAnswer({ text, sessionId: item.sessionId, userMessage: { ...userMessage, text }, history, isVisible, place, languageCode, scope });
+  }, [diagnoseImage, streamAnswer, getSessionPlace, getReplayScope, transcribeAudioForInput, uploadAudioInBackground, updateMessage, persistUpdate]);
+
+  // Send queued questions oldest first; stop at the first one that is still offline
+  const replayOutbox = useCallback(() => runOutboxReplay(async () => {
+    const items = await listOutbox();
+    if (items.length === 0) return;
+    console.log('📮 [useChat] Replaying', items.length, 'queued question(s)');
+
+    for (const item of items) {
+      updateMessage(item.userMessageId, { status: 'sending' });
+      let outcome;
+      try {
+        outcome = await replayOutboxItem(item);
+      } catch (error) {
+        console.log('❌ [useChat] Outbox replay error:', error.message);
+        outcome = { success: false, isNetworkError: isNetworkError(error) };
+      }
+
+      if (outcome.isNetworkError) {
+        await updateOutboxItem(item.id, { attempts: (item.attempts || 0) + 1 });
+        updateMessage(item.userMessageId, { status: 'queued' });
+        break;
+      }
+
+      await removeFromOutbox(item.id);
+      updateMessage(item.userMessageId, { status: outcome.success ? null : 'failed' });
+    }
+  }), [replayOutboxItem, updateMessage]);
+
+  // Replay and recover on mount (app may have been closed while offline) and whenever we reconnect
+  const replayOutboxRef = useRef(replayOutbox);
+  replayOutboxRef.current = replayOutbox;
+  const recoverPendingRef = useRef(recoverPendingAnswers);
+  recoverPendingRef.current = recoverPendingAnswers;
+
+  useEffect(() => {
+    recoverPendingRef.current();
+    replayOutboxRef.current();
+    const unsubscribe = subscribeOnline(() => {
+      recoverPendingRef.current();
+      replayOutboxRef.current();
+    });
+    return () => {
+      unsubscribe();
+      clearTimeout(recoveryTimerRef.current);
+    };
+  }, []);
+
   return {
     messages,
     isTyping,
     isLoadingSession,
     newestBotMessageId,
     thinkingText, // Current AI thinking status (farmer-friendly)
+    canStopStream,
+    stopStreaming,
     handleSendText,
     handleSendImage,
     transcribeAudioForInput,
     uploadAudioInBackground,
+    handleQueueVoice,
     startNewSession,
+    sessionLocation: activePlace,
+    setSessionLocation,
   };
 }
\ No newline at end of file
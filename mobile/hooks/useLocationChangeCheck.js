@@ -0,0 +1,119 @@
+// Location change hook - on app resume, notices when the farmer has travelled
+// somewhere with different MCP regions and offers to switch the app location
+import { useEffect, useRef } from 'react';
+import { AppState, Alert } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Location from 'expo-location';
+import { useApp } from '../contexts/AppContext';
+import { detectRegions } from '../services/api';
+import { lookupLocation } from '../services/db';
+import {
+  distanceKm,
+  haveRegionsChanged,
+  describeRegions,
+  normalizeLocationDetails,
+  getLocationLabel,
+} from '../utils/location';
+import { t } from '../constants/strings';
+
+// Shorter moves never cross into another region worth asking about
+const MIN_MOVE_KM = 25;
+// At most one check per interval, however often the app is resumed
+const CHECK_INTERVAL_MS = 30 * 60 * 1000;
+// Cached GPS fixes older than this are not trusted
+const MAX_FIX_AGE_MS = 15 * 60 * 1000;
+// Where the user last said "not now" - no new prompt until they move on again
+const DISMISSED_KEY = 'locationChangeDismissed';
+
+const isUsable = (loc) => Number.isFinite(loc?.latitude) && Number.isFinite(loc?.longitude) &&
+  !(loc.latitude === 0 && loc.longitude === 0);
+
+// Current position without ever showing a permission prompt
+async function getQuietPosition() {
+  const { status } = await Location.getForegroundPermissionsAsync();
+  if (status !== 'granted') return null;
+  let fix = await Location.getLastKnownPositionAsync({ maxAge: MAX_FIX_AGE_MS });
+  if (!fix?.coords) {
+    fix = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Low });
+  }
+  return fix?.coords ? { latitude: fix.coords.latitude, longitude: fix.coords.longitude } : null;
+}
+
+/**
+ * Compare the phone's position to the stored location
+ * @returns {Promise<object|null>} { here, place } when the available regions changed
+ */
+async function findRegionChange({ location, regions }) {
+  if (!isUsable(location)) return null;
+
+  const here = await getQuietPosition();
+  if (!here || distanceKm(location, here) < MIN_MOVE_KM) return null;
+
+  const dismissed = JSON.parse(await AsyncStorage.getItem(DISMISSED_KEY) || 'null');
+  if (isUsable(dismissed) && distanceKm(dismissed, here) < MIN_MOVE_KM) return null;
+
+  console.log('🧭 [LocationCheck] Moved', Math.round(distanceKm(location, here)), 'km, checking regions...');
+  const detected = await detectRegions(here.latitude, here.longitude);
+  if (!detected.success) return null;
+
+  let before = regions;
+  if (!before) {
+    const stored = await detectRegions(location.latitude, location.longitude);
+    if (!stored.success) return null;
+    before = stored.regions || [];
+  }
+  if (!haveRegionsChanged(before, detected.regions)) return null;
+
+  const lookup = await lookupLocation(here.latitude, here.longitude);
+  const place = getLocationLabel(normalizeLocationDetails(lookup), here) || describeRegions(detected.regions);
+  return { here, place };
+}
+
+export default function useLocationChangeCheck(enabled) {
+  const { location, regions, setLocation } = useApp();
+  const latestRef = useRef({ location, regions, setLocation });
+  latestRef.current = { location, regions, setLocation };
+  const lastCheckRef = useRef(0);
+  const isCheckingRef = useRef(false);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const check = async () => {
+      if (isCheckingRef.current || Date.now() - lastCheckRef.current < CHECK_INTERVAL_MS) return;
+      isCheckingRef.current = true;
+      lastCheckRef.current = Date.now();
+      try {
+        const change = await findRegionChange(latestRef.current);
+        if (!change) return;
+
+        console.log('🧭 [LocationCheck] Available services changed, now near:', change.place);
+        Alert.alert(
+          t('locationCheck.title'),
+          t('locationCheck.message', { place: change.place }),
+          [
+            {
+              text: t('locationCheck.notNow'),
+              style: 'cancel',
+              onPress: () => AsyncStorage.setItem(DISMISSED_KEY, JSON.stringify(change.here)).catch(() => {}),
+            },
+            {
+              text: t('locationCheck.update'),
+              onPress: () => latestRef.current.setLocation(change.here, 'granted'),
+            },
+          ]
+        );
+      } catch (error) {
+        console.log('⚠️ [LocationCheck] Check failed:', error.message);
+      } finally {
+        isCheckingRef.current = false;
+      }
+    };
+
+    check();
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') check();
+    });
+    return () => subscription.remove();
+  }, [enabled]);
+}
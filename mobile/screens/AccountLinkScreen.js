@@ -0,0 +1,267 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { useApp } from '../contexts/AppContext';
+import { useToast } from '../contexts/ToastContext';
+import { requestLinkCode } from '../services/db';
+import { normalizePhoneNumber, maskPhoneNumber } from '../utils/phone';
+import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import ScreenHeader from '../components/ui/ScreenHeader';
+import IconButton from '../components/ui/IconButton';
+import Card from '../components/ui/Card';
+import AppIcon from '../components/ui/AppIcon';
+import Button from '../components/ui/Button';
+import { t } from '../constants/strings';
+
+/**
+ * Phone account - link this device to a phone number (SMS code) so history
+ * survives reinstalls and is shared with the user's other phones
+ */
+export default function AccountLinkScreen({ navigation }) {
+  const { theme, linkedAccount, linkAccount, unlinkAccount } = useApp();
+  const { showSuccess, showError } = useToast();
+
+  const [phoneInput, setPhoneInput] = useState('');
+  const [pendingPhone, setPendingPhone] = useState(null); // Number the code was sent to
+  const [code, setCode] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const handleSendCode = async (phoneNumber = normalizePhoneNumber(phoneInput)) => {
+    if (!phoneNumber) {
+      showError(t('account.invalidPhone'));
+      return;
+    }
+    setIsBusy(true);
+    try {
+      const result = await requestLinkCode(phoneNumber);
+      if (result.success) {
+        setPendingPhone(phoneNumber);
+        setCode('');
+      } else {
+        showError(result.error || t('account.sendFailed'));
+      }
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    setIsBusy(true);
+    try {
+      const result = await linkAccount(pendingPhone, code.trim());
+      if (!result.success) {
+        showError(result.error || t('account.verifyFailed'));
+        return;
+      }
+      setPendingPhone(null);
+      setPhoneInput('');
+      showSuccess(result.mergedSessions > 0
+        ? t('account.linkedMerged', { count: result.mergedSessions })
+        : t('account.linked'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleUnlink = () => {
+    Alert.alert(
+      t('account.unlinkTitle'),
+      t('account.unlinkMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('account.unlink'),
+          style: 'destructive',
+          onPress: async () => {
+            const result = await unlinkAccount();
+            if (result.success) {
+              showSuccess(t('account.unlinked'));
+            } else {
+              showError(result.error || t('account.unlinkFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderLinked = () => (
+    <>
+      <Card style={styles.formCard}>
+        <View style={styles.inlineRow}>
+          <AppIcon name="check-circle" size={20} color={theme.success} />
+          <Text style={[styles.text, styles.flex, { color: theme.text }]}>
+            {t('account.linkedTo', { phone: maskPhoneNumber(linkedAccount.phoneNumber) })}
+          </Text>
+        </View>
+        {!!linkedAccount.linkedAt && (
+          <Text style={[styles.subtle, { color: theme.textMuted }]}>
+            {t('account.linkedSince', { date: new Date(linkedAccount.linkedAt).toLocaleDateString() })}
+          </Text>
+        )}
+        <Text style={[styles.subtle, { color: theme.textMuted }]}>{t('account.linkedHint')}</Text>
+      </Card>
+      <Button title={t('account.unlink')} variant="danger" onPress={handleUnlink} style={styles.saveButton} />
+    </>
+  );
+
+  const renderPhoneStep = () => (
+    <>
+      <Card style={styles.formCard}>
+        <View style={styles.field}>
+          <Text style={[styles.fieldLabel, { color: theme.textMuted }]}>{t('account.phoneNumber')}</Text>
+          <TextInput
+            style={[styles.input, { color: theme.text, borderColor: theme.inputBorder }]}
+            value={phoneInput}
+            onChangeText={setPhoneInput}
+            placeholder={t('account.phonePlaceholder')}
+            placeholderTextColor={theme.textMuted}
+            keyboardType="phone-pad"
+            autoComplete="tel"
+            textContentType="telephoneNumber"
+            accessibilityLabel={t('account.phoneNumber')}
+            autoFocus
+          />
+        </View>
+      </Card>
+      <Button
+        title={t('account.sendCode')}
+        onPress={() => handleSendCode()}
+        disabled={isBusy || !phoneInput.trim()}
+        style={styles.saveButton}
+      />
+    </>
+  );
+
+  const renderCodeStep = () => (
+    <>
+      <Card style={styles.formCard}>
+        <Text style={[styles.text, { color: theme.text }]}>
+          {t('account.codeSent', { phone: pendingPhone })}
+        </Text>
+        <View style={styles.field}>
+          <Text style={[styles.fieldLabel, { color: theme.textMuted }]}>{t('account.code')}</Text>
+          <TextInput
+            style={[styles.input, styles.codeInput, { color: theme.text, borderColor: theme.inputBorder }]}
+            value={code}
+            onChangeText={(text) => setCode(text.replace(/\D/g, ''))}
+            placeholder={t('account.codePlaceholder')}
+            placeholderTextColor={theme.textMuted}
+            keyboardType="number-pad"
+            autoComplete="sms-otp"
+            textContentType="oneTimeCode"
+            maxLength={8}
+            accessibilityLabel={t('account.code')}
+            autoFocus
+          />
+        </View>
+      </Card>
+      <Button
+        title={t('account.verify')}
+        onPress={handleVerify}
+        disabled={isBusy || code.length < 4}
+        style={styles.saveButton}
+      />
+      <Button
+        title={t('account.resend')}
+        variant="tonal"
+        onPress={() => handleSendCode(pendingPhone)}
+        disabled={isBusy}
+        style={styles.secondaryButton}
+      />
+      <Button
+        title={t('account.changeNumber')}
+        variant="secondary"
+        onPress={() => setPendingPhone(null)}
+        disabled={isBusy}
+        style={styles.secondaryButton}
+      />
+    </>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScreenHeader
+        title={t('account.title')}
+        left={
+          <IconButton
+            icon="arrow-back"
+            onPress={() => navigation.goBack()}
+            backgroundColor="transparent"
+            color={theme.text}
+            accessibilityLabel={t('common.back')}
+          />
+        }
+      />
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {!linkedAccount && (
+          <Text style={[styles.subtle, styles.intro, { color: theme.textMuted }]}>{t('account.intro')}</Text>
+        )}
+        {linkedAccount ? renderLinked() : (pendingPhone ? renderCodeStep() : renderPhoneStep())}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: SPACING['3xl'],
+  },
+  intro: {
+    marginBottom: SPACING.lg,
+  },
+  formCard: {
+    padding: SPACING.md,
+    gap: SPACING.md,
+  },
+  field: {
+    gap: SPACING.xs,
+  },
+  fieldLabel: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+    letterSpacing: 0.5,
+    textTransform: 'uppercase',
+  },
+  input: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 8,
+  },
+  codeInput: {
+    fontSize: TYPOGRAPHY.sizes.lg,
+    letterSpacing: 4,
+  },
+  inlineRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+  },
+  flex: {
+    flex: 1,
+  },
+  saveButton: {
+    marginTop: SPACING.lg,
+  },
+  secondaryButton: {
+    marginTop: SPACING.sm,
+  },
+  text: {
+    fontSize: TYPOGRAPHY.sizes.base,
+  },
+  subtle: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+  },
+});
@@ -1,5 +1,5 @@
-import React, { useRef, useCallback, useEffect, useState } from 'react';
-import { View, Text, FlatList, StyleSheet, ActivityIndicator, Animated, Image, Pressable } from 'react-native';
+import React, { useRef, useCallback, useEffect, useState, useMemo } from 'react';
+import { View, Text, FlatList, StyleSheet, ActivityIndicator, Animated, Image, Pressable, Alert } from 'react-native';
 
 const logoImage = require('../assets/logo.png');
 import * as Haptics from 'expo-haptics';
@@ -9,6 +9,11 @@ import { useToast } from '../contexts/ToastContext';
 import useChat from '../hooks/useChat';
 import MessageItem from '../components/MessageItem';
 import InputToolbar from '../components/InputToolbar';
+import ReminderSheet from '../components/ReminderSheet';
+import { createReminder } from '../services/reminders';
+import { exportConversationReport, exportConversationArchive } from '../services/dataExport';
+import { suggestReminder } from '../utils/reminderSuggestions';
+import { getLocationLabel, normalizeLocationDetails, isSameLocation } from '../utils/location';
 import { SPACING, TYPOGRAPHY } from '../constants/themes';
 import ScreenHeader from '../components/ui/ScreenHeader';
 import IconButton from '../components/ui/IconButton';
@@ -16,7 +21,13 @@ import TypingIndicator from '../components/ui/TypingIndicator';
 import { t } from '../constants/strings';
 
 export default function ChatScreen({ navigation, route }) {
-  const { theme, isDark, language, location, locationDetails, setLocation } = useApp();
+  const {
+    theme, isDark, language, location: appLocation, locationDetails: appLocationDetails, setLocation, currentSessionId,
+    officerMode, activeFarmer,
+  } = useApp();
+  // The farmer being advised (officer mode) brings their own location
+  const location = activeFarmer?.location || appLocation;
+  const locationDetails = activeFarmer?.location ? activeFarmer.locationDetails : appLocationDetails;
   const { showSuccess, showWarning, showError } = useToast();
   const flatListRef = useRef(null);
   const inputToolbarRef = useRef(null);
@@ -25,20 +36,28 @@ export default function ChatScreen({ navigation, route }) {
   // Get session params from navigation
   const sessionId = route?.params?.sessionId;
   const isNewSession = route?.params?.newSession;
+  const openAttach = route?.params?.openAttach;
+  const focusMessageId = route?.params?.focusMessageId; // Search hit to scroll to
 
   const {
     messages, isTyping, isLoadingSession, newestBotMessageId,
     thinkingText,
+    canStopStream, stopStreaming,
     handleSendText, handleSendImage,
     transcribeAudioForInput, uploadAudioInBackground,
+    handleQueueVoice,
     startNewSession,
-  } = useChat(sessionId);
+    sessionLocation, setSessionLocation,
+  } = useChat(sessionId, focusMessageId);
 
   // ===========================================
   // SCROLL BEHAVIOR STATE & REFS
   // ===========================================
   const [showScrollButton, setShowScrollButton] = useState(false);
   const [isRefreshingLocation, setIsRefreshingLocation] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [reminderMessage, setReminderMessage] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
 
   // Scroll behavior state
   const isUserScrollingRef = useRef(false);  // True when user manually scrolls
@@ -49,6 +68,8 @@ export default function ChatScreen({ navigation, route }) {
   const lastUserMessageIdRef = useRef(null); // Track the last user message we scrolled to
   const shouldScrollToUserRef = useRef(false); // Flag to trigger scroll on next render
   const blockAutoScrollRef = useRef(false); // Block auto-scroll during initial positioning
+  const handledFocusRef = useRef(null);      // Search hit already scrolled to
+  const focusRetryIndexRef = useRef(null);   // Search hit index to retry once rows are measured
   const isAnchorLockedRef = useRef(false);   // LOCK: Stay focused on this question
 
   // Handle new session request
@@ -219,6 +240,72 @@ export default function ChatScreen({ navigation, route }) {
     inputToolbarRef.current?.openAttachSheet();
   }, []);
 
+  // Turn a diagnosis' treatments into a scheduled plan
+  // (ref: memoized message rows keep the first handler they were given)
+  const currentSessionRef = useRef(currentSessionId);
+  currentSessionRef.current = currentSessionId;
+  const handleMakePlan = useCallback((message) => {
+    navigation.navigate('TreatmentPlan', {
+      diagnosis: message.diagnosisData,
+      diagnosisId: message._id,
+      sessionId: currentSessionRef.current,
+    });
+  }, [navigation]);
+
+  // Reminder from a chat answer (planting advice is recognized in suggestReminder)
+  const handleRemind = useCallback((message) => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    setReminderMessage(message);
+  }, []);
+
+  const reminderSuggestion = useMemo(
+    () => (reminderMessage ? suggestReminder(reminderMessage) : null),
+    [reminderMessage]
+  );
+
+  const handleSaveReminder = useCallback(async (reminder) => {
+    const result = await createReminder({
+      ...reminder,
+      sessionId: currentSessionRef.current,
+      messageId: reminderMessage?._id,
+    });
+    if (!result.success) {
+      showError(t('reminders.saveFailed'));
+      return;
+    }
+    setReminderMessage(null);
+    if (result.notificationsEnabled) showSuccess(t('reminders.saved'));
+    else showWarning(t('reminders.notificationsOff'));
+  }, [reminderMessage, showSuccess, showWarning, showError]);
+
+  // Follow-up photo requested from a treatment plan
+  useEffect(() => {
+    if (!openAttach || isLoadingSession) return;
+    navigation.setParams({ openAttach: undefined });
+    inputToolbarRef.current?.openAttachSheet();
+  }, [openAttach, isLoadingSession, navigation]);
+
+  // Opened from a search result - scroll to the matching message and highlight it
+  useEffect(() => {
+    if (!focusMessageId || isLoadingSession || handledFocusRef.current === focusMessageId) return;
+    const index = messages.findIndex(m => m._id === focusMessageId);
+    if (index === -1) return;
+
+    handledFocusRef.current = focusMessageId;
+    focusRetryIndexRef.current = index;
+    setHighlightedMessageId(focusMessageId);
+    console.log('📜 [Scroll] Jumping to search result:', focusMessageId);
+    setTimeout(() => {
+      flatListRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0.5 });
+    }, 300);
+  }, [focusMessageId, isLoadingSession, messages]);
+
+  useEffect(() => {
+    if (!highlightedMessageId) return undefined;
+    const timer = setTimeout(() => setHighlightedMessageId(null), 4000);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
+
   // ===========================================
   // SCROLL TO BOTTOM BUTTON
   // ===========================================
@@ -240,6 +327,28 @@ export default function ChatScreen({ navigation, route }) {
   // ===========================================
   // LOCATION HANDLERS (unchanged)
   // ===========================================
+  const runExport = async (exporter) => {
+    setIsExporting(true);
+    try {
+      const result = await exporter(currentSessionId);
+      if (!result.success) showError(result.error || t('export.failed'));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleExport = () => {
+    Alert.alert(
+      t('export.title'),
+      t('export.chatMessage'),
+      [
+        { text: t('export.report'), onPress: () => runExport(exportConversationReport) },
+        { text: t('export.conversationArchive'), onPress: () => runExport(exportConversationArchive) },
+        { text: t('common.cancel'), style: 'cancel' },
+      ]
+    );
+  };
+
   const handleRefreshLocation = async () => {
     setIsRefreshingLocation(true);
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
@@ -266,7 +375,9 @@ export default function ChatScreen({ navigation, route }) {
 
       if (loc?.coords) {
         showSuccess(t('chat.gpsLocationUpdated'));
-        await setLocation({ latitude: loc.coords.latitude, longitude: loc.coords.longitude }, 'granted');
+        const coords = { latitude: loc.coords.latitude, longitude: loc.coords.longitude };
+        await setLocation(coords, 'granted');
+        await setSessionLocation(coords);
       } else {
         showWarning(t('chat.gpsFailed'));
         await fetchIPLocation();
@@ -284,7 +395,9 @@ export default function ChatScreen({ navigation, route }) {
       const { lookupLocation } = require('../services/db');
       const result = await lookupLocation(null, null, 'auto');
       if (result.success && result.latitude && result.longitude) {
-        await setLocation({ latitude: result.latitude, longitude: result.longitude }, 'granted');
+        const coords = { latitude: result.latitude, longitude: result.longitude };
+        await setLocation(coords, 'granted');
+        await setSessionLocation(coords, normalizeLocationDetails(result));
         showSuccess(t('chat.ipLocationUpdated', { location: result.displayName || 'your region' }));
       } else {
         showError(t('chat.locationUpdateFailed'));
@@ -294,6 +407,43 @@ export default function ChatScreen({ navigation, route }) {
     }
   };
 
+  // A conversation keeps the location it was started with; offer the
+  // app location too when the two have drifted apart
+  const isSessionLocationDifferent = !!location && !!sessionLocation.location &&
+    !isSameLocation(location, sessionLocation.location);
+
+  // Location chosen on the map picker for this conversation
+  const pickedLocation = route?.params?.pickedLocation;
+  useEffect(() => {
+    if (!pickedLocation) return;
+    navigation.setParams({ pickedLocation: undefined });
+    const { details, ...coords } = pickedLocation;
+    setSessionLocation(coords, details)
+      .then(place => showSuccess(t('chat.sessionLocationChanged', { location: getLocationLabel(place.locationDetails, place.location) })));
+  }, [pickedLocation]);
+
+  // Android alerts show at most three buttons
+  const handleLocationPress = () => {
+    const label = getLocationLabel(sessionLocation.locationDetails, sessionLocation.location);
+    Alert.alert(
+      t('chat.sessionLocationTitle'),
+      label ? t('chat.sessionLocationMessage', { location: label }) : undefined,
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('chat.chooseOnMap'),
+          onPress: () => navigation.navigate('LocationPicker', { target: 'session', initialLocation: sessionLocation.location }),
+        },
+        isSessionLocationDifferent
+          ? {
+            text: t('chat.useAppLocation', { location: getLocationLabel(locationDetails, location) }),
+            onPress: () => setSessionLocation(location, locationDetails),
+          }
+          : { text: t('chat.useCurrentLocation'), onPress: handleRefreshLocation },
+      ]
+    );
+  };
+
   // ===========================================
   // RENDER
   // ===========================================
@@ -305,25 +455,36 @@ export default function ChatScreen({ navigation, route }) {
         center={
           <Pressable 
             style={styles.headerLeft} 
-            onPress={handleRefreshLocation}
+            onPress={handleLocationPress}
             accessibilityRole="button"
-            accessibilityLabel={t('a11y.refreshLocation')}
+            accessibilityLabel={t('a11y.sessionLocation')}
           >
             <Image source={logoImage} style={styles.headerLogo} resizeMode="contain" />
             <View style={styles.headerTextContainer}>
+              {officerMode && (
+                <Text
+                  style={[styles.headerFarmer, { color: theme.text }]}
+                  numberOfLines={1}
+                  onPress={() => navigation.navigate('Farmers')}
+                  accessibilityRole="button"
+                  accessibilityLabel={t('a11y.switchFarmer')}
+                >
+                  {activeFarmer ? t('farmers.advising', { name: activeFarmer.name }) : t('farmers.ownChats')}
+                </Text>
+              )}
               <Text style={[styles.headerSubtitle, { color: theme.textMuted }]} numberOfLines={1}>
                 {isRefreshingLocation
                   ? t('chat.updatingLocation')
-                  : locationDetails?.displayName ||
-                    locationDetails?.level5City ||
-                    locationDetails?.level3District ||
-                    locationDetails?.level2State ||
-                    (location?.latitude ? `${location.latitude.toFixed(2)}, ${location.longitude.toFixed(2)}` : t('chat.setLocation'))}
+                  : getLocationLabel(sessionLocation.locationDetails, sessionLocation.location) || t('chat.setLocation')}
               </Text>
-              {!isRefreshingLocation && locationDetails?.source === 'ip' && (
+              {!isRefreshingLocation && sessionLocation.locationDetails?.source === 'ip' ? (
                 <Text style={[styles.accuracyNudge, { color: theme.warning }]}>
                   {t('chat.lowAccuracy')} • {t('chat.tapToImprove')}
                 </Text>
+              ) : !isRefreshingLocation && isSessionLocationDifferent && (
+                <Text style={[styles.accuracyNudge, { color: theme.textMuted }]}>
+                  {t('chat.sessionLocationPinned')} • {t('chat.tapToChange')}
+                </Text>
               )}
             </View>
           </Pressable>
@@ -340,6 +501,18 @@ export default function ChatScreen({ navigation, route }) {
               color={theme.icon}
               accessibilityLabel={t('a11y.refreshLocation')}
             />
+            {!!currentSessionId && (
+              <IconButton
+                icon="share-outline"
+                onPress={handleExport}
+                loading={isExporting}
+                size={36}
+                borderRadius={10}
+                backgroundColor={isDark ? 'rgba(255,255,255,0.08)' : 'rgba(0,0,0,0.04)'}
+                color={theme.icon}
+                accessibilityLabel={t('a11y.exportData')}
+              />
+            )}
             <IconButton
               icon="add"
               onPress={startNewSession}
@@ -378,8 +551,11 @@ export default function ChatScreen({ navigation, route }) {
               <MessageItem
                 message={item}
                 isNewMessage={item._id === newestBotMessageId}
+                isHighlighted={item._id === highlightedMessageId}
                 onLayout={(height) => onMessageLayout(item._id, height)}
                 onRetry={handleDiagnosisRetry}
+                onMakePlan={handleMakePlan}
+                onRemind={handleRemind}
               />
             )}
             keyExtractor={(item) => item._id}
@@ -403,6 +579,13 @@ export default function ChatScreen({ navigation, route }) {
                 offset: info.index * avgHeight,
                 animated: true,
               });
+              // Search hits far up the history: retry once the rows near the estimate are measured
+              if (focusRetryIndexRef.current === info.index) {
+                focusRetryIndexRef.current = null;
+                setTimeout(() => {
+                  flatListRef.current?.scrollToIndex({ index: info.index, animated: true, viewPosition: 0.5 });
+                }, 300);
+              }
             }}
 
             // Typing indicator (ListHeaderComponent appears at the bottom in inverted mode)
@@ -444,8 +627,17 @@ export default function ChatScreen({ navigation, route }) {
         onSendImage={handleSendImageWrapped}
         transcribeAudio={transcribeAudioForInput}
         uploadAudioInBackground={uploadAudioInBackground}
+        onQueueVoice={handleQueueVoice}
+        onStop={canStopStream ? stopStreaming : null}
         disabled={isTyping}
       />
+
+      <ReminderSheet
+        visible={!!reminderMessage}
+        suggestion={reminderSuggestion}
+        onClose={() => setReminderMessage(null)}
+        onSave={handleSaveReminder}
+      />
     </View>
   );
 }
@@ -471,6 +663,10 @@ const styles = StyleSheet.create({
   headerSubtitle: {
     fontSize: TYPOGRAPHY.sizes.sm,
   },
+  headerFarmer: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+  },
   accuracyNudge: {
     fontSize: 10,
     fontWeight: TYPOGRAPHY.weights.semibold,
@@ -0,0 +1,269 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SectionList,
+  ActivityIndicator,
+  RefreshControl,
+  Image,
+  TouchableOpacity,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { useApp } from '../contexts/AppContext';
+import { listDiagnoses, getHealthTone } from '../services/diagnosisHistory';
+import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import ScreenHeader from '../components/ui/ScreenHeader';
+import IconButton from '../components/ui/IconButton';
+import Card from '../components/ui/Card';
+import ListRow from '../components/ui/ListRow';
+import AppIcon from '../components/ui/AppIcon';
+import { t } from '../constants/strings';
+
+const GROUP_BY = {
+  CROP: 'crop',
+  PLOT: 'plot',
+};
+
+const healthColor = (diagnosis, theme) => {
+  const tone = getHealthTone(diagnosis);
+  if (tone === 'good') return theme.success;
+  if (tone === 'fair') return theme.warning;
+  return tone === 'bad' ? theme.error : theme.textMuted;
+};
+
+export default function DiagnosesScreen({ navigation }) {
+  const { theme } = useApp();
+
+  const [diagnoses, setDiagnoses] = useState([]);
+  const [groupBy, setGroupBy] = useState(GROUP_BY.CROP);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  const loadDiagnoses = useCallback(async () => {
+    try {
+      setDiagnoses(await listDiagnoses());
+    } catch (error) {
+      console.error('Load diagnoses error:', error);
+    } finally {
+      setIsLoading(false);
+      setIsRefreshing(false);
+    }
+  }, []);
+
+  // Reload on focus so plot names set on the compare screen show up
+  useFocusEffect(
+    useCallback(() => {
+      loadDiagnoses();
+    }, [loadDiagnoses])
+  );
+
+  const handleRefresh = () => {
+    setIsRefreshing(true);
+    loadDiagnoses();
+  };
+
+  // Sections keep the newest-first order of listDiagnoses; unassigned entries go last
+  const sections = useMemo(() => {
+    const groups = new Map();
+    diagnoses.forEach(entry => {
+      const key = groupBy === GROUP_BY.PLOT
+        ? entry.plot || null
+        : entry.crop ? entry.crop.toLowerCase() : null;
+      if (!groups.has(key)) {
+        const title = groupBy === GROUP_BY.PLOT
+          ? entry.plot || t('diagnoses.noPlot')
+          : entry.crop || t('diagnoses.unknownCrop');
+        groups.set(key, { key: key || '__none__', title, data: [] });
+      }
+      groups.get(key).data.push(entry);
+    });
+    const named = [...groups.entries()].filter(([key]) => key !== null).map(([, section]) => section);
+    return groups.has(null) ? [...named, groups.get(null)] : named;
+  }, [diagnoses, groupBy]);
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return `${date.getDate()}/${date.getMonth() + 1}/${date.getFullYear()}`;
+  };
+
+  const renderDiagnosis = ({ item }) => (
+    <Card style={styles.diagnosisCard}>
+      <ListRow
+        title={groupBy === GROUP_BY.PLOT ? item.crop || t('diagnoses.unknownCrop') : item.plot || item.crop || t('diagnoses.unknownCrop')}
+        subtitle={`${item.healthStatus} • ${formatDate(item.createdAt)}`}
+        left={
+          item.imageUrl ? (
+            <Image source={{ uri: item.imageUrl }} style={[styles.thumbnail, { backgroundColor: theme.surfaceVariant }]} />
+          ) : (
+            <View style={[styles.thumbnail, styles.thumbnailPlaceholder, { backgroundColor: theme.surfaceVariant }]}>
+              <AppIcon name="leaf-outline" size={20} color={theme.textMuted} />
+            </View>
+          )
+        }
+        right={<View style={[styles.statusDot, { backgroundColor: healthColor(item.diagnosis, theme) }]} />}
+        onPress={() => navigation.navigate('DiagnosisCompare', { diagnosisId: item.id })}
+        paddingHorizontal={SPACING.md}
+        accessibilityLabel={`${item.crop || t('diagnoses.unknownCrop')}: ${item.healthStatus}, ${formatDate(item.createdAt)}`}
+      />
+    </Card>
+  );
+
+  const renderSectionHeader = ({ section }) => (
+    <Text style={[styles.sectionTitle, { color: theme.textMuted }]}>
+      {section.title.toUpperCase()} · {section.data.length}
+    </Text>
+  );
+
+  const renderEmpty = () => (
+    <View style={styles.emptyState}>
+      <AppIcon name="leaf-outline" size={64} color={theme.textMuted} />
+      <Text style={[styles.emptyTitle, { color: theme.text }]}>
+        {t('diagnoses.empty')}
+      </Text>
+      <Text style={[styles.emptyText, { color: theme.textMuted }]}>
+        {t('diagnoses.emptyHint')}
+      </Text>
+    </View>
+  );
+
+  const renderToggle = (value, label) => {
+    const active = groupBy === value;
+    return (
+      <TouchableOpacity
+        style={[styles.toggleOption, active && { backgroundColor: theme.accent }]}
+        onPress={() => setGroupBy(value)}
+        accessibilityRole="button"
+        accessibilityState={{ selected: active }}
+      >
+        <Text style={[styles.toggleText, { color: active ? '#FFFFFF' : theme.textSecondary }]}>{label}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      {/* Header */}
+      <ScreenHeader
+        title={t('diagnoses.title')}
+        left={
+          <IconButton
+            icon="arrow-back"
+            onPress={() => navigation.goBack()}
+            backgroundColor="transparent"
+            color={theme.text}
+            accessibilityLabel={t('common.back')}
+          />
+        }
+      />
+
+      {/* Group toggle */}
+      <View style={[styles.toggle, { backgroundColor: theme.surfaceVariant }]}>
+        {renderToggle(GROUP_BY.CROP, t('diagnoses.byCrop'))}
+        {renderToggle(GROUP_BY.PLOT, t('diagnoses.byPlot'))}
+      </View>
+
+      {/* Content */}
+      {isLoading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={theme.accent} />
+        </View>
+      ) : (
+        <SectionList
+          sections={sections}
+          renderItem={renderDiagnosis}
+          renderSectionHeader={renderSectionHeader}
+          keyExtractor={(item) => item.id}
+          stickySectionHeadersEnabled={false}
+          contentContainerStyle={[
+            styles.listContent,
+            sections.length === 0 && styles.emptyListContent,
+          ]}
+          refreshControl={
+            <RefreshControl
+              refreshing={isRefreshing}
+              onRefresh={handleRefresh}
+              tintColor={theme.accent}
+            />
+          }
+          ListEmptyComponent={renderEmpty}
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  toggle: {
+    flexDirection: 'row',
+    marginHorizontal: 16,
+    marginTop: SPACING.sm,
+    padding: 4,
+    borderRadius: 10,
+  },
+  toggleOption: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  toggleText: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+  },
+  listContent: {
+    padding: 16,
+  },
+  emptyListContent: {
+    flex: 1,
+  },
+  sectionTitle: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+    letterSpacing: 0.5,
+    marginTop: SPACING.md,
+    marginBottom: SPACING.sm,
+  },
+  diagnosisCard: {
+    marginBottom: SPACING.sm,
+  },
+  thumbnail: {
+    width: 44,
+    height: 44,
+    borderRadius: 8,
+  },
+  thumbnailPlaceholder: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  statusDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: SPACING['3xl'],
+    gap: SPACING.md,
+  },
+  emptyTitle: {
+    fontSize: TYPOGRAPHY.sizes.xl,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+    marginTop: SPACING.sm,
+  },
+  emptyText: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Image,
+  TextInput,
+} from 'react-native';
+import { useApp } from '../contexts/AppContext';
+import { useToast } from '../contexts/ToastContext';
+import {
+  listDiagnoses,
+  findPreviousDiagnosis,
+  compareDiagnoses,
+  getHealthTone,
+  setDiagnosisPlot,
+  listPlotNames,
+} from '../services/diagnosisHistory';
+import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import ScreenHeader from '../components/ui/ScreenHeader';
+import IconButton from '../components/ui/IconButton';
+import Card from '../components/ui/Card';
+import ListRow from '../components/ui/ListRow';
+import AppIcon from '../components/ui/AppIcon';
+import Button from '../components/ui/Button';
+import { t } from '../constants/strings';
+
+const TREND_ICONS = {
+  improved: 'trending-up',
+  worsened: 'trending-down',
+  unchanged: 'remove',
+  unknown: 'help-circle-outline',
+};
+
+const toneColor = (tone, theme) => {
+  if (tone === 'good') return theme.success;
+  if (tone === 'fair') return theme.warning;
+  return tone === 'bad' ? theme.error : theme.textMuted;
+};
+
+const trendColor = (trend, theme) => {
+  if (trend === 'improved') return theme.success;
+  if (trend === 'worsened') return theme.error;
+  return theme.textSecondary;
+};
+
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return `${date.getDate()}/${date.getMonth() + 1}/${date.getFullYear()}`;
+};
+
+/**
+ * Compare a diagnosis with the previous one for the same plot (or crop)
+ * Route params: { diagnosisId }
+ */
+export default function DiagnosisCompareScreen({ navigation, route }) {
+  const { theme, setCurrentSessionId } = useApp();
+  const { showSuccess, showError } = useToast();
+  const { diagnosisId } = route.params || {};
+
+  const [entries, setEntries] = useState([]);
+  const [plotNames, setPlotNames] = useState([]);
+  const [plotInput, setPlotInput] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    try {
+      const [all, plots] = await Promise.all([listDiagnoses(), listPlotNames()]);
+      setEntries(all);
+      setPlotNames(plots);
+      setPlotInput(all.find(e => e.id === diagnosisId)?.plot || '');
+    } catch (error) {
+      console.error('Load diagnosis compare error:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [diagnosisId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const current = entries.find(e => e.id === diagnosisId) || null;
+  const previous = useMemo(() => (current ? findPreviousDiagnosis(entries, current) : null), [entries, current]);
+  const otherPlots = plotNames.filter(name => name !== current?.plot);
+  const comparison = useMemo(() => (current && previous ? compareDiagnoses(current, previous) : null), [current, previous]);
+
+  const handleSavePlot = async (name = plotInput) => {
+    try {
+      await setDiagnosisPlot(diagnosisId, name);
+      showSuccess(name.trim() ? t('diagnoses.plotSaved', { plot: name.trim() }) : t('diagnoses.plotCleared'));
+      await load();
+    } catch (error) {
+      showError(t('diagnoses.plotSaveFailed'));
+    }
+  };
+
+  const handleOpenConversation = () => {
+    setCurrentSessionId(current.sessionId);
+    navigation.navigate('Chat', { sessionId: current.sessionId, sessionTitle: current.sessionTitle });
+  };
+
+  const renderSnapshot = (entry, label) => (
+    <View style={styles.snapshot}>
+      <Text style={[styles.snapshotLabel, { color: theme.textMuted }]}>{label}</Text>
+      {entry.imageUrl ? (
+        <Image source={{ uri: entry.imageUrl }} style={[styles.photo, { backgroundColor: theme.surfaceVariant }]} />
+      ) : (
+        <View style={[styles.photo, styles.photoPlaceholder, { backgroundColor: theme.surfaceVariant }]}>
+          <AppIcon name="leaf-outline" size={32} color={theme.textMuted} />
+        </View>
+      )}
+      <Text style={[styles.snapshotStatus, { color: toneColor(getHealthTone(entry.diagnosis), theme) }]} numberOfLines={2}>
+        {entry.healthStatus}
+      </Text>
+      <Text style={[styles.subtle, { color: theme.textMuted }]}>{formatDate(entry.createdAt)}</Text>
+    </View>
+  );
+
+  const renderIssues = (title, issues, color) => issues.length > 0 && (
+    <View style={styles.issueGroup}>
+      <Text style={[styles.issueTitle, { color: theme.text }]}>{title}</Text>
+      {issues.map(name => (
+        <Text key={name} style={[styles.text, { color }]}>• {name}</Text>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScreenHeader
+        title={current?.crop || t('diagnoses.title')}
+        left={
+          <IconButton
+            icon="arrow-back"
+            onPress={() => navigation.goBack()}
+            backgroundColor="transparent"
+            color={theme.text}
+            accessibilityLabel={t('common.back')}
+          />
+        }
+      />
+
+      {isLoading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={theme.accent} />
+        </View>
+      ) : !current ? (
+        <View style={styles.loadingContainer}>
+          <Text style={[styles.text, { color: theme.textMuted }]}>{t('diagnoses.notFound')}</Text>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.content} showsVerticalScrollIndicator={false}>
+          {/* Side by side */}
+          <View style={styles.snapshots}>
+            {previous
+              ? renderSnapshot(previous, t('diagnoses.previous'))
+              : (
+                <View style={[styles.snapshot, styles.noPrevious]}>
+                  <Text style={[styles.subtle, { color: theme.textMuted, textAlign: 'center' }]}>
+                    {current.plot ? t('diagnoses.noPreviousPlot') : t('diagnoses.noPreviousCrop')}
+                  </Text>
+                </View>
+              )}
+            {renderSnapshot(current, t('diagnoses.latest'))}
+          </View>
+
+          {/* Trend */}
+          {comparison && (
+            <Card style={styles.trendCard}>
+              <View style={styles.trendRow}>
+                <AppIcon name={TREND_ICONS[comparison.trend]} size={22} color={trendColor(comparison.trend, theme)} />
+                <Text style={[styles.trendText, { color: trendColor(comparison.trend, theme) }]}>
+                  {t(`diagnoses.trend.${comparison.trend}`)}
+                </Text>
+              </View>
+              {renderIssues(t('diagnoses.resolvedIssues'), comparison.resolvedIssues, theme.success)}
+              {renderIssues(t('diagnoses.newIssues'), comparison.newIssues, theme.error)}
+            </Card>
+          )}
+
+          {/* Plot */}
+          <Text style={[styles.sectionTitle, { color: theme.textMuted }]}>{t('diagnoses.plot')}</Text>
+          <Card>
+            <View style={styles.plotRow}>
+              <TextInput
+                style={[styles.plotInput, { color: theme.text, borderColor: theme.inputBorder }]}
+                placeholder={t('diagnoses.plotPlaceholder')}
+                placeholderTextColor={theme.textMuted}
+                value={plotInput}
+                onChangeText={setPlotInput}
+                onSubmitEditing={() => handleSavePlot()}
+                returnKeyType="done"
+                accessibilityLabel={t('diagnoses.plot')}
+              />
+              <Button title={t('common.save')} onPress={() => handleSavePlot()} />
+            </View>
+            {otherPlots.map((name, index) => (
+              <ListRow
+                key={name}
+                title={name}
+                left={<AppIcon name="map-pin" size={18} color={theme.textMuted} />}
+                onPress={() => handleSavePlot(name)}
+                divider={index < otherPlots.length - 1}
+                paddingHorizontal={SPACING.md}
+                accessibilityLabel={t('diagnoses.assignPlot', { plot: name })}
+              />
+            ))}
+          </Card>
+          <Text style={[styles.subtle, styles.hint, { color: theme.textMuted }]}>{t('diagnoses.plotHint')}</Text>
+
+          {/* Source conversation */}
+          <Card style={styles.trendCard}>
+            <ListRow
+              title={t('diagnoses.openConversation')}
+              subtitle={current.sessionTitle || undefined}
+              left={<AppIcon name="chatbubbles-outline" size={20} color={theme.accent} />}
+              right={<AppIcon name="chevron-forward" size={18} color={theme.textMuted} />}
+              onPress={handleOpenConversation}
+              paddingHorizontal={SPACING.md}
+            />
+          </Card>
+        </ScrollView>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: SPACING['3xl'],
+  },
+  snapshots: {
+    flexDirection: 'row',
+    gap: SPACING.md,
+  },
+  snapshot: {
+    flex: 1,
+    gap: SPACING.xs,
+  },
+  noPrevious: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  snapshotLabel: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+    letterSpacing: 0.5,
+    textTransform: 'uppercase',
+  },
+  photo: {
+    width: '100%',
+    aspectRatio: 1,
+    borderRadius: 12,
+  },
+  photoPlaceholder: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  snapshotStatus: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+  },
+  trendCard: {
+    marginTop: SPACING.lg,
+    padding: SPACING.md,
+  },
+  trendRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+  },
+  trendText: {
+    fontSize: TYPOGRAPHY.sizes.lg,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+  },
+  issueGroup: {
+    marginTop: SPACING.md,
+  },
+  issueTitle: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    fontWeight: TYPOGRAPHY.weights.bold,
+    marginBottom: SPACING.xs,
+  },
+  sectionTitle: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+    letterSpacing: 0.5,
+    textTransform: 'uppercase',
+    marginTop: SPACING.lg,
+    marginBottom: SPACING.sm,
+  },
+  plotRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    padding: SPACING.md,
+  },
+  plotInput: {
+    flex: 1,
+    fontSize: TYPOGRAPHY.sizes.base,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 8,
+  },
+  hint: {
+    marginTop: SPACING.xs,
+  },
+  text: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    lineHeight: TYPOGRAPHY.sizes.base * TYPOGRAPHY.lineHeights.normal,
+  },
+  subtle: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+  },
+});
@@ -0,0 +1,414 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import * as Location from 'expo-location';
+import * as Haptics from 'expo-haptics';
+import { useApp } from '../contexts/AppContext';
+import { useToast } from '../contexts/ToastContext';
+import {
+  createPlot,
+  createLivestock,
+  parsePlantingDate,
+  formatPlantingDate,
+  SIZE_UNITS,
+} from '../utils/farmProfile';
+import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import ScreenHeader from '../components/ui/ScreenHeader';
+import IconButton from '../components/ui/IconButton';
+import Card from '../components/ui/Card';
+import ListRow from '../components/ui/ListRow';
+import AppIcon from '../components/ui/AppIcon';
+import Button from '../components/ui/Button';
+import { t } from '../constants/strings';
+
+const KIND = {
+  PLOT: 'plot',
+  LIVESTOCK: 'livestock',
+};
+
+const parseNumber = (value) => {
+  const number = parseFloat(`${value}`.replace(',', '.'));
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+const describePlot = (plot) => [
+  plot.crop,
+  Number.isFinite(plot.size) ? `${plot.size} ${t(`farm.units.${plot.sizeUnit}`)}` : null,
+  plot.plantingDate ? t('farm.plantedOn', { date: plot.plantingDate }) : null,
+].filter(Boolean).join(' · ');
+
+/**
+ * Farm profile - plots and livestock shared with the assistant as chat context
+ */
+export default function FarmProfileScreen({ navigation }) {
+  const { theme, farmProfile, setFarmProfile } = useApp();
+  const { showSuccess, showError } = useToast();
+
+  // Item being edited, with text fields as typed: { kind, isNew, item, fields }
+  const [editing, setEditing] = useState(null);
+  const [isLocating, setIsLocating] = useState(false);
+
+  const startEditing = (kind, item) => {
+    const isNew = !item;
+    const base = item || (kind === KIND.PLOT ? createPlot() : createLivestock());
+    setEditing({
+      kind,
+      isNew,
+      item: base,
+      fields: kind === KIND.PLOT
+        ? { name: base.name, crop: base.crop, size: base.size ?? '', plantingDate: base.plantingDate || '' }
+        : { type: base.type, count: base.count ?? '' },
+    });
+  };
+
+  const setField = (key, value) => setEditing(prev => ({ ...prev, fields: { ...prev.fields, [key]: value } }));
+  const setItem = (changes) => setEditing(prev => ({ ...prev, item: { ...prev.item, ...changes } }));
+
+  const handleUseMyLocation = async () => {
+    setIsLocating(true);
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        showError(t('farm.locationDenied'));
+        return;
+      }
+      const position = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High });
+      setItem({ latitude: position.coords.latitude, longitude: position.coords.longitude });
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    } catch (error) {
+      console.log('❌ [FarmProfile] Location error:', error.message);
+      showError(t('farm.locationFailed'));
+    } finally {
+      setIsLocating(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const { kind, item, fields } = editing;
+    let saved;
+
+    if (kind === KIND.PLOT) {
+      if (!fields.name.trim() && !fields.crop.trim()) {
+        showError(t('farm.plotNameRequired'));
+        return;
+      }
+      const plantingDate = fields.plantingDate.trim();
+      if (plantingDate && !parsePlantingDate(plantingDate)) {
+        showError(t('farm.invalidDate'));
+        return;
+      }
+      saved = {
+        ...item,
+        name: fields.name.trim(),
+        crop: fields.crop.trim(),
+        size: parseNumber(fields.size),
+        plantingDate: plantingDate ? formatPlantingDate(parsePlantingDate(plantingDate)) : null,
+      };
+    } else {
+      if (!fields.type.trim()) {
+        showError(t('farm.livestockTypeRequired'));
+        return;
+      }
+      const count = parseNumber(fields.count);
+      saved = { ...item, type: fields.type.trim(), count: count === null ? null : Math.round(count) };
+    }
+
+    const key = kind === KIND.PLOT ? 'plots' : 'livestock';
+    const list = farmProfile[key];
+    const updatedList = list.some(entry => entry.id === saved.id)
+      ? list.map(entry => (entry.id === saved.id ? saved : entry))
+      : [...list, saved];
+
+    await setFarmProfile({ ...farmProfile, [key]: updatedList });
+    setEditing(null);
+    showSuccess(t('farm.saved'));
+  };
+
+  const handleDelete = () => {
+    const { kind, item } = editing;
+    const key = kind === KIND.PLOT ? 'plots' : 'livestock';
+    Alert.alert(
+      t('farm.deleteTitle'),
+      kind === KIND.PLOT ? (item.name || item.crop) : item.type,
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            await setFarmProfile({ ...farmProfile, [key]: farmProfile[key].filter(entry => entry.id !== item.id) });
+            setEditing(null);
+          },
+        },
+      ]
+    );
+  };
+
+  const renderInput = (key, label, props = {}) => (
+    <View style={styles.field}>
+      <Text style={[styles.fieldLabel, { color: theme.textMuted }]}>{label}</Text>
+      <TextInput
+        style={[styles.input, { color: theme.text, borderColor: theme.inputBorder }]}
+        value={`${editing.fields[key]}`}
+        onChangeText={(value) => setField(key, value)}
+        placeholderTextColor={theme.textMuted}
+        accessibilityLabel={label}
+        {...props}
+      />
+    </View>
+  );
+
+  const renderPlotForm = () => {
+    const { item } = editing;
+    const hasPoint = Number.isFinite(item.latitude) && Number.isFinite(item.longitude);
+    return (
+      <>
+        {renderInput('name', t('farm.plotName'), { placeholder: t('farm.plotNamePlaceholder') })}
+        {renderInput('crop', t('farm.crop'), { placeholder: t('farm.cropPlaceholder') })}
+
+        <View style={styles.field}>
+          <Text style={[styles.fieldLabel, { color: theme.textMuted }]}>{t('farm.size')}</Text>
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.flex, { color: theme.text, borderColor: theme.inputBorder }]}
+              value={`${editing.fields.size}`}
+              onChangeText={(value) => setField('size', value)}
+              keyboardType="decimal-pad"
+              placeholder="0"
+              placeholderTextColor={theme.textMuted}
+              accessibilityLabel={t('farm.size')}
+            />
+            <View style={[styles.toggle, { backgroundColor: theme.surfaceVariant }]}>
+              {SIZE_UNITS.map(unit => {
+                const active = item.sizeUnit === unit;
+                return (
+                  <TouchableOpacity
+                    key={unit}
+                    style={[styles.toggleOption, active && { backgroundColor: theme.accent }]}
+                    onPress={() => setItem({ sizeUnit: unit })}
+                    accessibilityRole="button"
+                    accessibilityState={{ selected: active }}
+                  >
+                    <Text style={[styles.toggleText, { color: active ? '#FFFFFF' : theme.textSecondary }]}>
+                      {t(`farm.units.${unit}`)}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+        </View>
+
+        <View style={styles.field}>
+          <Text style={[styles.fieldLabel, { color: theme.textMuted }]}>{t('farm.plantingDate')}</Text>
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.flex, { color: theme.text, borderColor: theme.inputBorder }]}
+              value={editing.fields.plantingDate}
+              onChangeText={(value) => setField('plantingDate', value)}
+              placeholder="YYYY-MM-DD"
+              placeholderTextColor={theme.textMuted}
+              keyboardType="numbers-and-punctuation"
+              accessibilityLabel={t('farm.plantingDate')}
+            />
+            <Button
+              title={t('farm.today')}
+              variant="tonal"
+              onPress={() => setField('plantingDate', formatPlantingDate(new Date()))}
+            />
+          </View>
+        </View>
+
+        <View style={styles.field}>
+          <Text style={[styles.fieldLabel, { color: theme.textMuted }]}>{t('farm.gpsPoint')}</Text>
+          <View style={styles.inlineRow}>
+            <AppIcon name="map-pin" size={18} color={hasPoint ? theme.accent : theme.textMuted} />
+            <Text style={[styles.text, styles.flex, { color: hasPoint ? theme.text : theme.textMuted }]}>
+              {hasPoint ? `${item.latitude.toFixed(5)}, ${item.longitude.toFixed(5)}` : t('farm.noGpsPoint')}
+            </Text>
+            {isLocating ? (
+              <ActivityIndicator size="small" color={theme.accent} />
+            ) : (
+              <Button title={t('farm.useMyLocation')} variant="tonal" onPress={handleUseMyLocation} />
+            )}
+          </View>
+          <Text style={[styles.subtle, { color: theme.textMuted }]}>{t('farm.gpsHint')}</Text>
+        </View>
+      </>
+    );
+  };
+
+  const renderLivestockForm = () => (
+    <>
+      {renderInput('type', t('farm.livestockType'), { placeholder: t('farm.livestockTypePlaceholder') })}
+      {renderInput('count', t('farm.livestockCount'), { placeholder: '0', keyboardType: 'number-pad' })}
+    </>
+  );
+
+  const renderEditor = () => (
+    <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+      <Card style={styles.formCard}>
+        {editing.kind === KIND.PLOT ? renderPlotForm() : renderLivestockForm()}
+      </Card>
+      <Button title={t('common.save')} onPress={handleSave} style={styles.saveButton} />
+      {!editing.isNew && (
+        <Button title={t('common.delete')} variant="danger" onPress={handleDelete} style={styles.secondaryButton} />
+      )}
+    </ScrollView>
+  );
+
+  const renderLists = () => (
+    <ScrollView contentContainerStyle={styles.content} showsVerticalScrollIndicator={false}>
+      <Text style={[styles.subtle, { color: theme.textMuted }]}>{t('farm.intro')}</Text>
+
+      <Text style={[styles.sectionTitle, { color: theme.textMuted }]}>{t('farm.plots')}</Text>
+      <Card>
+        {farmProfile.plots.map(plot => (
+          <ListRow
+            key={plot.id}
+            title={plot.name || plot.crop}
+            subtitle={describePlot(plot) || undefined}
+            left={<AppIcon name="leaf" size={20} color={theme.success} />}
+            onPress={() => startEditing(KIND.PLOT, plot)}
+            divider
+            paddingHorizontal={SPACING.md}
+          />
+        ))}
+        <ListRow
+          title={t('farm.addPlot')}
+          titleColor={theme.accent}
+          left={<AppIcon name="plus" size={20} color={theme.accent} />}
+          onPress={() => startEditing(KIND.PLOT)}
+          showChevron={false}
+          paddingHorizontal={SPACING.md}
+        />
+      </Card>
+
+      <Text style={[styles.sectionTitle, { color: theme.textMuted }]}>{t('farm.livestock')}</Text>
+      <Card>
+        {farmProfile.livestock.map(animal => (
+          <ListRow
+            key={animal.id}
+            title={animal.type}
+            subtitle={Number.isFinite(animal.count) ? t('farm.head', { count: animal.count }) : undefined}
+            left={<AppIcon name="paw" size={20} color={theme.warning} />}
+            onPress={() => startEditing(KIND.LIVESTOCK, animal)}
+            divider
+            paddingHorizontal={SPACING.md}
+          />
+        ))}
+        <ListRow
+          title={t('farm.addLivestock')}
+          titleColor={theme.accent}
+          left={<AppIcon name="plus" size={20} color={theme.accent} />}
+          onPress={() => startEditing(KIND.LIVESTOCK)}
+          showChevron={false}
+          paddingHorizontal={SPACING.md}
+        />
+      </Card>
+    </ScrollView>
+  );
+
+  const editorTitle = editing && (editing.kind === KIND.PLOT
+    ? (editing.isNew ? t('farm.addPlot') : t('farm.editPlot'))
+    : (editing.isNew ? t('farm.addLivestock') : t('farm.editLivestock')));
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScreenHeader
+        title={editorTitle || t('farm.title')}
+        left={
+          <IconButton
+            icon={editing ? 'close' : 'arrow-back'}
+            onPress={() => (editing ? setEditing(null) : navigation.goBack())}
+            backgroundColor="transparent"
+            color={theme.text}
+            accessibilityLabel={editing ? t('common.cancel') : t('common.back')}
+          />
+        }
+      />
+      {editing ? renderEditor() : renderLists()}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: SPACING['3xl'],
+  },
+  sectionTitle: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+    letterSpacing: 0.5,
+    textTransform: 'uppercase',
+    marginTop: SPACING.lg,
+    marginBottom: SPACING.sm,
+  },
+  formCard: {
+    padding: SPACING.md,
+    gap: SPACING.md,
+  },
+  field: {
+    gap: SPACING.xs,
+  },
+  fieldLabel: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+    letterSpacing: 0.5,
+    textTransform: 'uppercase',
+  },
+  input: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 8,
+  },
+  inlineRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+  },
+  flex: {
+    flex: 1,
+  },
+  toggle: {
+    flexDirection: 'row',
+    padding: 4,
+    borderRadius: 10,
+  },
+  toggleOption: {
+    paddingVertical: 6,
+    paddingHorizontal: SPACING.sm,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  toggleText: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+  },
+  saveButton: {
+    marginTop: SPACING.lg,
+  },
+  secondaryButton: {
+    marginTop: SPACING.sm,
+  },
+  text: {
+    fontSize: TYPOGRAPHY.sizes.base,
+  },
+  subtle: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+  },
+});
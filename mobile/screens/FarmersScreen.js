@@ -0,0 +1,303 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  Alert,
+} from 'react-native';
+import * as Haptics from 'expo-haptics';
+import { useApp } from '../contexts/AppContext';
+import { useToast } from '../contexts/ToastContext';
+import { getLocationLabel } from '../utils/location';
+import { describeFarmer } from '../utils/farmers';
+import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import ScreenHeader from '../components/ui/ScreenHeader';
+import IconButton from '../components/ui/IconButton';
+import Card from '../components/ui/Card';
+import ListRow from '../components/ui/ListRow';
+import AppIcon from '../components/ui/AppIcon';
+import Button from '../components/ui/Button';
+import { t } from '../constants/strings';
+
+/**
+ * Farmer roster (officer mode) - the farmers advised from this phone, each with
+ * their own language, location and conversations
+ */
+export default function FarmersScreen({ navigation, route }) {
+  const {
+    theme,
+    language,
+    farmers,
+    activeFarmer,
+    addFarmer,
+    updateFarmer,
+    removeFarmer,
+    switchFarmer,
+  } = useApp();
+  const { showSuccess, showError } = useToast();
+
+  // Farmer being added or edited: { id?, name, language, location, locationDetails }
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Language and location chosen on the picker screens
+  const pickedLanguage = route?.params?.pickedLanguage;
+  useEffect(() => {
+    if (!pickedLanguage) return;
+    navigation.setParams({ pickedLanguage: undefined });
+    setEditing(prev => (prev ? { ...prev, language: pickedLanguage } : prev));
+  }, [pickedLanguage]);
+
+  const pickedLocation = route?.params?.pickedLocation;
+  useEffect(() => {
+    if (!pickedLocation) return;
+    navigation.setParams({ pickedLocation: undefined });
+    const { details, ...coords } = pickedLocation;
+    setEditing(prev => (prev ? { ...prev, location: coords, locationDetails: details || null } : prev));
+  }, [pickedLocation]);
+
+  const handleSwitch = async (farmer) => {
+    if ((farmer?.id || null) === (activeFarmer?.id || null)) return;
+    Haptics.selectionAsync();
+    await switchFarmer(farmer?.id || null);
+    showSuccess(farmer ? t('farmers.switched', { name: farmer.name }) : t('farmers.switchedOwn'));
+  };
+
+  const handleSave = async () => {
+    if (!editing.name.trim()) {
+      showError(t('farmers.nameRequired'));
+      return;
+    }
+    setIsSaving(true);
+    try {
+      if (editing.id) {
+        await updateFarmer(editing.id, editing);
+      } else {
+        const farmer = await addFarmer(editing);
+        await switchFarmer(farmer.id);
+        showSuccess(t('farmers.added', { name: farmer.name }));
+      }
+      setEditing(null);
+    } catch (error) {
+      console.log('❌ [Farmers] Save error:', error);
+      showError(t('farmers.saveFailed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      t('farmers.deleteTitle'),
+      t('farmers.deleteMessage', { name: editing.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            await removeFarmer(editing.id);
+            setEditing(null);
+          },
+        },
+      ]
+    );
+  };
+
+  const renderEditor = () => {
+    const placeLabel = editing.location ? getLocationLabel(editing.locationDetails, editing.location) : null;
+    return (
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Card style={styles.formCard}>
+          <View style={styles.field}>
+            <Text style={[styles.fieldLabel, { color: theme.textMuted }]}>{t('farmers.name')}</Text>
+            <TextInput
+              style={[styles.input, { color: theme.text, borderColor: theme.inputBorder }]}
+              value={editing.name}
+              onChangeText={(name) => setEditing(prev => ({ ...prev, name }))}
+              placeholder={t('farmers.namePlaceholder')}
+              placeholderTextColor={theme.textMuted}
+              accessibilityLabel={t('farmers.name')}
+              autoFocus={!editing.id}
+            />
+          </View>
+
+          <View style={styles.field}>
+            <Text style={[styles.fieldLabel, { color: theme.textMuted }]}>{t('farmers.language')}</Text>
+            <Button
+              title={editing.language?.name || t('farmers.chooseLanguage')}
+              variant="tonal"
+              left={<AppIcon name="language" size={18} color={theme.accent} />}
+              onPress={() => navigation.navigate('LanguageSelect', { target: 'farmer', selectedCode: editing.language?.code })}
+            />
+          </View>
+
+          <View style={styles.field}>
+            <Text style={[styles.fieldLabel, { color: theme.textMuted }]}>{t('farmers.location')}</Text>
+            <View style={styles.inlineRow}>
+              <AppIcon name="location" size={18} color={placeLabel ? theme.accent : theme.textMuted} />
+              <Text style={[styles.text, styles.flex, { color: placeLabel ? theme.text : theme.textMuted }]} numberOfLines={2}>
+                {placeLabel || t('farmers.noLocation')}
+              </Text>
+            </View>
+            <Button
+              title={t('savedLocations.chooseOnMap')}
+              variant="tonal"
+              left={<AppIcon name="map-pin" size={18} color={theme.accent} />}
+              onPress={() => navigation.navigate('LocationPicker', { target: 'farmer', initialLocation: editing.location })}
+            />
+          </View>
+        </Card>
+        <Button title={t('common.save')} onPress={handleSave} disabled={isSaving} style={styles.saveButton} />
+        {editing.id && (
+          <Button title={t('common.delete')} variant="danger" onPress={handleDelete} style={styles.secondaryButton} />
+        )}
+      </ScrollView>
+    );
+  };
+
+  const renderList = () => (
+    <ScrollView contentContainerStyle={styles.content} showsVerticalScrollIndicator={false}>
+      <Text style={[styles.subtle, { color: theme.textMuted }]}>{t('farmers.intro')}</Text>
+
+      <Card style={styles.listCard}>
+        <ListRow
+          title={t('farmers.ownChats')}
+          subtitle={t('farmers.ownChatsSubtitle')}
+          left={
+            <AppIcon
+              name={activeFarmer ? 'user' : 'check-circle'}
+              size={20}
+              color={activeFarmer ? theme.textMuted : theme.success}
+            />
+          }
+          showChevron={false}
+          onPress={() => handleSwitch(null)}
+          divider
+          paddingHorizontal={SPACING.md}
+          accessibilityLabel={activeFarmer ? t('farmers.ownChats') : t('farmers.activeLabel', { name: t('farmers.ownChats') })}
+        />
+        {farmers.map(farmer => {
+          const isActive = farmer.id === activeFarmer?.id;
+          return (
+            <ListRow
+              key={farmer.id}
+              title={farmer.name}
+              subtitle={describeFarmer(farmer) || undefined}
+              left={
+                <AppIcon
+                  name={isActive ? 'check-circle' : 'user'}
+                  size={20}
+                  color={isActive ? theme.success : theme.textMuted}
+                />
+              }
+              right={
+                <IconButton
+                  icon="edit-2"
+                  onPress={() => setEditing({
+                    id: farmer.id,
+                    name: farmer.name,
+                    language: farmer.language,
+                    location: farmer.location,
+                    locationDetails: farmer.locationDetails,
+                  })}
+                  size={32}
+                  backgroundColor="transparent"
+                  color={theme.textSecondary}
+                  accessibilityLabel={t('farmers.edit')}
+                />
+              }
+              showChevron={false}
+              onPress={() => handleSwitch(farmer)}
+              divider
+              paddingHorizontal={SPACING.md}
+              accessibilityLabel={isActive ? t('farmers.activeLabel', { name: farmer.name }) : farmer.name}
+            />
+          );
+        })}
+        <ListRow
+          title={t('farmers.add')}
+          titleColor={theme.accent}
+          left={<AppIcon name="plus" size={20} color={theme.accent} />}
+          onPress={() => setEditing({ name: '', language, location: null, locationDetails: null })}
+          showChevron={false}
+          paddingHorizontal={SPACING.md}
+        />
+      </Card>
+    </ScrollView>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScreenHeader
+        title={editing ? (editing.id ? t('farmers.edit') : t('farmers.add')) : t('farmers.title')}
+        left={
+          <IconButton
+            icon={editing ? 'close' : 'arrow-back'}
+            onPress={() => (editing ? setEditing(null) : navigation.goBack())}
+            backgroundColor="transparent"
+            color={theme.text}
+            accessibilityLabel={editing ? t('common.cancel') : t('common.back')}
+          />
+        }
+      />
+      {editing ? renderEditor() : renderList()}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: SPACING['3xl'],
+  },
+  listCard: {
+    marginTop: SPACING.lg,
+  },
+  formCard: {
+    padding: SPACING.md,
+    gap: SPACING.md,
+  },
+  field: {
+    gap: SPACING.xs,
+  },
+  fieldLabel: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+    letterSpacing: 0.5,
+    textTransform: 'uppercase',
+  },
+  input: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 8,
+  },
+  inlineRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    marginBottom: SPACING.xs,
+  },
+  flex: {
+    flex: 1,
+  },
+  saveButton: {
+    marginTop: SPACING.lg,
+  },
+  secondaryButton: {
+    marginTop: SPACING.sm,
+  },
+  text: {
+    fontSize: TYPOGRAPHY.sizes.base,
+  },
+  subtle: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+  },
+});
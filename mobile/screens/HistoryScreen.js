@@ -1,16 +1,24 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   FlatList,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
   ActivityIndicator,
   RefreshControl,
   Alert,
 } from 'react-native';
 import { useApp } from '../contexts/AppContext';
 import { useToast } from '../contexts/ToastContext';
-import { listSessions, deleteSession } from '../services/db';
+import { listSessions } from '../services/db';
+import { listLocalSessions, mergeRemoteSessions, deleteLocalSession, SYNC_STATUS } from '../services/localStore';
+import { syncPendingData } from '../services/sync';
+import { searchConversations, listSearchLanguages } from '../services/conversationSearch';
+import { exportArchive, exportDiagnosesCsv } from '../services/dataExport';
+import { LANGUAGES } from '../constants/languages';
 import { SPACING, TYPOGRAPHY } from '../constants/themes';
 import ScreenHeader from '../components/ui/ScreenHeader';
 import IconButton from '../components/ui/IconButton';
@@ -20,39 +28,106 @@ import AppIcon from '../components/ui/AppIcon';
 import Button from '../components/ui/Button';
 import { t } from '../constants/strings';
 
+// Date filter presets, in days back from now
+const DATE_RANGES = [
+  { key: 'week', days: 7 },
+  { key: 'month', days: 30 },
+  { key: 'year', days: 365 },
+];
+
+const SEARCH_DEBOUNCE_MS = 300;
+
 export default function HistoryScreen({ navigation }) {
-  const { theme, setCurrentSessionId, isDbSynced } = useApp();
+  const { theme, setCurrentSessionId, isDbSynced, officerMode, activeFarmer } = useApp();
+  // Officer mode shows one farmer's conversations (null: the officer's own); otherwise all
+  const farmerId = officerMode ? activeFarmer?.id || null : undefined;
   const { showSuccess, showError } = useToast();
   
   const [sessions, setSessions] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [isRefreshing, setIsRefreshing] = useState(false);
 
+  // Search: query plus filters; results are null when no search is active
+  const [query, setQuery] = useState('');
+  const [hasDiagnosis, setHasDiagnosis] = useState(false);
+  const [dateRange, setDateRange] = useState(null);
+  const [languageCode, setLanguageCode] = useState(null);
+  const [searchLanguages, setSearchLanguages] = useState([]);
+  const [searchResults, setSearchResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isLocalOnly, setIsLocalOnly] = useState(false);
+  const searchIdRef = useRef(0);
+  const [isExporting, setIsExporting] = useState(false);
+  const isSearchActive = query.trim().length > 0 || hasDiagnosis || !!dateRange || !!languageCode;
+
+  // Local store is the source of truth; server sessions are merged in when online
   const loadSessions = useCallback(async () => {
-    if (!isDbSynced) {
-      setIsLoading(false);
-      return;
-    }
-    
     try {
-      const result = await listSessions({ limit: 50 });
-      if (result.success) {
-        setSessions(result.sessions || []);
-      } else {
-        console.log('Failed to load sessions:', result.error);
+      setSessions(await listLocalSessions({ limit: 50, farmerId }));
+
+      if (isDbSynced) {
+        // The API client scopes the request to the active farmer (or the officer's own chats)
+        const result = await listSessions({ limit: 50 });
+        if (result.success) {
+          await mergeRemoteSessions(result.sessions || [], farmerId === undefined ? {} : { farmerId });
+          setSessions(await listLocalSessions({ limit: 50, farmerId }));
+        } else {
+          console.log('Failed to load server sessions:', result.error);
+        }
       }
+      setSearchLanguages(await listSearchLanguages({ farmerId }));
     } catch (error) {
       console.error('Load sessions error:', error);
     } finally {
       setIsLoading(false);
       setIsRefreshing(false);
     }
-  }, [isDbSynced]);
+  }, [isDbSynced, farmerId]);
 
   useEffect(() => {
     loadSessions();
   }, [loadSessions]);
 
+  // Local index answers immediately; the server adds history not cached on this device
+  useEffect(() => {
+    if (!isSearchActive) {
+      setSearchResults(null);
+      return undefined;
+    }
+
+    const searchId = ++searchIdRef.current;
+    const timer = setTimeout(async () => {
+      const range = DATE_RANGES.find(r => r.key === dateRange);
+      const params = {
+        query,
+        hasDiagnosis,
+        languageCode,
+        farmerId,
+        from: range ? new Date(Date.now() - range.days * 24 * 60 * 60 * 1000) : null,
+      };
+      setIsSearching(true);
+      try {
+        const local = await searchConversations(params);
+        if (searchId !== searchIdRef.current) return;
+        setSearchResults(local.results);
+        setIsLocalOnly(false);
+
+        if (isDbSynced && query.trim()) {
+          const merged = await searchConversations({ ...params, includeServer: true });
+          if (searchId !== searchIdRef.current) return;
+          setSearchResults(merged.results);
+          setIsLocalOnly(!!merged.serverError);
+        }
+      } catch (error) {
+        console.error('Search error:', error);
+      } finally {
+        if (searchId === searchIdRef.current) setIsSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [isSearchActive, query, hasDiagnosis, dateRange, languageCode, isDbSynced, farmerId]);
+
   const handleRefresh = () => {
     setIsRefreshing(true);
     loadSessions();
@@ -63,11 +138,44 @@ export default function HistoryScreen({ navigation }) {
     navigation.navigate('Chat', { sessionId: session.id, sessionTitle: session.title });
   };
 
+  // Open the conversation scrolled to the matching message
+  const handleSelectMatch = (result, match) => {
+    setCurrentSessionId(result.sessionId);
+    navigation.navigate('Chat', {
+      sessionId: result.sessionId,
+      sessionTitle: result.title,
+      focusMessageId: match?.messageId,
+    });
+  };
+
   const handleNewChat = () => {
     setCurrentSessionId(null);
     navigation.navigate('Chat', { newSession: true });
   };
 
+  // Exports follow the farmer scope, like the list
+  const runExport = async (exporter) => {
+    setIsExporting(true);
+    try {
+      const result = await exporter({ farmerId });
+      if (!result.success) showError(result.error || t('export.failed'));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleExport = () => {
+    Alert.alert(
+      t('export.title'),
+      t('export.historyMessage'),
+      [
+        { text: t('export.archive'), onPress: () => runExport(exportArchive) },
+        { text: t('export.diagnosesCsv'), onPress: () => runExport(exportDiagnosesCsv) },
+        { text: t('common.cancel'), style: 'cancel' },
+      ]
+    );
+  };
+
   const handleDeleteSession = (session) => {
     Alert.alert(
       t('history.deleteTitle'),
@@ -79,13 +187,11 @@ export default function HistoryScreen({ navigation }) {
           style: 'destructive',
           onPress: async () => {
             try {
-              const result = await deleteSession(session.id);
-              if (result.success) {
-                setSessions(prev => prev.filter(s => s.id !== session.id));
-                showSuccess(t('history.deleted'));
-              } else {
-                showError(t('history.couldNotDelete'));
-              }
+              await deleteLocalSession(session.id);
+              setSessions(prev => prev.filter(s => s.id !== session.id));
+              showSuccess(t('history.deleted'));
+              // Server copy is removed by the sync engine
+              if (isDbSynced) syncPendingData();
             } catch (error) {
               showError(t('history.deleteFailed'));
             }
@@ -120,7 +226,7 @@ export default function HistoryScreen({ navigation }) {
     <Card style={styles.sessionCard}>
       <ListRow
         title={item.title || t('history.newConversation')}
-        subtitle={`${item.messageCount === 1 ? t('history.messageCountSingular') : t('history.messageCount', { count: item.messageCount || 0 })} • ${formatDate(item.lastMessageAt || item.createdAt)}`}
+        subtitle={`${item.messageCount === 1 ? t('history.messageCountSingular') : t('history.messageCount', { count: item.messageCount || 0 })} • ${formatDate(item.lastMessageAt || item.createdAt)}${item.syncStatus !== SYNC_STATUS.SYNCED ? ` • ${t('history.notSynced')}` : ''}`}
         left={
           <View style={styles.sessionIcon}>
             <AppIcon name="chatbubbles-outline" size={20} color={theme.accent} />
@@ -135,6 +241,74 @@ export default function HistoryScreen({ navigation }) {
     </Card>
   );
 
+  const renderResult = ({ item }) => (
+    <Card style={styles.sessionCard}>
+      <ListRow
+        title={item.title || t('history.newConversation')}
+        subtitle={formatDate(item.lastMessageAt)}
+        hint={item.hasDiagnosis ? t('history.filterDiagnosis') : undefined}
+        left={
+          <View style={styles.sessionIcon}>
+            <AppIcon name="chatbubbles-outline" size={20} color={theme.accent} />
+          </View>
+        }
+        onPress={() => handleSelectMatch(item, item.matches[0])}
+        divider={item.matches.length > 0}
+        paddingHorizontal={SPACING.md}
+        accessibilityLabel={`${t('history.title')}: ${item.title || t('history.newConversation')}`}
+      />
+      {item.matches.map((match, i) => (
+        <ListRow
+          key={match.messageId}
+          title={`${match.isBot ? t('history.answer') : t('history.question')} • ${formatDate(match.createdAt)}`}
+          titleColor={theme.textMuted}
+          subtitle={match.snippet}
+          subtitleColor={theme.text}
+          left={<AppIcon name={match.isBot ? 'leaf-outline' : 'person-outline'} size={18} color={theme.textMuted} />}
+          onPress={() => handleSelectMatch(item, match)}
+          divider={i < item.matches.length - 1}
+          paddingHorizontal={SPACING.md}
+          paddingVertical={SPACING.sm}
+          accessibilityLabel={t('a11y.openSearchResult', { title: item.title || t('history.newConversation') })}
+        />
+      ))}
+    </Card>
+  );
+
+  const renderNoResults = () => (
+    <View style={styles.emptyState}>
+      {isSearching ? (
+        <ActivityIndicator size="large" color={theme.accent} />
+      ) : (
+        <>
+          <AppIcon name="search-outline" size={48} color={theme.textMuted} />
+          <Text style={[styles.emptyTitle, { color: theme.text }]}>
+            {t('history.noResults')}
+          </Text>
+          <Text style={[styles.emptyText, { color: theme.textMuted }]}>
+            {t('history.noResultsHint')}
+          </Text>
+        </>
+      )}
+    </View>
+  );
+
+  const renderChip = (key, label, active, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        { borderColor: active ? theme.accent : theme.inputBorder },
+        active && { backgroundColor: theme.accent },
+      ]}
+      onPress={onPress}
+      accessibilityRole="button"
+      accessibilityState={{ selected: active }}
+    >
+      <Text style={[styles.chipText, { color: active ? '#FFFFFF' : theme.textSecondary }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
   const renderEmpty = () => (
     <View style={styles.emptyState}>
       <AppIcon name="chatbubbles-outline" size={64} color={theme.textMuted} />
@@ -159,6 +333,7 @@ export default function HistoryScreen({ navigation }) {
       {/* Header */}
       <ScreenHeader
         title={t('history.title')}
+        subtitle={officerMode ? (activeFarmer?.name || t('farmers.ownChats')) : undefined}
         left={
           <IconButton
             icon="arrow-back"
@@ -169,31 +344,99 @@ export default function HistoryScreen({ navigation }) {
           />
         }
         right={
+          <>
+            <IconButton
+              icon="share-outline"
+              onPress={handleExport}
+              loading={isExporting}
+              disabled={sessions.length === 0}
+              backgroundColor="transparent"
+              color={theme.text}
+              accessibilityLabel={t('a11y.exportData')}
+            />
+            <IconButton
+              icon="add"
+              onPress={handleNewChat}
+              backgroundColor="transparent"
+              color={theme.accent}
+              accessibilityLabel={t('history.newChat')}
+            />
+          </>
+        }
+      />
+
+      {/* Search */}
+      <View style={[styles.searchContainer, { backgroundColor: theme.inputBackground }]}>
+        <AppIcon name="search" size={20} color={theme.textMuted} />
+        <TextInput
+          style={[styles.searchInput, { color: theme.text }]}
+          placeholder={t('history.searchPlaceholder')}
+          placeholderTextColor={theme.textMuted}
+          value={query}
+          onChangeText={setQuery}
+          autoCapitalize="none"
+          autoCorrect={false}
+          returnKeyType="search"
+        />
+        {query.length > 0 && (
           <IconButton
-            icon="add"
-            onPress={handleNewChat}
+            icon="close-circle"
+            onPress={() => setQuery('')}
+            size={32}
+            borderRadius={0}
             backgroundColor="transparent"
-            color={theme.accent}
-            accessibilityLabel={t('history.newChat')}
+            color={theme.textMuted}
+            accessibilityLabel={t('a11y.clearSearch')}
           />
-        }
-      />
+        )}
+      </View>
+
+      {/* Filters */}
+      <View>
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.filterRow}
+          keyboardShouldPersistTaps="handled"
+        >
+          {renderChip('diagnosis', t('history.filterDiagnosis'), hasDiagnosis, () => setHasDiagnosis(prev => !prev))}
+          {DATE_RANGES.map(range => renderChip(
+            range.key,
+            t(`history.range.${range.key}`),
+            dateRange === range.key,
+            () => setDateRange(prev => (prev === range.key ? null : range.key))
+          ))}
+          {searchLanguages.length > 1 && searchLanguages.map(code => renderChip(
+            `lang_${code}`,
+            LANGUAGES.find(l => l.code === code)?.name || code,
+            languageCode === code,
+            () => setLanguageCode(prev => (prev === code ? null : code))
+          ))}
+        </ScrollView>
+      </View>
+
+      {isSearchActive && isLocalOnly && (
+        <Text style={[styles.searchNote, { color: theme.textMuted }]}>{t('history.localResultsOnly')}</Text>
+      )}
 
       {/* Content */}
-      {isLoading ? (
+      {isSearchActive ? (
+        <FlatList
+          data={searchResults || []}
+          renderItem={renderResult}
+          keyExtractor={(item) => item.sessionId}
+          contentContainerStyle={[
+            styles.listContent,
+            !searchResults?.length && styles.emptyListContent,
+          ]}
+          keyboardShouldPersistTaps="handled"
+          ListEmptyComponent={renderNoResults}
+          showsVerticalScrollIndicator={false}
+        />
+      ) : isLoading ? (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={theme.accent} />
         </View>
-      ) : !isDbSynced ? (
-        <View style={styles.emptyState}>
-          <AppIcon name="cloud-offline-outline" size={64} color={theme.textMuted} />
-          <Text style={[styles.emptyTitle, { color: theme.text }]}>
-            {t('history.notConnectedTitle')}
-          </Text>
-          <Text style={[styles.emptyText, { color: theme.textMuted }]}>
-            {t('history.notConnectedHint')}
-          </Text>
-        </View>
       ) : (
         <FlatList
           data={sessions}
@@ -227,6 +470,40 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderRadius: 16,
+    gap: 12,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: TYPOGRAPHY.sizes.base,
+    padding: 0,
+  },
+  filterRow: {
+    paddingHorizontal: 16,
+    paddingTop: SPACING.sm,
+    gap: SPACING.sm,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+  },
+  searchNote: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    marginHorizontal: 16,
+    marginTop: SPACING.sm,
+  },
   listContent: {
     padding: 16,
   },
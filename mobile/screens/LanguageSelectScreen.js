@@ -17,8 +17,16 @@ import IconButton from '../components/ui/IconButton';
 import AppIcon from '../components/ui/AppIcon';
 import { t } from '../constants/strings';
 
-export default function LanguageSelectScreen({ navigation }) {
-  const { theme, language, setLanguage } = useApp();
+/**
+ * Language picker
+ * Route params:
+ *   target: 'app' (default) | 'farmer' - a farmer's language is handed back to the Farmers screen
+ *   selectedCode: language shown as selected when picking for a farmer
+ */
+export default function LanguageSelectScreen({ navigation, route }) {
+  const { theme, language: appLanguage, setLanguage } = useApp();
+  const target = route?.params?.target || 'app';
+  const language = target === 'farmer' ? { code: route?.params?.selectedCode } : appLanguage;
   const [searchQuery, setSearchQuery] = useState('');
   const rippleColor = theme.name === 'dark' ? 'rgba(255,255,255,0.10)' : 'rgba(0,0,0,0.08)';
 
@@ -31,6 +39,10 @@ export default function LanguageSelectScreen({ navigation }) {
   }, [searchQuery]);
 
   const handleSelectLanguage = async (lang) => {
+    if (target === 'farmer') {
+      navigation.popTo('Farmers', { pickedLanguage: lang }, { merge: true });
+      return;
+    }
     await setLanguage(lang);
     navigation.goBack();
   };
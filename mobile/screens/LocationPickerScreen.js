@@ -0,0 +1,409 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  FlatList,
+  Pressable,
+  Keyboard,
+  ActivityIndicator,
+} from 'react-native';
+import MapView, { Marker } from 'react-native-maps';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import * as Haptics from 'expo-haptics';
+import * as Location from 'expo-location';
+import { useApp } from '../contexts/AppContext';
+import { useToast } from '../contexts/ToastContext';
+import { lookupLocation, searchLocations } from '../services/db';
+import { normalizeLocationDetails, basicLocationDetails, getLocationLabel } from '../utils/location';
+import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import ScreenHeader from '../components/ui/ScreenHeader';
+import IconButton from '../components/ui/IconButton';
+import Button from '../components/ui/Button';
+import AppIcon from '../components/ui/AppIcon';
+import { t } from '../constants/strings';
+
+const SEARCH_DEBOUNCE_MS = 400;
+const REVERSE_DEBOUNCE_MS = 600;
+const MIN_QUERY_LENGTH = 3;
+const ZOOMED_IN_DELTA = 0.05;
+// Whole-continent view when we have nothing to start from
+const WORLD_REGION = { latitude: 5, longitude: 25, latitudeDelta: 60, longitudeDelta: 60 };
+
+// 0,0 is the "no location" fallback from onboarding, not a real farm
+const isUsable = (loc) => Number.isFinite(loc?.latitude) && Number.isFinite(loc?.longitude) &&
+  !(loc.latitude === 0 && loc.longitude === 0);
+
+// Targets that hand the picked location back instead of setting the app location
+const PICK_TARGET_SCREENS = { session: 'Chat', saved: 'SavedLocations', farmer: 'Farmers' };
+
+/**
+ * Location picker - search a place or drag the pin, then confirm
+ * Route params:
+ *   target: 'app' (default) | 'onboarding' | 'session' | 'saved' | 'farmer'
+ *   initialLocation: { latitude, longitude } to start from (defaults to the app location)
+ */
+export default function LocationPickerScreen({ navigation, route }) {
+  const { theme, location, setLocation } = useApp();
+  const { showError } = useToast();
+  const insets = useSafeAreaInsets();
+  const mapRef = useRef(null);
+
+  const target = route?.params?.target || 'app';
+  const startLocation = isUsable(route?.params?.initialLocation)
+    ? route.params.initialLocation
+    : (isUsable(location) ? location : null);
+
+  const [pin, setPin] = useState(startLocation);
+  const [pinDetails, setPinDetails] = useState(null);
+  const [isLookingUp, setIsLookingUp] = useState(false);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isLocating, setIsLocating] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const skipLookupRef = useRef(false); // Search results already come with details
+
+  // Reverse-geocode the pin once it stops moving
+  useEffect(() => {
+    if (!pin) return;
+    if (skipLookupRef.current) {
+      skipLookupRef.current = false;
+      return;
+    }
+    let cancelled = false;
+    setIsLookingUp(true);
+    const timer = setTimeout(async () => {
+      const result = await lookupLocation(pin.latitude, pin.longitude);
+      if (cancelled) return;
+      setPinDetails(normalizeLocationDetails(result) || basicLocationDetails(pin.latitude, pin.longitude));
+      setIsLookingUp(false);
+    }, REVERSE_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [pin]);
+
+  // Forward-geocode the search box
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setIsSearching(false);
+      return;
+    }
+    let cancelled = false;
+    setIsSearching(true);
+    const timer = setTimeout(async () => {
+      const result = await searchLocations(trimmed, { near: pin || startLocation });
+      if (cancelled) return;
+      setResults(result.results.filter(isUsable));
+      setIsSearching(false);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const movePin = (coords, details = null) => {
+    if (details) skipLookupRef.current = true;
+    setPin(coords);
+    setPinDetails(details);
+    mapRef.current?.animateToRegion({
+      ...coords,
+      latitudeDelta: ZOOMED_IN_DELTA,
+      longitudeDelta: ZOOMED_IN_DELTA,
+    }, 400);
+  };
+
+  const handleSelectResult = (result) => {
+    Haptics.selectionAsync();
+    Keyboard.dismiss();
+    setQuery('');
+    setResults([]);
+    const coords = { latitude: result.latitude, longitude: result.longitude };
+    movePin(coords, normalizeLocationDetails({ success: true, ...result }));
+  };
+
+  const handleMapPress = (event) => {
+    Keyboard.dismiss();
+    setPin(event.nativeEvent.coordinate);
+  };
+
+  const handleUseGps = async () => {
+    setIsLocating(true);
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        showError(t('locationPicker.gpsUnavailable'));
+        return;
+      }
+      let loc = await Location.getLastKnownPositionAsync();
+      if (!loc?.coords) {
+        loc = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+      }
+      if (loc?.coords) {
+        movePin({ latitude: loc.coords.latitude, longitude: loc.coords.longitude });
+      } else {
+        showError(t('locationPicker.gpsUnavailable'));
+      }
+    } catch (error) {
+      console.log('❌ [LocationPicker] GPS error:', error.message);
+      showError(t('locationPicker.gpsUnavailable'));
+    } finally {
+      setIsLocating(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (!pin) return;
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    const coords = { latitude: pin.latitude, longitude: pin.longitude };
+    console.log('📍 [LocationPicker] Confirmed', target, 'location:', coords);
+
+    // ChatScreen pins it to the open conversation; SavedLocations names it; Farmers gives it to a farmer
+    if (PICK_TARGET_SCREENS[target]) {
+      const screen = PICK_TARGET_SCREENS[target];
+      navigation.popTo(screen, { pickedLocation: { ...coords, details: pinDetails } }, { merge: true });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await setLocation(coords, 'granted');
+      if (target === 'onboarding') {
+        navigation.navigate('Language');
+      } else {
+        navigation.goBack();
+      }
+    } catch (error) {
+      showError(t('locationPicker.saveFailed'));
+      setIsSaving(false);
+    }
+  };
+
+  const renderResult = ({ item }) => (
+    <Pressable
+      onPress={() => handleSelectResult(item)}
+      style={({ pressed }) => [styles.resultRow, pressed && { backgroundColor: theme.surfaceVariant }]}
+      accessibilityRole="button"
+      accessibilityLabel={item.displayName}
+    >
+      <AppIcon name="map-pin" size={16} color={theme.textMuted} />
+      <Text style={[styles.resultText, { color: theme.text }]} numberOfLines={2}>
+        {item.displayName}
+      </Text>
+    </Pressable>
+  );
+
+  const showResults = query.trim().length >= MIN_QUERY_LENGTH;
+  const pinLabel = pin ? getLocationLabel(pinDetails, pin) : null;
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScreenHeader
+        title={t('locationPicker.title')}
+        left={
+          <IconButton
+            icon="arrow-back"
+            onPress={() => navigation.goBack()}
+            backgroundColor="transparent"
+            color={theme.text}
+            accessibilityLabel={t('common.back')}
+          />
+        }
+        right={<View />}
+      />
+
+      {/* Search */}
+      <View style={[styles.searchContainer, { backgroundColor: theme.inputBackground }]}>
+        <AppIcon name="search" size={20} color={theme.textMuted} />
+        <TextInput
+          style={[styles.searchInput, { color: theme.text }]}
+          placeholder={t('locationPicker.searchPlaceholder')}
+          placeholderTextColor={theme.textMuted}
+          value={query}
+          onChangeText={setQuery}
+          autoCorrect={false}
+          returnKeyType="search"
+        />
+        {isSearching ? (
+          <ActivityIndicator size="small" color={theme.textMuted} />
+        ) : query.length > 0 && (
+          <IconButton
+            icon="close-circle"
+            onPress={() => setQuery('')}
+            size={32}
+            borderRadius={0}
+            backgroundColor="transparent"
+            color={theme.textMuted}
+            accessibilityLabel={t('a11y.clearSearch')}
+          />
+        )}
+      </View>
+
+      <View style={styles.mapContainer}>
+        <MapView
+          ref={mapRef}
+          style={StyleSheet.absoluteFill}
+          initialRegion={startLocation
+            ? { ...startLocation, latitudeDelta: ZOOMED_IN_DELTA, longitudeDelta: ZOOMED_IN_DELTA }
+            : WORLD_REGION}
+          onPress={handleMapPress}
+          showsUserLocation
+          showsMyLocationButton={false}
+          toolbarEnabled={false}
+        >
+          {pin && (
+            <Marker
+              coordinate={pin}
+              draggable
+              onDragEnd={(event) => setPin(event.nativeEvent.coordinate)}
+              pinColor={theme.accent}
+            />
+          )}
+        </MapView>
+
+        <IconButton
+          icon="navigate"
+          onPress={handleUseGps}
+          loading={isLocating}
+          size={44}
+          backgroundColor={theme.surfaceElevated}
+          color={theme.accent}
+          style={styles.gpsButton}
+          accessibilityLabel={t('locationPicker.useGps')}
+        />
+
+        {showResults && (
+          <View style={[styles.resultsCard, { backgroundColor: theme.surfaceElevated }]}>
+            <FlatList
+              data={results}
+              renderItem={renderResult}
+              keyExtractor={(item, index) => `${item.latitude},${item.longitude},${index}`}
+              keyboardShouldPersistTaps="handled"
+              ListEmptyComponent={!isSearching && (
+                <Text style={[styles.emptyText, { color: theme.textMuted }]}>
+                  {t('locationPicker.noResults')}
+                </Text>
+              )}
+            />
+          </View>
+        )}
+      </View>
+
+      {/* Selected place */}
+      <View style={[styles.footer, { paddingBottom: Math.max(insets.bottom + 16, 24) }]}>
+        <View style={styles.selection}>
+          <AppIcon name="location" size={20} color={theme.accent} />
+          <View style={styles.selectionText}>
+            <Text style={[styles.selectionTitle, { color: theme.text }]} numberOfLines={2}>
+              {!pin
+                ? t('locationPicker.dropPinHint')
+                : isLookingUp ? t('locationPicker.lookingUp') : pinLabel}
+            </Text>
+            {pin && (
+              <Text style={[styles.selectionCoords, { color: theme.textMuted }]}>
+                {pin.latitude.toFixed(5)}, {pin.longitude.toFixed(5)} • {t('locationPicker.dragHint')}
+              </Text>
+            )}
+          </View>
+        </View>
+        <Button
+          title={t('locationPicker.confirm')}
+          onPress={handleConfirm}
+          disabled={!pin || isSaving}
+          left={<AppIcon name="check" size={18} color="#FFFFFF" />}
+        />
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderRadius: 16,
+    gap: 12,
+    marginBottom: 8,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: TYPOGRAPHY.sizes.base,
+    padding: 0,
+  },
+  mapContainer: {
+    flex: 1,
+  },
+  gpsButton: {
+    position: 'absolute',
+    right: SPACING.lg,
+    bottom: SPACING.lg,
+    elevation: 3,
+    shadowColor: '#000',
+    shadowOpacity: 0.15,
+    shadowRadius: 4,
+    shadowOffset: { width: 0, height: 2 },
+  },
+  resultsCard: {
+    position: 'absolute',
+    top: 0,
+    left: 16,
+    right: 16,
+    maxHeight: 280,
+    borderRadius: 12,
+    paddingVertical: SPACING.xs,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOpacity: 0.15,
+    shadowRadius: 6,
+    shadowOffset: { width: 0, height: 2 },
+  },
+  resultRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    paddingHorizontal: SPACING.md,
+    paddingVertical: 10,
+  },
+  resultText: {
+    flex: 1,
+    fontSize: TYPOGRAPHY.sizes.sm,
+  },
+  emptyText: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+    textAlign: 'center',
+    paddingVertical: SPACING.md,
+  },
+  footer: {
+    paddingHorizontal: SPACING.lg,
+    paddingTop: SPACING.md,
+    gap: SPACING.md,
+  },
+  selection: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.md,
+  },
+  selectionText: {
+    flex: 1,
+  },
+  selectionTitle: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+  },
+  selectionCoords: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    marginTop: 2,
+  },
+});
@@ -198,6 +198,15 @@ export default function LocationScreen({ navigation }) {
           style={styles.primaryButton}
         />
 
+        <Button
+          title={t('onboarding.chooseOnMap')}
+          onPress={() => navigation.navigate('LocationPicker', { target: 'onboarding' })}
+          variant="tonal"
+          disabled={isLoading}
+          left={<AppIcon name="map-pin" size={20} color={theme.accent} />}
+          style={styles.secondaryButton}
+        />
+
         <Button
           title={t('common.skipForNow')}
           onPress={skipLocation}
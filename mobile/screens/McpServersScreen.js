@@ -12,6 +12,7 @@ import { useApp } from '../contexts/AppContext';
 import { useToast } from '../contexts/ToastContext';
 import { SPACING, TYPOGRAPHY } from '../constants/themes';
 import api from '../services/api';
+import { describeRegions } from '../utils/location';
 import ScreenHeader from '../components/ui/ScreenHeader';
 import IconButton from '../components/ui/IconButton';
 import Card from '../components/ui/Card';
@@ -19,17 +20,7 @@ import ListRow from '../components/ui/ListRow';
 import AppIcon from '../components/ui/AppIcon';
 import Button from '../components/ui/Button';
 import { t } from '../constants/strings';
-
-// Internal servers that should be hidden from users
-const INTERNAL_SERVERS = [
-  'content',
-  'intent-classification',
-  'profile-memory',
-  'tips',
-  'user-preferences',
-  'guardrails',
-  'entity-extraction',
-];
+import { INTERNAL_SERVERS, SERVER_INFO } from '../constants/mcpServers';
 
 // Service category configuration - labels use string keys
 const SERVICE_CATEGORIES = {
@@ -65,54 +56,6 @@ const SERVICE_CATEGORIES = {
   },
 };
 
-// Server display info - uses string keys for localization
-const SERVER_INFO = {
-  'agrivision': {
-    stringKey: 'mcp.services.agrivision',
-    icon: 'leaf-circle',
-  },
-  'isda-soil': {
-    stringKey: 'mcp.services.isdaSoil',
-    icon: 'terrain',
-  },
-  'accuweather': {
-    stringKey: 'mcp.services.accuweather',
-    icon: 'weather-partly-cloudy',
-  },
-  'gap-weather': {
-    stringKey: 'mcp.services.gapWeather',
-    icon: 'weather-lightning-rainy',
-  },
-  'edacap': {
-    stringKey: 'mcp.services.edacap',
-    icon: 'weather-cloudy-arrow-right',
-  },
-  'weatherapi': {
-    stringKey: 'mcp.services.weatherapi',
-    icon: 'weather-sunny',
-  },
-  'tomorrow-io': {
-    stringKey: 'mcp.services.tomorrowIo',
-    icon: 'cloud-sync',
-  },
-  'feed-formulation': {
-    stringKey: 'mcp.services.feedFormulation',
-    icon: 'cow',
-  },
-  'nextgen': {
-    stringKey: 'mcp.services.nextgen',
-    icon: 'flask-outline',
-  },
-  'decision-tree': {
-    stringKey: 'mcp.services.decisionTree',
-    icon: 'source-branch',
-  },
-  'gap-agriculture': {
-    stringKey: 'mcp.services.gapAgriculture',
-    icon: 'sprout',
-  },
-};
-
 function ServiceCard({ server, theme, onPress }) {
   const isActive = server.displayStatus === 'active';
   const serverInfo = SERVER_INFO[server.slug];
@@ -182,7 +125,7 @@ function CategorySection({ category, servers, theme, onServerPress }) {
 }
 
 export default function McpServersScreen({ navigation }) {
-  const { theme, location, locationDetails } = useApp();
+  const { theme, location, locationDetails, regions } = useApp();
   const { showError } = useToast();
 
   const [loading, setLoading] = useState(true);
@@ -309,6 +252,11 @@ export default function McpServersScreen({ navigation }) {
                   (location ? `${location.latitude.toFixed(2)}, ${location.longitude.toFixed(2)}` : t('mcp.locationNotSet'))}
               </Text>
             </View>
+            {describeRegions(regions) ? (
+              <Text style={[styles.summaryText, { color: theme.textMuted }]} numberOfLines={2}>
+                {t('mcp.detectedRegions', { regions: describeRegions(regions) })}
+              </Text>
+            ) : null}
             <Text style={[styles.summaryText, { color: theme.textMuted }]}>
               {t('mcp.servicesAvailable', { active: activeCount, total: visibleServers.length })}
             </Text>
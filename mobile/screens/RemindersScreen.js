@@ -0,0 +1,314 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SectionList,
+  ActivityIndicator,
+  RefreshControl,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import * as Haptics from 'expo-haptics';
+import { useApp } from '../contexts/AppContext';
+import { useToast } from '../contexts/ToastContext';
+import {
+  listReminders,
+  completeReminder,
+  reopenReminder,
+  snoozeReminder,
+  deleteReminders,
+  getSnoozeTime,
+  REMINDER_SOURCES,
+} from '../services/reminders';
+import { setPlanStepDone } from '../services/treatmentPlans';
+import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import ScreenHeader from '../components/ui/ScreenHeader';
+import IconButton from '../components/ui/IconButton';
+import Card from '../components/ui/Card';
+import ListRow from '../components/ui/ListRow';
+import AppIcon from '../components/ui/AppIcon';
+import { t } from '../constants/strings';
+
+const SOURCE_ICONS = {
+  [REMINDER_SOURCES.CHAT]: 'chatbubbles-outline',
+  [REMINDER_SOURCES.TREATMENT_PLAN]: 'flask',
+  [REMINDER_SOURCES.PLANTING]: 'seedling',
+};
+
+const formatDue = (dateString) => {
+  const date = new Date(dateString);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `${date.getDate()}/${date.getMonth() + 1}/${date.getFullYear()} ${time}`;
+};
+
+/**
+ * Reminders - everything scheduled from chat answers, treatment plans and planting advice
+ */
+export default function RemindersScreen({ navigation }) {
+  const { theme, setCurrentSessionId } = useApp();
+  const { showSuccess, showError } = useToast();
+
+  const [reminders, setReminders] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  const loadReminders = useCallback(async () => {
+    try {
+      setReminders(await listReminders());
+    } catch (error) {
+      console.error('Load reminders error:', error);
+    } finally {
+      setIsLoading(false);
+      setIsRefreshing(false);
+    }
+  }, []);
+
+  // Reload on focus - plan steps ticked on the plan screen change reminders too
+  useFocusEffect(
+    useCallback(() => {
+      loadReminders();
+    }, [loadReminders])
+  );
+
+  const handleRefresh = () => {
+    setIsRefreshing(true);
+    loadReminders();
+  };
+
+  const sections = useMemo(() => {
+    const now = new Date();
+    const overdue = reminders.filter(r => !r.done && new Date(r.dueAt) <= now);
+    const upcoming = reminders.filter(r => !r.done && new Date(r.dueAt) > now);
+    const done = reminders.filter(r => r.done).reverse();
+    return [
+      { key: 'overdue', title: t('reminders.overdue'), data: overdue },
+      { key: 'upcoming', title: t('reminders.upcoming'), data: upcoming },
+      { key: 'done', title: t('reminders.done'), data: done },
+    ].filter(section => section.data.length > 0);
+  }, [reminders]);
+
+  // Plan reminders go through the plan so its checklist stays in step
+  const handleToggleDone = async (reminder) => {
+    Haptics.selectionAsync();
+    try {
+      if (reminder.planId && reminder.stepId) {
+        await setPlanStepDone(reminder.planId, reminder.stepId, !reminder.done);
+      } else {
+        await (reminder.done ? reopenReminder : completeReminder)(reminder.id);
+      }
+      await loadReminders();
+    } catch (error) {
+      showError(t('reminders.updateFailed'));
+    }
+  };
+
+  const handleSnooze = (reminder) => {
+    const snooze = async (option) => {
+      try {
+        const updated = await snoozeReminder(reminder.id, getSnoozeTime(option));
+        showSuccess(t('reminders.snoozed', { date: formatDue(updated.dueAt) }));
+        await loadReminders();
+      } catch (error) {
+        showError(t('reminders.updateFailed'));
+      }
+    };
+
+    // Android alerts show at most three buttons
+    Alert.alert(
+      t('reminders.snoozeTitle'),
+      reminder.title,
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('reminders.snoozeHour'), onPress: () => snooze('hour') },
+        { text: t('reminders.snoozeTomorrow'), onPress: () => snooze('tomorrow') },
+      ]
+    );
+  };
+
+  const handleDelete = (reminder) => {
+    // Plan steps are removed with their plan
+    if (reminder.planId) return;
+    Alert.alert(
+      t('reminders.deleteTitle'),
+      reminder.title,
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteReminders([reminder.id]);
+              setReminders(prev => prev.filter(r => r.id !== reminder.id));
+            } catch (error) {
+              showError(t('reminders.updateFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleOpen = (reminder) => {
+    if (reminder.planId) {
+      navigation.navigate('TreatmentPlan', { planId: reminder.planId });
+    } else if (reminder.sessionId) {
+      setCurrentSessionId(reminder.sessionId);
+      navigation.navigate('Chat', { sessionId: reminder.sessionId });
+    }
+  };
+
+  const renderReminder = ({ item, section }) => (
+    <Card style={styles.reminderCard}>
+      <ListRow
+        title={item.title}
+        subtitle={item.body || undefined}
+        hint={formatDue(item.dueAt)}
+        hintColor={section.key === 'overdue' ? theme.warning : theme.textMuted}
+        titleColor={item.done ? theme.textMuted : theme.text}
+        left={
+          <TouchableOpacity
+            onPress={() => handleToggleDone(item)}
+            accessibilityRole="checkbox"
+            accessibilityState={{ checked: item.done }}
+            accessibilityLabel={item.done ? t('reminders.markNotDone') : t('reminders.markDone')}
+            hitSlop={8}
+          >
+            <AppIcon name={item.done ? 'check-circle' : 'circle'} size={22} color={item.done ? theme.success : theme.textMuted} />
+          </TouchableOpacity>
+        }
+        right={
+          <View style={styles.rowActions}>
+            <AppIcon name={SOURCE_ICONS[item.source] || 'bell'} size={16} color={theme.textMuted} />
+            {!item.done && (
+              <IconButton
+                icon="clock"
+                onPress={() => handleSnooze(item)}
+                backgroundColor="transparent"
+                color={theme.textSecondary}
+                accessibilityLabel={t('reminders.snoozeTitle')}
+              />
+            )}
+          </View>
+        }
+        showChevron={false}
+        onPress={item.planId || item.sessionId ? () => handleOpen(item) : undefined}
+        onLongPress={item.planId ? undefined : () => handleDelete(item)}
+        paddingHorizontal={SPACING.md}
+        accessibilityLabel={`${item.title}, ${formatDue(item.dueAt)}`}
+      />
+    </Card>
+  );
+
+  const renderSectionHeader = ({ section }) => (
+    <Text style={[styles.sectionTitle, { color: section.key === 'overdue' ? theme.warning : theme.textMuted }]}>
+      {section.title.toUpperCase()} · {section.data.length}
+    </Text>
+  );
+
+  const renderEmpty = () => (
+    <View style={styles.emptyState}>
+      <AppIcon name="bell" size={64} color={theme.textMuted} />
+      <Text style={[styles.emptyTitle, { color: theme.text }]}>
+        {t('reminders.empty')}
+      </Text>
+      <Text style={[styles.emptyText, { color: theme.textMuted }]}>
+        {t('reminders.emptyHint')}
+      </Text>
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScreenHeader
+        title={t('reminders.title')}
+        left={
+          <IconButton
+            icon="arrow-back"
+            onPress={() => navigation.goBack()}
+            backgroundColor="transparent"
+            color={theme.text}
+            accessibilityLabel={t('common.back')}
+          />
+        }
+      />
+
+      {isLoading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={theme.accent} />
+        </View>
+      ) : (
+        <SectionList
+          sections={sections}
+          renderItem={renderReminder}
+          renderSectionHeader={renderSectionHeader}
+          keyExtractor={(item) => item.id}
+          stickySectionHeadersEnabled={false}
+          contentContainerStyle={[
+            styles.listContent,
+            sections.length === 0 && styles.emptyListContent,
+          ]}
+          refreshControl={
+            <RefreshControl
+              refreshing={isRefreshing}
+              onRefresh={handleRefresh}
+              tintColor={theme.accent}
+            />
+          }
+          ListEmptyComponent={renderEmpty}
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  listContent: {
+    padding: 16,
+  },
+  emptyListContent: {
+    flex: 1,
+  },
+  sectionTitle: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+    letterSpacing: 0.5,
+    marginTop: SPACING.md,
+    marginBottom: SPACING.sm,
+  },
+  reminderCard: {
+    marginBottom: SPACING.sm,
+  },
+  rowActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.xs,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: SPACING['3xl'],
+    gap: SPACING.md,
+  },
+  emptyTitle: {
+    fontSize: TYPOGRAPHY.sizes.lg,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+    textAlign: 'center',
+  },
+  emptyText: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,287 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  Alert,
+} from 'react-native';
+import * as Haptics from 'expo-haptics';
+import { useApp } from '../contexts/AppContext';
+import { useToast } from '../contexts/ToastContext';
+import { getLocationLabel, describeRegions } from '../utils/location';
+import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import ScreenHeader from '../components/ui/ScreenHeader';
+import IconButton from '../components/ui/IconButton';
+import Card from '../components/ui/Card';
+import ListRow from '../components/ui/ListRow';
+import AppIcon from '../components/ui/AppIcon';
+import Button from '../components/ui/Button';
+import { t } from '../constants/strings';
+
+/**
+ * Saved locations - named places (home, a field, the market town) to switch between
+ */
+export default function SavedLocationsScreen({ navigation, route }) {
+  const {
+    theme,
+    location,
+    locationDetails,
+    savedLocations,
+    activeSavedLocationId,
+    addSavedLocation,
+    renameSavedLocation,
+    removeSavedLocation,
+    switchToSavedLocation,
+  } = useApp();
+  const { showSuccess, showError } = useToast();
+
+  // Place being added or renamed: { id?, name, location, locationDetails }
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Location chosen on the map picker for a new place
+  const pickedLocation = route?.params?.pickedLocation;
+  useEffect(() => {
+    if (!pickedLocation) return;
+    navigation.setParams({ pickedLocation: undefined });
+    const { details, ...coords } = pickedLocation;
+    setEditing(prev => ({ name: prev?.name || '', location: coords, locationDetails: details || null }));
+  }, [pickedLocation]);
+
+  const hasAppLocation = Number.isFinite(location?.latitude) && Number.isFinite(location?.longitude) &&
+    !(location.latitude === 0 && location.longitude === 0);
+
+  const startAdding = () => {
+    setEditing({
+      name: '',
+      location: hasAppLocation ? location : null,
+      locationDetails: hasAppLocation ? locationDetails : null,
+    });
+  };
+
+  const handleSwitch = async (place) => {
+    if (place.id === activeSavedLocationId) return;
+    Haptics.selectionAsync();
+    if (await switchToSavedLocation(place.id)) {
+      showSuccess(t('savedLocations.switched', { name: place.name }));
+    }
+  };
+
+  const handleSave = async () => {
+    if (!editing.location) {
+      showError(t('savedLocations.locationRequired'));
+      return;
+    }
+    setIsSaving(true);
+    try {
+      if (editing.id) {
+        await renameSavedLocation(editing.id, editing.name);
+      } else {
+        const place = await addSavedLocation({
+          name: editing.name,
+          location: editing.location,
+          locationDetails: editing.locationDetails,
+        });
+        showSuccess(t('savedLocations.added', { name: place.name }));
+      }
+      setEditing(null);
+    } catch (error) {
+      console.log('❌ [SavedLocations] Save error:', error);
+      showError(t('savedLocations.saveFailed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      t('savedLocations.deleteTitle'),
+      editing.name,
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            await removeSavedLocation(editing.id);
+            setEditing(null);
+          },
+        },
+      ]
+    );
+  };
+
+  const renderEditor = () => {
+    const label = editing.location ? getLocationLabel(editing.locationDetails, editing.location) : null;
+    return (
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <Card style={styles.formCard}>
+          <View style={styles.field}>
+            <Text style={[styles.fieldLabel, { color: theme.textMuted }]}>{t('savedLocations.name')}</Text>
+            <TextInput
+              style={[styles.input, { color: theme.text, borderColor: theme.inputBorder }]}
+              value={editing.name}
+              onChangeText={(name) => setEditing(prev => ({ ...prev, name }))}
+              placeholder={t('savedLocations.namePlaceholder')}
+              placeholderTextColor={theme.textMuted}
+              accessibilityLabel={t('savedLocations.name')}
+              autoFocus
+            />
+          </View>
+
+          <View style={styles.field}>
+            <Text style={[styles.fieldLabel, { color: theme.textMuted }]}>{t('savedLocations.place')}</Text>
+            <View style={styles.inlineRow}>
+              <AppIcon name="location" size={18} color={label ? theme.accent : theme.textMuted} />
+              <Text style={[styles.text, styles.flex, { color: label ? theme.text : theme.textMuted }]} numberOfLines={2}>
+                {label || t('savedLocations.noPlace')}
+              </Text>
+            </View>
+            {!editing.id && (
+              <Button
+                title={t('savedLocations.chooseOnMap')}
+                variant="tonal"
+                left={<AppIcon name="map-pin" size={18} color={theme.accent} />}
+                onPress={() => navigation.navigate('LocationPicker', { target: 'saved', initialLocation: editing.location })}
+              />
+            )}
+          </View>
+        </Card>
+        <Button title={t('common.save')} onPress={handleSave} disabled={isSaving} style={styles.saveButton} />
+        {editing.id && (
+          <Button title={t('common.delete')} variant="danger" onPress={handleDelete} style={styles.secondaryButton} />
+        )}
+      </ScrollView>
+    );
+  };
+
+  const renderList = () => (
+    <ScrollView contentContainerStyle={styles.content} showsVerticalScrollIndicator={false}>
+      <Text style={[styles.subtle, { color: theme.textMuted }]}>{t('savedLocations.intro')}</Text>
+
+      <Card style={styles.listCard}>
+        {savedLocations.map(place => {
+          const isActive = place.id === activeSavedLocationId;
+          const regionsText = describeRegions(place.regions);
+          return (
+            <ListRow
+              key={place.id}
+              title={place.name}
+              subtitle={place.locationDetails?.displayName || undefined}
+              hint={regionsText || undefined}
+              left={
+                <AppIcon
+                  name={isActive ? 'check-circle' : 'map-pin'}
+                  size={20}
+                  color={isActive ? theme.success : theme.textMuted}
+                />
+              }
+              right={
+                <IconButton
+                  icon="edit-2"
+                  onPress={() => setEditing({
+                    id: place.id,
+                    name: place.name,
+                    location: { latitude: place.latitude, longitude: place.longitude },
+                    locationDetails: place.locationDetails,
+                  })}
+                  size={32}
+                  backgroundColor="transparent"
+                  color={theme.textSecondary}
+                  accessibilityLabel={t('savedLocations.edit')}
+                />
+              }
+              showChevron={false}
+              onPress={() => handleSwitch(place)}
+              divider
+              paddingHorizontal={SPACING.md}
+              accessibilityLabel={isActive ? t('savedLocations.activeLabel', { name: place.name }) : place.name}
+            />
+          );
+        })}
+        <ListRow
+          title={t('savedLocations.add')}
+          titleColor={theme.accent}
+          left={<AppIcon name="plus" size={20} color={theme.accent} />}
+          onPress={startAdding}
+          showChevron={false}
+          paddingHorizontal={SPACING.md}
+        />
+      </Card>
+    </ScrollView>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScreenHeader
+        title={editing ? (editing.id ? t('savedLocations.edit') : t('savedLocations.add')) : t('savedLocations.title')}
+        left={
+          <IconButton
+            icon={editing ? 'close' : 'arrow-back'}
+            onPress={() => (editing ? setEditing(null) : navigation.goBack())}
+            backgroundColor="transparent"
+            color={theme.text}
+            accessibilityLabel={editing ? t('common.cancel') : t('common.back')}
+          />
+        }
+      />
+      {editing ? renderEditor() : renderList()}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: SPACING['3xl'],
+  },
+  listCard: {
+    marginTop: SPACING.lg,
+  },
+  formCard: {
+    padding: SPACING.md,
+    gap: SPACING.md,
+  },
+  field: {
+    gap: SPACING.xs,
+  },
+  fieldLabel: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+    letterSpacing: 0.5,
+    textTransform: 'uppercase',
+  },
+  input: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: 8,
+  },
+  inlineRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+    marginBottom: SPACING.xs,
+  },
+  flex: {
+    flex: 1,
+  },
+  saveButton: {
+    marginTop: SPACING.lg,
+  },
+  secondaryButton: {
+    marginTop: SPACING.sm,
+  },
+  text: {
+    fontSize: TYPOGRAPHY.sizes.base,
+  },
+  subtle: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+  },
+});
@@ -6,6 +6,7 @@ import {
   ScrollView,
   Alert,
   ActivityIndicator,
+  Switch,
 } from 'react-native';
 import * as Location from 'expo-location';
 import { useApp } from '../contexts/AppContext';
@@ -16,6 +17,7 @@ import IconButton from '../components/ui/IconButton';
 import Card from '../components/ui/Card';
 import ListRow from '../components/ui/ListRow';
 import AppIcon from '../components/ui/AppIcon';
+import { maskPhoneNumber } from '../utils/phone';
 import { t } from '../constants/strings';
 
 export default function SettingsScreen({ navigation }) {
@@ -30,9 +32,26 @@ export default function SettingsScreen({ navigation }) {
     locationStatus,
     locationDetails,
     setLocation,
+    sharePhotoLocation,
+    setSharePhotoLocation,
+    farmProfile,
+    savedLocations,
+    activeSavedLocationId,
+    linkedAccount,
+    officerMode,
+    setOfficerMode,
+    farmers,
+    activeFarmer,
     resetOnboarding 
   } = useApp();
 
+  const activePlace = savedLocations.find(p => p.id === activeSavedLocationId);
+
+  const farmSummary = [
+    farmProfile.plots.length > 0 && t('settings.farmPlots', { count: farmProfile.plots.length }),
+    farmProfile.livestock.length > 0 && t('settings.farmLivestock', { count: farmProfile.livestock.length }),
+  ].filter(Boolean).join(' · ');
+
   const handleChangeLanguage = () => {
     navigation.navigate('LanguageSelect');
   };
@@ -166,6 +185,25 @@ export default function SettingsScreen({ navigation }) {
         right={<View />}
       />
 
+      {/* 0. Farm Section */}
+      <View style={styles.section}>
+        <Text style={[styles.sectionTitle, { color: theme.textMuted }]}>{t('settings.sectionFarm')}</Text>
+        <Card>
+          <ListRow
+            title={t('settings.farmProfile')}
+            subtitle={farmSummary || t('settings.farmProfileSubtitle')}
+            left={
+              <View style={styles.iconContainer}>
+                <AppIcon name="sprout" size={18} color={theme.success || theme.accent} />
+              </View>
+            }
+            onPress={() => navigation.navigate('FarmProfile')}
+            paddingHorizontal={SPACING.md}
+            accessibilityLabel={t('settings.farmProfile')}
+          />
+        </Card>
+      </View>
+
       {/* 1. Chat History Section */}
       <View style={styles.section}>
         <Text style={[styles.sectionTitle, { color: theme.textMuted }]}>{t('settings.sectionConversations')}</Text>
@@ -179,9 +217,35 @@ export default function SettingsScreen({ navigation }) {
               </View>
             }
             onPress={() => navigation.navigate('History')}
+            divider
             paddingHorizontal={SPACING.md}
             accessibilityLabel={t('settings.chatHistory')}
           />
+          <ListRow
+            title={t('settings.diagnoses')}
+            subtitle={t('settings.diagnosesSubtitle')}
+            left={
+              <View style={styles.iconContainer}>
+                <AppIcon name="leaf" size={18} color={theme.success || theme.accent} />
+              </View>
+            }
+            onPress={() => navigation.navigate('Diagnoses')}
+            divider
+            paddingHorizontal={SPACING.md}
+            accessibilityLabel={t('settings.diagnoses')}
+          />
+          <ListRow
+            title={t('settings.reminders')}
+            subtitle={t('settings.remindersSubtitle')}
+            left={
+              <View style={styles.iconContainer}>
+                <AppIcon name="bell" size={18} color={theme.warning || theme.accent} />
+              </View>
+            }
+            onPress={() => navigation.navigate('Reminders')}
+            paddingHorizontal={SPACING.md}
+            accessibilityLabel={t('settings.reminders')}
+          />
         </Card>
       </View>
 
@@ -238,15 +302,54 @@ export default function SettingsScreen({ navigation }) {
                 size={32}
                 backgroundColor="transparent"
                 color={theme.iconPrimary || theme.accent}
-                accessibilityLabel={t('common.refresh')}
+                accessibilityLabel={t('settings.useGps')}
               />
             }
             showChevron={false}
-            onPress={handleUpdateLocation}
+            onPress={() => navigation.navigate('LocationPicker')}
             disabled={isUpdatingLocation}
+            divider
             paddingHorizontal={SPACING.md}
             accessibilityLabel={t('settings.locationHint')}
           />
+          <ListRow
+            title={t('settings.savedLocations')}
+            subtitle={activePlace
+              ? t('settings.savedLocationsActive', { name: activePlace.name })
+              : (savedLocations.length > 0
+                ? t('settings.savedLocationsCount', { count: savedLocations.length })
+                : t('settings.savedLocationsSubtitle'))}
+            left={
+              <View style={styles.iconContainer}>
+                <AppIcon name="bookmark" size={18} color={theme.iconPrimary || theme.accent} />
+              </View>
+            }
+            onPress={() => navigation.navigate('SavedLocations')}
+            divider
+            paddingHorizontal={SPACING.md}
+            accessibilityLabel={t('settings.savedLocations')}
+          />
+          <ListRow
+            title={t('settings.sharePhotoLocation')}
+            subtitle={t('settings.sharePhotoLocationSubtitle')}
+            left={
+              <View style={styles.iconContainer}>
+                <AppIcon name="map-pin" size={18} color={theme.iconPrimary || theme.accent} />
+              </View>
+            }
+            right={
+              <Switch
+                value={sharePhotoLocation}
+                onValueChange={setSharePhotoLocation}
+                trackColor={{ true: theme.accent }}
+                accessibilityLabel={t('settings.sharePhotoLocation')}
+              />
+            }
+            showChevron={false}
+            onPress={() => setSharePhotoLocation(!sharePhotoLocation)}
+            paddingHorizontal={SPACING.md}
+            accessibilityLabel={t('settings.sharePhotoLocation')}
+          />
         </Card>
       </View>
 
@@ -305,7 +408,73 @@ export default function SettingsScreen({ navigation }) {
         </Card>
       </View>
 
-      {/* 5. Reset Section */}
+      {/* 5. Extension Officer Section */}
+      <View style={styles.section}>
+        <Text style={[styles.sectionTitle, { color: theme.textMuted }]}>{t('settings.sectionOfficer')}</Text>
+        <Card>
+          <ListRow
+            title={t('settings.officerMode')}
+            subtitle={t('settings.officerModeSubtitle')}
+            left={
+              <View style={styles.iconContainer}>
+                <AppIcon name="users" size={18} color={theme.iconAccent || theme.info || theme.accent} />
+              </View>
+            }
+            right={
+              <Switch
+                value={officerMode}
+                onValueChange={setOfficerMode}
+                trackColor={{ true: theme.accent }}
+                accessibilityLabel={t('settings.officerMode')}
+              />
+            }
+            showChevron={false}
+            onPress={() => setOfficerMode(!officerMode)}
+            divider={officerMode}
+            paddingHorizontal={SPACING.md}
+            accessibilityLabel={t('settings.officerMode')}
+          />
+          {officerMode && (
+            <ListRow
+              title={t('settings.farmers')}
+              subtitle={activeFarmer
+                ? t('settings.farmersActive', { name: activeFarmer.name })
+                : t('settings.farmersCount', { count: farmers.length })}
+              left={
+                <View style={styles.iconContainer}>
+                  <AppIcon name="user" size={18} color={theme.iconAccent || theme.info || theme.accent} />
+                </View>
+              }
+              onPress={() => navigation.navigate('Farmers')}
+              paddingHorizontal={SPACING.md}
+              accessibilityLabel={t('settings.farmers')}
+            />
+          )}
+        </Card>
+      </View>
+
+      {/* 6. Account Section */}
+      <View style={styles.section}>
+        <Text style={[styles.sectionTitle, { color: theme.textMuted }]}>{t('settings.sectionAccount')}</Text>
+        <Card>
+          <ListRow
+            title={t('settings.account')}
+            subtitle={linkedAccount
+              ? t('settings.accountLinked', { phone: maskPhoneNumber(linkedAccount.phoneNumber) })
+              : t('settings.accountSubtitle')}
+            left={
+              <View style={styles.iconContainer}>
+                <AppIcon name="user" size={18} color={theme.iconPrimary || theme.accent} />
+              </View>
+            }
+            onPress={() => navigation.navigate('AccountLink')}
+            paddingHorizontal={SPACING.md}
+            accessibilityLabel={t('settings.account')}
+          />
+        </Card>
+      </View>
+
+      {/* 7. Reset Section */}
       <View style={styles.section}>
         <Text style={[styles.sectionTitle, { color: theme.textMuted }]}>{t('settings.sectionDanger')}</Text>
         <Card>
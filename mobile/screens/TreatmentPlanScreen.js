@@ -0,0 +1,343 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import * as Haptics from 'expo-haptics';
+import { useApp } from '../contexts/AppContext';
+import { useToast } from '../contexts/ToastContext';
+import {
+  buildTreatmentPlan,
+  getPlanApproaches,
+  describePlanStep,
+  createTreatmentPlan,
+  getTreatmentPlan,
+  findPlanForDiagnosis,
+  setPlanStepDone,
+  deleteTreatmentPlan,
+} from '../services/treatmentPlans';
+import { SPACING, TYPOGRAPHY } from '../constants/themes';
+import ScreenHeader from '../components/ui/ScreenHeader';
+import IconButton from '../components/ui/IconButton';
+import Card from '../components/ui/Card';
+import AppIcon from '../components/ui/AppIcon';
+import Button from '../components/ui/Button';
+import { t } from '../constants/strings';
+
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  return `${date.getDate()}/${date.getMonth() + 1}/${date.getFullYear()}`;
+};
+
+const isDue = (step) => !step.done && new Date(step.dueAt) <= new Date();
+
+/**
+ * Treatment plan - preview a plan built from a diagnosis, or track a saved one
+ * Route params: { planId } for a saved plan, or { diagnosis, sessionId, diagnosisId } to make one
+ */
+export default function TreatmentPlanScreen({ navigation, route }) {
+  const { theme, setCurrentSessionId } = useApp();
+  const { showSuccess, showWarning, showError } = useToast();
+  const { planId, diagnosis, sessionId, diagnosisId } = route.params || {};
+
+  const approaches = useMemo(() => getPlanApproaches(diagnosis), [diagnosis]);
+  const [approach, setApproach] = useState(approaches[0] || null);
+  const [plan, setPlan] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Preview of an unsaved plan, rebuilt when the approach changes
+  const draft = useMemo(
+    () => (!plan && diagnosis && approach ? buildTreatmentPlan(diagnosis, { approach }) : null),
+    [plan, diagnosis, approach]
+  );
+
+  const load = useCallback(async () => {
+    try {
+      // A diagnosis that already has a plan opens that plan instead of a new draft
+      const saved = planId ? await getTreatmentPlan(planId) : await findPlanForDiagnosis(diagnosisId);
+      setPlan(saved);
+    } catch (error) {
+      console.error('Load treatment plan error:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [planId, diagnosisId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const result = await createTreatmentPlan(draft, { sessionId, diagnosisId });
+    setIsSaving(false);
+    if (!result.success) {
+      showError(t('treatmentPlan.saveFailed'));
+      return;
+    }
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    setPlan(result.plan);
+    if (result.notificationsEnabled) showSuccess(t('treatmentPlan.saved'));
+    else showWarning(t('treatmentPlan.notificationsOff'));
+  };
+
+  const handleToggleStep = async (step) => {
+    Haptics.selectionAsync();
+    const updated = await setPlanStepDone(plan.id, step.id, !step.done);
+    if (updated) setPlan({ ...updated });
+  };
+
+  const handleRetakePhoto = () => {
+    setCurrentSessionId(plan.sessionId);
+    navigation.navigate('Chat', { sessionId: plan.sessionId, openAttach: true });
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      t('treatmentPlan.deleteTitle'),
+      t('treatmentPlan.deleteMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('common.delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteTreatmentPlan(plan.id);
+              navigation.goBack();
+            } catch (error) {
+              showError(t('treatmentPlan.deleteFailed'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderToggle = (value) => {
+    const active = approach === value;
+    return (
+      <TouchableOpacity
+        key={value}
+        style={[styles.toggleOption, active && { backgroundColor: theme.accent }]}
+        onPress={() => setApproach(value)}
+        accessibilityRole="button"
+        accessibilityState={{ selected: active }}
+      >
+        <Text style={[styles.toggleText, { color: active ? '#FFFFFF' : theme.textSecondary }]}>
+          {t(`diagnosis.${value}`)}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderStep = (step, index, steps, saved) => {
+    const due = saved && isDue(step);
+    const icon = step.type === 'inspect' ? 'camera' : 'leaf';
+    return (
+      <View
+        key={step.id}
+        style={[
+          styles.step,
+          index < steps.length - 1 && { borderBottomWidth: StyleSheet.hairlineWidth, borderBottomColor: theme.inputBorder },
+        ]}
+      >
+        {saved ? (
+          <TouchableOpacity
+            onPress={() => handleToggleStep(step)}
+            accessibilityRole="checkbox"
+            accessibilityState={{ checked: step.done }}
+            accessibilityLabel={describePlanStep(step)}
+            hitSlop={8}
+          >
+            <AppIcon name={step.done ? 'check-circle' : 'circle'} size={22} color={step.done ? theme.success : theme.textMuted} />
+          </TouchableOpacity>
+        ) : (
+          <AppIcon name={icon} size={20} color={step.type === 'inspect' ? theme.info : theme.success} />
+        )}
+        <View style={styles.stepBody}>
+          <Text
+            style={[
+              styles.stepTitle,
+              { color: step.done ? theme.textMuted : theme.text },
+              step.done && styles.stepDone,
+            ]}
+          >
+            {describePlanStep(step)}
+          </Text>
+          {step.detail && <Text style={[styles.subtle, { color: theme.textSecondary }]}>{step.detail}</Text>}
+          <Text style={[styles.subtle, { color: due ? theme.warning : theme.textMuted }]}>
+            {due ? t('treatmentPlan.dueSince', { date: formatDate(step.dueAt) }) : formatDate(step.dueAt)}
+          </Text>
+          {saved && step.type === 'inspect' && !step.done && plan.sessionId && (
+            <Button
+              title={t('treatmentPlan.takePhoto')}
+              variant="tonal"
+              left={<AppIcon name="camera" size={16} color={theme.accent} />}
+              onPress={handleRetakePhoto}
+              style={styles.stepAction}
+            />
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const shown = plan || draft;
+  const title = shown?.crop ? t('treatmentPlan.titleFor', { crop: shown.crop }) : t('treatmentPlan.title');
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScreenHeader
+        title={title}
+        left={
+          <IconButton
+            icon="arrow-back"
+            onPress={() => navigation.goBack()}
+            backgroundColor="transparent"
+            color={theme.text}
+            accessibilityLabel={t('common.back')}
+          />
+        }
+        right={plan && (
+          <IconButton
+            icon="trash-2"
+            onPress={handleDelete}
+            backgroundColor="transparent"
+            color={theme.textSecondary}
+            accessibilityLabel={t('treatmentPlan.deleteTitle')}
+          />
+        )}
+      />
+
+      {isLoading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={theme.accent} />
+        </View>
+      ) : !shown ? (
+        <View style={styles.loadingContainer}>
+          <Text style={[styles.text, { color: theme.textMuted }]}>
+            {planId ? t('treatmentPlan.notFound') : t('treatmentPlan.noTreatments')}
+          </Text>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.content} showsVerticalScrollIndicator={false}>
+          {shown.issue && (
+            <Text style={[styles.text, { color: theme.textSecondary }]}>
+              {t('treatmentPlan.forIssue', { issue: shown.issue })}
+            </Text>
+          )}
+
+          {/* Organic / chemical choice, only before saving */}
+          {!plan && approaches.length > 1 && (
+            <View style={[styles.toggle, { backgroundColor: theme.surfaceVariant }]}>
+              {approaches.map(renderToggle)}
+            </View>
+          )}
+
+          <Text style={[styles.sectionTitle, { color: theme.textMuted }]}>
+            {plan ? t('treatmentPlan.checklist') : t('treatmentPlan.schedule')}
+          </Text>
+          <Card>
+            {shown.steps.map((step, index, steps) => renderStep(step, index, steps, !!plan))}
+          </Card>
+
+          {plan ? (
+            <Text style={[styles.subtle, styles.hint, { color: theme.textMuted }]}>{t('treatmentPlan.checklistHint')}</Text>
+          ) : (
+            <>
+              <Text style={[styles.subtle, styles.hint, { color: theme.textMuted }]}>{t('treatmentPlan.previewHint')}</Text>
+              <Button
+                title={t('treatmentPlan.save')}
+                onPress={handleSave}
+                disabled={isSaving}
+                left={<AppIcon name="calendar" size={18} color="#FFFFFF" />}
+                style={styles.saveButton}
+              />
+            </>
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: SPACING.xl,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: SPACING['3xl'],
+  },
+  toggle: {
+    flexDirection: 'row',
+    marginTop: SPACING.md,
+    padding: 4,
+    borderRadius: 10,
+  },
+  toggleOption: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  toggleText: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+  },
+  sectionTitle: {
+    fontSize: TYPOGRAPHY.sizes.xs,
+    fontWeight: TYPOGRAPHY.weights.semibold,
+    letterSpacing: 0.5,
+    textTransform: 'uppercase',
+    marginTop: SPACING.lg,
+    marginBottom: SPACING.sm,
+  },
+  step: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: SPACING.md,
+    padding: SPACING.md,
+  },
+  stepBody: {
+    flex: 1,
+    gap: 2,
+  },
+  stepTitle: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    fontWeight: TYPOGRAPHY.weights.medium,
+  },
+  stepDone: {
+    textDecorationLine: 'line-through',
+  },
+  stepAction: {
+    alignSelf: 'flex-start',
+    marginTop: SPACING.sm,
+  },
+  saveButton: {
+    marginTop: SPACING.lg,
+  },
+  hint: {
+    marginTop: SPACING.xs,
+  },
+  text: {
+    fontSize: TYPOGRAPHY.sizes.base,
+    lineHeight: TYPOGRAPHY.sizes.base * TYPOGRAPHY.lineHeights.normal,
+  },
+  subtle: {
+    fontSize: TYPOGRAPHY.sizes.sm,
+  },
+});
@@ -1,17 +1,26 @@
 // Chat API service - calls API Gateway → AI Services
-import { fetchWithTimeout, parseErrorMessage } from '../utils/apiHelpers';
-import { getDeviceId } from '../utils/deviceInfo';
+import { getAccessToken, invalidateAccessToken } from './auth';
+import { get, post, buildUrl, createRequestId, getTimeout } from './apiClient';
+import { getFarmerScopeFields } from './farmerScope';
 
-const API_BASE_URL = process.env.EXPO_PUBLIC_API_BASE_URL || 'https://ag-mcp-api-gateway.up.railway.app';
-const API_URL = `${API_BASE_URL}/api/chat`;
-const API_KEY = process.env.EXPO_PUBLIC_API_KEY || 'dev-key';
+// Chat streams over XHR (fetch has no ReadableStream in RN), so they don't go through
+// the client's request() - they share its URL, timeout and request-id helpers instead
+const CHAT_PATH = '/api/chat';
 
-// Timeout constants
-const CHAT_TIMEOUT_MS = 60000; // 60s for chat (includes MCP calls)
-const DEFAULT_TIMEOUT_MS = 30000; // 30s for other endpoints
+// Stream resumption after mid-answer drops (rural 2G/3G)
+const MAX_STREAM_RESUMES = 3;
+const STREAM_RESUME_BASE_DELAY_MS = 1000; // 1s, 2s, 4s
 
-// Cached device ID for server-side persistence
-let cachedDeviceId = null;
+// Photos per diagnosis request (e.g. leaf close-up, stem, whole plant)
+export const MAX_DIAGNOSIS_IMAGES = 3;
+
+// Diagnose uploaded photos by Cloudinary URL/publicId instead of re-sending base64
+// (halves data use). Set EXPO_PUBLIC_DIAGNOSE_BY_URL=false for gateways without support.
+export const DIAGNOSE_BY_URL = process.env.EXPO_PUBLIC_DIAGNOSE_BY_URL !== 'false';
+// Gateway responses meaning it could not fetch/accept an image reference
+export const REFERENCE_REJECTED_STATUSES = [400, 404, 415, 422];
+// fetchStreamedAnswer results that retrying won't change: gone from the server, or finished empty
+export const ANSWER_UNRECOVERABLE_STATUSES = [404, 410, 'empty'];
 
 /**
  * Get device's local date/time info for AI context
@@ -48,17 +57,6 @@ function getLocalDateTime() {
   };
 }
 
-/**
- * Get device ID (cached after first call)
- */
-async function ensureDeviceId() {
-  if (!cachedDeviceId) {
-    cachedDeviceId = await getDeviceId();
-    console.log('📱 [API] Device ID loaded:', cachedDeviceId.substring(0, 20) + '...');
-  }
-  return cachedDeviceId;
-}
-
 /**
  * Send chat message with STREAMING support
  * Real-time text chunks are passed to onChunk callback
@@ -74,200 +72,374 @@ async function ensureDeviceId() {
  * @param {function} params.onThinking - Callback for thinking updates: (thinking) => void
  * @param {function} params.onComplete - Callback when stream completes: (fullResponse, metadata) => void
  * @param {function} params.onError - Callback on error: (error) => void
+ * @param {function} params.onAbort - Callback when stopped via abort(): (partialResponse, metadata) => void
+ * @param {function} params.onToolActivity - Callback when MCP tool steps change: (steps) => void
+ * @param {function} params.onReconnecting - Callback when resuming after a dropped connection: (attempt) => void
+ * @returns {Promise<object>} Resolves when the stream ends; call `.abort()` on it to stop the request
  */
-export const sendChatMessageStreaming = async ({
+export const sendChatMessageStreaming = ({
   message,
   latitude,
   longitude,
   language,
   locationDetails,
+  farmContext, // Optional: relevant plots/livestock from the farm profile (utils/farmProfile)
+  scope, // Optional: { officerId, farmerId } to send instead of the current officer mode scope (outbox replays)
   history = [],
   sessionId, // Optional: reuse existing session
   onChunk,
   onThinking,
   onComplete,
   onError,
+  onAbort,
+  onToolActivity,
+  onReconnecting,
 }) => {
-  // Get device ID for server-side persistence
-  const deviceId = await ensureDeviceId();
+  let xhr = null;
+  let aborted = false;
+  let settleAbort = null; // Resolves the in-flight request when stopped
+  let resumeTimer = null; // Pending reconnect after a dropped connection
 
-  // Format history for AI Services
-  // History is newest-first in the hook, but Gemini wants oldest-first
-  const formattedHistory = history
-    .filter(m => m._id !== 'welcome')
-    .slice(0, 10)
-    .reverse() // Reverse to get oldest-first
-    .map(m => ({ text: m.text, isBot: m.isBot }));
+  const request = (async () => {
+    // Format history for AI Services
+    // History is newest-first in the hook, but Gemini wants oldest-first
+    const formattedHistory = history
+      .filter(m => m._id !== 'welcome')
+      .slice(0, 10)
+      .reverse() // Reverse to get oldest-first
+      .map(m => ({ text: m.text, isBot: m.isBot }));
 
-  // Build location context
-  const locationContext = locationDetails ? {
-    country: locationDetails.level1Country,
-    state: locationDetails.level2State,
-    district: locationDetails.level3District,
-    city: locationDetails.level5City,
-    locality: locationDetails.level6Locality,
-    displayName: locationDetails.displayName,
-  } : null;
+    // Build location context
+    const locationContext = locationDetails ? {
+      country: locationDetails.level1Country,
+      state: locationDetails.level2State,
+      district: locationDetails.level3District,
+      city: locationDetails.level5City,
+      locality: locationDetails.level6Locality,
+      displayName: locationDetails.displayName,
+    } : null;
 
-  console.log('📤 [API] Starting streaming chat:', {
-    historyCount: formattedHistory.length,
-    location: locationContext?.displayName || `${latitude}, ${longitude}`,
-    language,
-    deviceId: deviceId?.substring(0, 15) + '...',
-  });
+    console.log('📤 [API] Starting streaming chat:', {
+      historyCount: formattedHistory.length,
+      location: locationContext?.displayName || `${latitude}, ${longitude}`,
+      language,
+    });
 
-  const requestBody = {
-    message,
-    latitude: latitude || -1.2864,
-    longitude: longitude || 36.8172,
-    language: language || 'en',
-    location: locationContext,
-    history: formattedHistory,
-    stream: true, // Enable streaming
-    // Server-side persistence
-    deviceId,
-    sessionId, // Pass existing sessionId if available
-    // Device's local date/time for seasonal context (no permissions needed)
-    clientDateTime: getLocalDateTime(),
-  };
+    const requestBody = {
+      message,
+      latitude: latitude || -1.2864,
+      longitude: longitude || 36.8172,
+      language: language || 'en',
+      location: locationContext,
+      farmProfile: farmContext || undefined,
+      history: formattedHistory,
+      stream: true, // Enable streaming
+      // Server-side persistence (the user comes from the access token)
+      sessionId, // Pass existing sessionId if available
+      // Officer and farmer in officer mode (the API client adds these to its own requests)
+      ...(scope || getFarmerScopeFields()),
+      // Device's local date/time for seasonal context (no permissions needed)
+      clientDateTime: getLocalDateTime(),
+    };
+
+    // Stopped before the request went out
+    if (aborted) {
+      onAbort?.('', {});
+      return { success: false, aborted: true };
+    }
 
-  // Use XMLHttpRequest for React Native SSE streaming
-  // (fetch doesn't support ReadableStream in RN)
-  return new Promise((resolve) => {
-    const xhr = new XMLHttpRequest();
-    let buffer = '';
-    let fullText = '';
-    let metadata = {};
-    let lastProcessedIndex = 0;
-    let completed = false; // Guard against double onComplete calls
-
-    xhr.open('POST', API_URL, true);
-    xhr.setRequestHeader('Content-Type', 'application/json');
-    xhr.setRequestHeader('X-API-Key', API_KEY);
-    xhr.setRequestHeader('Accept', 'text/event-stream');
-
-    // Process SSE data as it arrives
-    xhr.onprogress = () => {
-      const newData = xhr.responseText.slice(lastProcessedIndex);
-      lastProcessedIndex = xhr.responseText.length;
-      buffer += newData;
-
-      // Process complete SSE messages
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6).trim();
-
-          // End of stream
-          if (data === '[DONE]') {
+    // Use XMLHttpRequest for React Native SSE streaming
+    // (fetch doesn't support ReadableStream in RN)
+    return new Promise((resolve) => {
+      let buffer = '';
+      let fullText = '';
+      let metadata = {};
+      let lastProcessedIndex = 0;
+      let completed = false; // Guard against double onComplete/onError/onAbort calls
+      let lastEventId = null; // SSE `id:` of the last event received
+      let streamId = null;    // Gateway stream handle, sent back when resuming
+      let messageId = null;   // Server message ID, lets callers re-fetch the finished answer
+      let resumeAttempts = 0;
+      let toolActivity = []; // MCP tool steps: { toolName, server, status, startedAt, durationMs }
+
+      // Tool steps travel with the gateway metadata so they survive reloads
+      const withToolActivity = (meta) => {
+        if (toolActivity.length === 0) return meta;
+        const steps = toolActivity.map(step => step.status === 'running' ? { ...step, status: 'done' } : step);
+        return { ...meta, toolActivity: steps };
+      };
+
+      // Give up: hand the partial answer and message ID to onError for recovery
+      const fail = (error) => {
+        if (completed) return;
+        completed = true;
+        error.partialText = fullText;
+        error.messageId = messageId;
+        error.metadata = withToolActivity(metadata);
+        onError?.(error);
+        resolve({ success: false, error: error.message });
+      };
+
+      settleAbort = () => {
+        if (resumeTimer) clearTimeout(resumeTimer);
+        if (completed) return;
+        completed = true;
+        console.log('🛑 [API] Stream stopped by user:', { textLength: fullText.length });
+        onAbort?.(fullText, withToolActivity(metadata));
+        resolve({ success: false, aborted: true });
+      };
+
+      // isRetry: second attempt after the gateway rejected the access token
+      const openStream = async (isResume, isRetry = false) => {
+        let accessToken;
+        try {
+          accessToken = await getAccessToken();
+        } catch (error) {
+          fail(error);
+          return;
+        }
+        if (aborted) {
+          settleAbort();
+          return;
+        }
+
+        const req = new XMLHttpRequest();
+        xhr = req;
+        buffer = '';
+        lastProcessedIndex = 0;
+
+        req.open('POST', buildUrl(CHAT_PATH), true);
+        req.setRequestHeader('Content-Type', 'application/json');
+        req.setRequestHeader('X-Request-Id', createRequestId());
+        req.setRequestHeader('Authorization', `Bearer ${accessToken}`);
+        req.setRequestHeader('Accept', 'text/event-stream');
+        if (isResume) {
+          req.setRequestHeader('Last-Event-ID', lastEventId);
+        }
+
+        // Process SSE data as it arrives
+        req.onprogress = () => {
+          if (completed) return;
+          const newData = req.responseText.slice(lastProcessedIndex);
+          lastProcessedIndex = req.responseText.length;
+          buffer += newData;
+
+          // Process complete SSE messages
+          const lines = buffer.split('\n');
+          buffer = lines.pop() || '';
+
+          for (const line of lines) {
+            // Event ids let us resume from this point if the connection drops
+            if (line.startsWith('id:')) {
+              lastEventId = line.slice(3).trim() || lastEventId;
+              continue;
+            }
+
+            if (line.startsWith('data: ')) {
+              const data = line.slice(6).trim();
+
+              // End of stream
+              if (data === '[DONE]') {
+                if (!completed) {
+                  completed = true;
+                  console.log('📥 [API] Stream complete:', {
+                    textLength: fullText.length,
+                  });
+                  onComplete?.(fullText, withToolActivity(metadata));
+                }
+                resolve({ success: true });
+                return;
+              }
+
+              try {
+                const dataStr = line.slice(6).trim();
+                if (!dataStr) continue;
+
+                const parsed = JSON.parse(dataStr);
+                streamId = parsed.streamId || streamId;
+                messageId = parsed.messageId || messageId;
+                console.log('📥 [API] Stream chunk:', parsed.type, 
+                  parsed.text ? `(text: ${parsed.text.length} chars)` : 
+                  parsed.thinking ? `(thinking: ${parsed.thinking.length} chars)` : 
+                  parsed.toolName ? `(tool: ${parsed.toolName})` : ''
+                );
+
+                // Handle different chunk types
+                if (parsed.type === 'text') {
+                  // Even empty text or whitespace should be processed if it's explicitly sent
+                  const text = parsed.text || '';
+                  fullText += text;
+                  onChunk?.(text);
+                } else if (parsed.type === 'thinking' && parsed.thinking) {
+                  // AI's thinking process (farmer-friendly)
+                  onThinking?.(parsed.thinking);
+                } else if (parsed.type === 'tool_call') {
+                  console.log('🛠️ [API] Tool call:', parsed.toolName);
+                  toolActivity = [...toolActivity, {
+                    toolName: parsed.toolName,
+                    server: parsed.serverSlug || parsed.server || null,
+                    status: 'running',
+                    startedAt: Date.now(),
+                  }];
+                  onToolActivity?.(toolActivity);
+                } else if (parsed.type === 'tool_result') {
+                  console.log('✅ [API] Tool result:', parsed.toolName);
+                  // Match the latest running call for this tool
+                  const index = toolActivity.map(step => step.status === 'running' && step.toolName === parsed.toolName).lastIndexOf(true);
+                  if (index !== -1) {
+                    const step = toolActivity[index];
+                    toolActivity = toolActivity.map((s, i) => i === index ? {
+                      ...step,
+                      status: parsed.error || parsed.success === false ? 'failed' : 'done',
+                      durationMs: Date.now() - step.startedAt,
+                    } : s);
+                    onToolActivity?.(toolActivity);
+                  }
+                } else if (parsed.type === 'complete') {
+                  // Final response - ALWAYS update if it's the complete chunk
+                  console.log('🏁 [API] Received complete chunk', { 
+                    hasResponse: !!parsed.response, 
+                    responseLength: parsed.response?.length || 0 
+                  });
+                  if (parsed.response) fullText = parsed.response;
+                } else if (parsed.type === 'meta') {
+                  // Metadata (MCP tools, intents, regions)
+                  metadata = parsed;
+                } else if (parsed.type === 'error') {
+                  console.error('📥 [API] Stream error:', parsed.error);
+                  fail(new Error(parsed.error || 'Stream error'));
+                  return;
+                }
+              } catch (parseError) {
+                // Skip unparseable chunks (partial JSON)
+              }
+            }
+          }
+        };
+
+        req.onload = () => {
+          if (aborted || completed) return;
+          if (req.status >= 200 && req.status < 300) {
+            // Process any remaining buffer
+            if (buffer.includes('data: ')) {
+              const remaining = buffer.split('data: ').filter(Boolean);
+              for (const data of remaining) {
+                if (data.trim() === '[DONE]') continue;
+                try {
+                  const parsed = JSON.parse(data.trim());
+                  if (parsed.type === 'complete') {
+                    if (parsed.response) fullText = parsed.response;
+                  }
+                } catch (e) {
+                  // Skip
+                }
+              }
+            }
+            // Only call onComplete if not already called by [DONE] handler
             if (!completed) {
               completed = true;
-              console.log('📥 [API] Stream complete:', {
-                textLength: fullText.length,
-              });
-              onComplete?.(fullText, metadata);
+              onComplete?.(fullText, withToolActivity(metadata));
             }
             resolve({ success: true });
-            return;
-          }
-
-          try {
-            const dataStr = line.slice(6).trim();
-            if (!dataStr) continue;
-
-            const parsed = JSON.parse(dataStr);
-            console.log('📥 [API] Stream chunk:', parsed.type, 
-              parsed.text ? `(text: ${parsed.text.length} chars)` : 
-              parsed.thinking ? `(thinking: ${parsed.thinking.length} chars)` : 
-              parsed.toolName ? `(tool: ${parsed.toolName})` : ''
-            );
-
-            // Handle different chunk types
-            if (parsed.type === 'text') {
-              // Even empty text or whitespace should be processed if it's explicitly sent
-              const text = parsed.text || '';
-              fullText += text;
-              onChunk?.(text);
-            } else if (parsed.type === 'thinking' && parsed.thinking) {
-              // AI's thinking process (farmer-friendly)
-              onThinking?.(parsed.thinking);
-            } else if (parsed.type === 'tool_call') {
-              console.log('🛠️ [API] Tool call:', parsed.toolName);
-            } else if (parsed.type === 'tool_result') {
-              console.log('✅ [API] Tool result:', parsed.toolName);
-            } else if (parsed.type === 'complete') {
-              // Final response - ALWAYS update if it's the complete chunk
-              console.log('🏁 [API] Received complete chunk', { 
-                hasResponse: !!parsed.response, 
-                responseLength: parsed.response?.length || 0 
-              });
-              if (parsed.response) fullText = parsed.response;
-            } else if (parsed.type === 'meta') {
-              // Metadata (MCP tools, intents, regions)
-              metadata = parsed;
-            } else if (parsed.type === 'error') {
-              console.error('📥 [API] Stream error:', parsed.error);
-              onError?.(new Error(parsed.error || 'Stream error'));
-              resolve({ success: false, error: parsed.error });
+          } else {
+            if (completed) return;
+            if (req.status === 401 && !isRetry) {
+              console.log('🔐 [API] Access token rejected, reopening stream');
+              invalidateAccessToken(accessToken);
+              openStream(isResume, true);
               return;
             }
-          } catch (parseError) {
-            // Skip unparseable chunks (partial JSON)
+            console.error('📥 [API] HTTP error:', req.status);
+            // 404/410 on a resume means the gateway no longer holds the stream
+            const message = isResume && (req.status === 404 || req.status === 410)
+              ? 'Stream expired'
+              : `API error: ${req.status}`;
+            fail(new Error(message));
           }
-        }
-      }
-    };
+        };
+
+        req.onerror = () => {
+          if (completed || aborted) return;
+          console.error('📥 [API] Network error');
+          if (!tryResume()) fail(new Error('Network request failed'));
+        };
+
+        req.ontimeout = () => {
+          if (completed || aborted) return;
+          console.error('📥 [API] Timeout');
+          if (!tryResume()) fail(new Error('Request timeout'));
+        };
+
+        req.timeout = getTimeout(CHAT_PATH);
+        req.send(JSON.stringify(isResume
+          ? { ...requestBody, resume: { streamId, lastEventId } }
+          : requestBody));
+      };
+
+      // Reconnect after a drop, asking the gateway to continue after lastEventId
+      const tryResume = () => {
+        if (!lastEventId || resumeAttempts >= MAX_STREAM_RESUMES) return false;
+        resumeAttempts++;
+        const delay = STREAM_RESUME_BASE_DELAY_MS * Math.pow(2, resumeAttempts - 1);
+        console.log(`🔁 [API] Resuming stream after event ${lastEventId} (attempt ${resumeAttempts}) in ${delay}ms`);
+        onReconnecting?.(resumeAttempts);
+        resumeTimer = setTimeout(() => {
+          resumeTimer = null;
+          if (!aborted && !completed) openStream(true);
+        }, delay);
+        return true;
+      };
+
+      openStream(false);
+    });
+  })();
+
+  // Stop the stream; partial text is handed to onAbort
+  request.abort = () => {
+    if (aborted) return;
+    aborted = true;
+    if (xhr) {
+      xhr.abort();
+      settleAbort?.();
+    }
+  };
 
-    xhr.onload = () => {
-      if (xhr.status >= 200 && xhr.status < 300) {
-        // Process any remaining buffer
-        if (buffer.includes('data: ')) {
-          const remaining = buffer.split('data: ').filter(Boolean);
-          for (const data of remaining) {
-            if (data.trim() === '[DONE]') continue;
-            try {
-              const parsed = JSON.parse(data.trim());
-              if (parsed.type === 'complete') {
-                if (parsed.response) fullText = parsed.response;
-              }
-            } catch (e) {
-              // Skip
-            }
-          }
-        }
-        // Only call onComplete if not already called by [DONE] handler
-        if (!completed) {
-          completed = true;
-          onComplete?.(fullText, metadata);
-        }
-        resolve({ success: true });
-      } else {
-        const error = new Error(`API error: ${xhr.status}`);
-        console.error('📥 [API] HTTP error:', xhr.status);
-        onError?.(error);
-        resolve({ success: false, error: error.message });
-      }
-    };
+  return request;
+};
 
-    xhr.onerror = () => {
-      const error = new Error('Network request failed');
-      console.error('📥 [API] Network error');
-      onError?.(error);
-      resolve({ success: false, error: error.message });
-    };
+/**
+ * Fetch a finished answer by server message ID
+ * Used to recover a streamed answer whose connection dropped for good
+ * @param {string} messageId - ID from the stream's chunks (error.messageId)
+ * @returns {Promise<{success: boolean, response?: string, metadata?: object, error?: string, status?: number|'empty'}>}
+ */
+export const fetchStreamedAnswer = async (messageId) => {
+  const result = await get(`${CHAT_PATH}/messages/${messageId}`);
+  if (!result.success) {
+    return { success: false, error: result.error, status: result.status };
+  }
 
-    xhr.ontimeout = () => {
-      const error = new Error('Request timeout');
-      console.error('📥 [API] Timeout');
-      onError?.(error);
-      resolve({ success: false, error: error.message });
-    };
+  const data = result.data;
+  // Answer may still be generating on the server
+  if (data.status && data.status !== 'complete') {
+    return { success: false, pending: true };
+  }
 
-    xhr.timeout = CHAT_TIMEOUT_MS;
-    xhr.send(JSON.stringify(requestBody));
+  console.log('📥 [API] Recovered streamed answer:', {
+    messageId,
+    responseLength: data.response?.length || 0,
   });
+
+  // Finished without any text - final, not worth another try
+  if (!data.response) {
+    return { success: false, status: 'empty' };
+  }
+
+  return {
+    success: true,
+    response: data.response,
+    metadata: data.metadata || {},
+  };
 };
 
 /**
@@ -282,83 +454,62 @@ export const sendChatMessageStreaming = async ({
  * @param {string} params.sessionId - Optional: reuse existing session
  */
 export const sendChatMessage = async ({ message, latitude, longitude, language, locationDetails, history = [], sessionId }) => {
-  try {
-    // Get device ID for server-side persistence
-    const deviceId = await ensureDeviceId();
-
-    // Format history for AI Services
-    // History is newest-first in the hook, but Gemini wants oldest-first
-    const formattedHistory = history
-      .filter(m => m._id !== 'welcome') // Exclude welcome message
-      .slice(0, 10) // Last 10 messages
-      .reverse() // Reverse to get oldest-first
-      .map(m => ({
-        text: m.text,
-        isBot: m.isBot,
-      }));
+  // Format history for AI Services
+  // History is newest-first in the hook, but Gemini wants oldest-first
+  const formattedHistory = history
+    .filter(m => m._id !== 'welcome') // Exclude welcome message
+    .slice(0, 10) // Last 10 messages
+    .reverse() // Reverse to get oldest-first
+    .map(m => ({
+      text: m.text,
+      isBot: m.isBot,
+    }));
 
-    // Build location context string for AI
-    const locationContext = locationDetails ? {
-      country: locationDetails.level1Country,
-      state: locationDetails.level2State,
-      district: locationDetails.level3District,
-      city: locationDetails.level5City,
-      locality: locationDetails.level6Locality,
-      displayName: locationDetails.displayName,
-    } : null;
+  // Build location context string for AI
+  const locationContext = locationDetails ? {
+    country: locationDetails.level1Country,
+    state: locationDetails.level2State,
+    district: locationDetails.level3District,
+    city: locationDetails.level5City,
+    locality: locationDetails.level6Locality,
+    displayName: locationDetails.displayName,
+  } : null;
 
-    console.log('📤 [API] Sending chat with:', {
-      historyCount: formattedHistory.length,
-      location: locationContext?.displayName || `${latitude}, ${longitude}`,
-      language,
-      deviceId: deviceId?.substring(0, 15) + '...',
-    });
+  console.log('📤 [API] Sending chat with:', {
+    historyCount: formattedHistory.length,
+    location: locationContext?.displayName || `${latitude}, ${longitude}`,
+    language,
+  });
 
-    const requestBody = {
-      message,
-      latitude: latitude || -1.2864,
-      longitude: longitude || 36.8172,
-      language: language || 'en',
-      location: locationContext, // Human-readable location for AI context
-      history: formattedHistory,
-      // Server-side persistence
-      deviceId,
-      sessionId,
-      // Device's local date/time for seasonal context
-      clientDateTime: getLocalDateTime(),
-    };
+  const requestBody = {
+    message,
+    latitude: latitude || -1.2864,
+    longitude: longitude || 36.8172,
+    language: language || 'en',
+    location: locationContext, // Human-readable location for AI context
+    history: formattedHistory,
+    // Server-side persistence (the user comes from the access token)
+    sessionId,
+    // Device's local date/time for seasonal context
+    clientDateTime: getLocalDateTime(),
+  };
 
-    const response = await fetchWithTimeout(API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': API_KEY,
-      },
-      body: JSON.stringify(requestBody),
-    }, CHAT_TIMEOUT_MS);
-
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
-    }
+  const result = await post(CHAT_PATH, requestBody);
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
 
-    const data = await response.json();
-    console.log('📥 [API] Chat response:', {
-      responseLength: data.response?.length || 0,
-    });
+  const data = result.data;
+  console.log('📥 [API] Chat response:', {
+    responseLength: data.response?.length || 0,
+  });
 
-    return {
-      success: true,
-      response: data.response || data.text || 'No response received',
-      region: data.region,
-      language: data.language,
-    };
-  } catch (error) {
-    console.error('Chat API error:', error);
-    return {
-      success: false,
-      error: parseErrorMessage(error),
-    };
-  }
+  return {
+    success: true,
+    response: data.response || data.text || 'No response received',
+    region: data.region,
+    language: data.language,
+  };
 };
 
 /**
@@ -367,87 +518,93 @@ export const sendChatMessage = async ({ message, latitude, longitude, language,
  *
  * @param {object} params - Diagnosis parameters
  * @param {string} params.imageBase64 - Base64 encoded image (with data: prefix)
+ * @param {Array<string|{url: string, publicId: string}>} params.images - Optional: several photos of the same
+ *   plant, each inline base64 (with data: prefix) or a reference to the Cloudinary upload
+ * @param {object} params.photoLocation - Optional: { latitude, longitude } the photo was taken at
  * @param {number} params.latitude - User's latitude
  * @param {number} params.longitude - User's longitude
  * @param {string} params.language - Language code
  * @param {object} params.locationDetails - Location context
  * @param {string} params.sessionId - Optional: reuse existing session
+ * @param {object} params.scope - Optional: { officerId, farmerId } overriding the current officer mode scope
  */
-export const analyzePlantImage = async ({ imageBase64, latitude, longitude, language, locationDetails, sessionId }) => {
-  try {
-    // Get device ID for server-side persistence
-    const deviceId = await ensureDeviceId();
+export const analyzePlantImage = async ({ imageBase64, images, photoLocation, latitude, longitude, language, locationDetails, sessionId, scope }) => {
+  const imageList = (images?.length ? images : [imageBase64]).slice(0, MAX_DIAGNOSIS_IMAGES);
+  const inlineImages = imageList.filter(img => typeof img === 'string');
+  const firstImage = imageList[0];
 
-    console.log('🌿 [API] Starting plant diagnosis via gateway...');
-    console.log('🌿 [API] Image size:', Math.round(imageBase64.length / 1024), 'KB');
+  console.log('🌿 [API] Starting plant diagnosis via gateway...');
+  console.log('🌿 [API] Images:', imageList.length, `(${imageList.length - inlineImages.length} by URL)`,
+    '- inline size:', Math.round(inlineImages.reduce((sum, img) => sum + img.length, 0) / 1024), 'KB');
 
-    // Build location context
-    const locationContext = locationDetails ? {
-      country: locationDetails.level1Country,
-      state: locationDetails.level2State,
-      district: locationDetails.level3District,
-      city: locationDetails.level5City,
-      locality: locationDetails.level6Locality,
-      displayName: locationDetails.displayName,
-    } : null;
-
-    // Use the chat endpoint with image parameter
-    // The API Gateway handles AgriVision SSE properly
-    const requestBody = {
-      message: 'Analyze this plant image for health issues and provide diagnosis.',
-      latitude: latitude || -1.2864,
-      longitude: longitude || 36.8172,
-      language: language || 'en',
-      location: locationContext,
-      image: imageBase64, // Base64 image for AgriVision
-      stream: false, // Don't stream for diagnosis
-      // Server-side persistence
-      deviceId,
-      sessionId,
-      // Device's local date/time for seasonal context
-      clientDateTime: getLocalDateTime(),
-    };
-
-    const response = await fetchWithTimeout(API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': API_KEY,
-      },
-      body: JSON.stringify(requestBody),
-    }, CHAT_TIMEOUT_MS);
-
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
-    }
+  // Build location context
+  const locationContext = locationDetails ? {
+    country: locationDetails.level1Country,
+    state: locationDetails.level2State,
+    district: locationDetails.level3District,
+    city: locationDetails.level5City,
+    locality: locationDetails.level6Locality,
+    displayName: locationDetails.displayName,
+  } : null;
 
-    const data = await response.json();
-    console.log('🌿 [API] Diagnosis response received:', {
-      hasResponse: !!data.response,
-      hasDiagnosis: !!data.diagnosis,
-      responseLength: data.response?.length || 0,
-    });
+  // Use the chat endpoint with image parameter
+  // The API Gateway handles AgriVision SSE properly
+  const requestBody = {
+    message: 'Analyze this plant image for health issues and provide diagnosis.',
+    latitude: latitude || -1.2864,
+    longitude: longitude || 36.8172,
+    language: language || 'en',
+    location: locationContext,
+    // First photo for AgriVision - inline base64, or the already-uploaded Cloudinary copy
+    ...(typeof firstImage === 'string'
+      ? { image: firstImage }
+      : { imageUrl: firstImage.url, imagePublicId: firstImage.publicId }),
+    // All photos of the plant, in order (base64 strings or { url, publicId });
+    // findings come back tagged with `image_index`
+    ...(imageList.length > 1 && { images: imageList }),
+    // Where the photo was taken - only sent when the user opted in (EXIF is stripped)
+    ...(photoLocation && { photoLocation }),
+    stream: false, // Don't stream for diagnosis
+    // Server-side persistence (the user comes from the access token)
+    sessionId,
+    // Explicit officer/farmer win over the API client's scope interceptor
+    ...scope,
+    // Device's local date/time for seasonal context
+    clientDateTime: getLocalDateTime(),
+  };
 
-    // The response contains both the text response and diagnosis data
-    return {
-      success: true,
-      response: data.response, // Formatted text for display
-      diagnosis: data.diagnosis, // Raw diagnosis object
-      metadata: {
-        ...(data._meta || {}), // Preserve gateway metadata
-        intentsDetected: data.intentsDetected || [],
-        mcpToolsUsed: data.mcpToolsUsed || [],
-        extractedEntities: data.extractedEntities || null,
-        intentSource: data.intentSource,
-      },
-    };
-  } catch (error) {
-    console.error('🌿 [API] Plant diagnosis error:', error);
+  const result = await post(CHAT_PATH, requestBody);
+  if (!result.success) {
+    console.error('🌿 [API] Plant diagnosis error:', result.status, result.error);
     return {
       success: false,
-      error: parseErrorMessage(error),
+      error: result.error,
+      status: result.status,
+      isNetworkError: result.isNetworkError,
+      isTimeout: result.isTimeout,
     };
   }
+
+  const data = result.data;
+  console.log('🌿 [API] Diagnosis response received:', {
+    hasResponse: !!data.response,
+    hasDiagnosis: !!data.diagnosis,
+    responseLength: data.response?.length || 0,
+  });
+
+  // The response contains both the text response and diagnosis data
+  return {
+    success: true,
+    response: data.response, // Formatted text for display
+    diagnosis: data.diagnosis, // Raw diagnosis object
+    metadata: {
+      ...(data._meta || {}), // Preserve gateway metadata
+      intentsDetected: data.intentsDetected || [],
+      mcpToolsUsed: data.mcpToolsUsed || [],
+      extractedEntities: data.extractedEntities || null,
+      intentSource: data.intentSource,
+    },
+  };
 };
 
 /**
@@ -457,50 +614,32 @@ export const analyzePlantImage = async ({ imageBase64, latitude, longitude, lang
  * @param {number} params.lon - User's longitude
  */
 export const getActiveMcpServers = async ({ lat, lon } = {}) => {
-  try {
-    const queryParams = new URLSearchParams();
-    if (lat !== undefined) queryParams.append('lat', lat);
-    if (lon !== undefined) queryParams.append('lon', lon);
-    
-    const url = `${API_BASE_URL}/api/mcp-servers/active${queryParams.toString() ? `?${queryParams}` : ''}`;
-
-    const response = await fetchWithTimeout(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': API_KEY,
-      },
-    }, DEFAULT_TIMEOUT_MS);
-
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    console.log('📥 [API] MCP servers response:', {
-      globalCount: data.global?.length || 0,
-      regionalCount: data.regional?.length || 0,
-      totalActive: data.totalActive,
-    });
-    
-    return {
-      success: true,
-      global: data.global || [],
-      regional: data.regional || [],
-      detectedRegions: data.detectedRegions || [],
-      totalActive: data.totalActive || 0,
-    };
-  } catch (error) {
-    console.error('MCP servers API error:', error);
+  const result = await get('/api/mcp-servers/active', { query: { lat, lon } });
+  if (!result.success) {
     return {
       success: false,
-      error: parseErrorMessage(error),
+      error: result.error,
       global: [],
       regional: [],
       detectedRegions: [],
       totalActive: 0,
     };
   }
+
+  const data = result.data;
+  console.log('📥 [API] MCP servers response:', {
+    globalCount: data.global?.length || 0,
+    regionalCount: data.regional?.length || 0,
+    totalActive: data.totalActive,
+  });
+
+  return {
+    success: true,
+    global: data.global || [],
+    regional: data.regional || [],
+    detectedRegions: data.detectedRegions || [],
+    totalActive: data.totalActive || 0,
+  };
 };
 
 /**
@@ -508,37 +647,18 @@ export const getActiveMcpServers = async ({ lat, lon } = {}) => {
  * Shows all available integrations with regional availability indicator
  */
 export const getAllMcpServersWithStatus = async ({ lat, lon } = {}) => {
-  try {
-    const queryParams = new URLSearchParams();
-    if (lat !== undefined) queryParams.append('lat', lat);
-    if (lon !== undefined) queryParams.append('lon', lon);
-    
-    const url = `${API_BASE_URL}/api/mcp-servers/all-with-status${queryParams.toString() ? `?${queryParams}` : ''}`;
-
-    const response = await fetchWithTimeout(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': API_KEY,
-      },
-    }, DEFAULT_TIMEOUT_MS);
-
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('All MCP servers API error:', error);
+  const result = await get('/api/mcp-servers/all-with-status', { query: { lat, lon } });
+  if (!result.success) {
     return {
       success: false,
-      error: error.message || 'Failed to fetch MCP servers',
+      error: result.error || 'Failed to fetch MCP servers',
       allServers: [],
       activeServers: [],
       inactiveServers: [],
       counts: { total: 0, activeForUser: 0, inactiveForUser: 0 },
     };
   }
+  return result.data;
 };
 
 /**
@@ -546,46 +666,28 @@ export const getAllMcpServersWithStatus = async ({ lat, lon } = {}) => {
  * Returns: active (working), degraded (API issues), inactive (not in region), coming_soon
  */
 export const getMcpServersLiveStatus = async ({ lat, lon } = {}) => {
-  try {
-    const queryParams = new URLSearchParams();
-    if (lat !== undefined) queryParams.append('lat', lat);
-    if (lon !== undefined) queryParams.append('lon', lon);
-    
-    const url = `${API_BASE_URL}/api/mcp-servers/live-status${queryParams.toString() ? `?${queryParams}` : ''}`;
-
-    const response = await fetchWithTimeout(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': API_KEY,
-      },
-    }, DEFAULT_TIMEOUT_MS);
-
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    console.log('📥 [API] MCP live status:', {
-      active: data.counts?.active || 0,
-      degraded: data.counts?.degraded || 0,
-      inactive: data.counts?.inactive || 0,
-    });
-    
-    return {
-      success: true,
-      ...data,
-    };
-  } catch (error) {
-    console.error('MCP live status API error:', error);
+  const result = await get('/api/mcp-servers/live-status', { query: { lat, lon } });
+  if (!result.success) {
     return {
       success: false,
-      error: parseErrorMessage(error),
+      error: result.error,
       servers: [],
       grouped: { active: [], degraded: [], inactive: [], comingSoon: [] },
       counts: { total: 0, active: 0, degraded: 0, inactive: 0, comingSoon: 0 },
     };
   }
+
+  const data = result.data;
+  console.log('📥 [API] MCP live status:', {
+    active: data.counts?.active || 0,
+    degraded: data.counts?.degraded || 0,
+    inactive: data.counts?.inactive || 0,
+  });
+
+  return {
+    success: true,
+    ...data,
+  };
 };
 
 /**
@@ -593,40 +695,26 @@ export const getMcpServersLiveStatus = async ({ lat, lon } = {}) => {
  * @param {string} slug - Server slug (e.g., 'accuweather', 'nextgen')
  */
 export const getMcpServer = async (slug) => {
-  try {
-    const url = `${API_BASE_URL}/api/mcp-servers/${slug}`;
-
-    const response = await fetchWithTimeout(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': API_KEY,
-      },
-    }, DEFAULT_TIMEOUT_MS);
-
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    console.log('📥 [API] MCP server detail:', {
-      slug,
-      hasMarketing: !!data.server?.tagline,
-      healthStatus: data.server?.healthStatus,
-    });
-
-    return {
-      success: true,
-      server: data.server,
-    };
-  } catch (error) {
-    console.error('MCP server detail API error:', error);
+  const result = await get(`/api/mcp-servers/${slug}`);
+  if (!result.success) {
     return {
       success: false,
-      error: parseErrorMessage(error),
+      error: result.error,
       server: null,
     };
   }
+
+  const data = result.data;
+  console.log('📥 [API] MCP server detail:', {
+    slug,
+    hasMarketing: !!data.server?.tagline,
+    healthStatus: data.server?.healthStatus,
+  });
+
+  return {
+    success: true,
+    server: data.server,
+  };
 };
 
 /**
@@ -635,34 +723,20 @@ export const getMcpServer = async (slug) => {
  * @param {number} lon - Longitude
  */
 export const detectRegions = async (lat, lon) => {
-  try {
-    const url = `${API_BASE_URL}/api/regions/detect?lat=${lat}&lon=${lon}`;
-
-    const response = await fetchWithTimeout(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': API_KEY,
-      },
-    }, DEFAULT_TIMEOUT_MS);
-
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('Detect regions API error:', error);
+  const result = await get('/api/regions/detect', { query: { lat, lon } });
+  if (!result.success) {
     return {
       success: false,
-      error: parseErrorMessage(error),
+      error: result.error,
     };
   }
+  return result.data;
 };
 
 export default {
   sendChatMessage,
   sendChatMessageStreaming,
+  fetchStreamedAnswer,
   getActiveMcpServers,
   getAllMcpServersWithStatus,
   getMcpServersLiveStatus,
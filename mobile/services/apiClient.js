@@ -0,0 +1,176 @@
+// API client - every API Gateway call goes through here so auth, timeouts,
+// retries, request ids and error mapping behave the same for all services.
+// Calls resolve (never throw) to { success, data, error, status, requestId, isNetworkError, isTimeout }.
+
+import { fetchWithTimeout, fetchWithRetry, parseErrorMessage, isNetworkError } from '../utils/apiHelpers';
+import { getAccessToken, invalidateAccessToken } from './auth';
+import { API_BASE_URL, DEFAULT_TIMEOUT_MS, ENDPOINT_TIMEOUTS } from '../constants/api';
+
+// Safe to repeat after a dropped connection or a 5xx
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+const requestInterceptors = [];
+const responseInterceptors = [];
+
+/**
+ * Run `interceptor(config)` before every request; it may return a changed config.
+ * `config.query` and `config.body` are still objects here - they are encoded afterwards.
+ * @returns {function} Removes the interceptor
+ */
+export function addRequestInterceptor(interceptor) {
+  requestInterceptors.push(interceptor);
+  return () => {
+    const index = requestInterceptors.indexOf(interceptor);
+    if (index !== -1) requestInterceptors.splice(index, 1);
+  };
+}
+
+/**
+ * Run `interceptor(result, config)` after every request; it may return a changed result
+ * @returns {function} Removes the interceptor
+ */
+export function addResponseInterceptor(interceptor) {
+  responseInterceptors.push(interceptor);
+  return () => {
+    const index = responseInterceptors.indexOf(interceptor);
+    if (index !== -1) responseInterceptors.splice(index, 1);
+  };
+}
+
+export const createRequestId = () => `req_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+
+export const getTimeout = (path) => (
+  ENDPOINT_TIMEOUTS.find(endpoint => path.startsWith(endpoint.prefix))?.timeout || DEFAULT_TIMEOUT_MS
+);
+
+/**
+ * Full gateway URL; undefined/null query values are dropped
+ */
+export function buildUrl(path, query) {
+  const params = new URLSearchParams();
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) params.append(key, String(value));
+  });
+  const queryString = params.toString();
+  return `${API_BASE_URL}${path}${queryString ? `?${queryString}` : ''}`;
+}
+
+async function readBody(response) {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+async function send(config) {
+  const accessToken = config.auth ? await getAccessToken() : null;
+  const init = {
+    method: config.method,
+    headers: accessToken ? { ...config.headers, Authorization: `Bearer ${accessToken}` } : config.headers,
+    body: config.body,
+  };
+  const response = config.retry
+    ? await fetchWithRetry(config.url, init, { timeout: config.timeout, maxRetries: config.retry === true ? 2 : config.retry })
+    : await fetchWithTimeout(config.url, init, config.timeout);
+  return { response, accessToken };
+}
+
+/**
+ * Send a request to the API Gateway
+ * @param {string} path - Gateway path, e.g. '/api/sessions'
+ * @param {object} options - { method, query, body, headers, timeout, retry, auth }
+ *   retry defaults to on for idempotent methods (true or a retry count); auth defaults to on
+ * @returns {Promise<object>} { success, data, error, status, requestId, isNetworkError, isTimeout }
+ */
+export async function request(path, {
+  method = 'GET',
+  query,
+  body,
+  headers,
+  timeout,
+  retry,
+  auth = true,
+} = {}) {
+  const requestId = createRequestId();
+  let config = {
+    path,
+    method,
+    query,
+    headers: { 'Content-Type': 'application/json', 'X-Request-Id': requestId, ...headers },
+    body,
+    timeout: timeout || getTimeout(path),
+    retry: retry ?? IDEMPOTENT_METHODS.includes(method),
+    auth,
+    requestId,
+  };
+  for (const interceptor of requestInterceptors) {
+    config = (await interceptor(config)) || config;
+  }
+  config = {
+    ...config,
+    url: buildUrl(config.path, config.query),
+    body: config.body === undefined ? undefined : JSON.stringify(config.body),
+  };
+
+  let result;
+  try {
+    let { response, accessToken } = await send(config);
+    if (response.status === 401 && config.auth) {
+      console.log('🔐 [ApiClient] Access token rejected, renewing:', config.path);
+      invalidateAccessToken(accessToken);
+      ({ response } = await send(config));
+    }
+
+    const data = await readBody(response);
+    if (!response.ok) {
+      console.log(`🔌 [ApiClient] ${config.method} ${config.path} failed:`, response.status, requestId);
+      result = { success: false, data, error: parseErrorMessage({ status: response.status }), status: response.status };
+    } else if (data?.success === false) {
+      // Gateway reported a failure in an OK response
+      result = { success: false, data, error: data.error || parseErrorMessage(data), status: response.status };
+    } else {
+      result = { success: true, data, error: null, status: response.status };
+    }
+  } catch (error) {
+    console.log(`❌ [ApiClient] ${config.method} ${config.path} error:`, error.message, requestId);
+    // Requests are only aborted by their own timeout
+    const isTimeout = error.name === 'AbortError';
+    result = {
+      success: false,
+      data: null,
+      error: parseErrorMessage(isTimeout ? { status: 408 } : error),
+      status: null,
+      isNetworkError: isNetworkError(error),
+      isTimeout,
+    };
+  }
+  result = { isNetworkError: false, isTimeout: false, ...result, requestId };
+
+  for (const interceptor of responseInterceptors) {
+    result = (await interceptor(result, config)) || result;
+  }
+  return result;
+}
+
+export const get = (path, options) => request(path, { ...options, method: 'GET' });
+export const post = (path, body, options) => request(path, { ...options, method: 'POST', body });
+export const put = (path, body, options) => request(path, { ...options, method: 'PUT', body });
+export const patch = (path, body, options) => request(path, { ...options, method: 'PATCH', body });
+export const del = (path, options) => request(path, { ...options, method: 'DELETE' });
+
+export default {
+  request,
+  get,
+  post,
+  put,
+  patch,
+  del,
+  buildUrl,
+  createRequestId,
+  getTimeout,
+  addRequestInterceptor,
+  addResponseInterceptor,
+};
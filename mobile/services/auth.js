@@ -0,0 +1,242 @@
+// Device authentication - exchanges the device identity for a short-lived
+// access token plus refresh token (kept in secure storage). The API client
+// signs every gateway request with the access token; the token endpoints
+// themselves are called directly since the client depends on them.
+// The device ID is guessable, so registration also sends a per-install secret
+// (secure storage) proving the request comes from the install that owns it.
+// A device linked to a phone account also keeps the account's link token,
+// which registration sends so the device's history is merged into the account.
+
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import { getDeviceInfo } from '../utils/deviceInfo';
+import { fetchWithTimeout } from '../utils/apiHelpers';
+import { API_BASE_URL, DEFAULT_TIMEOUT_MS } from '../constants/api';
+
+// Renew a little early so requests in flight don't race the expiry
+const EXPIRY_MARGIN_MS = 60 * 1000;
+const DEFAULT_EXPIRES_IN_S = 15 * 60;
+
+const TOKENS_KEY = 'authTokens';
+const ACCOUNT_KEY = 'linkedAccount';
+const DEVICE_SECRET_KEY = 'deviceSecret';
+const DEVICE_SECRET_BYTES = 32;
+
+let tokens = null; // { accessToken, refreshToken, expiresAt }
+let tokensLoaded = false;
+let pendingRenewal = null; // Shared so concurrent 401s trigger a single exchange
+let account; // { accountId, phoneNumber, linkedAt, linkToken } or null once loaded
+let deviceSecret = null;
+let pendingSecret = null; // Shared so concurrent registrations don't create two secrets
+
+async function loadTokens() {
+  if (tokensLoaded) return;
+  try {
+    const stored = await SecureStore.getItemAsync(TOKENS_KEY);
+    tokens = stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.log('❌ [Auth] Could not read stored tokens:', error.message);
+    tokens = null;
+  }
+  tokensLoaded = true;
+}
+
+/**
+ * Keep the tokens from a token-issuing response ({ accessToken, refreshToken, expiresIn })
+ */
+export async function storeTokens(data) {
+  tokens = {
+    accessToken: data.accessToken,
+    refreshToken: data.refreshToken || tokens?.refreshToken || null,
+    expiresAt: Date.now() + (data.expiresIn || DEFAULT_EXPIRES_IN_S) * 1000,
+  };
+  tokensLoaded = true;
+  try {
+    await SecureStore.setItemAsync(TOKENS_KEY, JSON.stringify(tokens));
+  } catch (error) {
+    // Tokens still work for this run; the device registers again next launch
+    console.log('❌ [Auth] Could not store tokens:', error.message);
+  }
+}
+
+/**
+ * Forget the stored tokens (next request registers the device again)
+ */
+export async function clearTokens() {
+  tokens = null;
+  tokensLoaded = true;
+  await SecureStore.deleteItemAsync(TOKENS_KEY).catch(() => {});
+}
+
+async function loadAccount() {
+  if (account !== undefined) return account;
+  try {
+    const stored = await SecureStore.getItemAsync(ACCOUNT_KEY);
+    account = stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.log('❌ [Auth] Could not read linked account:', error.message);
+    account = null;
+  }
+  return account;
+}
+
+/**
+ * Phone account this device is linked to (without the link token)
+ * @returns {Promise<object|null>} { accountId, phoneNumber, linkedAt }
+ */
+export async function getLinkedAccount() {
+  const stored = await loadAccount();
+  if (!stored) return null;
+  const { linkToken, ...publicFields } = stored;
+  return publicFields;
+}
+
+/**
+ * Remember the account this device was linked to
+ * @param {object} linked - { accountId, phoneNumber, linkToken }
+ */
+export async function storeLinkedAccount(linked) {
+  account = {
+    accountId: linked.accountId,
+    phoneNumber: linked.phoneNumber,
+    linkedAt: linked.linkedAt || new Date().toISOString(),
+    linkToken: linked.linkToken,
+  };
+  await SecureStore.setItemAsync(ACCOUNT_KEY, JSON.stringify(account));
+}
+
+export async function clearLinkedAccount() {
+  account = null;
+  await SecureStore.deleteItemAsync(ACCOUNT_KEY).catch(() => {});
+}
+
+/**
+ * Per-install secret, created on first launch. The gateway binds it to the device ID
+ * at the first registration and requires it on every registration after that, so
+ * knowing a device ID is not enough to get its tokens.
+ */
+function getDeviceSecret() {
+  if (deviceSecret) return Promise.resolve(deviceSecret);
+  if (!pendingSecret) {
+    pendingSecret = (async () => {
+      // A read error throws - replacing a secret we can't read would lock the device out
+      let secret = await SecureStore.getItemAsync(DEVICE_SECRET_KEY);
+      if (!secret) {
+        const bytes = await Crypto.getRandomBytesAsync(DEVICE_SECRET_BYTES);
+        secret = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        await SecureStore.setItemAsync(DEVICE_SECRET_KEY, secret);
+        console.log('🔐 [Auth] Device secret created');
+      }
+      deviceSecret = secret;
+      return secret;
+    })().finally(() => {
+      pendingSecret = null;
+    });
+  }
+  return pendingSecret;
+}
+
+/**
+ * Exchange the device identity (device ID plus the per-install secret) for tokens.
+ * When linked, the link token makes the gateway merge this device's sessions into the account.
+ * @returns {Promise<object>} Registration response (user fields; tokens are kept here)
+ */
+export async function registerDevice() {
+  const deviceInfo = await getDeviceInfo();
+  const secret = await getDeviceSecret();
+  const linked = await loadAccount();
+
+  const response = await fetchWithTimeout(`${API_BASE_URL}/api/users/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      ...deviceInfo,
+      deviceSecret: secret,
+      ...(linked && { linkToken: linked.linkToken }),
+    }),
+  }, DEFAULT_TIMEOUT_MS);
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.log('🔐 [Auth] Register error response:', errorText);
+    throw new Error(`HTTP ${response.status}: Registration failed`);
+  }
+
+  const { accessToken, refreshToken, expiresIn, ...data } = await response.json();
+  if (!data.success) throw new Error(data.error || 'Registration failed');
+  if (!accessToken) throw new Error('Registration returned no access token');
+
+  await storeTokens({ accessToken, refreshToken, expiresIn });
+  console.log('🔐 [Auth] Device registered, token valid for', expiresIn || DEFAULT_EXPIRES_IN_S, 's');
+  if (data.mergedSessions) {
+    console.log('🔐 [Auth] Merged', data.mergedSessions, 'device session(s) into account', linked?.accountId);
+  }
+  return data;
+}
+
+async function refreshTokens() {
+  const response = await fetchWithTimeout(`${API_BASE_URL}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken: tokens.refreshToken }),
+  }, DEFAULT_TIMEOUT_MS);
+
+  // Refresh token expired or revoked - start over with the device identity
+  if (response.status === 401 || response.status === 403) {
+    console.log('🔐 [Auth] Refresh token rejected, registering again');
+    await clearTokens();
+    await registerDevice();
+    return;
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: Token refresh failed`);
+  }
+
+  const data = await response.json();
+  if (!data.accessToken) throw new Error(data.error || 'Token refresh failed');
+  await storeTokens(data);
+  console.log('🔐 [Auth] Access token refreshed');
+}
+
+function renewTokens() {
+  if (!pendingRenewal) {
+    pendingRenewal = (tokens?.refreshToken ? refreshTokens() : registerDevice())
+      .finally(() => {
+        pendingRenewal = null;
+      });
+  }
+  return pendingRenewal;
+}
+
+/**
+ * Current access token, refreshed (or the device registered) when needed
+ * @returns {Promise<string>}
+ */
+export async function getAccessToken() {
+  await loadTokens();
+  if (!tokens?.accessToken || Date.now() > tokens.expiresAt - EXPIRY_MARGIN_MS) {
+    await renewTokens();
+  }
+  return tokens.accessToken;
+}
+
+/**
+ * Mark a token the gateway rejected so the next request renews it.
+ * Only the rejected token is expired - a renewal that already finished is kept.
+ */
+export function invalidateAccessToken(rejectedToken) {
+  if (tokens && tokens.accessToken === rejectedToken) {
+    tokens = { ...tokens, expiresAt: 0 };
+  }
+}
+
+export default {
+  registerDevice,
+  getAccessToken,
+  invalidateAccessToken,
+  clearTokens,
+  storeTokens,
+  getLinkedAccount,
+  storeLinkedAccount,
+  clearLinkedAccount,
+};
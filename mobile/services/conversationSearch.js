@@ -0,0 +1,236 @@
+// Conversation search - full-text search over the local message store,
+// optionally merged with the gateway's search for history not cached on the device.
+// The index lives in memory and is rebuilt when the local store has changed.
+
+import { listLocalSessionsWithMessages, getLocalStoreRevision } from './localStore';
+import { searchMessages } from './db';
+import { parseMetadata } from '../utils/records';
+
+const SNIPPET_BEFORE = 40;
+const SNIPPET_LENGTH = 140;
+const MAX_MATCHES_PER_SESSION = 3;
+
+// Placeholder text stored for photo-only questions - not worth matching
+const PLACEHOLDER_TEXTS = new Set(['[Image for plant diagnosis]']);
+
+let index = null; // { revision, entries, tokens, sessions, byServerMessageId }
+
+// Lowercase and drop accents so "maíz" matches "maiz"
+const fold = (text) => {
+  const lower = `${text || ''}`.toLowerCase();
+  return typeof lower.normalize === 'function'
+    ? lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    : lower;
+};
+
+/**
+ * Split text into search tokens (whitespace/punctuation separated, works for non-Latin scripts)
+ */
+export function tokenize(text) {
+  return fold(text)
+    .split(/[\s.,;:!?()[\]{}"'`«»“”‘’\-–—/\\|<>*_#@&%+=~]+/)
+    .filter(token => token.length > 0);
+}
+
+function buildIndex(sessions, revision) {
+  const entries = [];
+  const tokens = new Map();
+  const sessionInfo = new Map();
+  const byServerMessageId = new Map();
+
+  for (const session of sessions) {
+    let sessionHasDiagnosis = false;
+    for (const message of session.messages) {
+      const metadata = parseMetadata(message.metadata);
+      const hasDiagnosis = !!(message.diagnosisCrop || metadata?.diagnosis);
+      sessionHasDiagnosis = sessionHasDiagnosis || hasDiagnosis;
+
+      const text = PLACEHOLDER_TEXTS.has(message.content) ? '' : `${message.content || ''}`;
+      const entry = {
+        sessionId: session.id,
+        messageId: message.id,
+        text,
+        isBot: message.role === 'assistant',
+        createdAt: message.createdAt,
+        languageCode: message.queryLanguageCode || session.primaryLanguageCode || null,
+        hasDiagnosis,
+      };
+      const position = entries.push(entry) - 1;
+      if (message.serverId) byServerMessageId.set(message.serverId, entry);
+
+      new Set(tokenize(text)).forEach(token => {
+        if (!tokens.has(token)) tokens.set(token, []);
+        tokens.get(token).push(position);
+      });
+    }
+
+    sessionInfo.set(session.id, {
+      sessionId: session.id,
+      serverId: session.serverId,
+      title: session.title,
+      createdAt: session.createdAt,
+      lastMessageAt: session.lastMessageAt || session.createdAt,
+      languageCode: session.primaryLanguageCode || null,
+      hasDiagnosis: sessionHasDiagnosis,
+      farmerId: session.farmerId || null,
+    });
+  }
+
+  console.log('🔎 [Search] Indexed', entries.length, 'messages in', sessions.length, 'sessions');
+  return { revision, entries, tokens, sessions: sessionInfo, byServerMessageId };
+}
+
+async function getIndex() {
+  const revision = getLocalStoreRevision();
+  if (!index || index.revision !== revision) {
+    index = buildIndex(await listLocalSessionsWithMessages(), revision);
+  }
+  return index;
+}
+
+// Positions of entries containing every query token (the last one as a prefix, for search-as-you-type)
+function matchTokens(queryTokens) {
+  let result = null;
+  queryTokens.forEach((token, i) => {
+    const isLast = i === queryTokens.length - 1;
+    const positions = new Set();
+    index.tokens.forEach((list, indexed) => {
+      if (indexed === token || (isLast && indexed.startsWith(token))) {
+        list.forEach(position => positions.add(position));
+      }
+    });
+    result = result ? new Set([...result].filter(position => positions.has(position))) : positions;
+  });
+  return result || new Set();
+}
+
+function makeSnippet(text, queryTokens) {
+  const folded = fold(text);
+  const hit = queryTokens.length ? folded.indexOf(queryTokens[0]) : -1;
+  const start = Math.max(0, hit - SNIPPET_BEFORE);
+  const snippet = text.substring(start, start + SNIPPET_LENGTH).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+}
+
+// farmerId undefined: every conversation; otherwise one farmer's (null: the officer's own)
+const inFarmerScope = (info, farmerId) => farmerId === undefined || info.farmerId === farmerId;
+
+const inRange = (dateString, from, to) => {
+  const date = new Date(dateString);
+  return (!from || date >= from) && (!to || date <= to);
+};
+
+/**
+ * Language codes that appear in local conversations (for the language filter)
+ */
+export async function listSearchLanguages({ farmerId } = {}) {
+  const { sessions } = await getIndex();
+  return [...new Set([...sessions.values()]
+    .filter(s => inFarmerScope(s, farmerId))
+    .map(s => s.languageCode)
+    .filter(Boolean))];
+}
+
+/**
+ * Search conversations
+ * With a query, returns matching messages grouped by conversation; with only
+ * filters, returns the conversations that pass them.
+ * @param {object} params - { query, from, to, languageCode, hasDiagnosis, farmerId, includeServer, limit }
+ *   farmerId limits results to one farmer's conversations (officer mode)
+ * @returns {Promise<object>} { results: [{ sessionId, title, lastMessageAt, hasDiagnosis, matches: [{ messageId, snippet, createdAt, isBot }] }], serverError }
+ */
+export async function searchConversations({
+  query = '',
+  from = null,
+  to = null,
+  languageCode = null,
+  hasDiagnosis = false,
+  farmerId,
+  includeServer = false,
+  limit = 30,
+} = {}) {
+  await getIndex();
+  const queryTokens = tokenize(query);
+  const bySession = new Map();
+
+  const passesSession = (info) => info &&
+    inFarmerScope(info, farmerId) &&
+    (!hasDiagnosis || info.hasDiagnosis) &&
+    (!languageCode || info.languageCode === languageCode);
+
+  const addMatch = (info, match) => {
+    if (!bySession.has(info.sessionId)) {
+      bySession.set(info.sessionId, {
+        sessionId: info.sessionId,
+        title: info.title,
+        lastMessageAt: info.lastMessageAt,
+        hasDiagnosis: info.hasDiagnosis,
+        matches: [],
+        latestMatchAt: match?.createdAt || info.lastMessageAt,
+      });
+    }
+    const result = bySession.get(info.sessionId);
+    if (!match || result.matches.length >= MAX_MATCHES_PER_SESSION) return;
+    if (result.matches.some(m => m.messageId === match.messageId)) return;
+    result.matches.push(match);
+    if (new Date(match.createdAt) > new Date(result.latestMatchAt)) result.latestMatchAt = match.createdAt;
+  };
+
+  if (queryTokens.length === 0) {
+    // Filters only - list the conversations that pass them
+    index.sessions.forEach(info => {
+      if (passesSession(info) && inRange(info.lastMessageAt, from, to)) addMatch(info, null);
+    });
+  } else {
+    const positions = [...matchTokens(queryTokens)].sort((a, b) => b - a); // Newest first
+    for (const position of positions) {
+      const entry = index.entries[position];
+      const info = index.sessions.get(entry.sessionId);
+      if (!passesSession(info) || !inRange(entry.createdAt, from, to)) continue;
+      addMatch(info, {
+        messageId: entry.messageId,
+        snippet: makeSnippet(entry.text, queryTokens),
+        createdAt: entry.createdAt,
+        isBot: entry.isBot,
+      });
+    }
+  }
+
+  // Server copy covers history that was never downloaded to this device
+  let serverError = null;
+  if (includeServer && queryTokens.length > 0) {
+    const server = await searchMessages({ query, from, to, languageCode, hasDiagnosis, limit });
+    if (server.success) {
+      const localByServerId = new Map([...index.sessions.values()].filter(s => s.serverId).map(s => [s.serverId, s]));
+      server.results.forEach(hit => {
+        const info = localByServerId.get(hit.sessionId) || index.sessions.get(hit.sessionId) || {
+          sessionId: hit.sessionId,
+          title: hit.sessionTitle,
+          lastMessageAt: hit.createdAt,
+          hasDiagnosis: !!hit.hasDiagnosis,
+        };
+        const local = index.byServerMessageId.get(hit.messageId);
+        addMatch(info, {
+          messageId: local?.messageId || hit.messageId,
+          snippet: makeSnippet(`${hit.content || ''}`, queryTokens),
+          createdAt: hit.createdAt,
+          isBot: hit.role === 'assistant',
+        });
+      });
+    } else {
+      serverError = server.error;
+      console.log('⚠️ [Search] Server search failed:', server.error);
+    }
+  }
+
+  const results = [...bySession.values()]
+    .sort((a, b) => new Date(b.latestMatchAt) - new Date(a.latestMatchAt))
+    .slice(0, limit);
+  return { results, serverError };
+}
+
+export default {
+  searchConversations,
+  listSearchLanguages,
+  tokenize,
+};
@@ -0,0 +1,375 @@
+// Data export - conversations and diagnoses as a JSON archive, a CSV of diagnoses
+// and a printable conversation report (PDF), handed to the native share sheet.
+// Cooperatives attach these to input-loan applications.
+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { listLocalSessions, getLocalSession, cacheRemoteMessages, SYNC_FIELDS } from './localStore';
+import { getSession } from './db';
+import { listDiagnoses, getHealthStatus, getCropName } from './diagnosisHistory';
+import { t } from '../constants/strings';
+import { parseMetadata, omitFields } from '../utils/records';
+
+const ARCHIVE_FORMAT = 'farmerchat-export';
+const ARCHIVE_VERSION = 1;
+const MAX_MESSAGES_PER_SESSION = 500;
+
+const dateStamp = () => new Date().toISOString().slice(0, 10);
+
+// ============================================
+// SHARING
+// ============================================
+
+async function shareFile(uri, { mimeType, UTI, dialogTitle }) {
+  if (!(await Sharing.isAvailableAsync())) {
+    return { success: false, error: t('export.sharingUnavailable') };
+  }
+  await Sharing.shareAsync(uri, { mimeType, UTI, dialogTitle });
+  return { success: true, uri };
+}
+
+async function writeAndShare(fileName, contents, shareOptions) {
+  const uri = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(uri, contents, { encoding: 'utf8' });
+  return shareFile(uri, shareOptions);
+}
+
+// ============================================
+// CONVERSATIONS
+// ============================================
+
+/**
+ * Messages of a session, oldest first. Sessions only on the server are fetched
+ * (and cached) when online; otherwise whatever the device has is used.
+ * @returns {Promise<{messages: Array, complete: boolean}>}
+ */
+async function loadSessionMessages(session) {
+  const local = await getLocalSession(session.id, MAX_MESSAGES_PER_SESSION);
+  if (local && local.messagesCached !== false) return { messages: local.messages, complete: true };
+
+  const result = await getSession(session.serverId || session.id, MAX_MESSAGES_PER_SESSION);
+  if (result.success && result.session?.messages) {
+    const messages = await cacheRemoteMessages(session.id, result.session.messages);
+    return { messages, complete: true };
+  }
+  console.log('⚠️ [Export] Messages not available offline:', session.id);
+  return { messages: local?.messages || [], complete: false };
+}
+
+function toArchiveMessage(message) {
+  return { ...omitFields(message, SYNC_FIELDS), metadata: parseMetadata(message.metadata) };
+}
+
+async function toArchiveSession(session) {
+  const { messages, complete } = await loadSessionMessages(session);
+  return {
+    ...omitFields(session, SYNC_FIELDS),
+    messagesComplete: complete,
+    messages: messages.map(toArchiveMessage),
+  };
+}
+
+/**
+ * JSON archive of every conversation (or one farmer's, in officer mode)
+ * @param {object} options - { farmerId }
+ */
+export async function exportArchive({ farmerId } = {}) {
+  try {
+    const sessions = await listLocalSessions({ limit: Number.MAX_SAFE_INTEGER, farmerId });
+    const archive = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      sessions: [],
+    };
+    for (const session of sessions) {
+      archive.sessions.push(await toArchiveSession(session));
+    }
+    console.log('📦 [Export] Archive built:', archive.sessions.length, 'sessions');
+
+    return await writeAndShare(`farmerchat-conversations-${dateStamp()}.json`, JSON.stringify(archive, null, 2), {
+      mimeType: 'application/json',
+      UTI: 'public.json',
+      dialogTitle: t('export.archiveTitle'),
+    });
+  } catch (error) {
+    console.log('❌ [Export] Archive failed:', error.message);
+    return { success: false, error: t('export.failed') };
+  }
+}
+
+/**
+ * JSON archive of a single conversation
+ */
+export async function exportConversationArchive(sessionId) {
+  try {
+    const session = await getLocalSession(sessionId, 1);
+    if (!session) return { success: false, error: t('export.notFound') };
+
+    const archive = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      sessions: [await toArchiveSession(session)],
+    };
+    return await writeAndShare(`farmerchat-conversation-${dateStamp()}.json`, JSON.stringify(archive, null, 2), {
+      mimeType: 'application/json',
+      UTI: 'public.json',
+      dialogTitle: t('export.archiveTitle'),
+    });
+  } catch (error) {
+    console.log('❌ [Export] Conversation archive failed:', error.message);
+    return { success: false, error: t('export.failed') };
+  }
+}
+
+// ============================================
+// DIAGNOSES CSV
+// ============================================
+
+const CSV_COLUMNS = [
+  'date', 'conversation', 'plot', 'crop', 'health_status', 'growth_stage', 'confidence',
+  'issues', 'severity', 'symptoms', 'organic_treatment', 'chemical_treatment', 'image_url',
+];
+
+// Quote every field; cells starting like a formula are prefixed so spreadsheets show them as text
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function diagnosisRow(entry) {
+  const { diagnosis } = entry;
+  const issues = diagnosis.issues || [];
+  const treatments = diagnosis.treatment_recommendations || [];
+  return [
+    entry.createdAt,
+    entry.sessionTitle,
+    entry.plot,
+    getCropName(diagnosis),
+    getHealthStatus(diagnosis),
+    diagnosis.growth_stage,
+    diagnosis.crop?.confidence || diagnosis.health_confidence,
+    issues.map(issue => issue.name || issue).join('; '),
+    issues.map(issue => issue.severity).filter(Boolean).join('; '),
+    issues.flatMap(issue => issue.symptoms || []).join('; '),
+    treatments.flatMap(tr => (tr.organic_options || []).map(o => o.name || o)).join('; '),
+    treatments.flatMap(tr => (tr.chemical_options || []).map(o => o.active_ingredient || o.name || o)).join('; '),
+    entry.imageUrl?.startsWith('http') ? entry.imageUrl : '',
+  ].map(csvCell).join(',');
+}
+
+/**
+ * CSV of every diagnosis on the device (or one farmer's, in officer mode)
+ * @param {object} options - { farmerId }
+ */
+export async function exportDiagnosesCsv({ farmerId } = {}) {
+  try {
+    const entries = await listDiagnoses({ farmerId });
+    if (entries.length === 0) return { success: false, error: t('export.noDiagnoses') };
+
+    // CRLF line endings and a BOM so Excel opens non-Latin text correctly
+    const csv = `\uFEFF${[CSV_COLUMNS.join(','), ...entries.map(diagnosisRow)].join('\r\n')}\r\n`;
+    console.log('📦 [Export] Diagnoses CSV built:', entries.length, 'rows');
+
+    return await writeAndShare(`farmerchat-diagnoses-${dateStamp()}.csv`, csv, {
+      mimeType: 'text/csv',
+      UTI: 'public.comma-separated-values-text',
+      dialogTitle: t('export.diagnosesTitle'),
+    });
+  } catch (error) {
+    console.log('❌ [Export] Diagnoses CSV failed:', error.message);
+    return { success: false, error: t('export.failed') };
+  }
+}
+
+// ============================================
+// CONVERSATION REPORT (PDF)
+// ============================================
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Answers are markdown; keep paragraphs, line breaks and bold, drop the rest of the syntax
+const formatAnswer = (text) => escapeHtml(text)
+  .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+  .replace(/^#{1,6}\s*/gm, '')
+  .replace(/^\s*[-*]\s+/gm, '• ')
+  .replace(/\n/g, '<br>');
+
+// The print view can't read app files, so photos on the device are inlined
+async function toPrintableImage(uri) {
+  if (!uri) return null;
+  if (/^https?:/.test(uri) || uri.startsWith('data:')) return uri;
+  try {
+    const base64 = await FileSystem.readAsStringAsync(uri, { encoding: 'base64' });
+    return `data:image/jpeg;base64,${base64}`;
+  } catch (error) {
+    console.log('⚠️ [Export] Photo not readable:', uri);
+    return null;
+  }
+}
+
+async function messagePhotos(message, metadata) {
+  const uris = metadata?.imageUrls?.length
+    ? metadata.imageUrls.map((url, i) => url || metadata.imageLocalUris?.[i])
+    : [message.imageCloudinaryUrl || message.imageLocalUri];
+  return (await Promise.all(uris.filter(Boolean).map(toPrintableImage))).filter(Boolean);
+}
+
+const photosHtml = (photos) => (photos.length
+  ? `<div class="photos">${photos.map((src, i) => `
+      <figure><img src="${escapeHtml(src)}"><figcaption>${escapeHtml(t('diagnosis.photoNumber', { number: i + 1 }))}</figcaption></figure>`).join('')}
+    </div>`
+  : '');
+
+const detailRow = (label, value) => (value
+  ? `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+  : '');
+
+// Same content as DiagnosisCard: crop, status, stage, confidence, quality, issues and treatment
+function diagnosisHtml(diagnosis, photos) {
+  const scientificName = diagnosis.crop?.scientific_name;
+  const crop = getCropName(diagnosis) || t('diagnosis.plant');
+  const issues = diagnosis.issues || [];
+  const treatments = diagnosis.treatment_recommendations || [];
+  const organic = treatments.flatMap(tr => (tr.organic_options || []).map(o => o.name || o));
+  const chemical = treatments.flatMap(tr => (tr.chemical_options || []).map(o => o.active_ingredient || o.name || o));
+  const status = getHealthStatus(diagnosis) || t('diagnosis.analyzed');
+
+  return `
+    <div class="diagnosis">
+      <table>
+        ${detailRow(t('diagnosis.crop'), scientificName ? `${crop} (${scientificName})` : crop)}
+        ${detailRow(t('diagnosis.status'), status)}
+        ${detailRow(t('diagnosis.stage'), diagnosis.growth_stage)}
+        ${detailRow(t('diagnosis.confidence'), diagnosis.crop?.confidence || diagnosis.health_confidence)}
+        ${detailRow(t('diagnosis.quality'), diagnosis.image_quality)}
+      </table>
+      ${issues.length ? `
+        <h3>${escapeHtml(t('diagnosis.issueDetected'))}</h3>
+        ${issues.map(issue => {
+          const photoIndex = issue?.image_index ?? issue?.imageIndex;
+          return `
+          <div class="issue">
+            <strong>${escapeHtml(issue.name || issue)}</strong>${issue.scientific_name ? ` <em>(${escapeHtml(issue.scientific_name)})</em>` : ''}
+            ${photos.length > 1 && Number.isInteger(photoIndex) ? `<div class="muted">${escapeHtml(t('diagnosis.fromPhoto', { number: photoIndex + 1 }))}</div>` : ''}
+            ${issue.severity ? `<div>${escapeHtml(t('diagnosis.severity'))}: ${escapeHtml(issue.severity)}</div>` : ''}
+            ${issue.symptoms?.length ? `<div class="muted">${escapeHtml(t('diagnosis.symptoms'))}: ${escapeHtml(issue.symptoms.join(', '))}</div>` : ''}
+          </div>`;
+        }).join('')}` : ''}
+      ${organic.length || chemical.length ? `
+        <h3>${escapeHtml(t('diagnosis.treatment'))}</h3>
+        ${organic.length ? `<div><strong>${escapeHtml(t('diagnosis.organic'))}:</strong> ${escapeHtml(organic.join(', '))}</div>` : ''}
+        ${chemical.length ? `<div><strong>${escapeHtml(t('diagnosis.chemical'))}:</strong> ${escapeHtml(chemical.join(', '))}</div>` : ''}` : ''}
+      ${photosHtml(photos)}
+    </div>`;
+}
+
+async function buildReportHtml(session, messages) {
+  let lastPhotos = []; // A diagnosis answers the photos sent just before it
+  const parts = [];
+
+  for (const message of messages) {
+    const metadata = parseMetadata(message.metadata);
+    const time = escapeHtml(new Date(message.createdAt).toLocaleString());
+
+    if (message.role === 'assistant') {
+      const diagnosis = metadata?.diagnosis;
+      const hasDiagnosis = diagnosis && typeof diagnosis === 'object' && getHealthStatus(diagnosis);
+      const diagnosisPhotos = metadata?.diagnosisImages?.length
+        ? (await Promise.all(metadata.diagnosisImages.map(toPrintableImage))).filter(Boolean)
+        : lastPhotos;
+      parts.push(`
+        <section class="answer">
+          <div class="meta">${escapeHtml(t('history.answer'))} · ${time}</div>
+          ${hasDiagnosis ? diagnosisHtml(diagnosis, diagnosisPhotos) : `<p>${formatAnswer(message.content)}</p>`}
+        </section>`);
+      lastPhotos = [];
+    } else {
+      const photos = await messagePhotos(message, metadata);
+      if (photos.length) lastPhotos = photos;
+      parts.push(`
+        <section class="question">
+          <div class="meta">${escapeHtml(t('history.question'))} · ${time}</div>
+          ${message.content && !photos.length ? `<p>${escapeHtml(message.content)}</p>` : ''}
+          ${photosHtml(photos)}
+        </section>`);
+    }
+  }
+
+  const details = [
+    session.farmerName && t('export.reportFarmer', { name: session.farmerName }),
+    session.locationDisplay,
+    t('export.reportStarted', { date: new Date(session.createdAt).toLocaleDateString() }),
+  ].filter(Boolean).map(escapeHtml).join(' · ');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+  body { font-family: -apple-system, Roboto, 'Noto Sans', sans-serif; color: #1a1a1a; margin: 32px; font-size: 13px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h3 { font-size: 14px; margin: 12px 0 4px; }
+  header { border-bottom: 1px solid #ddd; padding-bottom: 12px; margin-bottom: 16px; }
+  section { margin-bottom: 14px; page-break-inside: avoid; }
+  .meta, .muted { color: #666; font-size: 11px; }
+  .question p { font-weight: 600; }
+  .diagnosis table { border-collapse: collapse; margin-top: 4px; }
+  .diagnosis th { text-align: left; color: #666; font-weight: normal; padding: 2px 16px 2px 0; }
+  .issue { margin-bottom: 6px; }
+  .photos { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px; }
+  figure { margin: 0; }
+  img { max-width: 220px; max-height: 220px; border-radius: 6px; }
+  figcaption { color: #666; font-size: 10px; }
+  footer { margin-top: 24px; color: #888; font-size: 10px; }
+</style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(session.title || t('history.untitled'))}</h1>
+    <div class="meta">${details}</div>
+  </header>
+  ${parts.join('')}
+  <footer>${escapeHtml(t('export.reportFooter', { date: new Date().toLocaleString() }))}</footer>
+</body>
+</html>`;
+}
+
+/**
+ * Printable report of one conversation, diagnoses and photos included, shared as a PDF
+ */
+export async function exportConversationReport(sessionId) {
+  try {
+    const session = await getLocalSession(sessionId, 1);
+    if (!session) return { success: false, error: t('export.notFound') };
+
+    const { messages } = await loadSessionMessages(session);
+    const html = await buildReportHtml(session, messages);
+    const { uri } = await Print.printToFileAsync({ html });
+    console.log('📦 [Export] Conversation report printed:', messages.length, 'messages');
+
+    return await shareFile(uri, {
+      mimeType: 'application/pdf',
+      UTI: 'com.adobe.pdf',
+      dialogTitle: t('export.reportTitle'),
+    });
+  } catch (error) {
+    console.log('❌ [Export] Conversation report failed:', error.message);
+    return { success: false, error: t('export.failed') };
+  }
+}
+
+export default {
+  exportArchive,
+  exportConversationArchive,
+  exportDiagnosesCsv,
+  exportConversationReport,
+};
@@ -1,18 +1,23 @@
 // Database sync service
 // Communicates with the API Gateway for persistent storage
 
-import { getDeviceId, getDeviceInfo } from '../utils/deviceInfo';
-import { fetchWithTimeout } from '../utils/apiHelpers';
+import { registerDevice, storeTokens, getLinkedAccount, storeLinkedAccount, clearLinkedAccount, clearTokens } from './auth';
+import { get, post, put, patch, del } from './apiClient';
+import { purgeServerSessions } from './localStore';
 import { t } from '../constants/strings';
 
-const API_BASE_URL = process.env.EXPO_PUBLIC_API_BASE_URL || 'https://ag-mcp-api-gateway.up.railway.app';
-const API_KEY = process.env.EXPO_PUBLIC_API_KEY || 'dev-key';
-const DB_TIMEOUT_MS = 30000; // 30s for database operations
-
-const headers = {
-  'Content-Type': 'application/json',
-  'X-API-Key': API_KEY,
-};
+// Gateway bodies already carry { success, ... }; failures get the caller's empty defaults
+// plus the API client's status and network flags (the sync engine tells offline from rejected)
+const toResponse = (result, fallback = {}) => (result.success
+  ? { ...result.data, success: true }
+  : {
+      ...fallback,
+      success: false,
+      error: result.error,
+      status: result.status,
+      isNetworkError: result.isNetworkError,
+      isTimeout: result.isTimeout,
+    });
 
 // ============================================
 // USER MANAGEMENT
@@ -20,28 +25,12 @@ const headers = {
 
 /**
  * Register device with the backend
+ * Exchanges the device identity for access/refresh tokens (kept by the auth service)
  * @returns {Promise<object>} User object with userId
  */
 export async function registerUser() {
   try {
-    const deviceInfo = await getDeviceInfo();
-    
-    const response = await fetchWithTimeout(`${API_BASE_URL}/api/users/register`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(deviceInfo),
-    }, DB_TIMEOUT_MS);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log('🔌 [DB] Sync error response:', errorText);
-      throw new Error(`HTTP ${response.status}: Sync failed`);
-    }
-    
-    const data = await response.json();
-    
-    if (!data.success) throw new Error(data.error || 'Sync failed');
-    
+    const data = await registerDevice();
     return { success: true, userId: data.id || data.userId, ...data };
   } catch (error) {
     console.error('❌ [DB] User sync error:', error.message);
@@ -53,66 +42,85 @@ export async function registerUser() {
  * Get current user
  */
 export async function getCurrentUser() {
-  try {
-    const deviceId = await getDeviceId();
-    const response = await fetchWithTimeout(`${API_BASE_URL}/api/users/me?deviceId=${deviceId}`, { headers }, DB_TIMEOUT_MS);
-    
-    if (!response.ok) {
-      return null;
-    }
-    
-    const data = await response.json();
-    return data.success ? data.user : null;
-  } catch (error) {
-    console.error('Get user error:', error);
-    return null;
-  }
+  // Identity comes from the access token
+  const result = await get('/api/users/me');
+  return result.success ? result.data?.user || null : null;
 }
 
 /**
  * Update user preferences
  */
 export async function updatePreferences(preferences) {
-  try {
-    const deviceId = await getDeviceId();
-    const response = await fetchWithTimeout(`${API_BASE_URL}/api/users/preferences`, {
-      method: 'PUT',
-      headers,
-      body: JSON.stringify({ deviceId, ...preferences }),
-    }, DB_TIMEOUT_MS);
-    
-    if (!response.ok) {
-      return { success: false, error: `HTTP ${response.status}` };
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.error('Update preferences error:', error);
-    return { success: false, error: error.message };
-  }
+  return toResponse(await put('/api/users/preferences', preferences));
 }
 
 /**
  * Save user location
  */
 export async function saveLocation(locationData) {
-  try {
-    const deviceId = await getDeviceId();
-    const response = await fetchWithTimeout(`${API_BASE_URL}/api/users/location`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({ deviceId, ...locationData }),
-    }, DB_TIMEOUT_MS);
-    
-    if (!response.ok) {
-      return { success: false, error: `HTTP ${response.status}` };
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.error('Save location error:', error);
-    return { success: false, error: error.message };
+  return toResponse(await post('/api/users/location', locationData));
+}
+
+/**
+ * Save the farm profile (plots and livestock)
+ */
+export async function saveFarmProfile(profile) {
+  return toResponse(await put('/api/users/farm-profile', profile));
+}
+
+// ============================================
+// ACCOUNT LINKING
+// ============================================
+
+// Why the gateway rejected a link code ({ reason } in the error body)
+const LINK_CODE_ERRORS = {
+  invalid_code: 'account.verifyFailed',
+  code_expired: 'account.codeExpired',
+};
+
+/**
+ * Send a one-time code by SMS to link this device to a phone account
+ * @param {string} phoneNumber - E.164 number, e.g. '+254712345678'
+ */
+export async function requestLinkCode(phoneNumber) {
+  return toResponse(await post('/api/auth/link/start', { phoneNumber }));
+}
+
+/**
+ * Verify the code and link this device to the account.
+ * The gateway merges the device's sessions into the account and issues account-scoped tokens.
+ * @returns {Promise<object>} { success, account: { accountId, phoneNumber, linkedAt }, mergedSessions },
+ *   or { success: false, reason: 'invalid_code'|'code_expired', error } when the code is rejected
+ */
+export async function verifyLinkCode(phoneNumber, code) {
+  const result = await post('/api/auth/link/verify', { phoneNumber, code });
+  if (!result.success) {
+    const errorKey = LINK_CODE_ERRORS[result.data?.reason];
+    return errorKey ? { success: false, reason: result.data.reason, error: t(errorKey) } : toResponse(result);
   }
+
+  const { accessToken, refreshToken, expiresIn, linkToken, accountId, mergedSessions = 0 } = result.data;
+  if (!accessToken || !linkToken) return { success: false, error: t('account.verifyFailed') };
+
+  await storeTokens({ accessToken, refreshToken, expiresIn });
+  await storeLinkedAccount({ accountId, phoneNumber, linkToken });
+  console.log('🔐 [DB] Device linked to account', accountId, '- merged sessions:', mergedSessions);
+  return { success: true, account: await getLinkedAccount(), mergedSessions };
+}
+
+/**
+ * Unlink this device; it goes back to its own device identity.
+ * Sessions already merged stay with the account, so their local copies are dropped.
+ */
+export async function unlinkAccount() {
+  const result = await post('/api/auth/unlink');
+  if (!result.success) return toResponse(result);
+
+  await clearLinkedAccount();
+  await clearTokens();
+  const purged = await purgeServerSessions();
+  console.log('🔐 [DB] Device unlinked - dropped', purged, 'account session(s)');
+  return registerUser();
 }
 
 // ============================================
@@ -120,115 +128,62 @@ export async function saveLocation(locationData) {
 // ============================================
 
 /**
- * List chat sessions
+ * List chat sessions (from every linked device once the device is linked to an account)
  */
 export async function listSessions(options = {}) {
-  try {
-    const deviceId = await getDeviceId();
-    const params = new URLSearchParams({ deviceId, ...options });
-    const response = await fetchWithTimeout(`${API_BASE_URL}/api/sessions?${params}`, { headers }, DB_TIMEOUT_MS);
-    
-    if (!response.ok) {
-      return { success: false, sessions: [], error: `HTTP ${response.status}` };
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.error('List sessions error:', error);
-    return { success: false, sessions: [], error: error.message };
-  }
+  const account = await getLinkedAccount();
+  const scope = account ? 'account' : undefined;
+  return toResponse(await get('/api/sessions', { query: { scope, ...options } }), { sessions: [] });
 }
 
 /**
  * Create a new chat session
+ * @param {object} options - { primaryLanguageCode, locationDisplay, latitude, longitude, level1Country … level6Locality }
  */
 export async function createSession(options = {}) {
-  try {
-    const deviceId = await getDeviceId();
-    const response = await fetchWithTimeout(`${API_BASE_URL}/api/sessions`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({ deviceId, ...options }),
-    }, DB_TIMEOUT_MS);
-    
-    if (!response.ok) {
-      return { success: false, error: `HTTP ${response.status}` };
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.error('Create session error:', error);
-    return { success: false, error: error.message };
-  }
+  return toResponse(await post('/api/sessions', options));
 }
 
 /**
  * Get session with messages
  */
 export async function getSession(sessionId, messageLimit = 50) {
-  try {
-    const deviceId = await getDeviceId();
-    const response = await fetchWithTimeout(
-      `${API_BASE_URL}/api/sessions/${sessionId}?deviceId=${deviceId}&messageLimit=${messageLimit}`,
-      { headers },
-      DB_TIMEOUT_MS
-    );
-    
-    if (!response.ok) {
-      return { success: false, error: `HTTP ${response.status}` };
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.error('Get session error:', error);
-    return { success: false, error: error.message };
-  }
+  return toResponse(await get(`/api/sessions/${sessionId}`, { query: { messageLimit } }));
 }
 
 /**
  * Update session (title, status, etc.)
  */
 export async function updateSession(sessionId, updates) {
-  try {
-    const deviceId = await getDeviceId();
-    const response = await fetchWithTimeout(`${API_BASE_URL}/api/sessions/${sessionId}`, {
-      method: 'PATCH',
-      headers,
-      body: JSON.stringify({ deviceId, ...updates }),
-    }, DB_TIMEOUT_MS);
-    
-    if (!response.ok) {
-      return { success: false, error: `HTTP ${response.status}` };
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.error('Update session error:', error);
-    return { success: false, error: error.message };
-  }
+  return toResponse(await patch(`/api/sessions/${sessionId}`, updates));
+}
+
+/**
+ * Full-text search over the user's server-side messages
+ * @param {object} params - { query, from, to, languageCode, hasDiagnosis, limit }
+ * @returns {Promise<object>} { success, results: [{ sessionId, sessionTitle, messageId, content, role, createdAt }] }
+ */
+export async function searchMessages({ query, from = null, to = null, languageCode = null, hasDiagnosis = false, limit = 30 }) {
+  const result = await get('/api/sessions/search', {
+    query: {
+      q: query,
+      limit,
+      from: from?.toISOString(),
+      to: to?.toISOString(),
+      language: languageCode,
+      hasDiagnosis: hasDiagnosis ? 'true' : undefined,
+    },
+  });
+
+  const response = toResponse(result, { results: [] });
+  return { ...response, results: Array.isArray(response.results) ? response.results : [] };
 }
 
 /**
  * Archive/delete a session
  */
 export async function deleteSession(sessionId) {
-  try {
-    const deviceId = await getDeviceId();
-    const response = await fetchWithTimeout(
-      `${API_BASE_URL}/api/sessions/${sessionId}?deviceId=${deviceId}`,
-      { method: 'DELETE', headers },
-      DB_TIMEOUT_MS
-    );
-    
-    if (!response.ok) {
-      return { success: false, error: `HTTP ${response.status}` };
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.error('Delete session error:', error);
-    return { success: false, error: error.message };
-  }
+  return toResponse(await del(`/api/sessions/${sessionId}`));
 }
 
 // ============================================
@@ -239,66 +194,21 @@ export async function deleteSession(sessionId) {
  * Save a message to the database
  */
 export async function saveMessage(messageData) {
-  try {
-    const deviceId = await getDeviceId();
-    const response = await fetchWithTimeout(`${API_BASE_URL}/api/messages`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({ deviceId, ...messageData }),
-    }, DB_TIMEOUT_MS);
-    
-    if (!response.ok) {
-      return { success: false, error: `HTTP ${response.status}` };
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.error('Save message error:', error);
-    return { success: false, error: error.message };
-  }
+  return toResponse(await post('/api/messages', messageData));
 }
 
 /**
  * Get messages for a session
  */
 export async function getMessages(sessionId, options = {}) {
-  try {
-    const deviceId = await getDeviceId();
-    const params = new URLSearchParams({ deviceId, ...options });
-    const response = await fetchWithTimeout(`${API_BASE_URL}/api/messages/${sessionId}?${params}`, { headers }, DB_TIMEOUT_MS);
-    
-    if (!response.ok) {
-      return { success: false, messages: [], error: `HTTP ${response.status}` };
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.error('Get messages error:', error);
-    return { success: false, messages: [], error: error.message };
-  }
+  return toResponse(await get(`/api/messages/${sessionId}`, { query: options }), { messages: [] });
 }
 
 /**
  * Update message (feedback, TTS played, etc.)
  */
 export async function updateMessage(messageId, updates) {
-  try {
-    const deviceId = await getDeviceId();
-    const response = await fetchWithTimeout(`${API_BASE_URL}/api/messages/${messageId}`, {
-      method: 'PATCH',
-      headers,
-      body: JSON.stringify({ deviceId, ...updates }),
-    }, DB_TIMEOUT_MS);
-    
-    if (!response.ok) {
-      return { success: false, error: `HTTP ${response.status}` };
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.error('Update message error:', error);
-    return { success: false, error: error.message };
-  }
+  return toResponse(await patch(`/api/messages/${messageId}`, updates));
 }
 
 // ============================================
@@ -309,35 +219,37 @@ export async function updateMessage(messageId, updates) {
  * Lookup location from GPS or IP via API Gateway (Nominatim/IP-API)
  */
 export async function lookupLocation(latitude, longitude, ipAddress = null) {
-  try {
-    console.log('🔌 [DB] Looking up location:', { latitude, longitude, ipAddress });
-    
-    const response = await fetchWithTimeout(`${API_BASE_URL}/api/location-lookup`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({ latitude, longitude, ipAddress }),
-    }, DB_TIMEOUT_MS);
-    
-    console.log('🔌 [DB] Location lookup response status:', response.status);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log('🔌 [DB] Location lookup error:', errorText);
-      return { success: false, error: `HTTP ${response.status}` };
-    }
-    
-    const data = await response.json();
-    console.log('🔌 [DB] Location lookup result:', {
-      success: data.success,
-      source: data.source,
-      country: data.level1Country,
-    });
-    
-    return data;
-  } catch (error) {
-    console.error('❌ [DB] Location lookup error:', error.message);
-    return { success: false, error: error.message };
-  }
+  console.log('🔌 [DB] Looking up location:', { latitude, longitude, ipAddress });
+
+  // Read-only despite the POST, so safe to retry
+  const result = await post('/api/location-lookup', { latitude, longitude, ipAddress }, { retry: true });
+  if (!result.success) return toResponse(result);
+
+  console.log('🔌 [DB] Location lookup result:', {
+    success: result.data?.success,
+    source: result.data?.source,
+    country: result.data?.level1Country,
+  });
+  return result.data;
+}
+
+/**
+ * Search places by name via API Gateway (Nominatim forward geocoding)
+ * Results near `near` ({ latitude, longitude }) are ranked first when given.
+ * @returns {Promise<object>} { success, results: [{ displayName, latitude, longitude, level1Country … }] }
+ */
+export async function searchLocations(query, { near = null, limit = 8 } = {}) {
+  console.log('🔌 [DB] Searching locations:', query);
+
+  const result = await post('/api/location-search', {
+    query,
+    limit,
+    latitude: near?.latitude ?? undefined,
+    longitude: near?.longitude ?? undefined,
+  }, { retry: true });
+
+  const response = toResponse(result, { results: [] });
+  return { ...response, results: Array.isArray(response.results) ? response.results : [] };
 }
 
 // ============================================
@@ -348,30 +260,15 @@ export async function lookupLocation(latitude, longitude, ipAddress = null) {
  * Generate session title via AI Services
  */
 export async function generateTitle(messages, language = 'en') {
-  try {
-    console.log('🔌 [DB] Generating title with', messages.length, 'messages, language:', language);
-    
-    const response = await fetchWithTimeout(`${API_BASE_URL}/api/generate-title`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({ messages, language }),
-    }, DB_TIMEOUT_MS);
-    
-    console.log('🔌 [DB] Title generation response status:', response.status);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log('🔌 [DB] Title generation error response:', errorText);
-      return { success: false, title: t('history.newConversation'), error: `HTTP ${response.status}` };
-    }
-    
-    const data = await response.json();
-    console.log('🔌 [DB] Title generation result:', data);
-    return data;
-  } catch (error) {
-    console.log('❌ [DB] Title generation exception:', error.message);
-    return { success: false, title: t('history.newConversation'), error: error.message };
+  console.log('🔌 [DB] Generating title with', messages.length, 'messages, language:', language);
+
+  const result = await post('/api/generate-title', { messages, language });
+  if (!result.success) {
+    return { success: false, title: t('history.newConversation'), error: result.error };
   }
+
+  console.log('🔌 [DB] Title generation result:', result.data);
+  return result.data;
 }
 
 // ============================================
@@ -382,16 +279,6 @@ export async function generateTitle(messages, language = 'en') {
  * Log an analytics event
  */
 export async function logEvent(eventName, eventData = {}, sessionId = null) {
-  try {
-    const deviceId = await getDeviceId();
-    await fetchWithTimeout(`${API_BASE_URL}/api/analytics/event`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({ deviceId, sessionId, eventName, eventData }),
-    }, DB_TIMEOUT_MS);
-  } catch (error) {
-    // Silent fail for analytics
-    console.debug('Analytics error:', error);
-  }
+  // Fire-and-forget - failures are already logged by the client
+  await post('/api/analytics/event', { sessionId, eventName, eventData });
 }
-
@@ -0,0 +1,203 @@
+// Diagnosis history - past plant diagnoses collected from the local message store
+// Plot names are user-assigned labels kept on the device, keyed by diagnosis message ID
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { listLocalSessions, getLocalSession } from './localStore';
+import { createStorageLock } from '../utils/storageLock';
+import { parseMetadata } from '../utils/records';
+
+const PLOTS_KEY = '@ag_mcp_diagnosis_plots';
+const MAX_MESSAGES_PER_SESSION = 500;
+
+const withLock = createStorageLock();
+
+// Health ranking used to tell whether a plot improved between diagnoses
+const HEALTH_LEVELS = [
+  { match: ['healthy'], score: 3 },
+  { match: ['mild', 'minor', 'slight', 'early'], score: 2 },
+  { match: ['moderate'], score: 1 },
+  { match: ['severe', 'critical', 'diseased', 'infected', 'unhealthy'], score: 0 },
+];
+
+/**
+ * Overall health status text for a diagnosis
+ */
+export function getHealthStatus(diagnosis) {
+  const status = diagnosis?.health_status?.overall || diagnosis?.health_status;
+  return typeof status === 'string' ? status : null;
+}
+
+/**
+ * Crop name for a diagnosis
+ */
+export function getCropName(diagnosis) {
+  const crop = typeof diagnosis?.crop === 'object' ? diagnosis.crop?.name : diagnosis?.crop;
+  return typeof crop === 'string' && crop.trim() ? crop.trim() : null;
+}
+
+/**
+ * Rank a health status, higher is healthier
+ * @returns {number|null} null when the status is not recognized
+ */
+export function getHealthScore(diagnosis) {
+  const status = (getHealthStatus(diagnosis) || '').toLowerCase();
+  if (!status) return null;
+  // Check "unhealthy" before "healthy" would match it
+  if (status.includes('unhealthy')) return 0;
+  const level = HEALTH_LEVELS.find(l => l.match.some(word => status.includes(word)));
+  return level ? level.score : null;
+}
+
+/**
+ * Display tone for a health status, same tones as the soil gauges
+ * @returns {'good'|'fair'|'bad'|null}
+ */
+export function getHealthTone(diagnosis) {
+  const score = getHealthScore(diagnosis);
+  if (score === null) return null;
+  if (score >= 3) return 'good';
+  return score >= 1 ? 'fair' : 'bad';
+}
+
+/**
+ * Compare a diagnosis with an earlier one of the same crop/plot
+ * @returns {{ trend: 'improved'|'worsened'|'unchanged'|'unknown', resolvedIssues: string[], newIssues: string[] }}
+ */
+export function compareDiagnoses(current, previous) {
+  const issueNames = (diagnosis) => (diagnosis?.issues || []).map(i => (i?.name || i || '').toString()).filter(Boolean);
+  const currentIssues = issueNames(current?.diagnosis);
+  const previousIssues = issueNames(previous?.diagnosis);
+  const lower = (list) => list.map(name => name.toLowerCase());
+
+  const currentScore = getHealthScore(current?.diagnosis);
+  const previousScore = getHealthScore(previous?.diagnosis);
+  let trend = 'unknown';
+  if (currentScore !== null && previousScore !== null) {
+    if (currentScore > previousScore) trend = 'improved';
+    else if (currentScore < previousScore) trend = 'worsened';
+    else trend = 'unchanged';
+  }
+
+  return {
+    trend,
+    resolvedIssues: previousIssues.filter(name => !lower(currentIssues).includes(name.toLowerCase())),
+    newIssues: currentIssues.filter(name => !lower(previousIssues).includes(name.toLowerCase())),
+  };
+}
+
+// ============================================
+// PLOTS
+// ============================================
+
+/**
+ * Map of diagnosis ID -> plot name
+ */
+export async function getDiagnosisPlots() {
+  try {
+    const raw = await AsyncStorage.getItem(PLOTS_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch (error) {
+    console.log('❌ [Diagnoses] Plot read error:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Assign a diagnosis to a named plot (empty name clears it)
+ */
+export function setDiagnosisPlot(diagnosisId, plotName) {
+  return withLock(async () => {
+    const plots = await getDiagnosisPlots();
+    const name = plotName?.trim();
+    if (name) {
+      plots[diagnosisId] = name;
+    } else {
+      delete plots[diagnosisId];
+    }
+    await AsyncStorage.setItem(PLOTS_KEY, JSON.stringify(plots));
+    return plots;
+  });
+}
+
+/**
+ * Distinct plot names, alphabetical
+ */
+export async function listPlotNames() {
+  const plots = await getDiagnosisPlots();
+  return [...new Set(Object.values(plots))].sort((a, b) => a.localeCompare(b));
+}
+
+// ============================================
+// HISTORY
+// ============================================
+
+/**
+ * Collect every diagnosis stored on the device, newest first.
+ * Sessions that only exist on the server are included once opened (and cached).
+ * @param {object} options - { farmerId } limits it to one farmer's sessions (officer mode)
+ * @returns {Promise<Array<{id, sessionId, createdAt, diagnosis, crop, healthStatus, imageUrl, plot}>>}
+ */
+export async function listDiagnoses({ farmerId } = {}) {
+  const [sessions, plots] = await Promise.all([
+    listLocalSessions({ limit: Number.MAX_SAFE_INTEGER, farmerId }),
+    getDiagnosisPlots(),
+  ]);
+
+  const entries = [];
+  for (const session of sessions) {
+    const local = await getLocalSession(session.id, MAX_MESSAGES_PER_SESSION);
+    const messages = local?.messages || [];
+
+    messages.forEach((message, index) => {
+      if (message.role !== 'assistant') return;
+      const diagnosis = parseMetadata(message.metadata)?.diagnosis;
+      if (!diagnosis || typeof diagnosis !== 'object' || !getHealthStatus(diagnosis)) return;
+
+      // The photo lives on the user message just before the answer
+      const photoMessage = messages
+        .slice(0, index)
+        .reverse()
+        .find(m => m.role === 'user' && (m.imageCloudinaryUrl || m.imageLocalUri));
+
+      entries.push({
+        id: message.id,
+        sessionId: session.id,
+        sessionTitle: session.title,
+        createdAt: message.createdAt,
+        diagnosis,
+        crop: getCropName(diagnosis),
+        healthStatus: getHealthStatus(diagnosis),
+        imageUrl: photoMessage?.imageCloudinaryUrl || photoMessage?.imageLocalUri || null,
+        plot: plots[message.id] || null,
+      });
+    });
+  }
+
+  return entries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Find the most recent earlier diagnosis for the same plot (or crop when unassigned)
+ */
+export function findPreviousDiagnosis(entries, entry) {
+  const sameGroup = (other) => entry.plot
+    ? other.plot === entry.plot
+    : !other.plot && other.crop && entry.crop && other.crop.toLowerCase() === entry.crop.toLowerCase();
+
+  return entries
+    .filter(other => other.id !== entry.id && new Date(other.createdAt) < new Date(entry.createdAt) && sameGroup(other))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
+}
+
+export default {
+  listDiagnoses,
+  findPreviousDiagnosis,
+  compareDiagnoses,
+  getHealthScore,
+  getHealthTone,
+  getHealthStatus,
+  getCropName,
+  getDiagnosisPlots,
+  setDiagnosisPlot,
+  listPlotNames,
+};
@@ -0,0 +1,48 @@
+// Officer mode scope - which extension officer and which farmer gateway requests are made for.
+// AppContext keeps it current; the API client adds it to farmer requests as a request interceptor.
+
+let scope = null; // { officerId, farmerId } while officer mode is on; farmerId is null for the officer's own chats
+
+// Requests made for the farmer being advised (chat and diagnosis, sessions, messages).
+// Everything else - auth, the officer's own /api/users profile, uploads - is the device's.
+const SCOPED_PREFIXES = ['/api/chat', '/api/sessions', '/api/messages'];
+
+// Query value for the officer's own chats: the API client drops null query params,
+// and a request without farmerId reads as "every farmer's chats"
+export const OWN_CHATS_FARMER_ID = 'none';
+
+export function setFarmerScope(next) {
+  scope = next ? { officerId: next.officerId || null, farmerId: next.farmerId || null } : null;
+}
+
+export const getFarmerScope = () => scope;
+
+/**
+ * Scope fields for request bodies built outside the API client (the chat stream)
+ * @returns {object} { officerId, farmerId }, or {} when officer mode is off
+ */
+export function getFarmerScopeFields() {
+  return scope ? { ...scope } : {};
+}
+
+/**
+ * Request interceptor: adds officerId/farmerId to farmer requests' JSON body (or the query
+ * for bodiless requests, with OWN_CHATS_FARMER_ID for the officer's own chats).
+ * Values the caller already set win, so records synced later keep the scope they
+ * were created under.
+ */
+export function applyFarmerScope(config) {
+  if (!scope || !SCOPED_PREFIXES.some(prefix => config.path.startsWith(prefix))) return config;
+
+  const isPlainObject = config.body && typeof config.body === 'object' && !Array.isArray(config.body);
+  if (isPlainObject) {
+    return { ...config, body: { ...scope, ...config.body } };
+  }
+  if (config.body === undefined) {
+    const farmerId = scope.farmerId || OWN_CHATS_FARMER_ID;
+    return { ...config, query: { ...scope, farmerId, ...config.query } };
+  }
+  return config;
+}
+
+export default { OWN_CHATS_FARMER_ID, setFarmerScope, getFarmerScope, getFarmerScopeFields, applyFarmerScope };
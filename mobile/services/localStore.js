@@ -0,0 +1,460 @@
+// Local message store - offline-first persistence for sessions and messages
+// Everything is written here first; services/sync.js pushes pending records to the gateway
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { OWN_CHATS_FARMER_ID } from './farmerScope';
+import { createStorageLock } from '../utils/storageLock';
+
+const SESSIONS_KEY = '@ag_mcp_sessions';
+const MESSAGES_KEY_PREFIX = '@ag_mcp_messages_';
+
+// Sync status values for sessions and messages
+export const SYNC_STATUS = {
+  PENDING: 'pending', // Created locally, not yet on the server
+  SYNCED: 'synced',   // Server has it (may still have pendingUpdates)
+  FAILED: 'failed',   // Server rejected creating it; not retried
+};
+
+// Sync bookkeeping on stored records - meaningless to the gateway or outside this device
+export const SYNC_FIELDS = ['syncStatus', 'pendingUpdates', 'messagesCached', 'deleted', 'syncError'];
+
+const withLock = createStorageLock();
+
+// Bumped on every write so derived data (the search index) knows when to rebuild
+let revision = 0;
+
+/**
+ * Generate a local ID for records created on the device
+ */
+function generateLocalId(prefix) {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substring(2, 10);
+  return `${prefix}_${timestamp}_${random}`;
+}
+
+async function readJson(key, fallback) {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.log('❌ [LocalStore] Read error:', key, error.message);
+    return fallback;
+  }
+}
+
+async function writeJson(key, value) {
+  await AsyncStorage.setItem(key, JSON.stringify(value));
+  revision += 1;
+}
+
+export const getLocalStoreRevision = () => revision;
+
+const readSessions = () => readJson(SESSIONS_KEY, []);
+const writeSessions = (sessions) => writeJson(SESSIONS_KEY, sessions);
+const readMessages = (sessionId) => readJson(`${MESSAGES_KEY_PREFIX}${sessionId}`, []);
+const writeMessages = (sessionId, messages) => writeJson(`${MESSAGES_KEY_PREFIX}${sessionId}`, messages);
+
+// ============================================
+// SESSIONS
+// ============================================
+
+// farmerId undefined: every session; null: sessions not held for a farmer (officer mode)
+const inFarmerScope = (session, farmerId) => farmerId === undefined || (session.farmerId || null) === farmerId;
+
+/**
+ * List local sessions, most recent first (soft-deleted sessions excluded)
+ * @param {object} options - { limit, farmerId } - farmerId limits the list to one farmer's sessions
+ */
+export async function listLocalSessions({ limit = 50, farmerId } = {}) {
+  const sessions = await readSessions();
+  return sessions
+    .filter(s => !s.deleted && inFarmerScope(s, farmerId))
+    .sort((a, b) => new Date(b.lastMessageAt || b.createdAt) - new Date(a.lastMessageAt || a.createdAt))
+    .slice(0, limit);
+}
+
+/**
+ * Every local session with all of its messages (used to build the search index)
+ */
+export async function listLocalSessionsWithMessages() {
+  const sessions = (await readSessions()).filter(s => !s.deleted);
+  const pairs = await AsyncStorage.multiGet(sessions.map(s => `${MESSAGES_KEY_PREFIX}${s.id}`));
+  return sessions.map((session, i) => {
+    let messages = [];
+    try {
+      messages = pairs[i][1] ? JSON.parse(pairs[i][1]) : [];
+    } catch (error) {
+      console.log('❌ [LocalStore] Read error:', pairs[i][0], error.message);
+    }
+    return { ...session, messages };
+  });
+}
+
+/**
+ * Bot answers whose stream dropped for good, saved with the server message ID
+ * (metadata.recoverMessageId) to re-fetch the finished answer by
+ * @returns {Promise<Array<{sessionId: string, message: object}>>}
+ */
+export async function listRecoverableMessages() {
+  const sessions = await listLocalSessionsWithMessages();
+  return sessions.flatMap(session => session.messages
+    .filter(m => m.metadata?.recoverMessageId)
+    .map(message => ({ sessionId: session.id, message })));
+}
+
+/**
+ * Create a session locally (synced to the server later)
+ */
+export function createLocalSession(options = {}) {
+  return withLock(async () => {
+    const now = new Date().toISOString();
+    const session = {
+      id: generateLocalId('session'),
+      serverId: null,
+      title: null,
+      messageCount: 0,
+      createdAt: now,
+      lastMessageAt: now,
+      syncStatus: SYNC_STATUS.PENDING,
+      pendingUpdates: null,
+      ...options,
+    };
+    const sessions = await readSessions();
+    await writeSessions([session, ...sessions]);
+    return session;
+  });
+}
+
+/**
+ * Get a local session with its messages (oldest first, like the gateway)
+ */
+export async function getLocalSession(sessionId, messageLimit = 50) {
+  const sessions = await readSessions();
+  const session = sessions.find(s => s.id === sessionId && !s.deleted);
+  if (!session) return null;
+
+  const messages = await readMessages(sessionId);
+  return { ...session, messages: messages.slice(-messageLimit) };
+}
+
+/**
+ * Update a local session; changes are queued in pendingUpdates for the server
+ */
+export function updateLocalSession(sessionId, updates) {
+  return withLock(async () => {
+    const sessions = await readSessions();
+    const index = sessions.findIndex(s => s.id === sessionId);
+    if (index === -1) return null;
+
+    const session = sessions[index];
+    const updated = {
+      ...session,
+      ...updates,
+      pendingUpdates: { ...(session.pendingUpdates || {}), ...updates },
+    };
+    sessions[index] = updated;
+    await writeSessions(sessions);
+    return updated;
+  });
+}
+
+/**
+ * Delete a local session. Sessions the server knows about are soft-deleted
+ * until the sync engine has removed them remotely.
+ */
+export function deleteLocalSession(sessionId) {
+  return withLock(async () => {
+    const sessions = await readSessions();
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) return;
+
+    if (session.serverId) {
+      await writeSessions(sessions.map(s => s.id === sessionId ? { ...s, deleted: true } : s));
+    } else {
+      await writeSessions(sessions.filter(s => s.id !== sessionId));
+    }
+    await AsyncStorage.removeItem(`${MESSAGES_KEY_PREFIX}${sessionId}`);
+  });
+}
+
+/**
+ * Remove a soft-deleted session once the server has deleted it
+ */
+export function purgeLocalSession(sessionId) {
+  return withLock(async () => {
+    const sessions = await readSessions();
+    await writeSessions(sessions.filter(s => s.id !== sessionId));
+  });
+}
+
+/**
+ * Drop every session the server has (and its cached messages). After unlinking they
+ * belong to the account, not this device; sessions not synced yet are kept.
+ * @returns {Promise<number>} Number of sessions removed
+ */
+export function purgeServerSessions() {
+  return withLock(async () => {
+    const sessions = await readSessions();
+    const removed = sessions.filter(s => s.serverId);
+    await AsyncStorage.multiRemove(removed.map(s => `${MESSAGES_KEY_PREFIX}${s.id}`));
+    await writeSessions(sessions.filter(s => !s.serverId));
+    return removed.length;
+  });
+}
+
+/**
+ * Merge sessions returned by the gateway into the local store.
+ * Server-only sessions are added with their server ID as the local ID;
+ * their messages are fetched lazily when the session is opened.
+ * `defaults` fills fields the gateway left out (e.g. the farmer the list was requested for).
+ */
+export function mergeRemoteSessions(remoteSessions = [], defaults = {}) {
+  return withLock(async () => {
+    const sessions = await readSessions();
+    const byServerId = new Map(sessions.filter(s => s.serverId).map(s => [s.serverId, s]));
+
+    for (const remote of remoteSessions) {
+      const local = byServerId.get(remote.id);
+      if (local) {
+        if (local.deleted) continue;
+        // Server is authoritative for counts; keep local title edits that haven't synced
+        local.messageCount = Math.max(local.messageCount || 0, remote.messageCount || 0);
+        local.lastMessageAt = remote.lastMessageAt || local.lastMessageAt;
+        if (!local.pendingUpdates?.title) local.title = remote.title || local.title;
+      } else {
+        sessions.push({
+          ...defaults,
+          ...remote,
+          // The gateway may echo the officer's-own-chats query value
+          ...(remote.farmerId === OWN_CHATS_FARMER_ID && { farmerId: null }),
+          id: remote.id,
+          serverId: remote.id,
+          syncStatus: SYNC_STATUS.SYNCED,
+          pendingUpdates: null,
+          messagesCached: false,
+        });
+      }
+    }
+
+    await writeSessions(sessions);
+  });
+}
+
+/**
+ * Cache messages fetched from the gateway for a server-only session.
+ * Merged by server ID: local records still waiting to sync (new messages or
+ * unsynced edits) are kept rather than overwritten by the server copy.
+ * @returns {Promise<Array>} The session's cached messages, oldest first
+ */
+export function cacheRemoteMessages(sessionId, remoteMessages = []) {
+  return withLock(async () => {
+    const local = await readMessages(sessionId);
+    const byServerId = new Map(local.filter(m => m.serverId).map(m => [m.serverId, m]));
+
+    const merged = remoteMessages.map(m => {
+      const existing = byServerId.get(m.id);
+      byServerId.delete(m.id);
+      if (existing?.pendingUpdates) return { ...m, ...existing };
+      return {
+        ...m,
+        id: existing?.id || m.id,
+        serverId: m.id,
+        sessionId,
+        syncStatus: SYNC_STATUS.SYNCED,
+        pendingUpdates: null,
+      };
+    });
+    // Older cached messages beyond the fetched page, and messages not yet on the server
+    const kept = local.filter(m => !m.serverId || byServerId.has(m.serverId));
+    const cached = [...merged, ...kept]
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    await writeMessages(sessionId, cached);
+
+    const sessions = await readSessions();
+    await writeSessions(sessions.map(s => s.id === sessionId ? { ...s, messagesCached: true } : s));
+    return cached;
+  });
+}
+
+// ============================================
+// MESSAGES
+// ============================================
+
+/**
+ * Save a message locally. `messageData` uses the same shape as db.saveMessage;
+ * pass `id` to reuse the in-memory chat message ID.
+ * @returns {Promise<object>} The stored message record (with local id)
+ */
+export function saveLocalMessage(sessionId, messageData) {
+  return withLock(async () => {
+    const now = new Date().toISOString();
+    const message = {
+      ...messageData,
+      id: messageData.id || generateLocalId('msg'),
+      serverId: null,
+      sessionId,
+      createdAt: messageData.createdAt || now,
+      syncStatus: SYNC_STATUS.PENDING,
+      pendingUpdates: null,
+    };
+
+    const messages = await readMessages(sessionId);
+    await writeMessages(sessionId, [...messages, message]);
+
+    const sessions = await readSessions();
+    await writeSessions(sessions.map(s => s.id === sessionId
+      ? { ...s, messageCount: (s.messageCount || 0) + 1, lastMessageAt: message.createdAt }
+      : s));
+
+    return message;
+  });
+}
+
+/**
+ * Update a local message; changes are queued in pendingUpdates for the server
+ */
+export function updateLocalMessage(sessionId, messageId, updates) {
+  return withLock(async () => {
+    const messages = await readMessages(sessionId);
+    const index = messages.findIndex(m => m.id === messageId);
+    if (index === -1) return null;
+
+    const message = messages[index];
+    const updated = {
+      ...message,
+      ...updates,
+      pendingUpdates: { ...(message.pendingUpdates || {}), ...updates },
+    };
+    messages[index] = updated;
+    await writeMessages(sessionId, messages);
+    return updated;
+  });
+}
+
+// ============================================
+// SYNC SUPPORT
+// ============================================
+
+/**
+ * Collect everything that still needs to reach the server
+ * @returns {Promise<{sessions: Array, messagesBySession: object}>}
+ */
+export async function getPendingChanges() {
+  const sessions = await readSessions();
+  const pendingSessions = [];
+  const messagesBySession = {};
+
+  for (const session of sessions) {
+    if (session.syncStatus === SYNC_STATUS.FAILED) continue;
+    const needsSync = session.syncStatus === SYNC_STATUS.PENDING || session.pendingUpdates || session.deleted;
+    if (needsSync) pendingSessions.push(session);
+
+    if (session.deleted) continue;
+    const messages = await readMessages(session.id);
+    const pendingMessages = messages.filter(m => m.syncStatus !== SYNC_STATUS.FAILED
+      && (m.syncStatus === SYNC_STATUS.PENDING || m.pendingUpdates));
+    if (pendingMessages.length > 0) {
+      messagesBySession[session.id] = pendingMessages;
+      if (!needsSync) pendingSessions.push(session);
+    }
+  }
+
+  return { sessions: pendingSessions, messagesBySession };
+}
+
+// Keep updates that arrived while a sync was in flight
+function remainingUpdates(current, synced) {
+  if (!current) return null;
+  return JSON.stringify(current) === JSON.stringify(synced || null) ? null : current;
+}
+
+/**
+ * Mark a session as present on the server
+ * @param {object} syncedUpdates - The pendingUpdates snapshot that was pushed
+ */
+export function markSessionSynced(sessionId, serverId, syncedUpdates = null) {
+  return withLock(async () => {
+    const sessions = await readSessions();
+    await writeSessions(sessions.map(s => s.id === sessionId
+      ? {
+          ...s,
+          serverId: serverId || s.serverId,
+          syncStatus: SYNC_STATUS.SYNCED,
+          pendingUpdates: remainingUpdates(s.pendingUpdates, syncedUpdates),
+        }
+      : s));
+  });
+}
+
+/**
+ * Mark a message as present on the server
+ * @param {object} syncedUpdates - The pendingUpdates snapshot that was pushed
+ */
+export function markMessageSynced(sessionId, messageId, serverId, syncedUpdates = null) {
+  return withLock(async () => {
+    const messages = await readMessages(sessionId);
+    await writeMessages(sessionId, messages.map(m => m.id === messageId
+      ? {
+          ...m,
+          serverId: serverId || m.serverId,
+          syncStatus: SYNC_STATUS.SYNCED,
+          pendingUpdates: remainingUpdates(m.pendingUpdates, syncedUpdates),
+        }
+      : m));
+  });
+}
+
+// Rejected record: never created on the server (FAILED), or the rejected updates are dropped
+function withSyncError(record, rejectedUpdates, error) {
+  return {
+    ...record,
+    syncStatus: record.syncStatus === SYNC_STATUS.PENDING ? SYNC_STATUS.FAILED : record.syncStatus,
+    pendingUpdates: remainingUpdates(record.pendingUpdates, rejectedUpdates),
+    syncError: error || null,
+  };
+}
+
+/**
+ * Mark a session the server rejected (4xx) so later syncs skip it
+ * @param {object} rejectedUpdates - The pendingUpdates snapshot that was pushed
+ */
+export function markSessionFailed(sessionId, rejectedUpdates = null, error = null) {
+  return withLock(async () => {
+    const sessions = await readSessions();
+    await writeSessions(sessions.map(s => s.id === sessionId ? withSyncError(s, rejectedUpdates, error) : s));
+  });
+}
+
+/**
+ * Mark a message the server rejected (4xx) so later syncs skip it
+ * @param {object} rejectedUpdates - The pendingUpdates snapshot that was pushed
+ */
+export function markMessageFailed(sessionId, messageId, rejectedUpdates = null, error = null) {
+  return withLock(async () => {
+    const messages = await readMessages(sessionId);
+    await writeMessages(sessionId, messages.map(m => m.id === messageId ? withSyncError(m, rejectedUpdates, error) : m));
+  });
+}
+
+export default {
+  SYNC_STATUS,
+  listLocalSessions,
+  listLocalSessionsWithMessages,
+  listRecoverableMessages,
+  getLocalStoreRevision,
+  createLocalSession,
+  getLocalSession,
+  updateLocalSession,
+  deleteLocalSession,
+  purgeLocalSession,
+  purgeServerSessions,
+  mergeRemoteSessions,
+  cacheRemoteMessages,
+  saveLocalMessage,
+  updateLocalMessage,
+  getPendingChanges,
+  markSessionSynced,
+  markMessageSynced,
+  markSessionFailed,
+  markMessageFailed,
+};
@@ -0,0 +1,126 @@
+// Local notifications - scheduled on the device, no push server involved
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { t } from '../constants/strings';
+
+const CHANNEL_ID = 'reminders';
+
+let configured = false;
+let channelName = null; // Name the Android channel was last saved with
+
+// Create the Android channel, or rename it after the app language changed
+async function ensureChannel() {
+  const name = t('reminders.channelName');
+  if (Platform.OS !== 'android' || channelName === name) return;
+  try {
+    await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+      name,
+      importance: Notifications.AndroidImportance.HIGH,
+    });
+    channelName = name;
+  } catch (error) {
+    console.log('⚠️ [Notifications] Channel setup failed:', error.message);
+  }
+}
+
+/**
+ * Show notifications while the app is open and create the Android channel.
+ * Safe to call more than once.
+ */
+export async function configureNotifications() {
+  if (!configured) {
+    configured = true;
+    Notifications.setNotificationHandler({
+      handleNotification: async () => ({
+        shouldShowBanner: true,
+        shouldShowList: true,
+        shouldPlaySound: true,
+        shouldSetBadge: false,
+      }),
+    });
+  }
+  await ensureChannel();
+}
+
+/**
+ * Ask for notification permission if it has not been decided yet
+ * @returns {Promise<boolean>} Whether notifications can be shown
+ */
+export async function ensureNotificationPermission() {
+  try {
+    const current = await Notifications.getPermissionsAsync();
+    if (current.granted) return true;
+    if (!current.canAskAgain) return false;
+    const requested = await Notifications.requestPermissionsAsync();
+    return requested.granted;
+  } catch (error) {
+    console.log('❌ [Notifications] Permission error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Schedule a one-off local notification
+ * @param {object} params - { title, body, date, data }
+ * @returns {Promise<string|null>} Notification ID, or null when the date has passed or scheduling failed
+ */
+export async function scheduleNotification({ title, body, date, data = {} }) {
+  const when = new Date(date);
+  if (isNaN(when) || when <= new Date()) return null;
+
+  try {
+    await configureNotifications();
+    const id = await Notifications.scheduleNotificationAsync({
+      content: { title, body, data },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: when,
+        channelId: CHANNEL_ID,
+      },
+    });
+    console.log('🔔 [Notifications] Scheduled', id, 'for', when.toISOString());
+    return id;
+  } catch (error) {
+    console.log('❌ [Notifications] Schedule error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Cancel a scheduled notification (ignores unknown IDs)
+ */
+export async function cancelNotification(notificationId) {
+  if (!notificationId) return;
+  try {
+    await Notifications.cancelScheduledNotificationAsync(notificationId);
+  } catch (error) {
+    console.log('⚠️ [Notifications] Cancel error:', error.message);
+  }
+}
+
+/**
+ * Listen for taps on notifications, including the one that launched the app
+ * @param {function} listener - Called with the notification's `data`
+ * @returns {function} Unsubscribe
+ */
+export function subscribeNotificationTaps(listener) {
+  const subscription = Notifications.addNotificationResponseReceivedListener(response => {
+    listener(response.notification.request.content.data || {});
+  });
+
+  Notifications.getLastNotificationResponseAsync()
+    .then(response => {
+      if (response) listener(response.notification.request.content.data || {});
+    })
+    .catch(() => {});
+
+  return () => subscription.remove();
+}
+
+export default {
+  configureNotifications,
+  ensureNotificationPermission,
+  scheduleNotification,
+  cancelNotification,
+  subscribeNotificationTaps,
+};
@@ -0,0 +1,166 @@
+// Outbox service - persists questions that couldn't be sent while offline
+// Items are replayed in order by useChat when connectivity returns
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import { createStorageLock } from '../utils/storageLock';
+
+const OUTBOX_KEY = '@ag_mcp_outbox';
+const OUTBOX_DIR = `${FileSystem.documentDirectory}outbox/`;
+
+// Listeners notified when the device comes back online
+const onlineListeners = new Set();
+
+// Replay in flight. Module-level because every mounted chat screen (History can
+// push a second one) asks for a replay on mount and on reconnect.
+let activeReplay = null;
+
+const withLock = createStorageLock();
+
+async function readOutbox() {
+  try {
+    const raw = await AsyncStorage.getItem(OUTBOX_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.log('❌ [Outbox] Read error:', error.message);
+    return [];
+  }
+}
+
+const writeOutbox = (items) => AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(items));
+
+/**
+ * Copy a picker/recorder file into app storage so it survives cache cleanup
+ * @returns {Promise<string|null>} Persistent file URI
+ */
+async function persistFile(uri, id) {
+  if (!uri) return null;
+  try {
+    await FileSystem.makeDirectoryAsync(OUTBOX_DIR, { intermediates: true });
+    const extension = uri.split('.').pop()?.split('?')[0] || 'bin';
+    const target = `${OUTBOX_DIR}${id}.${extension}`;
+    await FileSystem.copyAsync({ from: uri, to: target });
+    return target;
+  } catch (error) {
+    console.log('⚠️ [Outbox] Could not persist file, keeping original URI:', error.message);
+    return uri;
+  }
+}
+
+/**
+ * Add a question to the outbox
+ * @param {object} item - { type: 'text'|'image'|'voice', sessionId, userMessageId, text, fileUri, fileUris?, ... }
+ * @returns {Promise<object>} Stored outbox item
+ */
+export function enqueueOutbox(item) {
+  return withLock(async () => {
+    const id = `outbox_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+    const fileUri = await persistFile(item.fileUri, id);
+    const stored = {
+      ...item,
+      id,
+      fileUri,
+      // Multi-photo diagnoses keep every file; the first one is `fileUri`
+      ...(item.fileUris && {
+        fileUris: [fileUri, ...await Promise.all(item.fileUris.slice(1).map((uri, i) => persistFile(uri, `${id}_${i + 1}`)))],
+      }),
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+    };
+    const items = await readOutbox();
+    await writeOutbox([...items, stored]);
+    console.log('📮 [Outbox] Queued', stored.type, 'question:', id);
+    return stored;
+  });
+}
+
+/**
+ * List queued items, oldest first
+ */
+export function listOutbox() {
+  return readOutbox();
+}
+
+/**
+ * Update a queued item (e.g. bump attempts)
+ */
+export function updateOutboxItem(id, updates) {
+  return withLock(async () => {
+    const items = await readOutbox();
+    await writeOutbox(items.map(item => item.id === id ? { ...item, ...updates } : item));
+  });
+}
+
+/**
+ * Remove an item once it has been sent (deletes its persisted files)
+ */
+export function removeFromOutbox(id) {
+  return withLock(async () => {
+    const items = await readOutbox();
+    const item = items.find(i => i.id === id);
+    const files = item?.fileUris || [item?.fileUri];
+    for (const file of files) {
+      if (file?.startsWith(OUTBOX_DIR)) {
+        await FileSystem.deleteAsync(file, { idempotent: true }).catch(() => {});
+      }
+    }
+    await writeOutbox(items.filter(i => i.id !== id));
+  });
+}
+
+/**
+ * Run `replay` unless another chat screen's replay is already in flight
+ * @returns {Promise} The replay in flight
+ */
+export function runOutboxReplay(replay) {
+  if (!activeReplay) {
+    activeReplay = (async () => {
+      try {
+        return await replay();
+      } finally {
+        activeReplay = null;
+      }
+    })();
+  }
+  return activeReplay;
+}
+
+/**
+ * Read a queued file back as base64 for sending
+ */
+export async function readOutboxFile(fileUri) {
+  return FileSystem.readAsStringAsync(fileUri, { encoding: 'base64' });
+}
+
+/**
+ * Subscribe to connectivity-restored notifications
+ * @returns {function} Unsubscribe
+ */
+export function subscribeOnline(listener) {
+  onlineListeners.add(listener);
+  return () => onlineListeners.delete(listener);
+}
+
+/**
+ * Called by OfflineIndicator when NetInfo reports connectivity again
+ */
+export function notifyOnline() {
+  onlineListeners.forEach(listener => {
+    try {
+      listener();
+    } catch (error) {
+      console.log('❌ [Outbox] Online listener error:', error.message);
+    }
+  });
+}
+
+export default {
+  enqueueOutbox,
+  listOutbox,
+  updateOutboxItem,
+  removeFromOutbox,
+  runOutboxReplay,
+  readOutboxFile,
+  subscribeOnline,
+  notifyOnline,
+};
@@ -0,0 +1,200 @@
+// Reminders - dated to-dos backed by local notifications, no push server
+// Chat answers, treatment plans and planting advice all create entries here
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { scheduleNotification, cancelNotification, ensureNotificationPermission } from './notifications';
+import { createStorageLock } from '../utils/storageLock';
+
+const REMINDERS_KEY = '@ag_mcp_reminders';
+
+// Farm work starts early - date-only reminders fire at this hour
+export const REMINDER_HOUR = 7;
+// Completed reminders are kept this long so they can be reopened
+const DONE_RETENTION_DAYS = 30;
+
+export const REMINDER_SOURCES = {
+  CHAT: 'chat',
+  TREATMENT_PLAN: 'treatmentPlan',
+  PLANTING: 'planting',
+};
+
+const withLock = createStorageLock();
+
+async function readReminders() {
+  try {
+    const raw = await AsyncStorage.getItem(REMINDERS_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.log('❌ [Reminders] Read error:', error.message);
+    return [];
+  }
+}
+
+const writeReminders = (reminders) => AsyncStorage.setItem(REMINDERS_KEY, JSON.stringify(reminders));
+
+const generateId = () => `rem_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+
+/**
+ * `days` after `from`, at the reminder hour
+ */
+export function morningOf(days, from = new Date()) {
+  const date = new Date(from);
+  date.setDate(date.getDate() + days);
+  date.setHours(REMINDER_HOUR, 0, 0, 0);
+  return date;
+}
+
+/**
+ * When a snoozed reminder fires again
+ * @param {'hour'|'tomorrow'|'week'} option
+ */
+export function getSnoozeTime(option, from = new Date()) {
+  if (option === 'hour') return new Date(from.getTime() + 60 * 60 * 1000);
+  return morningOf(option === 'week' ? 7 : 1, from);
+}
+
+function schedule(reminder) {
+  return scheduleNotification({
+    title: reminder.title,
+    body: reminder.body || undefined,
+    date: reminder.dueAt,
+    data: {
+      reminderId: reminder.id,
+      source: reminder.source,
+      planId: reminder.planId || undefined,
+      sessionId: reminder.sessionId || undefined,
+    },
+  });
+}
+
+// Apply `change` to one reminder under the lock and persist
+function updateReminder(reminderId, change) {
+  return withLock(async () => {
+    const reminders = await readReminders();
+    const reminder = reminders.find(r => r.id === reminderId);
+    if (!reminder) return null;
+    await change(reminder);
+    await writeReminders(reminders);
+    return reminder;
+  });
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Create a reminder and schedule its notification
+ * @param {object} params - { title, body, dueAt, source, sessionId, messageId, planId, stepId }
+ * @returns {Promise<{success: boolean, reminder?: object, notificationsEnabled?: boolean, error?: string}>}
+ */
+export async function createReminder({ title, body = null, dueAt, source = REMINDER_SOURCES.CHAT, ...links }) {
+  try {
+    const notificationsEnabled = await ensureNotificationPermission();
+    const reminder = {
+      id: generateId(),
+      title,
+      body,
+      dueAt: new Date(dueAt).toISOString(),
+      source,
+      sessionId: links.sessionId || null,
+      messageId: links.messageId || null,
+      planId: links.planId || null,
+      stepId: links.stepId || null,
+      done: false,
+      completedAt: null,
+      createdAt: new Date().toISOString(),
+      notificationId: null,
+    };
+    if (notificationsEnabled) reminder.notificationId = await schedule(reminder);
+
+    await withLock(async () => {
+      const reminders = await readReminders();
+      await writeReminders([...reminders, reminder]);
+    });
+    console.log('⏰ [Reminders] Created', reminder.id, 'for', reminder.dueAt);
+    return { success: true, reminder, notificationsEnabled };
+  } catch (error) {
+    console.log('❌ [Reminders] Create error:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * All reminders, soonest first; old completed ones are pruned
+ */
+export async function listReminders() {
+  const cutoff = morningOf(-DONE_RETENTION_DAYS).getTime();
+  return (await readReminders())
+    .filter(r => !r.done || new Date(r.completedAt).getTime() > cutoff)
+    .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+}
+
+export async function getReminder(reminderId) {
+  return (await readReminders()).find(r => r.id === reminderId) || null;
+}
+
+/**
+ * Mark a reminder done and cancel its notification
+ */
+export function completeReminder(reminderId) {
+  return updateReminder(reminderId, async (reminder) => {
+    await cancelNotification(reminder.notificationId);
+    reminder.done = true;
+    reminder.completedAt = new Date().toISOString();
+    reminder.notificationId = null;
+  });
+}
+
+/**
+ * Undo completion; the notification is re-scheduled if still in the future
+ */
+export function reopenReminder(reminderId) {
+  return updateReminder(reminderId, async (reminder) => {
+    reminder.done = false;
+    reminder.completedAt = null;
+    reminder.notificationId = await schedule(reminder);
+  });
+}
+
+/**
+ * Move a reminder to a later time
+ * @param {Date} until - From getSnoozeTime
+ */
+export function snoozeReminder(reminderId, until) {
+  return updateReminder(reminderId, async (reminder) => {
+    await cancelNotification(reminder.notificationId);
+    reminder.dueAt = new Date(until).toISOString();
+    reminder.done = false;
+    reminder.completedAt = null;
+    reminder.notificationId = await schedule(reminder);
+    console.log('😴 [Reminders] Snoozed', reminder.id, 'until', reminder.dueAt);
+  });
+}
+
+/**
+ * Delete reminders and cancel their notifications
+ * @param {string[]} reminderIds
+ */
+export function deleteReminders(reminderIds) {
+  const ids = new Set(reminderIds.filter(Boolean));
+  return withLock(async () => {
+    const reminders = await readReminders();
+    for (const reminder of reminders.filter(r => ids.has(r.id))) {
+      await cancelNotification(reminder.notificationId);
+    }
+    await writeReminders(reminders.filter(r => !ids.has(r.id)));
+  });
+}
+
+export default {
+  createReminder,
+  listReminders,
+  getReminder,
+  completeReminder,
+  reopenReminder,
+  snoozeReminder,
+  deleteReminders,
+  getSnoozeTime,
+  morningOf,
+};
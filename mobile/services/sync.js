@@ -0,0 +1,183 @@
+// Sync engine - pushes locally stored sessions/messages to the API Gateway
+// Runs after user registration and whenever connectivity returns
+
+import {
+  getPendingChanges,
+  markSessionSynced,
+  markMessageSynced,
+  markSessionFailed,
+  markMessageFailed,
+  purgeLocalSession,
+  updateLocalSession,
+  SYNC_STATUS,
+  SYNC_FIELDS,
+} from './localStore';
+import { createSession, saveMessage, updateMessage, updateSession, deleteSession } from './db';
+import { LOCATION_LEVEL_FIELDS } from '../utils/location';
+import { omitFields } from '../utils/records';
+
+// Fields that only exist in the local store and must not be sent to the gateway
+const LOCAL_ONLY_FIELDS = ['id', 'serverId', 'createdAt', 'imageLocalUri', ...SYNC_FIELDS];
+
+let activeSync = null;
+let rerunRequested = false; // Changes arrived while a sync was in flight
+
+// Coordinates and L1-L6 pinned to the session (absent on sessions from older versions)
+function pickSessionLocation(session) {
+  const fields = {};
+  ['latitude', 'longitude', ...LOCATION_LEVEL_FIELDS].forEach(field => {
+    if (session[field] != null) fields[field] = session[field];
+  });
+  return fields;
+}
+
+// Officer/farmer the session was created for - sent explicitly so the API client
+// doesn't stamp records with whichever farmer is active when the sync runs
+function pickSessionScope(session) {
+  return { officerId: session.officerId || null, farmerId: session.farmerId || null };
+}
+
+// Why a push failed: OFFLINE stops the sync, REJECTED records (4xx) are marked failed
+// and skipped for good, RETRY (5xx, auth, rate limit) is skipped until the next sync
+const FAILURE = { OFFLINE: 'offline', REJECTED: 'rejected', RETRY: 'retry' };
+const RETRYABLE_CLIENT_STATUSES = [401, 408, 429];
+
+function classifyFailure(result) {
+  if (result.isNetworkError || result.isTimeout) return FAILURE.OFFLINE;
+  if (result.status >= 400 && result.status < 500 && !RETRYABLE_CLIENT_STATUSES.includes(result.status)) {
+    return FAILURE.REJECTED;
+  }
+  return FAILURE.RETRY;
+}
+
+/**
+ * Push one session (and its pending messages) to the server
+ * @returns {Promise<string>} 'synced', 'skipped' (something is left for a later sync) or 'offline'
+ */
+async function syncSession(session, pendingMessages = []) {
+  let serverId = session.serverId;
+  const scope = pickSessionScope(session);
+
+  // Rejected session-level push: mark it (4xx) and leave its messages for later
+  const sessionFailed = async (result, updates) => {
+    const failure = classifyFailure(result);
+    if (failure === FAILURE.OFFLINE) return 'offline';
+    if (failure === FAILURE.REJECTED) {
+      console.log('⚠️ [Sync] Session rejected:', session.id, result.status, result.error);
+      await markSessionFailed(session.id, updates, result.error);
+    }
+    return 'skipped';
+  };
+
+  // Deleted locally - remove on the server, then forget it
+  if (session.deleted) {
+    const result = await deleteSession(serverId);
+    // 404: already gone; other rejections: no longer ours to delete (e.g. after unlinking)
+    const failure = result.success ? null : classifyFailure(result);
+    if (failure === FAILURE.OFFLINE) return 'offline';
+    if (failure === FAILURE.RETRY) return 'skipped';
+    await purgeLocalSession(session.id);
+    return 'synced';
+  }
+
+  // Created offline - create on the server first
+  if (session.syncStatus === SYNC_STATUS.PENDING) {
+    const result = await createSession({
+      primaryLanguageCode: session.primaryLanguageCode,
+      locationDisplay: session.locationDisplay,
+      ...pickSessionLocation(session),
+      ...scope,
+    });
+    if (!result.success) return sessionFailed(result, null);
+    serverId = result.session.id;
+
+    // Title may have been generated while offline
+    if (session.title) {
+      const titleResult = await updateSession(serverId, { title: session.title, ...scope });
+      if (!titleResult.success) {
+        // Keep the server ID so the session isn't created twice; the title stays queued
+        await markSessionSynced(session.id, serverId);
+        await updateLocalSession(session.id, { title: session.title });
+        return classifyFailure(titleResult) === FAILURE.OFFLINE ? 'offline' : 'skipped';
+      }
+    }
+    await markSessionSynced(session.id, serverId, session.pendingUpdates);
+  } else if (session.pendingUpdates) {
+    const result = await updateSession(serverId, { ...session.pendingUpdates, ...scope });
+    if (!result.success) return sessionFailed(result, session.pendingUpdates);
+    await markSessionSynced(session.id, serverId, session.pendingUpdates);
+  }
+
+  // Messages are pushed oldest first so the server keeps conversation order
+  let outcome = 'synced';
+  for (const message of pendingMessages) {
+    const isNew = message.syncStatus === SYNC_STATUS.PENDING;
+    if (!isNew && !message.pendingUpdates) continue;
+
+    const result = isNew
+      ? await saveMessage({ ...omitFields(message, LOCAL_ONLY_FIELDS), ...scope, sessionId: serverId })
+      : await updateMessage(message.serverId, { ...message.pendingUpdates, ...scope });
+    if (result.success) {
+      await markMessageSynced(session.id, message.id, isNew ? result.message?.id : message.serverId, message.pendingUpdates);
+      continue;
+    }
+
+    const failure = classifyFailure(result);
+    if (failure === FAILURE.OFFLINE) return 'offline';
+    if (failure === FAILURE.REJECTED) {
+      console.log('⚠️ [Sync] Message rejected:', message.id, result.status, result.error);
+      await markMessageFailed(session.id, message.id, isNew ? null : message.pendingUpdates, result.error);
+    } else {
+      outcome = 'skipped';
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Push all pending local changes to the server.
+ * Calls made during an in-flight sync share it and trigger one follow-up pass.
+ * @returns {Promise<{success: boolean, synced: number}>}
+ */
+export function syncPendingData() {
+  if (activeSync) {
+    rerunRequested = true;
+    return activeSync;
+  }
+
+  activeSync = (async () => {
+    let synced = 0;
+    try {
+      const { sessions, messagesBySession } = await getPendingChanges();
+      if (sessions.length === 0) return { success: true, synced };
+
+      console.log('🔄 [Sync] Pushing', sessions.length, 'pending session(s)');
+      for (const session of sessions) {
+        const outcome = await syncSession(session, messagesBySession[session.id]);
+        if (outcome === 'offline') {
+          // Server unreachable - stop and retry on next connectivity change
+          console.log('⚠️ [Sync] Stopped, server unreachable');
+          return { success: false, synced };
+        }
+        if (outcome === 'synced') synced++;
+      }
+
+      console.log('✅ [Sync] Synced', synced, 'session(s)');
+      return { success: true, synced };
+    } catch (error) {
+      console.log('❌ [Sync] Error:', error.message);
+      return { success: false, synced, error: error.message };
+    } finally {
+      activeSync = null;
+      if (rerunRequested) {
+        rerunRequested = false;
+        setTimeout(syncPendingData, 0);
+      }
+    }
+  })();
+
+  return activeSync;
+}
+
+export default { syncPendingData };
@@ -0,0 +1,229 @@
+// Treatment plans - dated checklists built from a diagnosis' treatment recommendations
+// Stored on the device; each step is backed by a reminder
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  createReminder,
+  completeReminder,
+  reopenReminder,
+  deleteReminders,
+  morningOf,
+  REMINDER_SOURCES,
+} from './reminders';
+import { getCropName } from './diagnosisHistory';
+import { ensureNotificationPermission } from './notifications';
+import { t } from '../constants/strings';
+import { createStorageLock } from '../utils/storageLock';
+
+const PLANS_KEY = '@ag_mcp_treatment_plans';
+
+// Re-inspect this long after the last application unless the diagnosis says otherwise
+export const REINSPECT_DAYS = 7;
+// Applications when an option has a repeat interval but no count
+const DEFAULT_APPLICATIONS = 2;
+const MAX_APPLICATIONS = 4;
+
+const withLock = createStorageLock();
+
+async function readPlans() {
+  try {
+    const raw = await AsyncStorage.getItem(PLANS_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.log('❌ [Plans] Read error:', error.message);
+    return [];
+  }
+}
+
+const writePlans = (plans) => AsyncStorage.setItem(PLANS_KEY, JSON.stringify(plans));
+
+const generateId = (prefix) => `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+
+/**
+ * Repeat interval in days from an option's frequency text, e.g. "every 7-10 days", "weekly"
+ * @returns {number|null}
+ */
+export function parseIntervalDays(option) {
+  if (Number.isFinite(option?.interval_days)) return option.interval_days;
+  const text = `${option?.frequency || option?.application || ''}`.toLowerCase();
+  const every = text.match(/every\s+(\d+)/);
+  if (every) return parseInt(every[1], 10);
+  if (text.includes('fortnight') || text.includes('biweekly') || text.includes('two weeks')) return 14;
+  if (text.includes('weekly') || text.includes('every week')) return 7;
+  return null;
+}
+
+// Same naming as the treatment rows in DiagnosisCard
+const optionName = (option, approach) => {
+  if (typeof option === 'string') return option;
+  return (approach === 'chemical' ? option?.active_ingredient || option?.name : option?.name) || null;
+};
+
+/**
+ * Treatment approaches available in a diagnosis
+ * @returns {Array<'organic'|'chemical'>}
+ */
+export function getPlanApproaches(diagnosis) {
+  const recommendations = diagnosis?.treatment_recommendations || [];
+  return ['organic', 'chemical'].filter(approach =>
+    recommendations.some(rec => rec?.[`${approach}_options`]?.length > 0)
+  );
+}
+
+/**
+ * Build (but don't save) a plan: apply on the next reminder morning still ahead
+ * (today or tomorrow), re-apply at the option's interval, then re-inspect and
+ * photograph the plant again.
+ * @returns {object|null} Plan with steps [{ id, type: 'apply'|'inspect', products, detail, dueAt, done }]
+ */
+export function buildTreatmentPlan(diagnosis, { approach, startDate = new Date() } = {}) {
+  const options = (diagnosis?.treatment_recommendations || [])
+    .flatMap(rec => rec?.[`${approach}_options`] || []);
+  if (options.length === 0) return null;
+
+  const products = [...new Set(options.map(o => optionName(o, approach)).filter(Boolean))];
+  const lead = options.find(o => parseIntervalDays(o)) || options[0];
+  const intervalDays = parseIntervalDays(lead);
+  const applications = intervalDays
+    ? Math.min(MAX_APPLICATIONS, lead.applications || lead.number_of_applications || DEFAULT_APPLICATIONS)
+    : 1;
+  const detail = [lead.dosage, lead.frequency || lead.application].filter(v => typeof v === 'string' && v).join(' · ') || null;
+
+  // Today's reminder hour has usually passed already - its notification would never fire
+  const firstDay = morningOf(0, startDate) > startDate ? 0 : 1;
+
+  const steps = [];
+  for (let i = 0; i < applications; i++) {
+    steps.push({ id: generateId('step'), type: 'apply', products, detail, dueAt: morningOf(firstDay + i * (intervalDays || 0), startDate).toISOString(), done: false });
+  }
+  const lastApplication = firstDay + (applications - 1) * (intervalDays || 0);
+  const reinspectDays = diagnosis?.follow_up_days || REINSPECT_DAYS;
+  steps.push({ id: generateId('step'), type: 'inspect', products: [], detail: null, dueAt: morningOf(lastApplication + reinspectDays, startDate).toISOString(), done: false });
+
+  const issue = diagnosis?.issues?.[0]?.name || diagnosis?.issues?.[0] || null;
+
+  return {
+    approach,
+    crop: getCropName(diagnosis),
+    issue: typeof issue === 'string' ? issue : null,
+    steps,
+  };
+}
+
+/**
+ * Title shown for a step (checklist and notification)
+ */
+export function describePlanStep(step) {
+  if (step.type === 'inspect') return t('treatmentPlan.inspectStep');
+  return t('treatmentPlan.applyStep', { products: step.products.join(', ') });
+}
+
+function createStepReminder(plan, step) {
+  return createReminder({
+    title: plan.crop ? t('treatmentPlan.notificationTitle', { crop: plan.crop }) : t('treatmentPlan.notificationTitleGeneric'),
+    body: describePlanStep(step),
+    dueAt: step.dueAt,
+    source: REMINDER_SOURCES.TREATMENT_PLAN,
+    sessionId: plan.sessionId,
+    planId: plan.id,
+    stepId: step.id,
+  });
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * Save a built plan and create a reminder for every step
+ * @param {object} plan - From buildTreatmentPlan
+ * @param {object} source - { sessionId, diagnosisId } the diagnosis it came from
+ * @returns {Promise<{success: boolean, plan?: object, notificationsEnabled?: boolean, error?: string}>}
+ */
+export async function createTreatmentPlan(plan, { sessionId, diagnosisId } = {}) {
+  try {
+    const saved = { ...plan, id: generateId('plan'), sessionId, diagnosisId, createdAt: new Date().toISOString() };
+
+    // Asked once for the whole plan, before its reminders are scheduled
+    const notificationsEnabled = await ensureNotificationPermission();
+    for (const step of saved.steps) {
+      const result = await createStepReminder(saved, step);
+      step.reminderId = result.reminder?.id || null;
+    }
+
+    await withLock(async () => {
+      const plans = await readPlans();
+      await writePlans([saved, ...plans]);
+    });
+    console.log('📋 [Plans] Created plan', saved.id, 'with', saved.steps.length, 'steps');
+    return { success: true, plan: saved, notificationsEnabled };
+  } catch (error) {
+    console.log('❌ [Plans] Create error:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * All plans, newest first
+ */
+export function listTreatmentPlans() {
+  return readPlans();
+}
+
+export async function getTreatmentPlan(planId) {
+  return (await readPlans()).find(p => p.id === planId) || null;
+}
+
+/**
+ * Plan created from a given diagnosis message, if any
+ */
+export async function findPlanForDiagnosis(diagnosisId) {
+  if (!diagnosisId) return null;
+  return (await readPlans()).find(p => p.diagnosisId === diagnosisId) || null;
+}
+
+/**
+ * Tick or untick a step, completing or reopening its reminder
+ * @returns {Promise<object|null>} Updated plan
+ */
+export function setPlanStepDone(planId, stepId, done) {
+  return withLock(async () => {
+    const plans = await readPlans();
+    const plan = plans.find(p => p.id === planId);
+    const step = plan?.steps.find(s => s.id === stepId);
+    if (!step) return null;
+
+    step.done = done;
+    step.completedAt = done ? new Date().toISOString() : null;
+    if (step.reminderId) {
+      await (done ? completeReminder : reopenReminder)(step.reminderId);
+    }
+
+    await writePlans(plans);
+    return plan;
+  });
+}
+
+/**
+ * Delete a plan together with its reminders
+ */
+export function deleteTreatmentPlan(planId) {
+  return withLock(async () => {
+    const plans = await readPlans();
+    const plan = plans.find(p => p.id === planId);
+    await deleteReminders((plan?.steps || []).map(step => step.reminderId));
+    await writePlans(plans.filter(p => p.id !== planId));
+  });
+}
+
+export default {
+  buildTreatmentPlan,
+  getPlanApproaches,
+  describePlanStep,
+  createTreatmentPlan,
+  listTreatmentPlans,
+  getTreatmentPlan,
+  findPlanForDiagnosis,
+  setPlanStepDone,
+  deleteTreatmentPlan,
+};
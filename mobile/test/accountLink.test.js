@@ -0,0 +1,98 @@
+// Account linking against the local gateway stand-in (test/fakeGateway.js)
+
+import { createFakeGateway } from './fakeGateway';
+
+const PHONE = '+254700000001';
+const CODE_TTL_MS = 5 * 60 * 1000;
+
+let gateway;
+let db;
+let auth;
+let t;
+
+// Fresh install per test: new module state, storage and gateway
+beforeEach(() => {
+  jest.resetModules();
+  gateway = createFakeGateway();
+  global.fetch = jest.fn(gateway.fetch);
+  db = require('../services/db');
+  auth = require('../services/auth');
+  ({ t } = require('../constants/strings'));
+});
+
+// Register this phone and give it a conversation of its own
+async function registerWithSession(title) {
+  const registered = await db.registerUser();
+  expect(registered.success).toBe(true);
+  const { getDeviceId } = require('../utils/deviceInfo');
+  gateway.seedDeviceSessions(await getDeviceId(), [title]);
+}
+
+const sessionTitles = async () => {
+  const result = await db.listSessions();
+  expect(result.success).toBe(true);
+  return result.sessions.map(s => s.title).sort();
+};
+
+describe('account linking', () => {
+  it('links the device and shares history with the correct code', async () => {
+    gateway.seedLinkedDevice({ phoneNumber: PHONE, sessionTitles: ['Maize rust'] });
+    await registerWithSession('Tomato blight');
+
+    expect((await db.requestLinkCode(PHONE)).success).toBe(true);
+    const result = await db.verifyLinkCode(PHONE, gateway.lastCode(PHONE));
+
+    expect(result.success).toBe(true);
+    expect(result.mergedSessions).toBe(1);
+    expect(result.account).toMatchObject({ phoneNumber: PHONE });
+    expect(await auth.getLinkedAccount()).toMatchObject({ phoneNumber: PHONE });
+    expect(await sessionTitles()).toEqual(['Maize rust', 'Tomato blight']);
+  });
+
+  it('rejects a wrong code and stays unlinked', async () => {
+    gateway.seedLinkedDevice({ phoneNumber: PHONE, sessionTitles: ['Maize rust'] });
+    await registerWithSession('Tomato blight');
+
+    await db.requestLinkCode(PHONE);
+    const wrongCode = gateway.lastCode(PHONE) === '000000' ? '111111' : '000000';
+    const result = await db.verifyLinkCode(PHONE, wrongCode);
+
+    expect(result).toMatchObject({ success: false, reason: 'invalid_code', error: t('account.verifyFailed') });
+    expect(await auth.getLinkedAccount()).toBeNull();
+    expect(await sessionTitles()).toEqual(['Tomato blight']);
+  });
+
+  it('rejects an expired code', async () => {
+    await registerWithSession('Tomato blight');
+
+    await db.requestLinkCode(PHONE);
+    gateway.advanceTime(CODE_TTL_MS + 1000);
+    const result = await db.verifyLinkCode(PHONE, gateway.lastCode(PHONE));
+
+    expect(result).toMatchObject({ success: false, reason: 'code_expired', error: t('account.codeExpired') });
+    expect(await auth.getLinkedAccount()).toBeNull();
+  });
+
+  it('drops the shared history from the device after unlinking', async () => {
+    const store = require('../services/localStore');
+    const localTitles = async () => (await store.listLocalSessions()).map(s => s.title).sort();
+
+    gateway.seedLinkedDevice({ phoneNumber: PHONE, sessionTitles: ['Maize rust'] });
+    await registerWithSession('Tomato blight');
+    await db.requestLinkCode(PHONE);
+    await db.verifyLinkCode(PHONE, gateway.lastCode(PHONE));
+
+    // History merges the account's sessions into the local store
+    await store.mergeRemoteSessions((await db.listSessions()).sessions);
+    await store.createLocalSession({ title: 'Not synced yet' });
+    expect(await localTitles()).toEqual(['Maize rust', 'Not synced yet', 'Tomato blight']);
+
+    const result = await db.unlinkAccount();
+
+    expect(result.success).toBe(true);
+    expect(await auth.getLinkedAccount()).toBeNull();
+    // Merged sessions stay with the account; only the unsynced one is still this device's
+    expect(await localTitles()).toEqual(['Not synced yet']);
+    expect(await sessionTitles()).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+// Conversation search over the local store (and the gateway's copy when asked)
+
+jest.mock('../services/db', () => ({ searchMessages: jest.fn() }));
+
+let store;
+let search;
+let db;
+
+beforeEach(() => {
+  jest.resetModules();
+  store = require('../services/localStore');
+  search = require('../services/conversationSearch');
+  db = require('../services/db');
+});
+
+async function addConversation({ title, messages, ...session }) {
+  const created = await store.createLocalSession({ title, primaryLanguageCode: 'en', ...session });
+  for (const [i, content] of messages.entries()) {
+    await store.saveLocalMessage(created.id, {
+      content,
+      role: i % 2 ? 'assistant' : 'user',
+      createdAt: new Date(Date.UTC(2026, 9, 1, 10, i)).toISOString(),
+    });
+  }
+  return created;
+}
+
+const titlesFor = async (query, options) => (await search.searchConversations({ query, ...options }))
+  .results.map(r => r.title);
+
+describe('tokenize', () => {
+  it('lowercases, drops accents and splits on punctuation', () => {
+    expect(search.tokenize('Maíz: ¿blight—or RUST?')).toEqual(['maiz', '¿blight', 'or', 'rust']);
+  });
+
+  it('keeps non-Latin words whole', () => {
+    expect(search.tokenize('मक्का की फसल')).toEqual(['मक्का', 'की', 'फसल']);
+    expect(search.tokenize('')).toEqual([]);
+  });
+});
+
+describe('searchConversations', () => {
+  beforeEach(async () => {
+    await addConversation({ title: 'Maize', messages: ['My maize leaves have rust spots', 'Spray a fungicide on the maize'] });
+    await addConversation({ title: 'Tomato', messages: ['Tomato blight on lower leaves', 'Remove the affected leaves'] });
+  });
+
+  it('finds messages containing every query word, in any order', async () => {
+    expect(await titlesFor('spots rust')).toEqual(['Maize']);
+    expect(await titlesFor('maize blight')).toEqual([]);
+  });
+
+  it('matches the last word as a prefix while typing', async () => {
+    expect(await titlesFor('tomato bli')).toEqual(['Tomato']);
+    expect(await titlesFor('tom blight')).toEqual([]);
+  });
+
+  it('ignores accents and case', async () => {
+    expect(await titlesFor('MAÍZE')).toEqual(['Maize']);
+  });
+
+  it('returns a snippet around the match', async () => {
+    const { results } = await search.searchConversations({ query: 'fungicide' });
+    expect(results[0].matches).toEqual([
+      expect.objectContaining({ snippet: 'Spray a fungicide on the maize', isBot: true }),
+    ]);
+  });
+
+  it('picks up messages saved after the last search', async () => {
+    expect(await titlesFor('cassava')).toEqual([]);
+    await addConversation({ title: 'Cassava', messages: ['Cassava mosaic'] });
+    expect(await titlesFor('cassava')).toEqual(['Cassava']);
+  });
+
+  it("limits results to one farmer's conversations", async () => {
+    await addConversation({ title: 'Farmer maize', farmerId: 'farmer_1', messages: ['Maize streak'] });
+    expect(await titlesFor('maize', { farmerId: 'farmer_1' })).toEqual(['Farmer maize']);
+    expect(await titlesFor('maize', { farmerId: null })).toEqual(['Maize']);
+  });
+
+  it('adds server hits for history not cached on the device', async () => {
+    db.searchMessages.mockResolvedValue({
+      success: true,
+      results: [{ sessionId: 'srv_9', sessionTitle: 'Old beans', messageId: 'm1', content: 'Bean rust', role: 'user', createdAt: '2025-01-01T00:00:00Z' }],
+    });
+
+    const { results, serverError } = await search.searchConversations({ query: 'rust', includeServer: true });
+    expect(serverError).toBeNull();
+    expect(results.map(r => r.title)).toEqual(['Maize', 'Old beans']);
+  });
+});
@@ -0,0 +1,120 @@
+// Data export: the diagnoses CSV and the JSON archive handed to the share sheet
+
+jest.mock('expo-file-system/legacy', () => ({
+  cacheDirectory: 'file:///cache/',
+  writeAsStringAsync: jest.fn(async () => {}),
+}));
+jest.mock('expo-print', () => ({ printToFileAsync: jest.fn() }));
+jest.mock('expo-sharing', () => ({
+  isAvailableAsync: jest.fn(async () => true),
+  shareAsync: jest.fn(async () => {}),
+}));
+jest.mock('../services/db', () => ({ getSession: jest.fn() }));
+jest.mock('../services/diagnosisHistory', () => ({
+  ...jest.requireActual('../services/diagnosisHistory'),
+  listDiagnoses: jest.fn(),
+}));
+
+let exporter;
+let FileSystem;
+let diagnosisHistory;
+let store;
+let t;
+
+beforeEach(() => {
+  jest.resetModules();
+  exporter = require('../services/dataExport');
+  FileSystem = require('expo-file-system/legacy');
+  diagnosisHistory = require('../services/diagnosisHistory');
+  store = require('../services/localStore');
+  ({ t } = require('../constants/strings'));
+});
+
+// Contents of the last file written for sharing
+const writtenFile = () => FileSystem.writeAsStringAsync.mock.calls.at(-1)[1];
+
+const entry = (diagnosis, overrides = {}) => ({
+  createdAt: '2026-10-01T08:00:00.000Z',
+  sessionTitle: 'Maize check',
+  plot: 'North field',
+  imageUrl: 'https://res.cloudinary.com/demo/leaf.jpg',
+  diagnosis: { crop: { name: 'Maize', confidence: 0.9 }, health_status: 'poor', ...diagnosis },
+  ...overrides,
+});
+
+async function exportCsv(entries) {
+  diagnosisHistory.listDiagnoses.mockResolvedValue(entries);
+  const result = await exporter.exportDiagnosesCsv();
+  const [header, ...rows] = writtenFile().replace(/^﻿/, '').split('\r\n');
+  return { result, header, rows: rows.filter(Boolean) };
+}
+
+describe('exportDiagnosesCsv', () => {
+  it('writes a BOM, a header and one CRLF row per diagnosis', async () => {
+    const { result, header, rows } = await exportCsv([
+      entry({ issues: [{ name: 'Rust', severity: 'high', symptoms: ['orange pustules'] }] }),
+    ]);
+
+    expect(result.success).toBe(true);
+    expect(writtenFile().startsWith('﻿')).toBe(true);
+    expect(header).toBe('date,conversation,plot,crop,health_status,growth_stage,confidence,issues,severity,symptoms,organic_treatment,chemical_treatment,image_url');
+    expect(rows).toEqual([
+      '"2026-10-01T08:00:00.000Z","Maize check","North field","Maize","poor","","0.9","Rust","high","orange pustules","","","https://res.cloudinary.com/demo/leaf.jpg"',
+    ]);
+  });
+
+  it('quotes commas, quotes and line breaks inside a cell', async () => {
+    const { rows } = await exportCsv([entry({}, { sessionTitle: 'Leaves "spotted", yellow\nand dry' })]);
+    expect(rows[0]).toContain('"Leaves ""spotted"", yellow\nand dry"');
+  });
+
+  it('prefixes cells that a spreadsheet would run as a formula', async () => {
+    const { rows } = await exportCsv([
+      entry({}, { sessionTitle: '=HYPERLINK("x")', plot: '+1', createdAt: '@now' }),
+      entry({}, { plot: '-5' }),
+    ]);
+    expect(rows[0].startsWith('"\'@now","\'=HYPERLINK(""x"")","\'+1"')).toBe(true);
+    expect(rows[1]).toContain('"\'-5"');
+  });
+
+  it('leaves out photos that only exist on the device', async () => {
+    const { rows } = await exportCsv([entry({}, { imageUrl: 'file:///data/leaf.jpg' })]);
+    expect(rows[0].endsWith(',""')).toBe(true);
+  });
+
+  it('lists treatments from every recommendation', async () => {
+    const { rows } = await exportCsv([entry({
+      treatment_recommendations: [
+        { organic_options: [{ name: 'Neem oil' }], chemical_options: [{ active_ingredient: 'Mancozeb' }] },
+        { organic_options: ['Ash'], chemical_options: [{ name: 'Copper' }] },
+      ],
+    })]);
+    expect(rows[0]).toContain('"Neem oil; Ash","Mancozeb; Copper"');
+  });
+
+  it('reports when there is nothing to export', async () => {
+    diagnosisHistory.listDiagnoses.mockResolvedValue([]);
+    expect(await exporter.exportDiagnosesCsv()).toEqual({ success: false, error: t('export.noDiagnoses') });
+    expect(FileSystem.writeAsStringAsync).not.toHaveBeenCalled();
+  });
+});
+
+describe('exportArchive', () => {
+  it('keeps conversations and parsed metadata but drops sync bookkeeping', async () => {
+    const session = await store.createLocalSession({ title: 'Beans' });
+    await store.saveLocalMessage(session.id, { content: 'Bean rust?', role: 'user', metadata: '{"intent":"diagnosis"}' });
+
+    expect((await exporter.exportArchive()).success).toBe(true);
+    const archive = JSON.parse(writtenFile());
+
+    expect(archive).toMatchObject({ format: 'farmerchat-export', version: 1 });
+    const [exported] = archive.sessions;
+    expect(exported).toMatchObject({ title: 'Beans', messagesComplete: true });
+    expect(exported).not.toHaveProperty('syncStatus');
+    expect(exported).not.toHaveProperty('pendingUpdates');
+    expect(exported.messages).toEqual([
+      expect.objectContaining({ content: 'Bean rust?', metadata: { intent: 'diagnosis' } }),
+    ]);
+    expect(exported.messages[0]).not.toHaveProperty('syncStatus');
+  });
+});
@@ -0,0 +1,163 @@
+// Local stand-in for the API Gateway's device auth, account linking and session
+// list endpoints. Tests install `gateway.fetch` as the global fetch; SMS codes are
+// kept in `gateway.sentCodes` instead of being texted.
+
+const CODE_TTL_MS = 5 * 60 * 1000;
+const ACCESS_TOKEN_TTL_S = 15 * 60;
+
+const json = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+  text: async () => JSON.stringify(body),
+});
+
+export function createFakeGateway() {
+  let clock = Date.now();
+  let counter = 0;
+  const nextId = (prefix) => `${prefix}_${++counter}`;
+
+  const devices = new Map(); // deviceId -> { secret, userId, accountId }
+  const accounts = new Map(); // phoneNumber -> { accountId, phoneNumber, linkToken }
+  const accessTokens = new Map(); // token -> deviceId
+  const refreshTokens = new Map(); // token -> deviceId
+  const pendingCodes = new Map(); // phoneNumber -> { code, deviceId, expiresAt }
+  const sessions = []; // { id, ownerId, title }
+  const sentCodes = []; // { phoneNumber, code }
+
+  const ownerOf = (device) => device.accountId || device.userId;
+
+  const issueTokens = (deviceId) => {
+    const accessToken = nextId('access');
+    const refreshToken = nextId('refresh');
+    accessTokens.set(accessToken, deviceId);
+    refreshTokens.set(refreshToken, deviceId);
+    return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL_S };
+  };
+
+  // Move the device's own sessions to the account
+  const mergeDeviceSessions = (device) => {
+    const owned = sessions.filter(s => s.ownerId === device.userId);
+    owned.forEach(s => { s.ownerId = device.accountId; });
+    return owned.length;
+  };
+
+  const linkDevice = (device, phoneNumber) => {
+    if (!accounts.has(phoneNumber)) {
+      accounts.set(phoneNumber, { accountId: nextId('account'), phoneNumber, linkToken: nextId('link') });
+    }
+    const account = accounts.get(phoneNumber);
+    device.accountId = account.accountId;
+    return { account, mergedSessions: mergeDeviceSessions(device) };
+  };
+
+  const routes = {
+    'POST /api/users/register': ({ body }) => {
+      if (!body.deviceId || !body.deviceSecret) return json(400, { success: false, error: 'Device secret required' });
+      let device = devices.get(body.deviceId);
+      if (!device) {
+        device = { secret: body.deviceSecret, userId: nextId('user'), accountId: null };
+        devices.set(body.deviceId, device);
+      } else if (device.secret !== body.deviceSecret) {
+        return json(403, { success: false, error: 'Device secret mismatch' });
+      }
+
+      let mergedSessions = 0;
+      const account = [...accounts.values()].find(a => a.linkToken === body.linkToken);
+      if (account) {
+        device.accountId = account.accountId;
+        mergedSessions = mergeDeviceSessions(device);
+      }
+      return json(200, { success: true, userId: ownerOf(device), mergedSessions, ...issueTokens(body.deviceId) });
+    },
+
+    'POST /api/auth/refresh': ({ body }) => {
+      const deviceId = refreshTokens.get(body.refreshToken);
+      if (!deviceId) return json(401, { success: false, error: 'Invalid refresh token' });
+      return json(200, { success: true, ...issueTokens(deviceId) });
+    },
+
+    'POST /api/auth/link/start': ({ deviceId, body }) => {
+      const code = String(100000 + (counter++ % 900000));
+      pendingCodes.set(body.phoneNumber, { code, deviceId, expiresAt: clock + CODE_TTL_MS });
+      sentCodes.push({ phoneNumber: body.phoneNumber, code });
+      return json(200, { success: true });
+    },
+
+    'POST /api/auth/link/verify': ({ deviceId, device, body }) => {
+      const pending = pendingCodes.get(body.phoneNumber);
+      if (!pending || pending.deviceId !== deviceId || pending.code !== body.code) {
+        return json(400, { success: false, reason: 'invalid_code', error: 'Invalid code' });
+      }
+      if (clock > pending.expiresAt) {
+        pendingCodes.delete(body.phoneNumber);
+        return json(400, { success: false, reason: 'code_expired', error: 'Code expired' });
+      }
+      pendingCodes.delete(body.phoneNumber);
+
+      const { account, mergedSessions } = linkDevice(device, body.phoneNumber);
+      return json(200, {
+        success: true,
+        accountId: account.accountId,
+        linkToken: account.linkToken,
+        mergedSessions,
+        ...issueTokens(deviceId),
+      });
+    },
+
+    'POST /api/auth/unlink': ({ device }) => {
+      device.accountId = null;
+      return json(200, { success: true });
+    },
+
+    'GET /api/sessions': ({ device, query }) => {
+      const ownerId = query.get('scope') === 'account' && device.accountId ? device.accountId : device.userId;
+      return json(200, { success: true, sessions: sessions.filter(s => s.ownerId === ownerId) });
+    },
+  };
+
+  // Token endpoints identify the device by body; everything else by bearer token
+  const PUBLIC_ROUTES = ['POST /api/users/register', 'POST /api/auth/refresh'];
+
+  async function fetch(url, init = {}) {
+    const { pathname, searchParams } = new URL(url);
+    const route = `${init.method || 'GET'} ${pathname}`;
+    const handler = routes[route];
+    if (!handler) return json(404, { success: false, error: 'Not found' });
+
+    const body = init.body ? JSON.parse(init.body) : {};
+    if (PUBLIC_ROUTES.includes(route)) return handler({ body, query: searchParams });
+
+    const token = (init.headers?.Authorization || '').replace(/^Bearer /, '');
+    const deviceId = accessTokens.get(token);
+    if (!deviceId) return json(401, { success: false, error: 'Invalid access token' });
+    return handler({ deviceId, device: devices.get(deviceId), body, query: searchParams });
+  }
+
+  return {
+    fetch,
+    sentCodes,
+
+    /** Latest code texted to a number */
+    lastCode: (phoneNumber) => [...sentCodes].reverse().find(c => c.phoneNumber === phoneNumber)?.code,
+
+    /** Move the gateway clock forward (code expiry) */
+    advanceTime: (ms) => { clock += ms; },
+
+    /** Another phone already linked to `phoneNumber`, with conversations of its own */
+    seedLinkedDevice({ phoneNumber, sessionTitles = [] }) {
+      const device = { secret: nextId('secret'), userId: nextId('user'), accountId: null };
+      devices.set(nextId('device'), device);
+      sessionTitles.forEach(title => sessions.push({ id: nextId('session'), ownerId: device.userId, title }));
+      return linkDevice(device, phoneNumber).account;
+    },
+
+    /** Conversations started on a registered device before it was linked */
+    seedDeviceSessions(deviceId, sessionTitles) {
+      const device = devices.get(deviceId);
+      sessionTitles.forEach(title => sessions.push({ id: nextId('session'), ownerId: device.userId, title }));
+    },
+
+    isRegistered: (deviceId) => devices.has(deviceId),
+  };
+}
@@ -0,0 +1,51 @@
+// Officer mode: which requests carry the officer and farmer being advised
+
+import { setFarmerScope, applyFarmerScope, getFarmerScopeFields, OWN_CHATS_FARMER_ID } from '../services/farmerScope';
+
+const request = (path, extra = {}) => ({ path, method: 'GET', query: {}, ...extra });
+
+afterEach(() => setFarmerScope(null));
+
+describe('applyFarmerScope', () => {
+  it('leaves requests alone outside officer mode', () => {
+    const config = request('/api/sessions');
+    expect(applyFarmerScope(config)).toBe(config);
+    expect(getFarmerScopeFields()).toEqual({});
+  });
+
+  it('adds the farmer to chat, session and message bodies', () => {
+    setFarmerScope({ officerId: 'officer_1', farmerId: 'farmer_1' });
+
+    ['/api/chat', '/api/sessions', '/api/messages'].forEach(path => {
+      expect(applyFarmerScope(request(path, { method: 'POST', body: { content: 'hi' } })).body)
+        .toEqual({ officerId: 'officer_1', farmerId: 'farmer_1', content: 'hi' });
+    });
+  });
+
+  it("keeps the officer's own profile, location and auth requests unscoped", () => {
+    setFarmerScope({ officerId: 'officer_1', farmerId: 'farmer_1' });
+
+    ['/api/users/preferences', '/api/users/location', '/api/users/farm-profile', '/api/auth/unlink', '/api/tts'].forEach(path => {
+      const config = request(path, { method: 'PUT', body: { language: 'sw' } });
+      expect(applyFarmerScope(config)).toBe(config);
+    });
+  });
+
+  it('lets values the caller set win', () => {
+    setFarmerScope({ officerId: 'officer_1', farmerId: 'farmer_2' });
+    const config = request('/api/messages', { method: 'POST', body: { farmerId: 'farmer_1', officerId: null } });
+    expect(applyFarmerScope(config).body).toEqual({ officerId: null, farmerId: 'farmer_1' });
+  });
+
+  it('puts the scope in the query of bodiless requests', () => {
+    setFarmerScope({ officerId: 'officer_1', farmerId: 'farmer_1' });
+    expect(applyFarmerScope(request('/api/sessions', { query: { limit: 50 } })).query)
+      .toEqual({ officerId: 'officer_1', farmerId: 'farmer_1', limit: 50 });
+  });
+
+  it("marks the officer's own chats so they aren't read as every farmer's", () => {
+    setFarmerScope({ officerId: 'officer_1', farmerId: null });
+    expect(applyFarmerScope(request('/api/sessions')).query)
+      .toEqual({ officerId: 'officer_1', farmerId: OWN_CHATS_FARMER_ID });
+  });
+});
@@ -0,0 +1,31 @@
+// Source attribution slugs from gateway mcpToolsUsed entries
+
+import { resolveServerSlug, SERVER_INFO } from '../constants/mcpServers';
+
+describe('resolveServerSlug', () => {
+  it('keeps exact slugs and normalizes display names', () => {
+    expect(resolveServerSlug('isda-soil')).toBe('isda-soil');
+    expect(resolveServerSlug('ISDA Soil MCP')).toBe('isda-soil');
+    expect(resolveServerSlug('gap_weather_server')).toBe('gap-weather');
+  });
+
+  it('maps listed aliases to known servers', () => {
+    expect(resolveServerSlug('isda')).toBe('isda-soil');
+    expect(resolveServerSlug('Tomorrow.io')).toBe('tomorrow-io');
+    expect(resolveServerSlug('AccuWeather Forecast')).toBe('accuweather');
+  });
+
+  it('does not guess a known server from a partial name', () => {
+    ['weather', 'gap', 'soil', 'feed'].forEach(name => {
+      const slug = resolveServerSlug(name);
+      expect(slug).toBe(name);
+      expect(SERVER_INFO[slug]).toBeUndefined();
+    });
+  });
+
+  it('reads object entries and ignores empty ones', () => {
+    expect(resolveServerSlug({ server: 'WeatherAPI', tool: 'forecast' })).toBe('weatherapi');
+    expect(resolveServerSlug({ tool: 'forecast' })).toBeNull();
+    expect(resolveServerSlug(null)).toBeNull();
+  });
+});
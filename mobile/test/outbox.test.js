@@ -0,0 +1,75 @@
+// Outbox: queued questions are kept in order and replayed once across chat screens
+
+jest.mock('expo-file-system/legacy', () => ({
+  documentDirectory: 'file:///docs/',
+  makeDirectoryAsync: jest.fn(async () => {}),
+  copyAsync: jest.fn(async () => {}),
+  deleteAsync: jest.fn(async () => {}),
+  readAsStringAsync: jest.fn(async () => 'BASE64'),
+}));
+
+let outbox;
+let FileSystem;
+
+beforeEach(() => {
+  jest.resetModules();
+  outbox = require('../services/outbox');
+  FileSystem = require('expo-file-system/legacy');
+});
+
+// What a chat screen's replay does: send every queued item, oldest first, and drop it
+const replayWith = (send) => async () => {
+  for (const item of await outbox.listOutbox()) {
+    await send(item);
+    await outbox.removeFromOutbox(item.id);
+  }
+};
+
+describe('outbox', () => {
+  it('lists queued questions oldest first', async () => {
+    await outbox.enqueueOutbox({ type: 'text', text: 'first' });
+    await outbox.enqueueOutbox({ type: 'text', text: 'second' });
+
+    const items = await outbox.listOutbox();
+    expect(items.map(i => i.text)).toEqual(['first', 'second']);
+    expect(items[0]).toMatchObject({ attempts: 0, id: expect.stringMatching(/^outbox_/) });
+  });
+
+  it('keeps photos in app storage and deletes them once sent', async () => {
+    const item = await outbox.enqueueOutbox({ type: 'image', fileUri: 'file:///cache/a.jpg', fileUris: ['file:///cache/a.jpg', 'file:///cache/b.jpg'] });
+    expect(item.fileUris).toEqual([`file:///docs/outbox/${item.id}.jpg`, `file:///docs/outbox/${item.id}_1.jpg`]);
+
+    await outbox.removeFromOutbox(item.id);
+    expect(FileSystem.deleteAsync).toHaveBeenCalledTimes(2);
+    expect(await outbox.listOutbox()).toEqual([]);
+  });
+
+  it('sends each question once when two chat screens replay at the same time', async () => {
+    await outbox.enqueueOutbox({ type: 'text', text: 'first' });
+    await outbox.enqueueOutbox({ type: 'text', text: 'second' });
+    const send = jest.fn(() => new Promise(resolve => setTimeout(resolve, 5)));
+
+    const first = outbox.runOutboxReplay(replayWith(send));
+    const second = outbox.runOutboxReplay(replayWith(send));
+    expect(second).toBe(first);
+    await Promise.all([first, second]);
+
+    expect(send.mock.calls.map(([item]) => item.text)).toEqual(['first', 'second']);
+  });
+
+  it('runs a new replay once the previous one has finished', async () => {
+    const send = jest.fn();
+    await outbox.runOutboxReplay(replayWith(send));
+
+    await outbox.enqueueOutbox({ type: 'text', text: 'later' });
+    await outbox.runOutboxReplay(replayWith(send));
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('releases the guard when a replay throws', async () => {
+    await expect(outbox.runOutboxReplay(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    const replay = jest.fn();
+    await outbox.runOutboxReplay(replay);
+    expect(replay).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,42 @@
+// Reminder prefill from chat answers
+
+import { suggestReminder } from '../utils/reminderSuggestions';
+import { REMINDER_SOURCES } from '../services/reminders';
+
+const answer = (text, intentsDetected = []) => ({ text, provenance: { mcpToolsUsed: ['agrivision'], intentsDetected } });
+
+describe('suggestReminder', () => {
+  it('titles a plain answer with its first sentence', () => {
+    expect(suggestReminder(answer('**Plant** maize after the first rains. Use certified seed. Space rows 75 cm apart.'))).toEqual({
+      title: 'Plant maize after the first rains.',
+      body: 'Use certified seed. Space rows 75 cm apart.',
+      source: REMINDER_SOURCES.CHAT,
+      suggestedDays: null,
+    });
+  });
+
+  it('tags planting advice from the gateway intent', () => {
+    expect(suggestReminder(answer('Sow beans now.', ['planting_advice'])).source).toBe(REMINDER_SOURCES.PLANTING);
+    expect(suggestReminder(answer('Sow beans now.', [{ intent: 'PLANTING' }])).source).toBe(REMINDER_SOURCES.PLANTING);
+  });
+
+  it('does not treat plant health or diagnosis intents as planting advice', () => {
+    ['plant_health', 'plant_diagnosis', 'diagnose_plant_health', 'transplant_shock'].forEach(intent => {
+      expect(suggestReminder(answer('Leaf rust found.', [intent])).source).toBe(REMINDER_SOURCES.CHAT);
+    });
+  });
+
+  it("suggests a diagnosis' next treatment step", () => {
+    const suggestion = suggestReminder({
+      text: 'Your maize has rust.',
+      diagnosisData: {
+        crop: { name: 'Maize' },
+        issues: [{ name: 'Common rust' }],
+        treatment_recommendations: [{ organic_options: [{ name: 'Neem oil', frequency: 'every 7 days', interval_days: 7 }] }],
+      },
+    });
+
+    expect(suggestion).toMatchObject({ body: 'Common rust', source: REMINDER_SOURCES.CHAT });
+    expect(suggestion.suggestedDays).toBeGreaterThanOrEqual(1);
+  });
+});
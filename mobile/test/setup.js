@@ -0,0 +1,31 @@
+// Jest setup: in-memory stand-ins for the native storage and crypto modules
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+jest.mock('expo-secure-store', () => {
+  const store = new Map();
+  return {
+    getItemAsync: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+    setItemAsync: jest.fn(async (key, value) => { store.set(key, value); }),
+    deleteItemAsync: jest.fn(async (key) => { store.delete(key); }),
+    __reset: () => store.clear(),
+  };
+});
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytesAsync: jest.fn(async (count) => new Uint8Array(require('crypto').randomBytes(count))),
+}));
+
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+  setNotificationChannelAsync: jest.fn(async () => {}),
+  getPermissionsAsync: jest.fn(async () => ({ granted: true, canAskAgain: true })),
+  requestPermissionsAsync: jest.fn(async () => ({ granted: true })),
+  scheduleNotificationAsync: jest.fn(async () => `notification_${Math.random().toString(36).slice(2)}`),
+  cancelScheduledNotificationAsync: jest.fn(async () => {}),
+  addNotificationResponseReceivedListener: jest.fn(() => ({ remove: jest.fn() })),
+  getLastNotificationResponseAsync: jest.fn(async () => null),
+  AndroidImportance: { HIGH: 4 },
+  SchedulableTriggerInputTypes: { DATE: 'date' },
+}));
@@ -0,0 +1,78 @@
+// Soil report helpers: ISDA field names and interpretation bands
+
+import { SOIL_PARAMETERS, interpretSoilValue, getTextureKey, extractSoilData } from '../utils/soil';
+
+const parameter = (key) => SOIL_PARAMETERS.find(p => p.key === key);
+const levelOf = (key, value) => interpretSoilValue(parameter(key), value).level;
+
+describe('interpretSoilValue', () => {
+  it('rates pH from very acidic to alkaline, upper bounds exclusive', () => {
+    expect(levelOf('ph', 5.4)).toBe('veryAcidic');
+    expect(levelOf('ph', 5.5)).toBe('slightlyAcidic');
+    expect(levelOf('ph', 6.0)).toBe('ideal');
+    expect(levelOf('ph', 7.0)).toBe('neutral');
+    expect(levelOf('ph', 7.5)).toBe('alkaline');
+  });
+
+  it('rates nutrients low, medium and good or high', () => {
+    expect(levelOf('nitrogen', 0.9)).toBe('low');
+    expect(levelOf('nitrogen', 1.2)).toBe('medium');
+    expect(levelOf('nitrogen', 1.5)).toBe('good');
+    expect(levelOf('phosphorus', 9)).toBe('low');
+    expect(levelOf('phosphorus', 20)).toBe('high');
+    expect(levelOf('potassium', 149)).toBe('low');
+    expect(levelOf('potassium', 250)).toBe('high');
+  });
+
+  it('gives each level a tone for the gauge', () => {
+    expect(interpretSoilValue(parameter('ph'), 6.5)).toEqual({ level: 'ideal', tone: 'good' });
+    expect(interpretSoilValue(parameter('ph'), 5.0)).toEqual({ level: 'veryAcidic', tone: 'bad' });
+  });
+});
+
+describe('getTextureKey', () => {
+  it('matches the most specific texture class', () => {
+    expect(getTextureKey('Sandy Clay Loam')).toBe('sandyClayLoam');
+    expect(getTextureKey('sandy loam')).toBe('sandyLoam');
+    expect(getTextureKey('Clay')).toBe('clay');
+    expect(getTextureKey('Sand')).toBe('sandy');
+  });
+
+  it('returns null for unknown or missing textures', () => {
+    expect(getTextureKey('Peat')).toBeNull();
+    expect(getTextureKey(null)).toBeNull();
+  });
+});
+
+describe('extractSoilData', () => {
+  it('reads ISDA properties with { value } wrappers and string numbers', () => {
+    const data = extractSoilData({
+      isda: {
+        properties: {
+          ph: { value: 6.2 },
+          nitrogen_total: '1.1',
+          phosphorous_extractable: { value: 14 },
+          texture_class: { value: 'Clay Loam' },
+        },
+        depth: '0-20cm',
+      },
+    });
+
+    expect(data).toEqual({
+      values: { ph: 6.2, nitrogen: 1.1, phosphorus: 14 },
+      texture: 'Clay Loam',
+      depth: '0-20cm',
+      source: 'ISDA Soil',
+    });
+  });
+
+  it('passes a persisted report through unchanged', () => {
+    const report = { values: { ph: 6.8 }, texture: null, depth: null, source: 'ISDA Soil' };
+    expect(extractSoilData({ soilReport: report })).toBe(report);
+  });
+
+  it('returns null without any soil values', () => {
+    expect(extractSoilData({ soil: { properties: { ph: 'n/a' } } })).toBeNull();
+    expect(extractSoilData({})).toBeNull();
+  });
+});
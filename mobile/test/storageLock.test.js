@@ -0,0 +1,42 @@
+// Shared write lock for AsyncStorage-backed stores
+
+import { createStorageLock } from '../utils/storageLock';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('createStorageLock', () => {
+  it('runs tasks one at a time in call order', async () => {
+    const withLock = createStorageLock();
+    const log = [];
+    const task = (name) => async () => {
+      log.push(`${name} start`);
+      await tick();
+      log.push(`${name} end`);
+      return name;
+    };
+
+    const results = await Promise.all([withLock(task('a')), withLock(task('b'))]);
+
+    expect(results).toEqual(['a', 'b']);
+    expect(log).toEqual(['a start', 'a end', 'b start', 'b end']);
+  });
+
+  it('keeps going after a failed task', async () => {
+    const withLock = createStorageLock();
+    const failed = withLock(async () => { throw new Error('disk full'); });
+    const next = withLock(async () => 'saved');
+
+    await expect(failed).rejects.toThrow('disk full');
+    await expect(next).resolves.toBe('saved');
+  });
+
+  it('gives each store its own queue', async () => {
+    const plans = createStorageLock();
+    const reminders = createStorageLock();
+    let release;
+    plans(() => new Promise(resolve => { release = resolve; }));
+
+    await expect(reminders(async () => 'not blocked')).resolves.toBe('not blocked');
+    release();
+  });
+});
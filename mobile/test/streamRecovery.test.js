@@ -0,0 +1,46 @@
+// Recovering a streamed answer whose connection dropped
+
+jest.mock('../services/apiClient', () => ({ get: jest.fn(), post: jest.fn() }));
+
+let api;
+let apiClient;
+
+beforeEach(() => {
+  jest.resetModules();
+  api = require('../services/api');
+  apiClient = require('../services/apiClient');
+});
+
+describe('fetchStreamedAnswer', () => {
+  it('returns the finished answer', async () => {
+    apiClient.get.mockResolvedValue({ success: true, data: { status: 'complete', response: 'Spray neem oil.', metadata: { mcpToolsUsed: ['agrivision'] } } });
+
+    expect(await api.fetchStreamedAnswer('msg_1')).toEqual({
+      success: true,
+      response: 'Spray neem oil.',
+      metadata: { mcpToolsUsed: ['agrivision'] },
+    });
+    expect(apiClient.get).toHaveBeenCalledWith('/api/chat/messages/msg_1');
+  });
+
+  it('reports an answer still being generated as pending', async () => {
+    apiClient.get.mockResolvedValue({ success: true, data: { status: 'streaming' } });
+    expect(await api.fetchStreamedAnswer('msg_1')).toEqual({ success: false, pending: true });
+  });
+
+  it('treats a finished but empty answer as final', async () => {
+    apiClient.get.mockResolvedValue({ success: true, data: { status: 'complete', response: '' } });
+    const result = await api.fetchStreamedAnswer('msg_1');
+
+    expect(result).toEqual({ success: false, status: 'empty' });
+    expect(api.ANSWER_UNRECOVERABLE_STATUSES).toContain(result.status);
+  });
+
+  it('passes the status through so a missing answer stops recovery and an outage retries', async () => {
+    apiClient.get.mockResolvedValue({ success: false, error: 'Not found', status: 404 });
+    expect(api.ANSWER_UNRECOVERABLE_STATUSES).toContain((await api.fetchStreamedAnswer('msg_1')).status);
+
+    apiClient.get.mockResolvedValue({ success: false, error: 'Unavailable', status: 503 });
+    expect(api.ANSWER_UNRECOVERABLE_STATUSES).not.toContain((await api.fetchStreamedAnswer('msg_1')).status);
+  });
+});
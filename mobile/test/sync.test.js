@@ -0,0 +1,125 @@
+// Sync engine: what a failed push means for the rest of the queue
+
+jest.mock('../services/db', () => ({
+  createSession: jest.fn(),
+  updateSession: jest.fn(),
+  deleteSession: jest.fn(),
+  saveMessage: jest.fn(),
+  updateMessage: jest.fn(),
+}));
+
+const OFFLINE = { success: false, error: 'Network request failed', isNetworkError: true };
+const rejected = (status) => ({ success: false, error: 'Rejected', status });
+
+let db;
+let store;
+let syncPendingData;
+
+beforeEach(() => {
+  jest.resetModules();
+  db = require('../services/db');
+  store = require('../services/localStore');
+  ({ syncPendingData } = require('../services/sync'));
+
+  let nextServerId = 0;
+  db.createSession.mockImplementation(async () => ({ success: true, session: { id: `srv_session_${++nextServerId}` } }));
+  db.updateSession.mockResolvedValue({ success: true });
+  db.deleteSession.mockResolvedValue({ success: true });
+  db.saveMessage.mockImplementation(async () => ({ success: true, message: { id: `srv_msg_${++nextServerId}` } }));
+  db.updateMessage.mockResolvedValue({ success: true });
+});
+
+const sessionById = async (id) => (await store.listLocalSessions({ limit: 100 })).find(s => s.id === id);
+
+describe('syncPendingData', () => {
+  it('marks a session the server rejects as failed and syncs the ones after it', async () => {
+    const bad = await store.createLocalSession({ primaryLanguageCode: 'xx' });
+    const good = await store.createLocalSession({ primaryLanguageCode: 'en' });
+    db.createSession.mockImplementation(async ({ primaryLanguageCode }) => (primaryLanguageCode === 'xx'
+      ? rejected(422)
+      : { success: true, session: { id: 'srv_good' } }));
+
+    const result = await syncPendingData();
+
+    expect(result).toEqual({ success: true, synced: 1 });
+    expect(await sessionById(good.id)).toMatchObject({ serverId: 'srv_good', syncStatus: store.SYNC_STATUS.SYNCED });
+    expect(await sessionById(bad.id)).toMatchObject({ syncStatus: store.SYNC_STATUS.FAILED, syncError: 'Rejected' });
+
+    // Not retried on the next sync
+    db.createSession.mockClear();
+    await syncPendingData();
+    expect(db.createSession).not.toHaveBeenCalled();
+  });
+
+  it('stops at the first network error and leaves everything queued', async () => {
+    await store.createLocalSession();
+    await store.createLocalSession();
+    db.createSession.mockResolvedValue(OFFLINE);
+
+    const result = await syncPendingData();
+
+    expect(result).toEqual({ success: false, synced: 0 });
+    expect(db.createSession).toHaveBeenCalledTimes(1);
+    expect((await store.getPendingChanges()).sessions).toHaveLength(2);
+  });
+
+  it('stops on a timeout', async () => {
+    await store.createLocalSession();
+    await store.createLocalSession();
+    db.createSession.mockResolvedValue({ success: false, error: 'Timed out', isTimeout: true });
+
+    expect(await syncPendingData()).toEqual({ success: false, synced: 0 });
+    expect(db.createSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps a session queued after a server error without blocking the rest', async () => {
+    const flaky = await store.createLocalSession({ primaryLanguageCode: 'xx' });
+    await store.createLocalSession({ primaryLanguageCode: 'en' });
+    db.createSession.mockImplementation(async ({ primaryLanguageCode }) => (primaryLanguageCode === 'xx'
+      ? rejected(503)
+      : { success: true, session: { id: 'srv_good' } }));
+
+    expect(await syncPendingData()).toEqual({ success: true, synced: 1 });
+    expect(await sessionById(flaky.id)).toMatchObject({ syncStatus: store.SYNC_STATUS.PENDING });
+  });
+
+  it('forgets a deleted session the server no longer has', async () => {
+    await store.mergeRemoteSessions([{ id: 'srv_gone', title: 'Gone' }]);
+    await store.deleteLocalSession('srv_gone');
+    db.deleteSession.mockResolvedValue(rejected(404));
+
+    expect(await syncPendingData()).toEqual({ success: true, synced: 1 });
+    expect((await store.getPendingChanges()).sessions).toHaveLength(0);
+  });
+
+  it('marks a rejected message as failed and sends the messages after it', async () => {
+    const session = await store.createLocalSession();
+    const bad = await store.saveLocalMessage(session.id, { content: 'bad', role: 'user', createdAt: '2026-01-01T10:00:00Z' });
+    await store.saveLocalMessage(session.id, { content: 'good', role: 'assistant', createdAt: '2026-01-01T10:01:00Z' });
+    db.saveMessage.mockImplementation(async ({ content }) => (content === 'bad'
+      ? rejected(400)
+      : { success: true, message: { id: 'srv_msg_good' } }));
+
+    expect(await syncPendingData()).toEqual({ success: true, synced: 1 });
+    expect(db.saveMessage).toHaveBeenCalledTimes(2);
+
+    const { messages } = await store.getLocalSession(session.id);
+    expect(messages.find(m => m.id === bad.id)).toMatchObject({ syncStatus: store.SYNC_STATUS.FAILED });
+    expect(messages.find(m => m.content === 'good')).toMatchObject({ serverId: 'srv_msg_good' });
+    expect((await store.getPendingChanges()).sessions).toHaveLength(0);
+  });
+
+  it('drops rejected session updates but keeps later edits queued', async () => {
+    await store.mergeRemoteSessions([{ id: 'srv_1', title: 'Old' }]);
+    await store.updateLocalSession('srv_1', { title: 'Rejected title' });
+    db.updateSession.mockResolvedValue(rejected(400));
+
+    await syncPendingData();
+    expect(await sessionById('srv_1')).toMatchObject({ syncStatus: store.SYNC_STATUS.SYNCED, pendingUpdates: null });
+
+    db.updateSession.mockResolvedValue({ success: true });
+    await store.updateLocalSession('srv_1', { title: 'New title' });
+    await syncPendingData();
+    expect(db.updateSession).toHaveBeenLastCalledWith('srv_1', expect.objectContaining({ title: 'New title' }));
+  });
+});
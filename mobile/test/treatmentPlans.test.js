@@ -0,0 +1,77 @@
+// Treatment plans: step dates from a diagnosis and one reminder per step
+
+let plans;
+let reminders;
+let Notifications;
+
+beforeEach(() => {
+  jest.resetModules();
+  plans = require('../services/treatmentPlans');
+  reminders = require('../services/reminders');
+  Notifications = require('expo-notifications');
+});
+
+const diagnosis = (option) => ({
+  crop: { name: 'Tomato' },
+  issues: [{ name: 'Early blight' }],
+  treatment_recommendations: [{ organic_options: [{ name: 'Neem oil', dosage: '5 ml/L', ...option }] }],
+});
+
+const dueDates = (plan) => plan.steps.map(step => new Date(step.dueAt).toDateString());
+const day = (date, offset) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset).toDateString();
+
+describe('parseIntervalDays', () => {
+  it('reads the repeat interval from the frequency text', () => {
+    expect(plans.parseIntervalDays({ frequency: 'Every 7-10 days' })).toBe(7);
+    expect(plans.parseIntervalDays({ frequency: 'weekly' })).toBe(7);
+    expect(plans.parseIntervalDays({ application: 'once a fortnight' })).toBe(14);
+    expect(plans.parseIntervalDays({ interval_days: 5, frequency: 'weekly' })).toBe(5);
+    expect(plans.parseIntervalDays({ frequency: 'once' })).toBeNull();
+  });
+});
+
+describe('buildTreatmentPlan', () => {
+  it("starts today when the reminder hour hasn't passed yet", () => {
+    const start = new Date(2026, 9, 18, reminders.REMINDER_HOUR - 1, 30);
+    const plan = plans.buildTreatmentPlan(diagnosis({ frequency: 'every 7 days' }), { approach: 'organic', startDate: start });
+
+    expect(plan.steps.map(s => s.type)).toEqual(['apply', 'apply', 'inspect']);
+    expect(dueDates(plan)).toEqual([day(start, 0), day(start, 7), day(start, 7 + plans.REINSPECT_DAYS)]);
+    expect(new Date(plan.steps[0].dueAt).getHours()).toBe(reminders.REMINDER_HOUR);
+  });
+
+  it('starts tomorrow once the reminder hour has passed', () => {
+    const start = new Date(2026, 9, 18, reminders.REMINDER_HOUR + 2);
+    const plan = plans.buildTreatmentPlan(diagnosis({}), { approach: 'organic', startDate: start });
+
+    expect(dueDates(plan)).toEqual([day(start, 1), day(start, 1 + plans.REINSPECT_DAYS)]);
+  });
+
+  it('has no plan for an approach the diagnosis does not recommend', () => {
+    expect(plans.buildTreatmentPlan(diagnosis({}), { approach: 'chemical' })).toBeNull();
+    expect(plans.getPlanApproaches(diagnosis({}))).toEqual(['organic']);
+  });
+});
+
+describe('createTreatmentPlan', () => {
+  const build = () => plans.buildTreatmentPlan(diagnosis({ frequency: 'every 7 days' }), { approach: 'organic' });
+
+  it('creates a scheduled reminder for every step', async () => {
+    const result = await plans.createTreatmentPlan(build(), { sessionId: 'session_1', diagnosisId: 'msg_1' });
+
+    expect(result).toMatchObject({ success: true, notificationsEnabled: true });
+    expect(result.plan.steps.every(step => step.reminderId)).toBe(true);
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(result.plan.steps.length);
+    expect(await plans.findPlanForDiagnosis('msg_1')).toMatchObject({ id: result.plan.id });
+  });
+
+  it('reports notifications as off for the whole plan when permission is denied', async () => {
+    Notifications.getPermissionsAsync.mockResolvedValue({ granted: false, canAskAgain: false });
+
+    const result = await plans.createTreatmentPlan(build());
+
+    expect(result).toMatchObject({ success: true, notificationsEnabled: false });
+    expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+    expect((await reminders.listReminders()).length).toBe(result.plan.steps.length);
+  });
+});
@@ -0,0 +1,97 @@
+// Weather card helpers: provider shapes and farming thresholds
+
+import { extractWeatherData, getSpraySafety, getFarmingHints } from '../utils/weather';
+
+const current = (overrides) => ({
+  temperature: 22, humidity: 50, rainProbability: 10, hasPrecipitation: false, ...overrides,
+});
+
+describe('getSpraySafety', () => {
+  it('allows spraying up to 25 km/h of wind', () => {
+    expect(getSpraySafety(0)).toBe('safe');
+    expect(getSpraySafety(25)).toBe('safe');
+    expect(getSpraySafety(25.1)).toBe('unsafe');
+  });
+
+  it('has no advice without a wind speed', () => {
+    expect(getSpraySafety(null)).toBeNull();
+    expect(getSpraySafety(undefined)).toBeNull();
+  });
+});
+
+describe('getFarmingHints', () => {
+  it('has no hints for mild, dry weather', () => {
+    expect(getFarmingHints(current())).toEqual([]);
+  });
+
+  it('warns about cold below 10°C and heat above 35°C', () => {
+    expect(getFarmingHints(current({ temperature: 9.9 }))).toEqual(['hintCold']);
+    expect(getFarmingHints(current({ temperature: 10 }))).toEqual([]);
+    expect(getFarmingHints(current({ temperature: 35 }))).toEqual([]);
+    expect(getFarmingHints(current({ temperature: 35.1 }))).toEqual(['hintHeat']);
+  });
+
+  it('warns about fungal risk above 80% humidity', () => {
+    expect(getFarmingHints(current({ humidity: 80 }))).toEqual([]);
+    expect(getFarmingHints(current({ humidity: 81 }))).toEqual(['hintHumid']);
+  });
+
+  it('warns about rain from 60% chance or when it is raining', () => {
+    expect(getFarmingHints(current({ rainProbability: 59 }))).toEqual([]);
+    expect(getFarmingHints(current({ rainProbability: 60 }))).toEqual(['hintRain']);
+    expect(getFarmingHints(current({ rainProbability: null, hasPrecipitation: true }))).toEqual(['hintRain']);
+  });
+
+  it('skips readings the provider left out', () => {
+    expect(getFarmingHints(current({ temperature: null, humidity: null, rainProbability: null }))).toEqual([]);
+    expect(getFarmingHints(null)).toEqual([]);
+  });
+});
+
+describe('extractWeatherData', () => {
+  it('normalizes a WeatherAPI forecast', () => {
+    const data = extractWeatherData({
+      weather: {
+        location: { name: 'Nakuru' },
+        source: 'WeatherAPI',
+        current: { temp_c: '24.5', humidity: 70, wind_kph: 12, condition: { text: 'Sunny' }, chance_of_rain: 20 },
+        forecast: { forecastday: [{ date: '2026-10-18', day: { mintemp_c: 12, maxtemp_c: 26, daily_chance_of_rain: 40, maxwind_kph: 18, condition: { text: 'Cloudy' } } }] },
+      },
+    });
+
+    expect(data).toEqual({
+      location: 'Nakuru',
+      source: 'WeatherAPI',
+      current: {
+        temperature: 24.5, humidity: 70, windSpeed: 12, windDirection: null,
+        conditions: 'Sunny', rainProbability: 20, hasPrecipitation: null,
+      },
+      daily: [{ date: '2026-10-18', minTemp: 12, maxTemp: 26, rainProbability: 40, windSpeed: 18, conditions: 'Cloudy' }],
+    });
+  });
+
+  it('reads AccuWeather daily forecasts', () => {
+    const data = extractWeatherData({
+      forecast: {
+        DailyForecasts: [{
+          Date: '2026-10-19',
+          Temperature: { Minimum: { Value: 11 }, Maximum: { Value: 23 } },
+          Day: { PrecipitationProbability: 65, IconPhrase: 'Showers', Wind: { Speed: { Value: 9 } } },
+        }],
+      },
+    });
+
+    expect(data.daily).toEqual([{ date: '2026-10-19', minTemp: 11, maxTemp: 23, rainProbability: 65, windSpeed: 9, conditions: 'Showers' }]);
+  });
+
+  it('keeps at most seven days and drops days without temperatures', () => {
+    const days = Array.from({ length: 9 }, (_, i) => ({ date: `day${i}`, temp_min: 10, temp_max: 20 }));
+    const data = extractWeatherData({ weather: { daily: [{ date: 'empty' }, ...days] } });
+    expect(data.daily.map(d => d.date)).toEqual(['day0', 'day1', 'day2', 'day3', 'day4', 'day5', 'day6']);
+  });
+
+  it('returns null when there is no usable weather', () => {
+    expect(extractWeatherData(null)).toBeNull();
+    expect(extractWeatherData({ weather: { location: 'Nakuru' } })).toBeNull();
+  });
+});
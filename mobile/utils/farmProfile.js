@@ -0,0 +1,144 @@
+// Farm profile helpers - plots and livestock the farmer recorded in the app
+// getFarmContext picks the part of the profile a chat question is about,
+// so the assistant does not have to ask "what crop are you growing?" every time.
+
+import { distanceKm } from './location';
+
+export const EMPTY_FARM_PROFILE = { plots: [], livestock: [], updatedAt: null };
+
+export const SIZE_UNITS = ['acres', 'hectares'];
+
+// Plots closer than this to the phone are treated as "where the farmer is standing"
+const NEARBY_PLOT_KM = 2;
+// Cap what goes into every chat request
+const MAX_CONTEXT_PLOTS = 5;
+const MAX_CONTEXT_LIVESTOCK = 5;
+
+const generateId = (prefix) => `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+
+export const createPlot = (fields = {}) => ({
+  id: generateId('plot'),
+  name: '',
+  size: null,
+  sizeUnit: 'acres',
+  latitude: null,
+  longitude: null,
+  crop: '',
+  plantingDate: null,
+  ...fields,
+});
+
+export const createLivestock = (fields = {}) => ({
+  id: generateId('animal'),
+  type: '',
+  count: null,
+  ...fields,
+});
+
+/**
+ * Fill in missing fields of a stored profile
+ */
+export function normalizeFarmProfile(profile) {
+  if (!profile || typeof profile !== 'object') return EMPTY_FARM_PROFILE;
+  return {
+    plots: Array.isArray(profile.plots) ? profile.plots : [],
+    livestock: Array.isArray(profile.livestock) ? profile.livestock : [],
+    updatedAt: profile.updatedAt || null,
+  };
+}
+
+export const isFarmProfileEmpty = (profile) => !profile?.plots?.length && !profile?.livestock?.length;
+
+/**
+ * Parse a YYYY-MM-DD planting date
+ * @returns {Date|null}
+ */
+export function parsePlantingDate(value) {
+  const match = `${value || ''}`.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return isNaN(date) || date.getMonth() !== Number(match[2]) - 1 ? null : date;
+}
+
+export const formatPlantingDate = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const hasPoint = (item) => Number.isFinite(item?.latitude) && Number.isFinite(item?.longitude);
+
+const mentions = (text, name) => {
+  const needle = `${name || ''}`.trim().toLowerCase();
+  return needle.length > 1 && text.includes(needle);
+};
+
+// Compact plot description for the request body
+function describePlot(plot, now) {
+  const planted = parsePlantingDate(plot.plantingDate);
+  return {
+    name: plot.name || null,
+    crop: plot.crop || null,
+    size: Number.isFinite(plot.size) ? plot.size : null,
+    sizeUnit: Number.isFinite(plot.size) ? plot.sizeUnit : null,
+    plantingDate: plot.plantingDate || null,
+    daysSincePlanting: planted ? Math.floor((now - planted) / 86400000) : null,
+    latitude: hasPoint(plot) ? plot.latitude : null,
+    longitude: hasPoint(plot) ? plot.longitude : null,
+  };
+}
+
+/**
+ * The part of the farm profile relevant to a chat question
+ * Plots/livestock named in the question win; otherwise the plot the farmer is
+ * standing in; otherwise the whole (capped) profile.
+ * @param {object} profile - Farm profile from AppContext
+ * @param {object} options - { message, latitude, longitude }
+ * @returns {object|null} { focus: 'mentioned'|'nearby'|'all', plots, livestock } or null when empty
+ */
+export function getFarmContext(profile, { message = '', latitude, longitude } = {}) {
+  if (isFarmProfileEmpty(profile)) return null;
+  const now = new Date();
+  const text = message.toLowerCase();
+
+  const mentionedPlots = profile.plots.filter(p => mentions(text, p.name) || mentions(text, p.crop));
+  const mentionedLivestock = profile.livestock.filter(a => mentions(text, a.type));
+
+  let focus = 'all';
+  let plots = profile.plots;
+  let livestock = profile.livestock;
+
+  if (mentionedPlots.length || mentionedLivestock.length) {
+    focus = 'mentioned';
+    plots = mentionedPlots;
+    livestock = mentionedLivestock;
+  } else if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+    const here = { latitude, longitude };
+    const nearby = profile.plots
+      .filter(hasPoint)
+      .map(p => ({ plot: p, km: distanceKm(here, p) }))
+      .filter(({ km }) => km <= NEARBY_PLOT_KM)
+      .sort((a, b) => a.km - b.km);
+    if (nearby.length) {
+      focus = 'nearby';
+      plots = [nearby[0].plot];
+    }
+  }
+
+  return {
+    focus,
+    plots: plots.slice(0, MAX_CONTEXT_PLOTS).map(p => describePlot(p, now)),
+    livestock: livestock.slice(0, MAX_CONTEXT_LIVESTOCK).map(a => ({
+      type: a.type,
+      count: Number.isFinite(a.count) ? a.count : null,
+    })),
+  };
+}
+
+export default {
+  getFarmContext,
+  normalizeFarmProfile,
+  createPlot,
+  createLivestock,
+  parsePlantingDate,
+  formatPlantingDate,
+};
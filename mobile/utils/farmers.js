@@ -0,0 +1,23 @@
+// Farmer roster helpers - officer mode lets one phone advise many farmers,
+// each with their own name, language, location and conversations.
+
+import { getLocationLabel } from './location';
+
+export const createFarmer = ({ name, language, location = null, locationDetails = null }) => ({
+  id: `farmer_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`,
+  name: `${name || ''}`.trim(),
+  language,
+  location: location ? { latitude: location.latitude, longitude: location.longitude } : null,
+  locationDetails,
+  createdAt: new Date().toISOString(),
+});
+
+/**
+ * One-line summary for roster rows, e.g. 'Swahili · Nakuru, Kenya'
+ */
+export const describeFarmer = (farmer) => [
+  farmer.language?.name,
+  farmer.location ? getLocationLabel(farmer.locationDetails, farmer.location) : null,
+].filter(Boolean).join(' · ');
+
+export default { createFarmer, describeFarmer };
@@ -0,0 +1,144 @@
+// Image pipeline - shrink plant photos on-device before diagnosis upload
+// Re-encoding through expo-image-manipulator drops all EXIF (including GPS);
+// the photo's location is only read back out when the user opted in.
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import jpeg from 'jpeg-js';
+
+// Long edge after resize - plenty for AgriVision, ~10x smaller than camera output
+export const TARGET_MAX_DIMENSION = 1280;
+// Stop lowering JPEG quality once the encoded photo fits (bytes)
+export const TARGET_MAX_BYTES = 300 * 1024;
+const QUALITY_STEPS = [0.75, 0.6, 0.45];
+
+// Quality check runs on a small thumbnail to keep it fast on low-end phones
+const ANALYSIS_WIDTH = 128;
+// Mean luminance (0-255) below this is too dark to diagnose
+export const MIN_BRIGHTNESS = 45;
+// Variance of the Laplacian below this means no sharp edges - blurry or out of focus
+export const MIN_SHARPNESS = 80;
+
+const base64ByteLength = (base64) => Math.floor((base64.length * 3) / 4);
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Brightness and sharpness of decoded RGBA pixels
+ * @returns {{ brightness: number, sharpness: number }}
+ */
+export function measureImageQuality({ data, width, height }) {
+  const luma = new Float32Array(width * height);
+  let total = 0;
+  for (let i = 0; i < width * height; i++) {
+    const value = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    luma[i] = value;
+    total += value;
+  }
+
+  // Variance of a 4-neighbour Laplacian over the interior pixels
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = luma[i - width] + luma[i + width] + luma[i - 1] + luma[i + 1] - 4 * luma[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+  const mean = count ? sum / count : 0;
+
+  return {
+    brightness: total / (width * height),
+    sharpness: count ? sumSquares / count - mean * mean : 0,
+  };
+}
+
+/**
+ * Check a photo for problems AgriVision would reject as poor quality
+ * @returns {Promise<{ brightness, sharpness, issues: Array<'dark'|'blurry'> }>}
+ */
+export async function checkImageQuality(uri) {
+  const context = ImageManipulator.manipulate(uri);
+  context.resize({ width: ANALYSIS_WIDTH });
+  const thumbnail = await context.renderAsync();
+  const { base64 } = await thumbnail.saveAsync({ format: SaveFormat.JPEG, compress: 0.9, base64: true });
+
+  const pixels = jpeg.decode(base64ToBytes(base64), { useTArray: true, formatAsRGBA: true });
+  const { brightness, sharpness } = measureImageQuality(pixels);
+
+  const issues = [];
+  if (brightness < MIN_BRIGHTNESS) issues.push('dark');
+  // A dark frame has few edges anyway - only call it blurry when it is lit
+  else if (sharpness < MIN_SHARPNESS) issues.push('blurry');
+
+  return { brightness, sharpness, issues };
+}
+
+// EXIF GPS as decimal degrees ({ latitude, longitude } or null)
+function readExifLocation(exif) {
+  if (!exif) return null;
+  const toDecimal = (value, ref) => {
+    const degrees = Array.isArray(value) ? value[0] + value[1] / 60 + value[2] / 3600 : value;
+    if (typeof degrees !== 'number' || !Number.isFinite(degrees)) return null;
+    return ref === 'S' || ref === 'W' ? -Math.abs(degrees) : degrees;
+  };
+  const gps = exif['{GPS}'] || exif; // iOS nests GPS tags
+  const latitude = toDecimal(gps.GPSLatitude ?? gps.Latitude, gps.GPSLatitudeRef ?? gps.LatitudeRef);
+  const longitude = toDecimal(gps.GPSLongitude ?? gps.Longitude, gps.GPSLongitudeRef ?? gps.LongitudeRef);
+  return latitude !== null && longitude !== null ? { latitude, longitude } : null;
+}
+
+/**
+ * Resize, re-encode (strips EXIF) and quality-check a picked photo
+ * @param {object} asset - ImagePicker asset ({ uri, width, height, exif })
+ * @param {object} options - { keepLocation } keep the photo's GPS position (user opt-in)
+ * @returns {Promise<{ uri, base64, width, height, bytes, location, quality }>}
+ */
+export async function prepareImageForUpload(asset, { keepLocation = false } = {}) {
+  const context = ImageManipulator.manipulate(asset.uri);
+  const longEdge = Math.max(asset.width || 0, asset.height || 0);
+  if (longEdge > TARGET_MAX_DIMENSION) {
+    context.resize(asset.width >= asset.height ? { width: TARGET_MAX_DIMENSION } : { height: TARGET_MAX_DIMENSION });
+  }
+  const rendered = await context.renderAsync();
+
+  let saved = null;
+  for (const compress of QUALITY_STEPS) {
+    saved = await rendered.saveAsync({ format: SaveFormat.JPEG, compress, base64: true });
+    if (base64ByteLength(saved.base64) <= TARGET_MAX_BYTES) break;
+  }
+
+  let quality = { issues: [] };
+  try {
+    quality = await checkImageQuality(saved.uri);
+  } catch (error) {
+    // Never block a photo because the check itself failed
+    console.log('⚠️ [ImagePipeline] Quality check failed:', error.message);
+  }
+
+  const bytes = base64ByteLength(saved.base64);
+  console.log('🖼️ [ImagePipeline] Prepared photo:', {
+    size: `${saved.width}x${saved.height}`,
+    kb: Math.round(bytes / 1024),
+    issues: quality.issues,
+  });
+
+  return {
+    uri: saved.uri,
+    base64: saved.base64,
+    width: saved.width,
+    height: saved.height,
+    bytes,
+    location: keepLocation ? readExifLocation(asset.exif) : null,
+    quality,
+  };
+}
+
+export default { prepareImageForUpload, checkImageQuality, measureImageQuality };
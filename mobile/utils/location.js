@@ -0,0 +1,156 @@
+// Location helpers - shared by the app-wide location (AppContext) and
+// the location pinned to each chat session
+
+// L1-L6 fields stored with a session (same names as the location lookup result)
+export const LOCATION_LEVEL_FIELDS = [
+  'level1Country',
+  'level1CountryCode',
+  'level2State',
+  'level3District',
+  'level4SubDistrict',
+  'level5City',
+  'level6Locality',
+];
+
+const hasCoords = (location) => Number.isFinite(location?.latitude) && Number.isFinite(location?.longitude);
+
+/**
+ * Details to show when the lookup failed - just the coordinates
+ */
+export const basicLocationDetails = (latitude, longitude) => ({
+  success: true,
+  source: 'gps',
+  latitude,
+  longitude,
+  displayName: `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`,
+  level5City: null,
+  level3District: null,
+  level2State: null,
+  level1Country: null,
+});
+
+/**
+ * Normalize a location lookup result (Nominatim/IP-API field names differ)
+ * @returns {object|null} Details with a displayName, or null when the lookup found nothing useful
+ */
+export function normalizeLocationDetails(result) {
+  if (!result?.success || !(result.displayName || result.level1Country)) return null;
+  return {
+    ...result,
+    displayName: result.displayName || result.level5City || result.level3District || result.level2State || result.level1Country || 'Location set',
+    level5City: result.level5City || result.city || null,
+    level3District: result.level3District || result.district || null,
+    level2State: result.level2State || result.state || result.regionName || null,
+    level1Country: result.level1Country || result.country || null,
+  };
+}
+
+/**
+ * Label for headers: the display name, falling back to the most specific level or coordinates
+ */
+export function getLocationLabel(details, location) {
+  const label = details?.displayName || details?.level5City || details?.level3District || details?.level2State;
+  if (label) return label;
+  if (hasCoords(location)) return `${location.latitude.toFixed(2)}, ${location.longitude.toFixed(2)}`;
+  return null;
+}
+
+/**
+ * Flat session fields for a location - what createSession/updateSession store
+ */
+export function toSessionLocation(location, details) {
+  if (!hasCoords(location)) return { locationDisplay: details?.displayName || null };
+  const fields = {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    locationDisplay: details?.displayName || null,
+  };
+  LOCATION_LEVEL_FIELDS.forEach(field => {
+    fields[field] = details?.[field] || null;
+  });
+  return fields;
+}
+
+/**
+ * Location pinned to a stored session
+ * @returns {object|null} { location, locationDetails } or null for sessions saved without coordinates
+ */
+export function readSessionLocation(session) {
+  if (!hasCoords(session)) return null;
+  const locationDetails = {
+    latitude: session.latitude,
+    longitude: session.longitude,
+    displayName: session.locationDisplay || null,
+  };
+  LOCATION_LEVEL_FIELDS.forEach(field => {
+    locationDetails[field] = session[field] || null;
+  });
+  if (!locationDetails.displayName) {
+    locationDetails.displayName = getLocationLabel(locationDetails, session);
+  }
+  return {
+    location: { latitude: session.latitude, longitude: session.longitude },
+    locationDetails,
+  };
+}
+
+// Great-circle distance in km
+export function distanceKm(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+export const isSameLocation = (a, b) => (
+  hasCoords(a) && hasCoords(b) &&
+  Math.abs(a.latitude - b.latitude) < 1e-4 &&
+  Math.abs(a.longitude - b.longitude) < 1e-4
+);
+
+/**
+ * A named place the farmer can switch to (home, field A, market town)
+ * Details and MCP regions are cached so switching needs no lookups.
+ */
+export const createSavedLocation = ({ name, location, locationDetails, regions = null }) => ({
+  id: `place_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`,
+  name: `${name || ''}`.trim() || locationDetails?.displayName || null,
+  latitude: location.latitude,
+  longitude: location.longitude,
+  locationDetails,
+  regions,
+  regionsCheckedAt: regions ? new Date().toISOString() : null,
+  createdAt: new Date().toISOString(),
+});
+
+// Names of detected MCP regions; entries are objects with a name, older caches may hold plain codes
+export const describeRegions = (regions) => (regions || [])
+  .map(region => (typeof region === 'string' ? region : region?.name || region?.code))
+  .filter(Boolean)
+  .join(' · ');
+
+const regionKey = (region) => (typeof region === 'string' ? region : region?.id || region?.code || region?.name);
+
+/**
+ * Whether two region detections cover different MCP regions (order does not matter)
+ */
+export function haveRegionsChanged(before, after) {
+  const a = new Set((before || []).map(regionKey).filter(Boolean));
+  const b = new Set((after || []).map(regionKey).filter(Boolean));
+  return a.size !== b.size || [...a].some(key => !b.has(key));
+}
+
+export default {
+  normalizeLocationDetails,
+  basicLocationDetails,
+  getLocationLabel,
+  toSessionLocation,
+  readSessionLocation,
+  isSameLocation,
+  distanceKm,
+  createSavedLocation,
+  describeRegions,
+  haveRegionsChanged,
+};
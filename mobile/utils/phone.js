@@ -0,0 +1,22 @@
+// Phone number helpers for account linking
+
+/**
+ * Normalize user input to E.164 ('+' then 8-15 digits); spaces, dashes,
+ * dots and brackets are ignored and a leading 00 counts as '+'
+ * @returns {string|null} Normalized number, or null when it can't be one
+ */
+export function normalizePhoneNumber(input) {
+  const compact = String(input || '').trim().replace(/[\s\-().]/g, '').replace(/^00/, '+');
+  return /^\+[1-9]\d{7,14}$/.test(compact) ? compact : null;
+}
+
+/**
+ * Hide all but the last digits, e.g. '+•••••••••678'
+ */
+export function maskPhoneNumber(phoneNumber, visibleDigits = 3) {
+  if (!phoneNumber) return '';
+  const hidden = phoneNumber.slice(0, -visibleDigits).replace(/\d/g, '•');
+  return `${hidden}${phoneNumber.slice(-visibleDigits)}`;
+}
+
+export default { normalizePhoneNumber, maskPhoneNumber };
@@ -0,0 +1,24 @@
+// Helpers for chat records read back from the local store
+
+/**
+ * Message metadata as an object - stored as a JSON string or already parsed
+ * @returns {object|null}
+ */
+export function parseMetadata(metadata) {
+  if (!metadata) return null;
+  if (typeof metadata === 'object') return metadata;
+  try {
+    return JSON.parse(metadata);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Shallow copy of a record without the given fields
+ */
+export function omitFields(record, fields) {
+  const copy = { ...record };
+  fields.forEach(field => delete copy[field]);
+  return copy;
+}
@@ -0,0 +1,72 @@
+// Reminder suggestions - prefill a reminder from a chat answer
+// Timing comes from structured fields (a diagnosis' treatment schedule, the
+// gateway's detected intents) rather than the answer text, so suggestions work
+// in every app language; the text only supplies the default wording.
+
+import { REMINDER_SOURCES, morningOf } from '../services/reminders';
+import { buildTreatmentPlan, getPlanApproaches, describePlanStep } from '../services/treatmentPlans';
+
+const MAX_TITLE_LENGTH = 80;
+const MAX_BODY_LENGTH = 240;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Gateway intent IDs (api-gateway services/intent) for planting advice. Matched
+// exactly: plant_health and diagnosis intents are not planting advice.
+const PLANTING_INTENTS = new Set(['planting', 'planting_advice', 'planting_date', 'sowing', 'sowing_advice', 'crop_calendar']);
+
+// Strip markdown so the first line reads as plain text
+const toPlainText = (text = '') => text
+  .replace(/```[\s\S]*?```/g, ' ')
+  .replace(/[#>*_`~|]/g, '')
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1');
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text);
+
+const intentName = (intent) => (typeof intent === 'string' ? intent : intent?.intent || intent?.name || '');
+
+/**
+ * Next step of a diagnosis' treatment schedule after today's application
+ * (re-application, or the re-inspection)
+ * @returns {{ title: string, body: string|null, source: string, suggestedDays: number }|null}
+ */
+function suggestFromDiagnosis(diagnosis) {
+  const [approach] = getPlanApproaches(diagnosis);
+  const plan = approach ? buildTreatmentPlan(diagnosis, { approach }) : null;
+  const next = plan?.steps[1];
+  if (!next) return null;
+
+  return {
+    title: truncate(describePlanStep(next), MAX_TITLE_LENGTH),
+    body: plan.issue ? truncate(plan.issue, MAX_BODY_LENGTH) : null,
+    source: REMINDER_SOURCES.CHAT,
+    suggestedDays: Math.max(1, Math.round((new Date(next.dueAt) - morningOf(0)) / DAY_MS)),
+  };
+}
+
+/**
+ * Prefill for a reminder created from a bot message
+ * @returns {{ title: string, body: string|null, source: string, suggestedDays: number|null }}
+ */
+export function suggestReminder(message) {
+  const fromDiagnosis = message?.diagnosisData && suggestFromDiagnosis(message.diagnosisData);
+  if (fromDiagnosis) return fromDiagnosis;
+
+  const sentences = toPlainText(message?.text || '')
+    .split(/\n+/)
+    .flatMap(line => line.match(/[^.!?。！？]+[.!?。！？]*/g) || [])
+    .map(s => s.trim())
+    .filter(s => s.length > 3);
+  const lead = sentences[0] || '';
+  const rest = sentences.slice(1).join(' ');
+  const isPlanting = (message?.provenance?.intentsDetected || [])
+    .some(intent => PLANTING_INTENTS.has(intentName(intent).toLowerCase()));
+
+  return {
+    title: truncate(lead, MAX_TITLE_LENGTH),
+    body: rest ? truncate(rest, MAX_BODY_LENGTH) : null,
+    source: isPlanting ? REMINDER_SOURCES.PLANTING : REMINDER_SOURCES.CHAT,
+    suggestedDays: null,
+  };
+}
+
+export default { suggestReminder };
@@ -0,0 +1,128 @@
+// Soil helpers - normalize ISDA soil results and interpret them for SoilReportCard
+// Interpretation bands follow docs/MCP_OUTPUT_SIMPLIFICATION_GUIDE.md
+
+// Gauge parameters in display order. `range` is the gauge scale, `bands` are
+// upper bounds (exclusive) with a level key (strings.js soil.levels.*) and tone.
+export const SOIL_PARAMETERS = [
+  {
+    key: 'ph',
+    fields: ['ph', 'pH', 'ph_h2o'],
+    unit: '',
+    range: [4, 9],
+    bands: [
+      { max: 5.5, level: 'veryAcidic', tone: 'bad' },
+      { max: 6.0, level: 'slightlyAcidic', tone: 'fair' },
+      { max: 7.0, level: 'ideal', tone: 'good' },
+      { max: 7.5, level: 'neutral', tone: 'good' },
+      { max: Infinity, level: 'alkaline', tone: 'fair' },
+    ],
+  },
+  {
+    key: 'nitrogen',
+    fields: ['nitrogen_total', 'nitrogen', 'n'],
+    unit: 'g/kg',
+    range: [0, 3],
+    bands: [
+      { max: 1.0, level: 'low', tone: 'bad' },
+      { max: 1.5, level: 'medium', tone: 'fair' },
+      { max: Infinity, level: 'good', tone: 'good' },
+    ],
+  },
+  {
+    key: 'phosphorus',
+    fields: ['phosphorous_extractable', 'phosphorus_extractable', 'phosphorus', 'p'],
+    unit: 'ppm',
+    range: [0, 40],
+    bands: [
+      { max: 10, level: 'low', tone: 'bad' },
+      { max: 20, level: 'medium', tone: 'fair' },
+      { max: Infinity, level: 'high', tone: 'good' },
+    ],
+  },
+  {
+    key: 'potassium',
+    fields: ['potassium_extractable', 'potassium', 'k'],
+    unit: 'ppm',
+    range: [0, 400],
+    bands: [
+      { max: 150, level: 'low', tone: 'bad' },
+      { max: 250, level: 'medium', tone: 'fair' },
+      { max: Infinity, level: 'high', tone: 'good' },
+    ],
+  },
+  {
+    // Guide only gives 26.1 as "holds nutrients well"; bands use common CEC ranges
+    key: 'cec',
+    fields: ['cation_exchange_capacity', 'cec'],
+    unit: 'cmol(+)/kg',
+    range: [0, 40],
+    bands: [
+      { max: 10, level: 'low', tone: 'bad' },
+      { max: 25, level: 'medium', tone: 'fair' },
+      { max: Infinity, level: 'high', tone: 'good' },
+    ],
+  },
+];
+
+// Texture classes, most specific first (strings.js soil.textures.*)
+const TEXTURES = [
+  { match: 'sandy clay loam', key: 'sandyClayLoam' },
+  { match: 'sandy loam', key: 'sandyLoam' },
+  { match: 'clay loam', key: 'clayLoam' },
+  { match: 'loam', key: 'loam' },
+  { match: 'clay', key: 'clay' },
+  { match: 'sand', key: 'sandy' },
+];
+
+const toNumber = (value) => {
+  const raw = value && typeof value === 'object' ? value.value : value;
+  const num = typeof raw === 'string' ? parseFloat(raw) : raw;
+  return typeof num === 'number' && Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Interpret a value against a parameter's bands
+ * @returns {{ level: string, tone: 'good'|'fair'|'bad' }}
+ */
+export function interpretSoilValue(parameter, value) {
+  const band = parameter.bands.find(b => value < b.max) || parameter.bands[parameter.bands.length - 1];
+  return { level: band.level, tone: band.tone };
+}
+
+/**
+ * Texture explanation key for a texture class, e.g. "Sandy Clay Loam" -> "sandyClayLoam"
+ */
+export function getTextureKey(textureClass) {
+  const lower = (textureClass || '').toLowerCase();
+  return TEXTURES.find(texture => lower.includes(texture.match))?.key || null;
+}
+
+/**
+ * Extract a soil report from bot message metadata
+ * @returns {object|null} { values: { ph, nitrogen, ... }, texture, depth, source } or null when absent
+ */
+export function extractSoilData(metadata) {
+  const raw = metadata?.soilReport || metadata?.soil || metadata?.soilData || metadata?.isda;
+  if (!raw || typeof raw !== 'object') return null;
+
+  // Already normalized (persisted soilReport)
+  if (raw.values && typeof raw.values === 'object') return raw;
+
+  const properties = raw.properties || raw;
+  const values = {};
+  SOIL_PARAMETERS.forEach(parameter => {
+    const field = parameter.fields.find(f => properties[f] !== undefined);
+    const value = field ? toNumber(properties[field]) : null;
+    if (value !== null) values[parameter.key] = value;
+  });
+
+  const texture = properties.texture_class?.value || properties.texture_class || properties.texture || null;
+  if (Object.keys(values).length === 0 && !texture) return null;
+
+  return {
+    values,
+    texture: typeof texture === 'string' ? texture : null,
+    depth: raw.depth || null,
+    source: raw.source || 'ISDA Soil',
+  };
+}
@@ -0,0 +1,15 @@
+/**
+ * Write lock for a store kept under one AsyncStorage key.
+ * Tasks run one at a time so concurrent read-modify-write cycles don't clobber
+ * each other; a failed task doesn't block the ones queued behind it.
+ * @returns {(task: () => Promise<any>) => Promise<any>} withLock
+ */
+export function createStorageLock() {
+  let queue = Promise.resolve();
+
+  return function withLock(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  };
+}
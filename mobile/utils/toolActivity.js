@@ -0,0 +1,45 @@
+// Tool activity helpers - turn MCP tool steps into farmer-readable labels
+// Steps come from tool_call/tool_result stream events (see services/api.js)
+
+import { t } from '../constants/strings';
+import { SERVER_INFO, resolveServerSlug } from '../constants/mcpServers';
+
+/**
+ * Humanize a raw tool name, e.g. "get_current_conditions" -> "Current conditions"
+ */
+function humanizeToolName(toolName = '') {
+  const words = toolName
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .split(/[_\-\s.]+/)
+    .filter(Boolean)
+    .map(w => w.toLowerCase());
+  if (['get', 'fetch', 'query', 'check', 'lookup'].includes(words[0])) words.shift();
+  const text = words.join(' ');
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : t('chat.toolUnknownSource');
+}
+
+/**
+ * Resolve the display source for a tool step
+ * @returns {{ name: string, action: 'checked'|'queried', serverSlug: string|null }}
+ */
+export function getToolSource(step) {
+  const serverSlug = resolveServerSlug(step?.server);
+  const info = SERVER_INFO[serverSlug];
+  return {
+    name: info ? t(`${info.stringKey}.name`) : humanizeToolName(step?.toolName),
+    action: info?.action || 'checked',
+    serverSlug,
+  };
+}
+
+/**
+ * Label for a tool step, e.g. "Checked AccuWeather" or "Querying ISDA soil..."
+ */
+export function describeToolStep(step) {
+  const source = getToolSource(step);
+  if (step?.status === 'failed') return t('chat.toolFailed', { source: source.name });
+  if (step?.status === 'running') {
+    return t(source.action === 'queried' ? 'chat.toolQuerying' : 'chat.toolChecking', { source: source.name });
+  }
+  return t(source.action === 'queried' ? 'chat.toolQueried' : 'chat.toolChecked', { source: source.name });
+}
@@ -0,0 +1,100 @@
+// Weather helpers - normalize forecast metadata from the weather MCP servers
+// (AccuWeather, WeatherAPI, Tomorrow.io) into one shape for WeatherCard.
+// Farming thresholds follow docs/MCP_OUTPUT_SIMPLIFICATION_GUIDE.md
+
+// Wind above this is unsafe for spraying - chemicals drift (km/h)
+export const SPRAY_MAX_WIND_KMH = 25;
+// Humidity above this means high fungal disease risk (%)
+export const HIGH_HUMIDITY_PCT = 80;
+// Temperature bands for crop advice (°C)
+export const COLD_TEMP_C = 10;
+export const HEAT_STRESS_TEMP_C = 35;
+
+const firstNumber = (...values) => {
+  for (const value of values) {
+    const num = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof num === 'number' && Number.isFinite(num)) return num;
+  }
+  return null;
+};
+
+const firstText = (...values) => values.find(v => typeof v === 'string' && v.trim()) || null;
+
+function normalizeCurrent(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const current = {
+    temperature: firstNumber(raw.temperature?.value, raw.temperature, raw.temp_c, raw.temp),
+    humidity: firstNumber(raw.humidity, raw.relative_humidity),
+    windSpeed: firstNumber(raw.wind_speed, raw.wind_kph, raw.windSpeed),
+    windDirection: firstText(raw.wind_direction, raw.wind_dir, raw.windDirection),
+    conditions: firstText(raw.conditions, raw.condition?.text, raw.condition, raw.weather_text),
+    rainProbability: firstNumber(raw.precipitation_probability, raw.chance_of_rain, raw.precipitationProbability),
+    hasPrecipitation: typeof raw.has_precipitation === 'boolean' ? raw.has_precipitation : null,
+  };
+  return current.temperature !== null || current.conditions ? current : null;
+}
+
+function normalizeDay(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const day = raw.day || raw; // WeatherAPI nests daily values under `day`
+  const normalized = {
+    date: firstText(raw.date, raw.time, raw.Date),
+    minTemp: firstNumber(day.temp_min, day.min_temp, day.mintemp_c, day.temperatureMin, day.temperature?.min, day.Temperature?.Minimum?.Value),
+    maxTemp: firstNumber(day.temp_max, day.max_temp, day.maxtemp_c, day.temperatureMax, day.temperature?.max, day.Temperature?.Maximum?.Value),
+    rainProbability: firstNumber(
+      day.precipitation_probability, day.rain_probability, day.daily_chance_of_rain,
+      day.precipitationProbabilityAvg, day.Day?.PrecipitationProbability
+    ),
+    windSpeed: firstNumber(day.wind_speed, day.maxwind_kph, day.windSpeedMax, day.Day?.Wind?.Speed?.Value),
+    conditions: firstText(day.conditions, day.condition?.text, day.Day?.IconPhrase),
+  };
+  return normalized.minTemp !== null || normalized.maxTemp !== null ? normalized : null;
+}
+
+/**
+ * Extract structured weather from bot message metadata
+ * @returns {object|null} { location, source, current, daily[] } or null when absent
+ */
+export function extractWeatherData(metadata) {
+  const raw = metadata?.weather || metadata?.weatherData || metadata?.forecast;
+  if (!raw || typeof raw !== 'object') return null;
+
+  const dailyRaw = raw.daily || raw.forecast?.forecastday || raw.forecastday || raw.forecast || raw.days || raw.DailyForecasts || [];
+  const daily = (Array.isArray(dailyRaw) ? dailyRaw : []).map(normalizeDay).filter(Boolean).slice(0, 7);
+  const current = normalizeCurrent(raw.current || raw.now || raw);
+
+  if (!current && daily.length === 0) return null;
+
+  return {
+    location: firstText(raw.location?.name, raw.location, raw.locationName),
+    source: firstText(raw.source, raw.provider),
+    current,
+    daily,
+  };
+}
+
+/**
+ * Spray safety for a wind speed (km/h)
+ * @returns {'safe'|'unsafe'|null}
+ */
+export function getSpraySafety(windSpeed) {
+  if (windSpeed === null || windSpeed === undefined) return null;
+  return windSpeed > SPRAY_MAX_WIND_KMH ? 'unsafe' : 'safe';
+}
+
+/**
+ * Farming hint keys (strings.js weather.*) for current conditions
+ */
+export function getFarmingHints(current) {
+  if (!current) return [];
+  const hints = [];
+  if (current.temperature !== null) {
+    if (current.temperature < COLD_TEMP_C) hints.push('hintCold');
+    else if (current.temperature > HEAT_STRESS_TEMP_C) hints.push('hintHeat');
+  }
+  if (current.humidity !== null && current.humidity > HIGH_HUMIDITY_PCT) hints.push('hintHumid');
+  if (current.hasPrecipitation || (current.rainProbability !== null && current.rainProbability >= 60)) {
+    hints.push('hintRain');
+  }
+  return hints;
+}